@@ -7,123 +7,301 @@
  */
 
 import { decode } from 'html-entities';
+import { findSiteExtractors } from './src/extractors/sites';
+import { elementContent, countIngredients } from './src/extractors/markup';
+import { WP_PLUGINS, extractPluginCards } from './src/extractors/wordpress';
+import { extractHeuristic } from './src/extractors/heuristic';
+import { normalizeYield, normalizeNutrition, extractSchemaExtras, isTip } from './src/extractors/schemaOrg';
+import { pageText, fromAIRecipe } from './src/extractors/aiFallback';
+import {
+  EXTRACTION_ERRORS,
+  ExtractionError,
+  classifyStatus,
+  detectBlock,
+  detectRecipeMarkup,
+} from './src/extractors/diagnostics';
+import { log } from './src/utils/log';
+
+// A failed extraction's result, see RecipeExtractor.failure
+const failureResult = (reason, tier, message, details = {}) => ({
+  success: false,
+  error: message,
+  reason,
+  tier,
+  status: details.status ?? null,
+  detail: details.detail ?? null,
+  data: null
+});
 
 export class RecipeExtractor {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {Function} [options.fetch] - fetch(url, init) used to load pages;
+   *   defaults to the global fetch. The fixture runner in scripts/extraction
+   *   passes one that serves saved HTML.
+   * @param {Function} [options.aiFallback] - async (text, url, { signal }) => the
+   *   extract-recipe Edge Function's response ({ success, recipes } or
+   *   { success: false, error, message }). Enables tier 6, which sends the
+   *   page's text to the AI when every other tier failed; see
+   *   extractRecipeWithAI in src/services/urlExtraction.js.
+   */
+  constructor(options = {}) {
+    this.fetchImpl = options.fetch || null;
+    this.aiFallback = options.aiFallback || null;
+
     this.stats = {
       json_ld: 0,
       microdata: 0,
       wp_plugin: 0,
       site_specific: 0,
+      heuristic: 0,
       ai_fallback: 0,
       failed: 0
     };
 
+    // domain -> { success, failed, sources, reasons, lastFailure }
+    this.domainStats = {};
+
     this.userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
 
-    this.wpPlugins = {
-      wprm: {
-        markers: ['wprm-recipe-container', 'wprm-recipe-ingredients'],
-        name: 'WordPress Recipe Maker'
-      }
-    };
+    // WordPress recipe card plugins (tier 3) - see src/extractors/wordpress.js
+    this.wpPlugins = WP_PLUGINS;
 
-    this.siteExtractors = {
-      'allrecipes.com': this.extractAllRecipes.bind(this)
-    };
+    // Site-specific extractors (tier 4) live in src/extractors/sites and
+    // register themselves - see src/extractors/registry.js
   }
 
   /**
-   * Main extraction method - tries all 5 tiers
+   * Main extraction method - tries each tier in turn
+   * @returns {Promise<Object>} { success, data, recipes, source } - `data` is
+   *   the page's first recipe and `recipes` every recipe found on it (JSON-LD
+   *   and plugin tiers can find several). On failure { success: false,
+   *   error, reason, tier, status, detail } - `reason` is one of
+   *   EXTRACTION_ERRORS (src/extractors/diagnostics.js) and `tier` the last
+   *   one tried ('fetch' when the page never loaded); plus `code` and
+   *   `aiAttempted` when the AI tier ran and failed, or `html` when it was
+   *   held back (ai: false) on a page it could still read
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {boolean} [options.ai=true] - Allow tier 6 when aiFallback is
+   *   set; false keeps this attempt free
    */
-  async extract(url) {
+  async extract(url, { ai = true } = {}) {
+    const result = await this.runTiers(url, ai);
+    this.recordDomain(url, result);
+    return result;
+  }
+
+  async runTiers(url, ai = true) {
+    let tier = 'fetch';
     try {
       const html = await this.fetchHTML(url);
 
-      if (!html) {
-        this.stats.failed++;
-        return { success: false, error: 'Failed to fetch HTML', data: null };
-      }
-
       // Tier 1: JSON-LD (60% of sites)
-      let result = this.extractJSONLD(html, url);
-      if (result && result.title) {
+      tier = 'JSON-LD';
+      let recipes = this.extractJSONLDRecipes(html, url);
+      if (recipes.length > 0) {
         this.stats.json_ld++;
-        return { success: true, data: result, source: 'JSON-LD' };
+        return { success: true, data: recipes[0], recipes, source: 'JSON-LD' };
       }
 
       // Tier 2: Microdata (15% of sites)
-      result = this.extractMicrodata(html, url);
+      tier = 'Microdata';
+      let result = this.extractMicrodata(html, url);
       if (result && result.title) {
         this.stats.microdata++;
-        return { success: true, data: result, source: 'Microdata' };
+        return { success: true, data: result, recipes: [result], source: 'Microdata' };
       }
 
       // Tier 3: WordPress Plugins (15% of sites)
-      result = this.extractWordPress(html, url);
-      if (result && result.title) {
+      tier = 'WordPress';
+      recipes = this.extractWordPressRecipes(html, url);
+      if (recipes.length > 0) {
         this.stats.wp_plugin++;
-        return { success: true, data: result, source: 'WordPress' };
+        return { success: true, data: recipes[0], recipes, source: 'WordPress' };
       }
 
       // Tier 4: Site-Specific (10% of sites)
-      const domain = new URL(url).hostname.replace('www.', '');
-      if (this.siteExtractors[domain]) {
-        result = this.siteExtractors[domain](html, url);
-        if (result && result.title) {
-          this.stats.site_specific++;
-          return { success: true, data: result, source: 'Site-Specific' };
+      tier = 'Site-Specific';
+      result = this.extractSiteSpecific(html, url);
+      if (result && result.title) {
+        this.stats.site_specific++;
+        return { success: true, data: result, recipes: [result], source: 'Site-Specific' };
+      }
+
+      // Tier 5: Heuristic - a best guess from the page's lists and headings,
+      // flagged for the user to review
+      tier = 'Heuristic';
+      result = this.extractHeuristic(html, url);
+      if (result && result.title) {
+        this.stats.heuristic++;
+        return { success: true, data: result, recipes: [result], source: 'Heuristic' };
+      }
+
+      // A bot wall or paywall can't be read by any tier, the AI included
+      const block = detectBlock(html);
+      if (block) {
+        return this.failure(EXTRACTION_ERRORS.BLOCKED, tier,
+          block === 'paywall' ? 'Recipe is behind a paywall' : 'Site served a bot check instead of the page',
+          { detail: block });
+      }
+
+      // Tier 6: AI - the page's text read by Gemini. Opt-in, as each call
+      // spends the user's scan allowance.
+      if (this.aiFallback && ai) {
+        const read = await this.extractWithAI(html, url);
+        if (read?.recipes.length > 0) {
+          this.stats.ai_fallback++;
+          return { success: true, data: read.recipes[0], recipes: read.recipes, source: 'AI' };
+        }
+        if (read) {
+          this.stats.failed++;
+          return this.aiFailure(read);
         }
       }
 
-      // No extraction worked
-      this.stats.failed++;
-      return {
-        success: false,
-        error: 'Unable to extract recipe from this URL',
-        data: null
-      };
+      // Recipe markup that no tier could read is our bug, not the page's
+      const markup = detectRecipeMarkup(html, this.wpPlugins);
+      const failed = markup
+        ? this.failure(EXTRACTION_ERRORS.PARSE_ERROR, markup, `${markup} recipe markup found but could not be parsed`)
+        : this.failure(EXTRACTION_ERRORS.NO_RECIPE_FOUND, tier, 'Unable to extract recipe from this URL');
+      // Keep the page for extractPageWithAI when the AI was held back, so
+      // reading it later doesn't fetch it and run every tier again
+      return this.aiFallback && !ai ? { ...failed, html } : failed;
 
     } catch (error) {
-      this.stats.failed++;
-      return { success: false, error: error.message, data: null };
+      if (error instanceof ExtractionError) {
+        return this.failure(error.reason, tier, error.message, { status: error.status, detail: error.detail });
+      }
+      return this.failure(EXTRACTION_ERRORS.PARSE_ERROR, tier, error.message);
+    }
+  }
+
+  /**
+   * A failed extraction's result
+   * @param {string} reason - One of EXTRACTION_ERRORS
+   * @param {string} tier - Last tier tried, or 'fetch'
+   * @param {string} message - Technical description
+   * @param {Object} [details] - { status, detail }
+   */
+  failure(reason, tier, message, details = {}) {
+    this.stats.failed++;
+    return failureResult(reason, tier, message, details);
+  }
+
+  // Tier 6's failure: the service's own code and message
+  aiFailure(read) {
+    const reason = read.error === 'network' ? EXTRACTION_ERRORS.NETWORK : EXTRACTION_ERRORS.NO_RECIPE_FOUND;
+    return {
+      ...failureResult(reason, 'AI', read.message || 'Unable to extract recipe from this URL'),
+      code: read.error,
+      aiAttempted: true,
+    };
+  }
+
+  /**
+   * Tier 6 on its own, for a page an `ai: false` extract() already loaded
+   * and failed on - its result carries the page as `html`. Nothing is
+   * fetched or parsed again, and the page isn't counted a second time.
+   * @param {string} html - The failed result's `html`
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Cancels the AI call
+   * @returns {Promise<Object>} extract()'s result shape
+   */
+  async extractPageWithAI(html, url, { signal } = {}) {
+    const read = await this.extractWithAI(html, url, signal);
+    if (read?.recipes.length > 0) {
+      this.stats.ai_fallback++;
+      return { success: true, data: read.recipes[0], recipes: read.recipes, source: 'AI' };
+    }
+    if (read) return this.aiFailure(read);
+    return failureResult(EXTRACTION_ERRORS.NO_RECIPE_FOUND, 'AI', 'Too little text on the page to read');
+  }
+
+  /**
+   * Per-domain outcome counts, for getStats
+   */
+  recordDomain(url, result) {
+    let domain;
+    try {
+      domain = new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    } catch {
+      return;
+    }
+    const entry = this.domainStats[domain] || (this.domainStats[domain] = {
+      success: 0,
+      failed: 0,
+      sources: {},
+      reasons: {},
+      lastFailure: null,
+    });
+    if (result.success) {
+      entry.success++;
+      entry.sources[result.source] = (entry.sources[result.source] || 0) + 1;
+    } else {
+      entry.failed++;
+      entry.reasons[result.reason] = (entry.reasons[result.reason] || 0) + 1;
+      entry.lastFailure = { reason: result.reason, tier: result.tier, status: result.status, detail: result.detail };
     }
   }
 
   /**
    * Fetch HTML from URL
+   * @returns {Promise<string>} The page
+   * @throws {ExtractionError} timeout, network, http_status or blocked
    */
   async fetchHTML(url) {
-    try {
-      // Add timeout to prevent hanging
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
+    // Add timeout to prevent hanging
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
 
-      const response = await fetch(url, {
+    let response;
+    try {
+      const fetchImpl = this.fetchImpl || fetch;
+      response = await fetchImpl(url, {
         headers: {
           'User-Agent': this.userAgent,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
         },
         signal: controller.signal,
       });
-
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        throw new ExtractionError(EXTRACTION_ERRORS.TIMEOUT, 'Timed out after 15 seconds');
       }
+      throw new ExtractionError(EXTRACTION_ERRORS.NETWORK, error?.message || 'Network request failed');
+    } finally {
+      clearTimeout(timeoutId);
+    }
 
-      return await response.text();
-    } catch (error) {
-      return null;
+    if (!response.ok) {
+      const { reason, detail } = classifyStatus(response.status);
+      throw new ExtractionError(reason, `HTTP ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        detail,
+      });
     }
+
+    return await response.text();
   }
 
   /**
    * TIER 1: Extract from JSON-LD structured data
    * Handles 60% of recipe sites
+   * @returns {Object|null} The page's first recipe
    */
   extractJSONLD(html, url) {
+    return this.extractJSONLDRecipes(html, url)[0] || null;
+  }
+
+  /**
+   * Every recipe in the page's JSON-LD blocks - a round-up lists several,
+   * in one block's @graph or ItemList or in a block each
+   * @returns {Array<Object>} In page order; empty if none
+   */
+  extractJSONLDRecipes(html, url) {
+    const recipes = [];
     try {
       const scriptRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>(.*?)<\/script>/gis;
       const matches = html.matchAll(scriptRegex);
@@ -136,56 +314,81 @@ export class RecipeExtractor {
           jsonText = decode(jsonText);
           const data = JSON.parse(jsonText);
 
-          const recipe = this.findRecipeInJSON(data);
-          if (recipe) {
-            return this.parseJSONLDRecipe(recipe, url);
+          for (const recipe of this.findRecipesInJSON(data)) {
+            const parsed = this.parseJSONLDRecipe(recipe, url);
+            if (parsed.title) recipes.push(parsed);
           }
         } catch (e) {
           continue;
         }
       }
-
-      return null;
     } catch (error) {
-      return null;
+      return [];
     }
+
+    return this.pageRecipes(recipes, url);
   }
 
   /**
    * Recursively find Recipe object in JSON-LD data
    */
   findRecipeInJSON(data) {
-    if (!data) return null;
-
-    if (typeof data === 'object' && !Array.isArray(data)) {
-      const type = data['@type'];
+    return this.findRecipesInJSON(data)[0] || null;
+  }
 
-      if (type === 'Recipe') return data;
-      if (Array.isArray(type) && type.includes('Recipe')) return data;
+  /**
+   * Recursively find every Recipe object in JSON-LD data (@graph first,
+   * then any nested value - which covers ItemList entries)
+   */
+  findRecipesInJSON(data, found = []) {
+    if (!data || typeof data !== 'object') return found;
 
-      if (data['@graph'] && Array.isArray(data['@graph'])) {
-        for (const item of data['@graph']) {
-          const found = this.findRecipeInJSON(item);
-          if (found) return found;
-        }
-      }
+    if (Array.isArray(data)) {
+      data.forEach(item => this.findRecipesInJSON(item, found));
+      return found;
+    }
 
-      for (const value of Object.values(data)) {
-        if (typeof value === 'object') {
-          const found = this.findRecipeInJSON(value);
-          if (found) return found;
-        }
-      }
+    const type = data['@type'];
+    if (type === 'Recipe' || (Array.isArray(type) && type.includes('Recipe'))) {
+      found.push(data);
+      return found;
     }
 
-    if (Array.isArray(data)) {
-      for (const item of data) {
-        const found = this.findRecipeInJSON(item);
-        if (found) return found;
-      }
+    if (Array.isArray(data['@graph'])) {
+      this.findRecipesInJSON(data['@graph'], found);
     }
+    Object.entries(data)
+      .filter(([key]) => key !== '@graph')
+      .forEach(([, value]) => this.findRecipesInJSON(value, found));
+    return found;
+  }
 
-    return null;
+  /**
+   * Recipes found together on one page: drops repeats (the same recipe
+   * in two JSON-LD blocks) and gives each after the first its own
+   * source_url, "<page>#recipe-2", "#recipe-3"... Saved recipes and the
+   * shared global recipe are keyed on that URL, so two recipes from one
+   * round-up would otherwise be saved as one. normalizeRecipeUrl keeps
+   * these fragments for the same reason.
+   * @param {Array<Object>} recipes - Parsed recipes, in page order
+   * @param {string} url - Page URL
+   * @returns {Array<Object>}
+   */
+  pageRecipes(recipes, url) {
+    const pageUrl = url.split('#')[0];
+    const seen = new Set();
+    const result = [];
+
+    recipes.forEach(recipe => {
+      const key = `${recipe.title.toLowerCase()}|${countIngredients(recipe.ingredients)}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      result.push(result.length === 0
+        ? recipe
+        : { ...recipe, source_url: `${pageUrl}#recipe-${result.length + 1}` });
+    });
+
+    return result;
   }
 
   /**
@@ -199,11 +402,6 @@ export class RecipeExtractor {
     const totalTime = this.parseDuration(recipe.totalTime);
     const imageUrl = this.extractImageURL(recipe.image);
 
-    let nutrition = recipe.nutrition || null;
-    if (nutrition && nutrition['@type']) {
-      delete nutrition['@type'];
-    }
-
     return {
       title: recipe.name || '',
       ingredients: ingredients,
@@ -211,8 +409,10 @@ export class RecipeExtractor {
       prep_time: prepTime,
       cook_time: cookTime,
       total_time: totalTime,
-      servings: recipe.recipeYield ? String(recipe.recipeYield) : null,
-      nutrition: nutrition,
+      servings: normalizeYield(recipe.recipeYield),
+      nutrition: normalizeNutrition(recipe.nutrition),
+      // cuisine, category, author, rating, video, tips... - see src/extractors/schemaOrg.js
+      ...extractSchemaExtras(recipe, this),
       image: imageUrl,
       extraction_method: 'json_ld',
       confidence: 0.99,
@@ -255,6 +455,9 @@ export class RecipeExtractor {
     const rawInstructions = recipe.recipeInstructions || [];
 
     for (const inst of rawInstructions) {
+      // Tips go to notes (extractSchemaExtras)
+      if (isTip(inst)) continue;
+
       if (typeof inst === 'string') {
         const text = inst.trim();
         if (text) instructions.push(text);
@@ -262,6 +465,7 @@ export class RecipeExtractor {
         if (inst['@type'] === 'HowToSection') {
           const items = inst.itemListElement || [];
           for (const item of items) {
+            if (isTip(item)) continue;
             if (typeof item === 'object') {
               const stepText = item.text || item.name || item.description;
               if (stepText) instructions.push(String(stepText).trim());
@@ -298,13 +502,10 @@ export class RecipeExtractor {
    */
   extractMicrodata(html, url) {
     try {
-      const recipeRegex = /<[^>]+itemtype=["'][^"']*schema\.org\/Recipe["'][^>]*>/i;
-      if (!recipeRegex.test(html)) return null;
-
-      const containerMatch = html.match(/<[^>]+itemtype=["'][^"']*schema\.org\/Recipe["'][^>]*>[\s\S]*?<\/[^>]+>/i);
-      if (!containerMatch) return null;
+      const openMatch = html.match(/<([a-z0-9]+)\b[^>]+itemtype=["'][^"']*schema\.org\/Recipe["'][^>]*>/i);
+      if (!openMatch) return null;
 
-      const container = containerMatch[0];
+      const container = elementContent(html, openMatch);
 
       const title = this.getMicrodataProp(container, 'name');
       const ingredients = this.parseIngredientsMicrodata(container);
@@ -323,7 +524,7 @@ export class RecipeExtractor {
       const servings = this.getMicrodataProp(container, 'recipeYield');
       const imageUrl = this.getMicrodataProp(container, 'image');
 
-      if (!title || Object.keys(ingredients).length === 0) return null;
+      if (!title || countIngredients(ingredients) === 0) return null;
 
       return {
         title: title,
@@ -372,194 +573,79 @@ export class RecipeExtractor {
 
   /**
    * TIER 3: Extract from WordPress plugins
-   * Handles 15% of sites
+   * Handles 15% of sites - WP Recipe Maker, Tasty Recipes, Mediavine
+   * Create, Zip Recipes, Cooked and EasyRecipe
    */
   extractWordPress(html, url) {
-    if (html.includes('wprm-recipe-container') || html.includes('wprm-recipe')) {
-      return this.extractWPRM(html, url);
-    }
-    return null;
+    return this.extractWordPressRecipes(html, url)[0] || null;
   }
 
   /**
-   * Extract from WordPress Recipe Maker plugin
+   * Every recipe card of the first plugin on the page that has one
+   * @returns {Array<Object>} In page order; empty if none
    */
-  extractWPRM(html, url) {
-    try {
-      const containerMatch = html.match(/<div[^>]+class=["'][^"']*wprm-recipe-container[^"']*["'][^>]*>[\s\S]*?<\/div>/i);
-      if (!containerMatch) return null;
-
-      const container = containerMatch[0];
-
-      const titleMatch = container.match(/<[^>]+class=["'][^"']*wprm-recipe-name[^"']*["'][^>]*>(.*?)<\/[^>]+>/is);
-      const title = titleMatch ? this.stripHTML(titleMatch[1]).trim() : '';
-
-      const ingredients = { main: [] };
-      const groupRegex = /<div[^>]+class=["'][^"']*wprm-recipe-ingredient-group[^"']*["'][^>]*>(.*?)<\/div>/gis;
-      const groups = container.matchAll(groupRegex);
-
-      for (const group of groups) {
-        const groupContent = group[1];
-
-        const headerMatch = groupContent.match(/<[^>]+class=["'][^"']*wprm-recipe-ingredient-group-name[^"']*["'][^>]*>(.*?)<\/[^>]+>/is);
-        const section = headerMatch ? this.stripHTML(headerMatch[1]).trim() : 'main';
-
-        if (!ingredients[section]) {
-          ingredients[section] = [];
-        }
-
-        const ingRegex = /<[^>]+class=["'][^"']*wprm-recipe-ingredient["'][^>]*>(.*?)<\/[^>]+>/gis;
-        const ings = groupContent.matchAll(ingRegex);
-
-        for (const ing of ings) {
-          const text = this.cleanIngredientText(this.stripHTML(ing[1]));
-          if (text) ingredients[section].push(text);
-        }
-      }
-
-      const instructions = [];
-      const instRegex = /<[^>]+class=["'][^"']*wprm-recipe-instruction["'][^>]*>(.*?)<\/[^>]+>/gis;
-      const insts = container.matchAll(instRegex);
-
-      for (const inst of insts) {
-        const text = this.stripHTML(inst[1]).trim();
-        if (text) instructions.push(text);
+  extractWordPressRecipes(html, url) {
+    for (const [id, plugin] of Object.entries(this.wpPlugins)) {
+      if (!plugin.markers.some(marker => html.includes(marker))) continue;
+      try {
+        const recipes = extractPluginCards(html, url, id, plugin, this);
+        if (recipes.length > 0) return this.pageRecipes(recipes, url);
+      } catch (error) {
+        continue;
       }
+    }
+    return [];
+  }
 
-      // Extract image
-      let imageUrl = null;
-      const imgMatch = container.match(/<img[^>]+class=["'][^"']*wprm-recipe-image[^"']*["'][^>]+src=["']([^"']+)["']/i);
-      if (imgMatch) {
-        imageUrl = imgMatch[1];
+  /**
+   * TIER 4: Site-specific extractors from the registry
+   * Tries those claiming the domain first, then any that recognise the
+   * page's markup, and returns the first usable result
+   */
+  extractSiteSpecific(html, url) {
+    for (const site of findSiteExtractors(url, html)) {
+      try {
+        const result = site.extract(html, url, this);
+        if (result && result.title) return result;
+      } catch (error) {
+        continue;
       }
+    }
+    return null;
+  }
 
-      if (!title || Object.keys(ingredients).length === 0) return null;
-
-      return {
-        title: title,
-        ingredients: ingredients,
-        instructions: instructions,
-        image: imageUrl,
-        extraction_method: 'wp_plugin_wprm',
-        confidence: 0.90,
-        source_url: url
-      };
+  /**
+   * TIER 5: Heuristic extraction from plain HTML
+   * Last resort for pages with no markup the other tiers know; the
+   * result is low-confidence and marked needs_review
+   */
+  extractHeuristic(html, url) {
+    try {
+      return extractHeuristic(html, url, this);
     } catch (error) {
       return null;
     }
   }
 
   /**
-   * TIER 4: Site-specific extractor for AllRecipes
+   * TIER 6: AI extraction from the page's readable text
+   * @param {string} html
+   * @param {string} url
+   * @param {AbortSignal} [signal] - Passed on to aiFallback
+   * @returns {Promise<Object|null>} { recipes, error, message }, or null
+   *   when the page has too little text to send (nothing was spent)
    */
-  extractAllRecipes(html, url) {
+  async extractWithAI(html, url, signal) {
+    const text = pageText(html, this);
+    if (!text) return null;
     try {
-      let titleMatch = html.match(/<h1[^>]+class=["'][^"']*article-heading[^"']*["'][^>]*>(.*?)<\/h1>/is);
-      if (!titleMatch) {
-        titleMatch = html.match(/<h1[^>]*>(.*?)<\/h1>/is);
-      }
-      const title = titleMatch ? this.stripHTML(titleMatch[1]).trim() : '';
-
-      const ingredients = { main: [] };
-      let currentSection = 'main';
-
-      const ingContainerMatch = html.match(/<ul[^>]+class=["'][^"']*(mntl-structured-ingredients|ingredient-list|mm-recipes-structured-ingredients)[^"']*["'][^>]*>(.*?)<\/ul>/is);
-
-      if (ingContainerMatch) {
-        const container = ingContainerMatch[2];
-        const liRegex = /<li[^>]*>(.*?)<\/li>/gis;
-        const lis = container.matchAll(liRegex);
-
-        for (const li of lis) {
-          const text = this.cleanIngredientText(this.stripHTML(li[1]));
-
-          if (this.isSectionHeader(text)) {
-            currentSection = text.replace(/:/g, '').trim();
-            ingredients[currentSection] = [];
-          } else if (text) {
-            if (!ingredients[currentSection]) {
-              ingredients[currentSection] = [];
-            }
-            ingredients[currentSection].push(text);
-          }
-        }
-      }
-
-      const instructions = [];
-      const instContainerMatch = html.match(/<ol[^>]+class=["'][^"']*(instructions|mntl-sc-block-group)[^"']*["'][^>]*>(.*?)<\/ol>/is);
-
-      if (instContainerMatch) {
-        const container = instContainerMatch[2];
-        const liRegex = /<li[^>]*>(.*?)<\/li>/gis;
-        const lis = container.matchAll(liRegex);
-
-        for (const li of lis) {
-          let text = li[1];
-
-          const pMatch = text.match(/<p[^>]*>(.*?)<\/p>/is);
-          if (pMatch) {
-            text = pMatch[1];
-          }
-
-          text = this.stripHTML(text).trim();
-          if (text && text.length > 10) {
-            instructions.push(text);
-          }
-        }
-      }
-
-      let prepTime = null;
-      let cookTime = null;
-      let totalTime = null;
-      let servings = null;
-
-      const detailsMatch = html.match(/<div[^>]+class=["'][^"']*(recipe-meta|recipe-details)[^"']*["'][^>]*>(.*?)<\/div>/is);
-      if (detailsMatch) {
-        const details = detailsMatch[2];
-        const itemRegex = /<div[^>]+class=["'][^"']*mntl-recipe-details__item[^"']*["'][^>]*>(.*?)<\/div>/gis;
-        const items = details.matchAll(itemRegex);
-
-        for (const item of items) {
-          const content = item[1];
-          const labelMatch = content.match(/<div[^>]+class=["'][^"']*mntl-recipe-details__label[^"']*["'][^>]*>(.*?)<\/div>/is);
-          const valueMatch = content.match(/<div[^>]+class=["'][^"']*mntl-recipe-details__value[^"']*["'][^>]*>(.*?)<\/div>/is);
-
-          if (labelMatch && valueMatch) {
-            const label = this.stripHTML(labelMatch[1]).toLowerCase();
-            const value = this.stripHTML(valueMatch[1]).trim();
-
-            if (label.includes('prep')) prepTime = value;
-            else if (label.includes('cook')) cookTime = value;
-            else if (label.includes('total')) totalTime = value;
-            else if (label.includes('servings') || label.includes('yield')) servings = value;
-          }
-        }
-      }
-
-      // Extract image
-      let imageUrl = null;
-      const imgMatch = html.match(/<img[^>]+class=["'][^"']*(primary-image|recipe-image|hero-photo)[^"']*["'][^>]+src=["']([^"']+)["']/i);
-      if (imgMatch) {
-        imageUrl = imgMatch[2];
-      }
-
-      if (!title || !ingredients.main || ingredients.main.length === 0) return null;
-
-      return {
-        title: title,
-        ingredients: ingredients,
-        instructions: instructions,
-        prep_time: prepTime,
-        cook_time: cookTime,
-        total_time: totalTime,
-        servings: servings,
-        image: imageUrl,
-        extraction_method: 'site_specific_allrecipes',
-        confidence: 0.85,
-        source_url: url
-      };
+      const response = await this.aiFallback(text, url, { signal });
+      const recipes = response?.success
+        ? (response.recipes || []).filter(raw => raw?.title).map(raw => fromAIRecipe(raw, url, html))
+        : [];
+      return { recipes: this.pageRecipes(recipes, url), error: response?.error, message: response?.message };
     } catch (error) {
-      return null;
+      return { recipes: [], error: 'ai_error', message: error.message };
     }
   }
 
@@ -567,14 +653,14 @@ export class RecipeExtractor {
    * Helper: Extract image URL from various formats
    */
   extractImageURL(imageData) {
-    console.log('[RecipeExtractor] extractImageURL input:', typeof imageData, Array.isArray(imageData) ? 'array' : '', imageData ? JSON.stringify(imageData).substring(0, 100) : 'null');
+    log('[RecipeExtractor] extractImageURL input:', typeof imageData, Array.isArray(imageData) ? 'array' : '', imageData ? JSON.stringify(imageData).substring(0, 100) : 'null');
 
     if (!imageData) return null;
 
     // String URL
     if (typeof imageData === 'string') {
       const result = imageData.startsWith('http') ? imageData : null;
-      console.log('[RecipeExtractor] extractImageURL result (string):', result?.substring(0, 80));
+      log('[RecipeExtractor] extractImageURL result (string):', result?.substring(0, 80));
       return result;
     }
 
@@ -591,7 +677,7 @@ export class RecipeExtractor {
       if (imageData['@url']) return imageData['@url'];
     }
 
-    console.log('[RecipeExtractor] extractImageURL: no match, returning null');
+    log('[RecipeExtractor] extractImageURL: no match, returning null');
     return null;
   }
 
@@ -648,6 +734,9 @@ export class RecipeExtractor {
     const contentMatch = html.match(new RegExp(`<[^>]+itemprop=["']${prop}["'][^>]+content=["']([^"']+)["']`, 'i'));
     if (contentMatch) return contentMatch[1];
 
+    const srcMatch = html.match(new RegExp(`<img[^>]+itemprop=["']${prop}["'][^>]+src=["']([^"']+)["']`, 'i'));
+    if (srcMatch) return srcMatch[1];
+
     const datetimeMatch = html.match(new RegExp(`<[^>]+itemprop=["']${prop}["'][^>]+datetime=["']([^"']+)["']`, 'i'));
     if (datetimeMatch) return datetimeMatch[1];
 
@@ -658,24 +747,28 @@ export class RecipeExtractor {
   }
 
   /**
-   * Helper: Strip HTML tags
+   * Helper: Strip HTML tags and decode entities
    */
   stripHTML(html) {
     if (!html) return '';
-    return html
+    return decode(html
       .replace(/<script[^>]*>.*?<\/script>/gis, '')
       .replace(/<style[^>]*>.*?<\/style>/gis, '')
-      .replace(/<[^>]+>/g, ' ')
+      .replace(/<[^>]+>/g, ' '))
       .replace(/\s+/g, ' ')
+      // "olive oil</span>, divided" shouldn't become "olive oil , divided"
+      .replace(/ ([,.;:!?)])/g, '$1')
       .trim();
   }
 
   /**
    * Get extraction statistics
+   * @returns {Object} Counts per tier, their percentages and `domains`:
+   *   { 'example.com': { success, failed, sources, reasons, lastFailure } }
    */
   getStats() {
     const total = Object.values(this.stats).reduce((a, b) => a + b, 0);
-    if (total === 0) return this.stats;
+    if (total === 0) return { ...this.stats, domains: {} };
 
     const percentages = {};
     for (const [key, value] of Object.entries(this.stats)) {
@@ -684,7 +777,8 @@ export class RecipeExtractor {
 
     return {
       ...this.stats,
-      percentages
+      percentages,
+      domains: this.domainStats
     };
   }
 }
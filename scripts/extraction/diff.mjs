@@ -0,0 +1,91 @@
+/**
+ * Field-level diffs between an expected and an extracted recipe, for the
+ * fixture runner. Each field gets the most readable comparison for its
+ * shape: ingredients line by line within each section, instructions step
+ * by step, nutrition key by key, everything else as a whole value.
+ */
+
+import { isDeepStrictEqual } from 'node:util';
+
+const show = (value) => JSON.stringify(value);
+
+const diffIngredients = (expected, actual) => {
+  const lines = [];
+  const want = expected || {};
+  const got = actual && typeof actual === 'object' ? actual : {};
+  const sections = [...new Set([...Object.keys(want), ...Object.keys(got)])];
+
+  sections.forEach(section => {
+    if (!(section in got)) {
+      lines.push(`section ${show(section)} missing`);
+      return;
+    }
+    if (!(section in want)) {
+      lines.push(`unexpected section ${show(section)}: ${show(got[section])}`);
+      return;
+    }
+    const wantItems = want[section];
+    const gotItems = got[section];
+    const before = lines.length;
+    wantItems.filter(item => !gotItems.includes(item))
+      .forEach(item => lines.push(`[${section}] - ${item}`));
+    gotItems.filter(item => !wantItems.includes(item))
+      .forEach(item => lines.push(`[${section}] + ${item}`));
+    if (lines.length === before && !isDeepStrictEqual(wantItems, gotItems)) {
+      lines.push(`[${section}] same lines, different order`);
+    }
+  });
+  return lines;
+};
+
+const diffSteps = (expected, actual) => {
+  const want = expected || [];
+  const got = Array.isArray(actual) ? actual : [];
+  const lines = [];
+  if (want.length !== got.length) {
+    lines.push(`expected ${want.length} steps, got ${got.length}`);
+  }
+  for (let i = 0; i < Math.max(want.length, got.length); i++) {
+    if (want[i] !== got[i]) {
+      lines.push(`step ${i + 1}: expected ${show(want[i])}`);
+      lines.push(`${' '.repeat(String(i + 1).length + 6)}got      ${show(got[i])}`);
+    }
+  }
+  return lines;
+};
+
+const diffObject = (expected, actual) => {
+  if (!expected || !actual || typeof actual !== 'object') {
+    return [`expected ${show(expected)}`, `got      ${show(actual)}`];
+  }
+  const keys = [...new Set([...Object.keys(expected), ...Object.keys(actual)])];
+  return keys
+    .filter(key => !isDeepStrictEqual(expected[key], actual[key]))
+    .map(key => `${key}: expected ${show(expected[key])}, got ${show(actual[key])}`);
+};
+
+const FIELD_DIFFS = {
+  ingredients: diffIngredients,
+  instructions: diffSteps,
+  nutrition: diffObject,
+};
+
+/**
+ * Compare the fields present in `expected` (fields it leaves out aren't
+ * checked) and describe each difference.
+ * @param {Object} expected - Recipe fields from expected.json
+ * @param {Object} actual - Extractor output
+ * @returns {Array<{field: string, lines: Array<string>}>} Empty when they match
+ */
+export const diffRecipe = (expected, actual) =>
+  Object.entries(expected)
+    .filter(([field, value]) => !isDeepStrictEqual(actual?.[field], value))
+    .map(([field, value]) => {
+      const diff = FIELD_DIFFS[field];
+      const lines = diff
+        ? diff(value, actual?.[field])
+        : [`expected ${show(value)}`, `got      ${show(actual?.[field])}`];
+      return { field, lines: lines.length > 0 ? lines : ['differs'] };
+    });
+
+export default diffRecipe;
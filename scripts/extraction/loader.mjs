@@ -0,0 +1,46 @@
+/**
+ * Node module hooks so the extraction scripts can import the app's source
+ * as-is: Metro resolves extensionless and directory imports
+ * ('./src/extractors/sites') and treats every .js file as ES modules,
+ * plain Node does neither.
+ *
+ * Registered by runFixtures.mjs and scripts/stepTimers/runCases.mjs - not
+ * used by the app.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = new URL('../../', import.meta.url).href;
+
+const isProjectFile = (url) => url.startsWith(ROOT) && !url.includes('/node_modules/');
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (err) {
+    const relative = specifier.startsWith('./') || specifier.startsWith('../');
+    if (!relative || !['ERR_MODULE_NOT_FOUND', 'ERR_UNSUPPORTED_DIR_IMPORT'].includes(err.code)) {
+      throw err;
+    }
+    for (const candidate of [`${specifier}.js`, `${specifier}/index.js`]) {
+      try {
+        return await nextResolve(candidate, context);
+      } catch (candidateErr) {
+        // try the next one
+      }
+    }
+    throw err;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith('file:') && url.endsWith('.js') && isProjectFile(url)) {
+    return {
+      format: 'module',
+      source: await readFile(fileURLToPath(url), 'utf8'),
+      shortCircuit: true,
+    };
+  }
+  return nextLoad(url, context);
+}
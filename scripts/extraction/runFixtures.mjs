@@ -0,0 +1,156 @@
+/**
+ * Runs RecipeExtractor against saved recipe pages so a tier regression,
+ * or a site redesign that breaks a site extractor, is caught offline
+ * before users' imports start failing.
+ *
+ *   node scripts/extraction/runFixtures.mjs [case-name-filter]
+ *
+ * Each fixture is a folder in fixtures/pages/ (structured data, plugin
+ * and heuristic tiers) or fixtures/sites/ (site extractors) holding:
+ *   page.html     - a trimmed snapshot of a real page
+ *   expected.json - what it should parse to:
+ *     {
+ *       url,          // the page's address; the fake fetch serves page.html for it
+ *       tier,         // method expected to handle it, e.g. "extractJSONLD"
+ *       extractor,    // site cases: id of the site extractor
+ *       source,       // extract()'s `source`, e.g. "JSON-LD"
+ *       error,        // instead of the above, for pages that should fail:
+ *                     // the failure reason, e.g. "no_recipe_found"
+ *       errorTier,    // with error: the tier extract() should blame
+ *       result,       // expected recipe fields; fields left out aren't checked
+ *       recipes       // multi-recipe pages: [{ title, source_url }] of every
+ *                     // recipe extract() should return, in order
+ *     }
+ *
+ * Every case is checked twice: the tier on its own, and the full extract()
+ * through an injected fetch, so the tier order is covered too. Mismatches
+ * are reported field by field.
+ */
+
+import { register } from 'node:module';
+import { readdir, readFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+
+register('./loader.mjs', import.meta.url);
+
+// Quiet the extractor's development logs, as in a release build
+globalThis.__DEV__ = false;
+
+const { RecipeExtractor } = await import('../../RecipeExtractor.js');
+const { getSiteExtractor, findSiteExtractors } = await import('../../src/extractors/sites/index.js');
+const { diffRecipe } = await import('./diff.mjs');
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+const GROUPS = ['pages', 'sites'];
+const TIERS = ['extractJSONLD', 'extractMicrodata', 'extractWordPress', 'extractSiteSpecific', 'extractHeuristic'];
+const filter = process.argv[2] || '';
+
+const show = (value) => JSON.stringify(value);
+
+// A fetch that serves saved pages and 404s everything else
+const fixtureFetch = (pages) => async (url) => {
+  const html = pages[url];
+  return {
+    ok: html !== undefined,
+    status: html !== undefined ? 200 : 404,
+    statusText: html !== undefined ? 'OK' : 'Not Found',
+    text: async () => html ?? '',
+  };
+};
+
+const formatDiffs = (label, diffs) => diffs.map(({ field, lines }) =>
+  `${label} ${field}\n${lines.map(line => `      ${line}`).join('\n')}`
+);
+
+const checkTier = (spec, html) => {
+  const { url, tier, extractor: id, result: expected } = spec;
+  const problems = [];
+  let actual;
+
+  if (id) {
+    const site = getSiteExtractor(id);
+    if (!site) return [`no site extractor registered as "${id}"`];
+    const routed = findSiteExtractors(url, html).map(e => e.id);
+    if (routed[0] !== id) {
+      problems.push(`routed to ${show(routed)}, expected "${id}" first`);
+    }
+    actual = site.extract(html, url, new RecipeExtractor());
+  } else {
+    if (!TIERS.includes(tier)) return [`unknown tier ${show(tier)}, expected one of ${show(TIERS)}`];
+    actual = new RecipeExtractor()[tier](html, url);
+  }
+
+  if (!actual) return [...problems, `${id || tier} returned null`];
+  return [...problems, ...formatDiffs(id || tier, diffRecipe(expected, actual))];
+};
+
+const checkExtract = async (spec, html) => {
+  const extractor = new RecipeExtractor({ fetch: fixtureFetch({ [spec.url]: html }) });
+  const outcome = await extractor.extract(spec.url);
+
+  if (spec.error) {
+    if (outcome.success) return [`extract() succeeded via ${outcome.source}, expected error ${show(spec.error)}`];
+    const problems = [];
+    if (outcome.reason !== spec.error) {
+      problems.push(`extract() reason ${show(outcome.reason)} (${outcome.error}), expected ${show(spec.error)}`);
+    }
+    if (spec.errorTier && outcome.tier !== spec.errorTier) {
+      problems.push(`extract() failed at tier ${show(outcome.tier)}, expected ${show(spec.errorTier)}`);
+    }
+    return problems;
+  }
+  if (!outcome.success) return [`extract() failed: ${outcome.error}`];
+
+  const problems = [];
+  if (spec.source && outcome.source !== spec.source) {
+    problems.push(`extract() source ${show(outcome.source)}, expected ${show(spec.source)}`);
+  }
+  if (spec.recipes) {
+    const found = (outcome.recipes || []).map(({ title, source_url }) => ({ title, source_url }));
+    const count = Math.max(found.length, spec.recipes.length);
+    for (let i = 0; i < count; i++) {
+      if (show(found[i]) !== show(spec.recipes[i])) {
+        problems.push(`extract() recipe ${i + 1}: expected ${show(spec.recipes[i])}, got ${show(found[i])}`);
+      }
+    }
+  }
+  return [...problems, ...formatDiffs('extract()', diffRecipe(spec.result, outcome.data))];
+};
+
+const runCase = async (dir) => {
+  const html = await readFile(new URL('page.html', dir), 'utf8');
+  const spec = JSON.parse(await readFile(new URL('expected.json', dir), 'utf8'));
+  const tierProblems = spec.error ? [] : checkTier(spec, html);
+  return [...tierProblems, ...await checkExtract(spec, html)];
+};
+
+const cases = [];
+for (const group of GROUPS) {
+  const groupDir = new URL(`${group}/`, FIXTURES);
+  if (!existsSync(groupDir)) continue;
+  (await readdir(groupDir, { withFileTypes: true }))
+    .filter(entry => entry.isDirectory() && entry.name.includes(filter))
+    .filter(entry => existsSync(new URL(`${entry.name}/expected.json`, groupDir)))
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach(entry => cases.push({ name: `${group}/${entry.name}`, dir: new URL(`${entry.name}/`, groupDir) }));
+}
+
+let failed = 0;
+for (const { name, dir } of cases) {
+  let problems;
+  try {
+    problems = await runCase(dir);
+  } catch (err) {
+    problems = [`threw ${err.stack || err}`];
+  }
+  if (problems.length === 0) {
+    console.log(`✓ ${name}`);
+  } else {
+    failed++;
+    console.log(`✗ ${name}`);
+    problems.forEach(problem => console.log(`    ${problem}`));
+  }
+}
+
+console.log(`\n${cases.length - failed}/${cases.length} fixtures passed`);
+process.exitCode = failed > 0 || cases.length === 0 ? 1 : 0;
@@ -0,0 +1,44 @@
+/**
+ * Checks findStepDurations (src/utils/stepTimers.js) against step texts,
+ * so a change to the duration pattern can't quietly start a wrong timer.
+ *
+ *   node scripts/stepTimers/runCases.mjs
+ *
+ * Each case is a step and the seconds of every timer it should offer, in
+ * order - [] for steps that shouldn't offer one.
+ */
+
+import { register } from 'node:module';
+
+register('../extraction/loader.mjs', import.meta.url);
+
+globalThis.__DEV__ = false;
+
+const { findStepDurations } = await import('../../src/utils/stepTimers.js');
+
+const CASES = [
+  ['Simmer for 20 minutes.', [1200]],
+  ['Simmer 15-20 minutes, stirring.', [900]],
+  ['Bake 1 hr 15 min, then rest 10 minutes.', [4500, 600]],
+  ['Blend for 30 seconds.', [30]],
+  ['Roast 2.5 hours.', [9000]],
+  // Fractions, as written in ingredient amounts (IngredientParser.parseQuantity)
+  ['Bake 1 1/2 hours.', [5400]],
+  ['Simmer 1½ hours.', [5400]],
+  ['Rest ½ hour.', [1800]],
+  ['Cook 1/2 minute per side.', [30]],
+  ['Stir for 1 ½ minutes.', [90]],
+  ['Preheat the oven to 350°F.', []],
+  ['Add 2 1/2 cups flour.', []],
+];
+
+let failed = 0;
+CASES.forEach(([step, expected]) => {
+  const actual = findStepDurations(step).map(d => d.seconds);
+  const ok = actual.length === expected.length && actual.every((s, i) => s === expected[i]);
+  if (!ok) failed++;
+  console.log(`${ok ? '✓' : '✗'} ${step}${ok ? '' : `\n    expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`}`);
+});
+
+console.log(`\n${CASES.length - failed}/${CASES.length} cases passed`);
+process.exit(failed ? 1 : 0);
@@ -0,0 +1,83 @@
+-- URL import diagnostics: per-domain success/failure counts, so an admin
+-- can see which sites break imports and why (blocked, timeout, no recipe
+-- found...) instead of guessing from support emails.
+--
+-- The app reports every URL import's final outcome through
+-- record_extraction_outcome() (src/services/urlExtraction.js); admins read
+-- the table in Settings -> Admin -> Import Diagnostics. Users can't read
+-- it, and can only write through the function, which stores nothing but
+-- the domain and the counters.
+
+CREATE TABLE IF NOT EXISTS extraction_domain_stats (
+  domain text PRIMARY KEY,
+  successes integer NOT NULL DEFAULT 0,
+  failures integer NOT NULL DEFAULT 0,
+  -- { "JSON-LD": 12, "Heuristic": 1 } - tier that succeeded
+  sources jsonb NOT NULL DEFAULT '{}'::jsonb,
+  -- { "blocked": 3, "timeout": 1 } - typed failure reason
+  reasons jsonb NOT NULL DEFAULT '{}'::jsonb,
+  last_reason text,
+  last_tier text,
+  last_failure_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS extraction_domain_stats_failures_idx
+  ON extraction_domain_stats (failures DESC);
+
+ALTER TABLE extraction_domain_stats ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins read extraction stats" ON extraction_domain_stats;
+CREATE POLICY "Admins read extraction stats" ON extraction_domain_stats
+  FOR SELECT TO authenticated USING (
+    EXISTS (SELECT 1 FROM user_profiles ap
+            WHERE ap.user_id = auth.uid() AND ap.is_admin IS TRUE)
+  );
+
+-- p_source is the tier that succeeded; p_reason / p_tier describe a
+-- failure. The unused side is NULL.
+CREATE OR REPLACE FUNCTION record_extraction_outcome(
+  p_domain text,
+  p_success boolean,
+  p_source text DEFAULT NULL,
+  p_reason text DEFAULT NULL,
+  p_tier text DEFAULT NULL
+)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO extraction_domain_stats AS s
+    (domain, successes, failures, sources, reasons, last_reason, last_tier, last_failure_at)
+  VALUES (
+    lower(left(btrim(p_domain), 255)),
+    CASE WHEN p_success THEN 1 ELSE 0 END,
+    CASE WHEN p_success THEN 0 ELSE 1 END,
+    CASE WHEN p_success AND p_source IS NOT NULL
+      THEN jsonb_build_object(left(p_source, 40), 1) ELSE '{}'::jsonb END,
+    CASE WHEN NOT p_success AND p_reason IS NOT NULL
+      THEN jsonb_build_object(left(p_reason, 40), 1) ELSE '{}'::jsonb END,
+    CASE WHEN p_success THEN NULL ELSE left(p_reason, 40) END,
+    CASE WHEN p_success THEN NULL ELSE left(p_tier, 40) END,
+    CASE WHEN p_success THEN NULL ELSE now() END
+  )
+  ON CONFLICT (domain) DO UPDATE SET
+    successes = s.successes + EXCLUDED.successes,
+    failures = s.failures + EXCLUDED.failures,
+    sources = CASE WHEN p_success AND p_source IS NOT NULL
+      THEN s.sources || jsonb_build_object(left(p_source, 40),
+             COALESCE((s.sources ->> left(p_source, 40))::int, 0) + 1)
+      ELSE s.sources END,
+    reasons = CASE WHEN NOT p_success AND p_reason IS NOT NULL
+      THEN s.reasons || jsonb_build_object(left(p_reason, 40),
+             COALESCE((s.reasons ->> left(p_reason, 40))::int, 0) + 1)
+      ELSE s.reasons END,
+    last_reason = COALESCE(EXCLUDED.last_reason, s.last_reason),
+    last_tier = COALESCE(EXCLUDED.last_tier, s.last_tier),
+    last_failure_at = COALESCE(EXCLUDED.last_failure_at, s.last_failure_at),
+    updated_at = now();
+$$;
+
+REVOKE ALL ON FUNCTION record_extraction_outcome(text, boolean, text, text, text) FROM public;
+GRANT EXECUTE ON FUNCTION record_extraction_outcome(text, boolean, text, text, text) TO authenticated;
@@ -0,0 +1,176 @@
+-- Cloud grocery lists, shareable between friends.
+--
+-- Until now the grocery list only lived in AsyncStorage, so it was lost
+-- with the phone and two people could not shop off the same list. Each
+-- user gets one list of their own (created by the app on first sign-in,
+-- see getOrCreateOwnGroceryList in src/services/supabase/grocery.js) and
+-- can add friends to it as members. Members see and edit the same items,
+-- and check-offs stream to everyone through realtime.
+--
+-- Item ids are minted on the device (the same ids the local list has
+-- always used), so a write is an idempotent upsert on id and a list that
+-- was built offline uploads without renumbering anything.
+--
+-- Safe to re-run.
+
+CREATE TABLE IF NOT EXISTS grocery_lists (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  owner_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  -- Denormalized like shared_items.from_username: members need a label
+  -- for the list and RLS hides the owner's profile row from them
+  owner_username text,
+  name text NOT NULL DEFAULT 'Grocery List',
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS grocery_lists_owner_idx
+  ON grocery_lists (owner_id);
+
+CREATE TABLE IF NOT EXISTS grocery_list_members (
+  list_id uuid NOT NULL REFERENCES grocery_lists(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+  username text,
+  invited_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (list_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS grocery_list_members_user_idx
+  ON grocery_list_members (user_id);
+
+CREATE TABLE IF NOT EXISTS grocery_items (
+  id text PRIMARY KEY,
+  list_id uuid NOT NULL REFERENCES grocery_lists(id) ON DELETE CASCADE,
+  text text NOT NULL,
+  recipe_id text,
+  recipe_title text,
+  section text,
+  cook_event_id uuid,
+  plan_week date,
+  checked boolean NOT NULL DEFAULT false,
+  added_by uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  added_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS grocery_items_list_idx
+  ON grocery_items (list_id);
+
+-- ============================================================
+-- Access: the owner and members of a list, nobody else.
+-- SECURITY DEFINER so the policies below can look at membership
+-- without recursing through grocery_list_members' own RLS.
+-- ============================================================
+
+CREATE OR REPLACE FUNCTION can_access_grocery_list(p_list_id uuid)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM grocery_lists
+    WHERE id = p_list_id AND owner_id = auth.uid()
+  ) OR EXISTS (
+    SELECT 1 FROM grocery_list_members
+    WHERE list_id = p_list_id AND user_id = auth.uid()
+  );
+$$;
+
+ALTER TABLE grocery_lists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE grocery_list_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE grocery_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Grocery lists readable by their people" ON grocery_lists;
+CREATE POLICY "Grocery lists readable by their people" ON grocery_lists
+  FOR SELECT TO authenticated USING (can_access_grocery_list(id));
+
+DROP POLICY IF EXISTS "Users create their own grocery lists" ON grocery_lists;
+CREATE POLICY "Users create their own grocery lists" ON grocery_lists
+  FOR INSERT TO authenticated WITH CHECK (auth.uid() = owner_id);
+
+DROP POLICY IF EXISTS "Owners manage their grocery lists" ON grocery_lists;
+CREATE POLICY "Owners manage their grocery lists" ON grocery_lists
+  FOR UPDATE TO authenticated USING (auth.uid() = owner_id);
+
+DROP POLICY IF EXISTS "Owners delete their grocery lists" ON grocery_lists;
+CREATE POLICY "Owners delete their grocery lists" ON grocery_lists
+  FOR DELETE TO authenticated USING (auth.uid() = owner_id);
+
+DROP POLICY IF EXISTS "Members visible to the list's people" ON grocery_list_members;
+CREATE POLICY "Members visible to the list's people" ON grocery_list_members
+  FOR SELECT TO authenticated USING (can_access_grocery_list(list_id));
+
+-- Only the owner adds people, and only their friends (mutual follows,
+-- cached on user_profiles.friends - see sql/unify_follow_graph.sql)
+DROP POLICY IF EXISTS "Owners invite friends" ON grocery_list_members;
+CREATE POLICY "Owners invite friends" ON grocery_list_members
+  FOR INSERT TO authenticated WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM grocery_lists
+      WHERE id = list_id AND owner_id = auth.uid()
+    )
+    AND EXISTS (
+      SELECT 1 FROM user_profiles
+      WHERE user_profiles.user_id = auth.uid()
+        AND user_profiles.friends @> ARRAY[grocery_list_members.user_id]
+    )
+  );
+
+-- The owner can remove anyone; a member can leave
+DROP POLICY IF EXISTS "Owners remove members, members leave" ON grocery_list_members;
+CREATE POLICY "Owners remove members, members leave" ON grocery_list_members
+  FOR DELETE TO authenticated USING (
+    auth.uid() = user_id
+    OR EXISTS (
+      SELECT 1 FROM grocery_lists
+      WHERE id = list_id AND owner_id = auth.uid()
+    )
+  );
+
+DROP POLICY IF EXISTS "Grocery items readable by the list's people" ON grocery_items;
+CREATE POLICY "Grocery items readable by the list's people" ON grocery_items
+  FOR SELECT TO authenticated USING (can_access_grocery_list(list_id));
+
+DROP POLICY IF EXISTS "Grocery items added by the list's people" ON grocery_items;
+CREATE POLICY "Grocery items added by the list's people" ON grocery_items
+  FOR INSERT TO authenticated WITH CHECK (can_access_grocery_list(list_id));
+
+DROP POLICY IF EXISTS "Grocery items edited by the list's people" ON grocery_items;
+CREATE POLICY "Grocery items edited by the list's people" ON grocery_items
+  FOR UPDATE TO authenticated
+  USING (can_access_grocery_list(list_id))
+  WITH CHECK (can_access_grocery_list(list_id));
+
+DROP POLICY IF EXISTS "Grocery items removed by the list's people" ON grocery_items;
+CREATE POLICY "Grocery items removed by the list's people" ON grocery_items
+  FOR DELETE TO authenticated USING (can_access_grocery_list(list_id));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON grocery_lists TO authenticated;
+GRANT SELECT, INSERT, DELETE ON grocery_list_members TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON grocery_items TO authenticated;
+GRANT EXECUTE ON FUNCTION can_access_grocery_list(uuid) TO authenticated;
+
+-- ============================================================
+-- Realtime: check-offs and membership changes stream live.
+-- Same guard as sql/enable_realtime.sql - adding twice raises.
+-- ============================================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'grocery_items'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE grocery_items;
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND tablename = 'grocery_list_members'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE grocery_list_members;
+  END IF;
+END $$;
@@ -0,0 +1,14 @@
+-- Publisher metadata on the shared global version of recipes, captured
+-- from the page's schema.org Recipe data (src/extractors/schemaOrg.js).
+-- author, description, cuisine and category already exist; these hold
+-- the rest. rating is { value, count }; video is { url, name, thumbnail }.
+--
+-- IMPORTANT: run the ALTER before installing the build that uses it -
+-- the app's recipe query selects these columns.
+
+ALTER TABLE global_recipes
+  ADD COLUMN IF NOT EXISTS author_url text,
+  ADD COLUMN IF NOT EXISTS keywords text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS diets text[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS rating jsonb,
+  ADD COLUMN IF NOT EXISTS video jsonb;
@@ -0,0 +1,201 @@
+/**
+ * FILENAME: src/components/AdminExtractionStats.js
+ * PURPOSE: Admin view of URL import outcomes per domain
+ * (extraction_domain_stats table, see sql/add_extraction_stats.sql)
+ *
+ * Only visible to users with user_profiles.is_admin = true.
+ * Lists the sites imports fail on most, with why (blocked, timeout, no
+ * recipe found...) and which tier last failed - the starting point for a
+ * new site extractor or a tier fix.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  ActivityIndicator,
+  RefreshControl,
+  SafeAreaView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import colors from '../constants/colors';
+import { getExtractionDomainStats } from '../services/urlExtraction';
+
+const REASON_LABELS = {
+  network: 'Network',
+  timeout: 'Timeout',
+  http_status: 'HTTP error',
+  blocked: 'Blocked',
+  no_recipe_found: 'No recipe found',
+  parse_error: 'Parse error',
+};
+
+const formatCounts = (counts, labels = {}) =>
+  Object.entries(counts || {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => `${labels[key] || key} ${count}`)
+    .join(' · ');
+
+const formatDate = (iso) => {
+  if (!iso) return '';
+  try {
+    return new Date(iso).toLocaleString();
+  } catch { return iso; }
+};
+
+const AdminExtractionStats = ({ visible, onClose }) => {
+  const [domains, setDomains] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    setLoading(true);
+    try {
+      setDomains(await getExtractionDomainStats());
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (visible) loadStats();
+  }, [visible, loadStats]);
+
+  const totals = domains.reduce(
+    (sum, d) => ({ successes: sum.successes + d.successes, failures: sum.failures + d.failures }),
+    { successes: 0, failures: 0 },
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeButton}>Close</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Import Diagnostics</Text>
+          <TouchableOpacity onPress={loadStats}>
+            <Text style={styles.refreshButton}>Refresh</Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading && domains.length === 0 ? (
+          <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: 40 }} />
+        ) : domains.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="analytics-outline" size={48} color={colors.textSecondary} style={{ marginBottom: 12 }} />
+            <Text style={styles.emptyTitle}>No imports recorded yet</Text>
+            <Text style={styles.emptyText}>Outcomes appear here as people import from links.</Text>
+          </View>
+        ) : (
+          <ScrollView
+            style={styles.list}
+            refreshControl={<RefreshControl refreshing={loading} onRefresh={loadStats} />}
+          >
+            <Text style={styles.count}>
+              {domains.length} site{domains.length !== 1 ? 's' : ''} · {totals.successes} imported · {totals.failures} failed
+            </Text>
+            {domains.map(d => {
+              const attempts = d.successes + d.failures;
+              const rate = attempts > 0 ? Math.round((d.successes / attempts) * 100) : 0;
+              return (
+                <View key={d.domain} style={styles.domainCard}>
+                  <View style={styles.domainHeader}>
+                    <Text style={styles.domainName} numberOfLines={1}>{d.domain}</Text>
+                    <Text style={[styles.rate, rate < 50 && styles.rateBad]}>{rate}%</Text>
+                  </View>
+                  <Text style={styles.domainCounts}>
+                    {d.successes} ok · {d.failures} failed
+                  </Text>
+                  {d.failures > 0 && (
+                    <Text style={styles.domainReasons}>{formatCounts(d.reasons, REASON_LABELS)}</Text>
+                  )}
+                  {d.last_reason && (
+                    <Text style={styles.domainLast}>
+                      Last failure: {REASON_LABELS[d.last_reason] || d.last_reason}
+                      {d.last_tier ? ` at ${d.last_tier}` : ''} · {formatDate(d.last_failure_at)}
+                    </Text>
+                  )}
+                  {d.successes > 0 && (
+                    <Text style={styles.domainSources}>Tiers: {formatCounts(d.sources)}</Text>
+                  )}
+                </View>
+              );
+            })}
+            <View style={{ height: 40 }} />
+          </ScrollView>
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: colors.primary,
+    paddingTop: 20,
+  },
+  closeButton: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  refreshButton: {
+    color: '#fff',
+    fontSize: 14,
+  },
+  title: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: { fontSize: 20, fontWeight: '700', color: colors.text, marginBottom: 4 },
+  emptyText: { fontSize: 14, color: colors.textSecondary, textAlign: 'center' },
+  list: { flex: 1, padding: 16 },
+  count: { fontSize: 13, color: colors.textSecondary, marginBottom: 12 },
+  domainCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 14,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  domainHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  domainName: { flex: 1, fontSize: 15, fontWeight: '600', color: colors.text, marginRight: 8 },
+  rate: { fontSize: 14, fontWeight: '700', color: colors.success },
+  rateBad: { color: colors.error || '#e74c3c' },
+  domainCounts: { fontSize: 13, color: colors.textSecondary, marginBottom: 4 },
+  domainReasons: { fontSize: 13, color: colors.text, marginBottom: 4 },
+  domainLast: { fontSize: 12, color: colors.textSecondary, marginBottom: 4 },
+  domainSources: { fontSize: 12, color: colors.textSecondary },
+});
+
+export default AdminExtractionStats;
@@ -3,12 +3,27 @@
  * PURPOSE: Hands-on cooking view - tap ingredients and steps to cross
  * them off as you go.
  *
- * Session-scoped by design: progress lives in component state and is
- * cleared when you finish, so starting the recipe again begins fresh.
- * Nothing is written to the recipe or the database.
+ * Progress is a session: every tap is handed to onSaveSession (stored on
+ * the device by useCookSessions), so closing Cook Mode, taking a call or
+ * the OS killing the app just pauses it. Reopening the recipe resumes
+ * from the saved session. Finishing or ending the session clears it, and
+ * finishing can log a cook event for the Kitchen tab via onLogCook.
+ * The recipe itself is never modified.
  *
  * Keeps the screen awake while open (expo-keep-awake) and uses larger
  * type than the normal recipe view so it is readable at arm's length.
+ *
+ * Each step card lists the ingredients it mentions with their amounts
+ * (see linkStepIngredients), and checking a step ticks those off too.
+ *
+ * Steps that mention a duration ("simmer 20 minutes") get a timer button.
+ * Any number of timers can run at once; each schedules a local
+ * notification so it still goes off with the app in the background.
+ *
+ * Hands-free mode reads the current step aloud and listens for "next",
+ * "back", "repeat" and "start timer" (see useHandsFree). The current step
+ * is simply the first unchecked one, so voice and taps drive the same
+ * checkedSteps state and can be mixed freely.
  */
 
 import React, { useState, useMemo, useRef, useEffect } from 'react';
@@ -21,10 +36,15 @@ import {
   Modal,
   Alert,
   Animated,
+  Vibration,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import colors from '../constants/colors';
+import { findStepDurations, formatCountdown } from '../utils/stepTimers';
+import { linkStepIngredients } from '../utils/stepIngredients';
+import { scheduleTimerNotification, cancelTimerNotification } from '../utils/timerNotifications';
+import { useHandsFree } from '../hooks/useHandsFree';
 
 import { log } from '../utils/log';
 // Keeping the screen awake is a convenience, not core to cooking. If the
@@ -79,7 +99,18 @@ const FadingRow = ({ fading, onFadeComplete, children }) => {
   return <Animated.View style={{ opacity }}>{children}</Animated.View>;
 };
 
-export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }) => {
+export const CookMode = ({
+  visible,
+  onClose,
+  recipe,
+  ingredients,
+  instructions,
+  session = null, // saved progress to resume, see useCookSessions
+  onSaveSession,
+  onEndSession,
+  servings = null, // servings this batch makes, for logging the cook
+  onLogCook, // (servings) => Promise - omitted when cook tracking isn't available
+}) => {
   const [checkedIngredients, setCheckedIngredients] = useState({});
   const [checkedSteps, setCheckedSteps] = useState({});
   const [hideChecked, setHideChecked] = useState(false);
@@ -87,6 +118,12 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
   // mis-tap can be undone before the row disappears
   const [fadingIngredients, setFadingIngredients] = useState({});
   const [fadingSteps, setFadingSteps] = useState({});
+  // Running and finished timers: { id, name, stepIdx, phrase, endsAt, notificationId, done }
+  const [timers, setTimers] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const [handsFree, setHandsFree] = useState(false);
+  // When the session began - null until the first tap, and again once ended
+  const [startedAt, setStartedAt] = useState(null);
 
   // Flatten sections into { key, section, text } rows, keeping section order
   const ingredientRows = useMemo(() => {
@@ -105,6 +142,153 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
     [instructions]
   );
 
+  const stepDurations = useMemo(() => steps.map(findStepDurations), [steps]);
+
+  // Ingredient rows each step mentions, e.g. step 4 -> ['main-2', 'sauce-0']
+  const stepIngredientRows = useMemo(() => {
+    const rowsByKey = new Map(ingredientRows.map(row => [row.key, row]));
+    return linkStepIngredients(ingredients, steps)
+      .map(keys => keys.map(key => rowsByKey.get(key)).filter(Boolean));
+  }, [ingredients, ingredientRows, steps]);
+
+  // Tick once a second while anything is counting down. Remaining time
+  // is always endsAt - now, so a tick missed while backgrounded just
+  // catches up on return.
+  const hasRunningTimer = timers.some(t => !t.done);
+  const timersRef = useRef(timers);
+  timersRef.current = timers;
+  useEffect(() => {
+    if (!hasRunningTimer) return undefined;
+    const interval = setInterval(() => {
+      const tick = Date.now();
+      setNow(tick);
+      if (timersRef.current.some(t => !t.done && t.endsAt <= tick)) {
+        Vibration.vibrate([0, 400, 200, 400]);
+        setTimers(prev => prev.map(t => (!t.done && t.endsAt <= tick ? { ...t, done: true } : t)));
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [hasRunningTimer]);
+
+  const startTimer = async (stepIdx, duration) => {
+    const id = `${Date.now()}_${Math.random()}`;
+    const name = `Step ${stepIdx + 1} · ${duration.label}`;
+    const startedAt = Date.now();
+    setNow(startedAt);
+    setTimers(prev => [...prev, {
+      id,
+      name,
+      stepIdx,
+      phrase: duration.phrase,
+      endsAt: startedAt + duration.seconds * 1000,
+      notificationId: null,
+      done: false,
+    }]);
+
+    const snippet = steps[stepIdx].length > 90 ? `${steps[stepIdx].slice(0, 87)}...` : steps[stepIdx];
+    const notificationId = await scheduleTimerNotification(
+      `${recipe?.title ? `${recipe.title}: ` : ''}${name} done`,
+      snippet,
+      duration.seconds
+    );
+    if (notificationId) {
+      setTimers(prev => prev.map(t => (t.id === id ? { ...t, notificationId } : t)));
+    }
+  };
+
+  const stopTimer = (timer) => {
+    if (!timer.done) cancelTimerNotification(timer.notificationId);
+    setTimers(prev => prev.filter(t => t.id !== timer.id));
+  };
+
+  const stopAllTimers = () => {
+    timers.forEach(t => {
+      if (!t.done) cancelTimerNotification(t.notificationId);
+    });
+    setTimers([]);
+  };
+
+  const runningTimerFor = (stepIdx, phrase) =>
+    timers.find(t => t.stepIdx === stepIdx && t.phrase === phrase);
+
+  // First step not yet checked off, or -1 once they all are
+  const currentStep = steps.findIndex((_, idx) => !checkedSteps[idx]);
+
+  const describeStep = (idx) => {
+    const durations = stepDurations[idx];
+    const timerHint = durations.length > 0 && !runningTimerFor(idx, durations[0].phrase)
+      ? ` Say "start timer" for ${durations[0].label}.`
+      : '';
+    const uses = stepIngredientRows[idx].filter(row => !checkedIngredients[row.key]);
+    const usesHint = uses.length > 0 ? ` You'll need ${uses.map(row => row.text).join(', ')}.` : '';
+    return `Step ${idx + 1}. ${steps[idx]}${usesHint}${timerHint}`;
+  };
+
+  const handleVoiceCommand = (command) => {
+    switch (command) {
+      case 'next':
+        if (currentStep >= 0) toggleStep(currentStep);
+        break;
+      case 'back': {
+        const previous = currentStep === -1 ? steps.length - 1 : currentStep - 1;
+        if (previous >= 0 && checkedSteps[previous]) {
+          toggleStep(previous);
+        } else {
+          speak('This is the first step.');
+        }
+        break;
+      }
+      case 'repeat':
+        if (currentStep >= 0) speak(describeStep(currentStep));
+        break;
+      case 'timer': {
+        if (currentStep < 0) break;
+        const duration = stepDurations[currentStep].find(d => !runningTimerFor(currentStep, d.phrase));
+        if (duration) {
+          startTimer(currentStep, duration);
+          speak(`Timer started for ${duration.label}.`);
+        } else {
+          speak(stepDurations[currentStep].length > 0
+            ? 'That timer is already running.'
+            : 'This step has no timer.');
+        }
+        break;
+      }
+      case 'stop':
+        stopSpeaking();
+        break;
+      default:
+        break;
+    }
+  };
+
+  const { canSpeak, canListen, listening, speak, stopSpeaking } = useHandsFree({
+    enabled: visible && handsFree,
+    onCommand: handleVoiceCommand,
+  });
+
+  // Read the step out whenever it changes - by voice or by tap
+  useEffect(() => {
+    if (!visible || !handsFree || steps.length === 0) return;
+    if (currentStep === -1) {
+      speak('That was the last step. All done!');
+    } else {
+      speak(describeStep(currentStep));
+    }
+  }, [visible, handsFree, currentStep]);
+
+  const toggleHandsFree = () => {
+    if (!handsFree && !canSpeak && !canListen) {
+      Alert.alert(
+        'Hands-Free Unavailable',
+        'This version of the app was built without speech support. Update the app to use hands-free mode.'
+      );
+      return;
+    }
+    if (handsFree) stopSpeaking();
+    setHandsFree(v => !v);
+  };
+
   const doneIngredients = Object.values(checkedIngredients).filter(Boolean).length;
   const doneSteps = Object.values(checkedSteps).filter(Boolean).length;
   const allDone = steps.length > 0 && doneSteps === steps.length;
@@ -146,6 +330,17 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
     } else {
       clearKey(setFadingSteps, idx);
     }
+
+    // A done step has used its ingredients. Unchecking leaves them ticked -
+    // they're still in the pan, and a later step may share them
+    if (!nowChecked) return;
+    const used = {};
+    stepIngredientRows[idx].forEach(row => {
+      if (!checkedIngredients[row.key]) used[row.key] = true;
+    });
+    if (Object.keys(used).length === 0) return;
+    setCheckedIngredients(prev => ({ ...prev, ...used }));
+    if (hideChecked) setFadingIngredients(prev => ({ ...prev, ...used }));
   };
 
   const reset = () => {
@@ -162,22 +357,88 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
     setFadingSteps({});
   };
 
-  const finish = () => {
+  // Pick up a saved session when opened, or when it finishes loading
+  // after. Skipped if this instance is already mid-session - its state is
+  // at least as new as what was saved (and its own saves come back here)
+  useEffect(() => {
+    if (!visible || startedAt || !session) return;
+    log('🍳 Resuming cook session from', session.updatedAt);
+    setCheckedIngredients(session.checkedIngredients || {});
+    setCheckedSteps(session.checkedSteps || {});
+    setTimers(session.timers || []);
+    setNow(Date.now());
+    setStartedAt(session.startedAt || Date.now());
+  }, [visible, session]);
+
+  // Save on every change. The session starts with the first tick or timer,
+  // so just opening Cook Mode to look doesn't leave a resume banner behind
+  useEffect(() => {
+    if (!startedAt) {
+      if (totalChecked > 0 || timers.length > 0) setStartedAt(Date.now());
+      return;
+    }
+    onSaveSession?.({
+      checkedIngredients,
+      checkedSteps,
+      currentStep,
+      totalSteps: steps.length,
+      timers,
+      startedAt,
+    });
+  }, [checkedIngredients, checkedSteps, timers, startedAt]);
+
+  // Close but keep the session - timers keep running (their
+  // notifications are already scheduled with the OS)
+  const pause = () => {
+    setHandsFree(false);
+    onClose();
+  };
+
+  const endSession = () => {
     reset();
+    stopAllTimers();
+    setHandsFree(false);
+    setStartedAt(null);
+    onEndSession?.();
     onClose();
   };
 
+  const finish = () => {
+    if (!onLogCook) {
+      endSession();
+      return;
+    }
+    const count = servings ? Math.max(1, Math.round(servings)) : 1;
+    Alert.alert(
+      'Nice Cooking!',
+      `Log this in your Kitchen as ${count} serving${count !== 1 ? 's' : ''} cooked today?`,
+      [
+        { text: 'Just Finish', style: 'cancel', onPress: endSession },
+        {
+          text: 'Log It',
+          onPress: async () => {
+            endSession();
+            await onLogCook(count);
+          },
+        },
+      ]
+    );
+  };
+
   const handleClose = () => {
-    if (doneIngredients === 0 && doneSteps === 0) {
-      finish();
+    if (!startedAt) {
+      pause();
       return;
     }
     Alert.alert(
       'Leave Cook Mode?',
-      'Your progress for this session will be cleared.',
+      hasRunningTimer
+        ? 'Pause to pick up where you left off - timers keep running. Ending clears your progress and stops timers.'
+        : 'Pause to pick up where you left off, or end the session to clear your progress.',
       [
         { text: 'Keep Cooking', style: 'cancel' },
-        { text: 'Leave', style: 'destructive', onPress: finish },
+        { text: 'Pause', onPress: pause },
+        { text: 'End Session', style: 'destructive', onPress: endSession },
       ]
     );
   };
@@ -198,6 +459,64 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
         hideChecked={hideChecked}
         onToggleHide={toggleHideChecked}
         totalChecked={totalChecked}
+        handsFree={handsFree}
+        onToggleHandsFree={toggleHandsFree}
+        handsFreeBar={handsFree && steps.length > 0 && (
+          <View style={styles.handsFreeBar}>
+            <TouchableOpacity
+              style={styles.handsFreeButton}
+              onPress={() => handleVoiceCommand('back')}
+              disabled={currentStep === 0}
+            >
+              <Ionicons name="chevron-back" size={26} color={currentStep === 0 ? 'rgba(255,255,255,0.4)' : '#fff'} />
+              <Text style={styles.handsFreeButtonText}>Back</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.handsFreeButton}
+              onPress={() => handleVoiceCommand('repeat')}
+              disabled={currentStep === -1}
+            >
+              <Ionicons name={listening ? 'mic' : 'volume-high'} size={24} color="#fff" />
+              <Text style={styles.handsFreeButtonText}>{listening ? 'Listening' : 'Repeat'}</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.handsFreeButton}
+              onPress={() => handleVoiceCommand('next')}
+              disabled={currentStep === -1}
+            >
+              <Ionicons name="chevron-forward" size={26} color={currentStep === -1 ? 'rgba(255,255,255,0.4)' : '#fff'} />
+              <Text style={styles.handsFreeButtonText}>Next</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+        timerTray={timers.length > 0 && (
+          <View style={styles.timerTray}>
+            {timers.map(timer => (
+              <View key={timer.id} style={[styles.timerPill, timer.done && styles.timerPillDone]}>
+                <Ionicons
+                  name={timer.done ? 'alarm' : 'timer-outline'}
+                  size={16}
+                  color={timer.done ? '#fff' : colors.primary}
+                  style={{ marginRight: 6 }}
+                />
+                <View style={{ flex: 1 }}>
+                  <Text style={[styles.timerName, timer.done && styles.timerTextDone]} numberOfLines={1}>
+                    {timer.name}
+                  </Text>
+                  <Text style={[styles.timerCountdown, timer.done && styles.timerTextDone]}>
+                    {timer.done ? "Time's up" : formatCountdown((timer.endsAt - now) / 1000)}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  onPress={() => stopTimer(timer)}
+                  hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+                >
+                  <Ionicons name="close" size={18} color={timer.done ? '#fff' : colors.textTertiary} />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+        )}
       >
         {/* Ingredients */}
         {ingredientRows.length > 0 && (
@@ -257,6 +576,7 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
             )}
             {visibleSteps.map(({ text: step, idx }) => {
               const checked = !!checkedSteps[idx];
+              const isCurrent = handsFree && idx === currentStep;
               return (
                 <FadingRow
                   key={`step-${idx}`}
@@ -264,7 +584,7 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
                   onFadeComplete={() => clearKey(setFadingSteps, idx)}
                 >
                   <TouchableOpacity
-                    style={[styles.stepRow, checked && styles.stepRowDone]}
+                    style={[styles.stepRow, checked && styles.stepRowDone, isCurrent && styles.stepRowCurrent]}
                     onPress={() => toggleStep(idx)}
                     activeOpacity={0.6}
                   >
@@ -275,9 +595,55 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
                         <Text style={styles.stepNumberText}>{idx + 1}</Text>
                       )}
                     </View>
-                    <Text style={[styles.stepText, checked && styles.rowTextDone]}>
-                      {step}
-                    </Text>
+                    <View style={{ flex: 1 }}>
+                      <Text style={[styles.stepText, checked && styles.rowTextDone]}>
+                        {step}
+                      </Text>
+                      {!checked && stepIngredientRows[idx].length > 0 && (
+                        <View style={styles.stepIngredients}>
+                          {stepIngredientRows[idx].map(row => {
+                            const used = !!checkedIngredients[row.key];
+                            return (
+                              <TouchableOpacity
+                                key={row.key}
+                                style={[styles.stepIngredientChip, used && styles.stepIngredientChipDone]}
+                                onPress={() => toggleIngredient(row.key)}
+                              >
+                                <Text style={[styles.stepIngredientText, used && styles.rowTextDone]}>
+                                  {row.text}
+                                </Text>
+                              </TouchableOpacity>
+                            );
+                          })}
+                        </View>
+                      )}
+                      {!checked && stepDurations[idx].length > 0 && (
+                        <View style={styles.stepTimers}>
+                          {stepDurations[idx].map(duration => {
+                            const running = runningTimerFor(idx, duration.phrase);
+                            return (
+                              <TouchableOpacity
+                                key={duration.phrase}
+                                style={[styles.stepTimerButton, running && styles.stepTimerButtonActive]}
+                                onPress={() => (running ? stopTimer(running) : startTimer(idx, duration))}
+                              >
+                                <Ionicons
+                                  name={running ? 'stop' : 'timer-outline'}
+                                  size={15}
+                                  color={running ? '#fff' : colors.primary}
+                                  style={{ marginRight: 4 }}
+                                />
+                                <Text style={[styles.stepTimerText, running && styles.stepTimerTextActive]}>
+                                  {running
+                                    ? (running.done ? 'Done' : formatCountdown((running.endsAt - now) / 1000))
+                                    : duration.label}
+                                </Text>
+                              </TouchableOpacity>
+                            );
+                          })}
+                        </View>
+                      )}
+                    </View>
                   </TouchableOpacity>
                 </FadingRow>
               );
@@ -297,7 +663,8 @@ export const CookMode = ({ visible, onClose, recipe, ingredients, instructions }
  */
 const CookModeBody = ({
   recipe, onClose, onReset, allDone, onFinish, doneSteps, totalSteps,
-  hideChecked, onToggleHide, totalChecked, children,
+  hideChecked, onToggleHide, totalChecked, handsFree, onToggleHandsFree,
+  handsFreeBar, timerTray, children,
 }) => {
   useKeepAwake();
 
@@ -329,8 +696,23 @@ const CookModeBody = ({
         </View>
       )}
 
-      {/* Hide/show checked-off items */}
+      {/* Hands-free toggle, hide/show checked-off items */}
       <View style={styles.toolbar}>
+        <TouchableOpacity
+          style={[styles.hideToggle, handsFree && styles.hideToggleActive]}
+          onPress={onToggleHandsFree}
+          activeOpacity={0.7}
+        >
+          <Ionicons
+            name={handsFree ? 'mic' : 'mic-outline'}
+            size={16}
+            color={handsFree ? '#fff' : colors.primary}
+            style={{ marginRight: 6 }}
+          />
+          <Text style={[styles.hideToggleText, handsFree && styles.hideToggleTextActive]}>
+            Hands-free
+          </Text>
+        </TouchableOpacity>
         <TouchableOpacity
           style={[styles.hideToggle, hideChecked && styles.hideToggleActive]}
           onPress={onToggleHide}
@@ -355,6 +737,8 @@ const CookModeBody = ({
         </TouchableOpacity>
       </View>
 
+      {timerTray}
+
       <ScrollView
         style={styles.content}
         contentContainerStyle={styles.contentContainer}
@@ -362,6 +746,8 @@ const CookModeBody = ({
         {children}
       </ScrollView>
 
+      {handsFreeBar}
+
       {allDone && (
         <View style={styles.doneBar}>
           <Ionicons name="checkmark-circle" size={20} color="#fff" style={{ marginRight: 8 }} />
@@ -408,6 +794,7 @@ const styles = StyleSheet.create({
   toolbar: {
     flexDirection: 'row',
     justifyContent: 'flex-end',
+    gap: 8,
     paddingHorizontal: 20,
     paddingTop: 12,
     paddingBottom: 2,
@@ -507,6 +894,10 @@ const styles = StyleSheet.create({
     backgroundColor: colors.background,
     borderColor: colors.borderVeryLight,
   },
+  stepRowCurrent: {
+    borderColor: colors.primary,
+    borderWidth: 2,
+  },
   stepNumber: {
     width: 30,
     height: 30,
@@ -518,7 +909,60 @@ const styles = StyleSheet.create({
   },
   stepNumberDone: { backgroundColor: colors.primary },
   stepNumberText: { fontSize: 15, fontWeight: '700', color: colors.primary },
-  stepText: { flex: 1, fontSize: 17, lineHeight: 25, color: colors.text },
+  stepText: { fontSize: 17, lineHeight: 25, color: colors.text },
+  stepIngredients: { flexDirection: 'row', flexWrap: 'wrap', gap: 6, marginTop: 10 },
+  stepIngredientChip: {
+    paddingVertical: 5,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    backgroundColor: colors.accentLight,
+  },
+  stepIngredientChipDone: { backgroundColor: colors.background },
+  stepIngredientText: { fontSize: 14, fontWeight: '600', color: colors.text },
+  stepTimers: { flexDirection: 'row', flexWrap: 'wrap', gap: 8, marginTop: 10 },
+  stepTimerButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 7,
+    paddingHorizontal: 12,
+    borderRadius: 18,
+    borderWidth: 1.5,
+    borderColor: colors.primary,
+    backgroundColor: colors.surface,
+  },
+  stepTimerButtonActive: { backgroundColor: colors.primary },
+  stepTimerText: { fontSize: 14, fontWeight: '700', color: colors.primary },
+  stepTimerTextActive: { color: '#fff' },
+  timerTray: {
+    paddingHorizontal: 20,
+    paddingTop: 10,
+    gap: 6,
+  },
+  timerPill: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 10,
+    backgroundColor: colors.primaryLight,
+  },
+  timerPillDone: { backgroundColor: colors.accent },
+  timerName: { fontSize: 13, fontWeight: '600', color: colors.text },
+  timerCountdown: { fontSize: 18, fontWeight: '800', color: colors.primary, fontVariant: ['tabular-nums'] },
+  timerTextDone: { color: '#fff' },
+  handsFreeBar: {
+    flexDirection: 'row',
+    backgroundColor: colors.primaryDark,
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: 'rgba(255,255,255,0.2)',
+  },
+  handsFreeButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  handsFreeButtonText: { color: '#fff', fontSize: 13, fontWeight: '700', marginTop: 2 },
   doneBar: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -28,12 +28,14 @@ import {
   getWeekDays,
   formatDayLabel,
 } from '../services/supabase/kitchen';
+import { parseRecipeIngredients, scaleRecipeIngredients } from '../utils/IngredientParser';
 
-const CookSchedule = ({ userId, recipes = [], onOpenRecipe }) => {
+const CookSchedule = ({ userId, recipes = [], onOpenRecipe, onBuildShoppingList }) => {
   const [weekStart, setWeekStart] = useState(getWeekStart());
   const [cookEvents, setCookEvents] = useState([]);
   const [loading, setLoading] = useState(false);
   const [pickerDate, setPickerDate] = useState(null);
+  const [buildingList, setBuildingList] = useState(false);
 
   const weekDays = useMemo(() => getWeekDays(weekStart), [weekStart]);
   const weekEnd = weekDays[6];
@@ -98,6 +100,60 @@ const CookSchedule = ({ userId, recipes = [], onOpenRecipe }) => {
     );
   };
 
+  /**
+   * Turn every planned cook this week into grocery lines, scaled from the
+   * recipe's base servings to the batch size on the schedule. The list
+   * swaps out lines from an earlier build of the same week.
+   */
+  const handleBuildShoppingList = async () => {
+    if (!onBuildShoppingList) return;
+
+    const plannedItems = [];
+    let mealCount = 0;
+    cookEvents.forEach(event => {
+      const recipe = findRecipe(event.recipe_id);
+      if (!recipe) return;
+
+      const multiplier = Number(event.servings_produced) / getBaseServings(recipe);
+      const scaled = scaleRecipeIngredients(
+        parseRecipeIngredients(recipe.ingredients),
+        multiplier > 0 ? multiplier : 1
+      );
+
+      let added = false;
+      Object.entries(scaled).forEach(([section, lines]) => {
+        lines.forEach(text => {
+          if (!text || !text.trim()) return;
+          plannedItems.push({ text, section, cookEventId: event.id, recipe });
+          added = true;
+        });
+      });
+      if (added) mealCount++;
+    });
+
+    if (plannedItems.length === 0) {
+      Alert.alert('Nothing to Shop For', 'Plan some meals with ingredients this week first.');
+      return;
+    }
+
+    setBuildingList(true);
+    try {
+      const { added, replaced, covered = 0 } = await onBuildShoppingList(weekStart, plannedItems);
+      const pantryNote = covered > 0
+        ? ` ${covered} already in your pantry ${covered !== 1 ? 'were' : 'was'} left off.`
+        : '';
+      Alert.alert(
+        replaced > 0 ? 'Shopping List Updated' : 'Shopping List Built',
+        `${added} item${added !== 1 ? 's' : ''} from ${mealCount} meal${mealCount !== 1 ? 's' : ''} are on your Shop list.${pantryNote}`
+      );
+    } catch (error) {
+      console.error('Error building shopping list:', error);
+      Alert.alert('Error', 'Could not build the shopping list. Please try again.');
+    } finally {
+      setBuildingList(false);
+    }
+  };
+
   return (
     <View style={styles.container}>
       {/* Week Navigation */}
@@ -116,6 +172,23 @@ const CookSchedule = ({ userId, recipes = [], onOpenRecipe }) => {
         </TouchableOpacity>
       </View>
 
+      {onBuildShoppingList && cookEvents.length > 0 && (
+        <TouchableOpacity
+          style={styles.buildListButton}
+          onPress={handleBuildShoppingList}
+          disabled={buildingList}
+        >
+          {buildingList ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="cart" size={16} color="#fff" style={{ marginRight: 6 }} />
+              <Text style={styles.buildListButtonText}>Build shopping list for this week</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      )}
+
       {loading ? (
         <ActivityIndicator size="large" color={colors.primary} style={{ marginTop: 40 }} />
       ) : (
@@ -415,6 +488,17 @@ const styles = StyleSheet.create({
   weekLabel: { alignItems: 'center' },
   weekLabelText: { fontSize: 15, fontWeight: '600', color: colors.text },
   todayLink: { color: colors.primary, fontSize: 12, marginTop: 2 },
+  buildListButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginHorizontal: 12,
+    marginTop: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+  },
+  buildListButtonText: { color: '#fff', fontSize: 14, fontWeight: '600' },
   grid: { flex: 1 },
   dayRow: {
     backgroundColor: '#fff',
@@ -3,7 +3,7 @@
  * Displays and manages the grocery list
  */
 
-import React, { useState, useRef } from 'react';
+import React, { useState, useRef, useMemo } from 'react';
 import {
   View,
   Text,
@@ -13,15 +13,99 @@ import {
   Alert,
   TextInput,
   Keyboard,
+  Modal,
 } from 'react-native';
 import { colors } from '../constants/colors';
 import { Ionicons } from '@expo/vector-icons';
+import { mergeGroceryItems } from '../utils/groceryMerge';
+import { AISLES, getAisleForItem, groupRowsByAisle } from '../utils/groceryAisles';
 
-export const GroceryList = ({ visible, onClose, groceryList, onToggleItem, onRemoveItem, onClearChecked, onClearAll, onAddCustomItem, onOpenMealPlan, embedded = false }) => {
-  const [groupBy, setGroupBy] = useState('recipe'); // 'recipe' or 'flat'
+const VIEW_MODES = [
+  { key: 'combined', label: 'Combined' },
+  { key: 'aisle', label: 'Aisles' },
+  { key: 'recipe', label: 'Recipes' },
+  { key: 'flat', label: 'List' },
+];
+
+export const GroceryList = ({
+  visible,
+  onClose,
+  groceryList,
+  aisleOverrides = {},
+  onToggleItem,
+  onToggleItems,
+  onRemoveItem,
+  onRemoveItems,
+  onClearChecked,
+  onClearAll,
+  onAddCustomItem,
+  onSetIngredientAisle,
+  onOpenMealPlan,
+  embedded = false,
+  // Cloud list sharing - only passed for signed-in users
+  currentUserId,
+  friends = [],
+  groceryLists = [],
+  activeListId,
+  listMembers = [],
+  onSwitchList,
+  onLoadListMembers,
+  onInviteFriends,
+  onRemoveListMember,
+  onAddCheckedToPantry,
+}) => {
+  const [groupBy, setGroupBy] = useState('combined'); // 'combined', 'aisle', 'recipe' or 'flat'
   const [customItemText, setCustomItemText] = useState('');
+  const [expandedKeys, setExpandedKeys] = useState(new Set());
+  const [movingRow, setMovingRow] = useState(null); // combined row being moved to another aisle
+  const [showShare, setShowShare] = useState(false);
+  const [sharingBusy, setSharingBusy] = useState(false);
   const inputRef = useRef(null);
 
+  const combinedRows = useMemo(() => mergeGroceryItems(groceryList), [groceryList]);
+
+  const rowAisle = (row) =>
+    getAisleForItem(row.key, row.items.map(i => i.text).join(' '), aisleOverrides);
+
+  const handleMoveToAisle = async (aisleKey) => {
+    const row = movingRow;
+    setMovingRow(null);
+    if (row && onSetIngredientAisle) {
+      await onSetIngredientAisle(row.key, aisleKey);
+    }
+  };
+
+  const toggleExpanded = (key) => {
+    setExpandedKeys(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  // A combined row checks/removes every source line together
+  const toggleRow = (row) => {
+    const ids = row.items.map(i => i.id);
+    if (ids.length === 1 || !onToggleItems) {
+      onToggleItem(ids[0]);
+      return;
+    }
+    onToggleItems(ids, !row.checked);
+  };
+
+  const removeRow = (row) => {
+    const ids = row.items.map(i => i.id);
+    if (ids.length === 1 || !onRemoveItems) {
+      onRemoveItem(ids[0]);
+      return;
+    }
+    onRemoveItems(ids);
+  };
+
   // Group items by recipe
   const groupedByRecipe = () => {
     const groups = {};
@@ -47,9 +131,27 @@ export const GroceryList = ({ visible, onClose, groceryList, onToggleItem, onRem
     Alert.alert(
       'Clear Checked Items',
       `Remove ${checkedItems.length} checked item${checkedItems.length > 1 ? 's' : ''}?`,
+      onAddCheckedToPantry
+        ? [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Clear', style: 'destructive', onPress: onClearChecked },
+          { text: 'Add to Pantry', onPress: () => onAddCheckedToPantry(checkedItems) },
+        ]
+        : [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Clear', style: 'destructive', onPress: onClearChecked },
+        ]
+    );
+  };
+
+  // Bought items go into the pantry and off the list in one step
+  const handleAddCheckedToPantry = () => {
+    Alert.alert(
+      'Add to Pantry',
+      `Move ${checkedItems.length} checked item${checkedItems.length > 1 ? 's' : ''} to your pantry?`,
       [
         { text: 'Cancel', style: 'cancel' },
-        { text: 'Clear', style: 'destructive', onPress: onClearChecked },
+        { text: 'Add to Pantry', onPress: () => onAddCheckedToPantry(checkedItems) },
       ]
     );
   };
@@ -158,6 +260,323 @@ export const GroceryList = ({ visible, onClose, groceryList, onToggleItem, onRem
     );
   };
 
+  const renderCombinedRow = (row) => {
+    const expanded = expandedKeys.has(row.key);
+    const hasSources = row.items.length > 1;
+    return (
+      <View key={row.key}>
+        <View style={styles.itemContainer}>
+          <TouchableOpacity
+            style={styles.checkbox}
+            onPress={() => toggleRow(row)}
+          >
+            <View style={[styles.checkboxInner, row.checked && styles.checkboxChecked]}>
+              {row.checked && <Ionicons name="checkmark" size={14} color="#fff" />}
+            </View>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.itemContent}
+            onPress={() => toggleRow(row)}
+            onLongPress={onSetIngredientAisle ? () => setMovingRow(row) : undefined}
+            activeOpacity={0.6}
+          >
+            <Text style={[styles.itemText, row.checked && styles.itemTextChecked]}>{row.text}</Text>
+            <Text style={styles.itemRecipe} numberOfLines={1}>{row.recipeTitles.join(', ')}</Text>
+          </TouchableOpacity>
+          {hasSources && (
+            <TouchableOpacity
+              style={styles.expandButton}
+              onPress={() => toggleExpanded(row.key)}
+              hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+            >
+              <Text style={styles.expandCount}>{row.items.length}</Text>
+              <Ionicons name={expanded ? 'chevron-up' : 'chevron-down'} size={16} color={colors.textSecondary} />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.removeButton}
+            onPress={() => removeRow(row)}
+          >
+            <Text style={styles.removeButtonText}>×</Text>
+          </TouchableOpacity>
+        </View>
+        {hasSources && expanded && row.items.map(item => (
+          <View key={item.id} style={styles.sourceRow}>
+            <View style={styles.itemContent}>
+              <Text style={[styles.sourceText, item.checked && styles.itemTextChecked]}>{item.text}</Text>
+              <Text style={styles.itemRecipe}>{item.recipeTitle}</Text>
+            </View>
+            <TouchableOpacity
+              style={styles.removeButton}
+              onPress={() => onRemoveItem(item.id)}
+            >
+              <Text style={styles.removeButtonText}>×</Text>
+            </TouchableOpacity>
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  const renderCombinedList = () => {
+    if (combinedRows.length === 0) {
+      return (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>Your grocery list is empty</Text>
+          <Text style={styles.emptySubtext}>
+            Add items from recipes to start building your list
+          </Text>
+        </View>
+      );
+    }
+
+    const uncheckedRows = combinedRows.filter(row => !row.checked);
+    const checkedRows = combinedRows.filter(row => row.checked);
+
+    return (
+      <View>
+        {uncheckedRows.length > 0 && (
+          <View>
+            <Text style={styles.sectionTitle}>Shopping List ({uncheckedRows.length})</Text>
+            {uncheckedRows.map(renderCombinedRow)}
+          </View>
+        )}
+        {checkedRows.length > 0 && (
+          <View style={styles.checkedSection}>
+            <Text style={styles.sectionTitle}>Completed ({checkedRows.length})</Text>
+            {checkedRows.map(renderCombinedRow)}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderAisleList = () => {
+    if (combinedRows.length === 0) {
+      return (
+        <View style={styles.emptyContainer}>
+          <Text style={styles.emptyText}>Your grocery list is empty</Text>
+          <Text style={styles.emptySubtext}>
+            Add items from recipes to start building your list
+          </Text>
+        </View>
+      );
+    }
+
+    const aisleGroups = groupRowsByAisle(combinedRows.filter(row => !row.checked), aisleOverrides);
+    const checkedRows = combinedRows.filter(row => row.checked);
+
+    return (
+      <View>
+        {onSetIngredientAisle && (
+          <Text style={styles.aisleHint}>Long-press an item to move it to another aisle.</Text>
+        )}
+        {aisleGroups.map(({ aisle, rows }) => (
+          <View key={aisle.key} style={styles.recipeGroup}>
+            <Text style={styles.recipeGroupTitle}>{aisle.label} ({rows.length})</Text>
+            {rows.map(renderCombinedRow)}
+          </View>
+        ))}
+        {checkedRows.length > 0 && (
+          <View style={styles.checkedSection}>
+            <Text style={styles.sectionTitle}>Completed ({checkedRows.length})</Text>
+            {checkedRows.map(renderCombinedRow)}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderAislePicker = () => {
+    const currentAisle = movingRow ? rowAisle(movingRow) : null;
+    return (
+      <Modal
+        visible={!!movingRow}
+        animationType="fade"
+        transparent
+        onRequestClose={() => setMovingRow(null)}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={() => setMovingRow(null)}
+        >
+          <View style={styles.aislePicker}>
+            <Text style={styles.aislePickerTitle}>Move to aisle</Text>
+            <Text style={styles.aislePickerSubtitle} numberOfLines={1}>{movingRow?.name}</Text>
+            {AISLES.map(aisle => (
+              <TouchableOpacity
+                key={aisle.key}
+                style={[styles.aisleOption, aisle.key === currentAisle && styles.aisleOptionActive]}
+                onPress={() => handleMoveToAisle(aisle.key)}
+              >
+                <Text style={styles.aisleOptionText}>{aisle.label}</Text>
+                {aisle.key === currentAisle && (
+                  <Ionicons name="checkmark" size={16} color={colors.primary} />
+                )}
+              </TouchableOpacity>
+            ))}
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    );
+  };
+
+  const activeList = groceryLists.find(list => list.id === activeListId);
+  const canShare = !!onInviteFriends && !!activeList;
+
+  const listLabel = (list) =>
+    list.isOwner ? 'My list' : `${list.ownerUsername || 'Friend'}'s list`;
+
+  const openShare = () => {
+    setShowShare(true);
+    onLoadListMembers?.();
+  };
+
+  const handleInvite = async (friend) => {
+    setSharingBusy(true);
+    const ok = await onInviteFriends([friend]);
+    setSharingBusy(false);
+    if (!ok) {
+      Alert.alert('Could Not Share', `Couldn't add ${friend.username} to your list. Try again in a moment.`);
+    }
+  };
+
+  const handleRemoveMember = (member) => {
+    Alert.alert(
+      'Remove from List',
+      `${member.username || 'This person'} will no longer see your grocery list.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Remove', style: 'destructive', onPress: () => onRemoveListMember(member.id) },
+      ]
+    );
+  };
+
+  const handleLeaveList = () => {
+    Alert.alert(
+      'Leave List',
+      `Stop sharing ${listLabel(activeList)}? You'll go back to your own list.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Leave',
+          style: 'destructive',
+          onPress: async () => {
+            setShowShare(false);
+            await onRemoveListMember(currentUserId);
+          },
+        },
+      ]
+    );
+  };
+
+  const renderListBar = () => {
+    if (!canShare) return null;
+    return (
+      <View style={styles.listBar}>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.listChips}>
+          {groceryLists.length > 1 ? groceryLists.map(list => {
+            const active = list.id === activeListId;
+            return (
+              <TouchableOpacity
+                key={list.id}
+                style={[styles.listChip, active && styles.listChipActive]}
+                onPress={() => onSwitchList(list.id)}
+              >
+                <Text style={[styles.listChipText, active && styles.listChipTextActive]}>
+                  {listLabel(list)}
+                </Text>
+              </TouchableOpacity>
+            );
+          }) : (
+            <Text style={styles.listBarLabel}>{listLabel(activeList)}</Text>
+          )}
+        </ScrollView>
+        <TouchableOpacity style={styles.shareButton} onPress={openShare}>
+          <Ionicons name="people-outline" size={18} color={colors.primary} />
+          <Text style={styles.shareButtonText}>{activeList.isOwner ? 'Share' : 'Shared'}</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const renderSharePanel = () => {
+    if (!canShare) return null;
+    const memberIds = new Set(listMembers.map(m => m.id));
+    const invitable = friends.filter(f => !memberIds.has(f.id));
+
+    return (
+      <Modal
+        visible={showShare}
+        animationType="fade"
+        transparent
+        onRequestClose={() => setShowShare(false)}
+      >
+        <TouchableOpacity
+          style={styles.modalOverlay}
+          activeOpacity={1}
+          onPress={() => setShowShare(false)}
+        >
+          <View style={styles.aislePicker}>
+            <Text style={styles.aislePickerTitle}>
+              {activeList.isOwner ? 'Share your list' : listLabel(activeList)}
+            </Text>
+            <Text style={styles.aislePickerSubtitle}>
+              Everyone here sees the same items and check-offs as they happen.
+            </Text>
+
+            {!activeList.isOwner && (
+              <View style={styles.aisleOption}>
+                <Text style={styles.aisleOptionText}>{activeList.ownerUsername || 'Owner'}</Text>
+                <Text style={styles.aislePickerSubtitle}>Owner</Text>
+              </View>
+            )}
+            {listMembers.map(member => (
+              <View key={member.id} style={styles.aisleOption}>
+                <Text style={styles.aisleOptionText}>
+                  {member.id === currentUserId ? 'You' : member.username}
+                </Text>
+                {activeList.isOwner && (
+                  <TouchableOpacity onPress={() => handleRemoveMember(member)}>
+                    <Text style={styles.memberRemoveText}>Remove</Text>
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+
+            {activeList.isOwner ? (
+              <>
+                <Text style={styles.shareSectionTitle}>Add a friend</Text>
+                {invitable.length === 0 ? (
+                  <Text style={styles.aislePickerSubtitle}>
+                    {friends.length === 0
+                      ? 'Friends you follow each other with will show up here.'
+                      : 'All your friends are on this list.'}
+                  </Text>
+                ) : invitable.map(friend => (
+                  <TouchableOpacity
+                    key={friend.id}
+                    style={styles.aisleOption}
+                    onPress={() => handleInvite(friend)}
+                    disabled={sharingBusy}
+                  >
+                    <Text style={styles.aisleOptionText}>{friend.username}</Text>
+                    <Ionicons name="add-circle-outline" size={20} color={colors.primary} />
+                  </TouchableOpacity>
+                ))}
+              </>
+            ) : (
+              <TouchableOpacity style={styles.aisleOption} onPress={handleLeaveList}>
+                <Text style={styles.memberRemoveText}>Leave this list</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </TouchableOpacity>
+      </Modal>
+    );
+  };
+
   const renderGroupedList = () => {
     const groups = groupedByRecipe();
     const groupKeys = Object.keys(groups);
@@ -236,16 +655,31 @@ export const GroceryList = ({ visible, onClose, groceryList, onToggleItem, onRem
         </View>
       )}
 
+        {renderListBar()}
+
         {/* Action Buttons */}
         <View style={styles.actionBar}>
-          <TouchableOpacity
-            style={styles.toggleButton}
-            onPress={() => setGroupBy(groupBy === 'recipe' ? 'flat' : 'recipe')}
-          >
-            <Text style={styles.toggleButtonText}>
-              {groupBy === 'recipe' ? 'List View' : 'Group by Recipe'}
-            </Text>
-          </TouchableOpacity>
+          <View style={styles.viewModeGroup}>
+            {VIEW_MODES.map(mode => {
+              const active = mode.key === groupBy;
+              return (
+                <TouchableOpacity
+                  key={mode.key}
+                  style={[styles.viewModeButton, active && styles.viewModeButtonActive]}
+                  onPress={() => setGroupBy(mode.key)}
+                >
+                  <Text style={[styles.viewModeText, active && styles.viewModeTextActive]}>
+                    {mode.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          {onAddCheckedToPantry && checkedItems.length > 0 && (
+            <TouchableOpacity style={styles.pantryButton} onPress={handleAddCheckedToPantry}>
+              <Text style={styles.pantryButtonText}>Add to Pantry</Text>
+            </TouchableOpacity>
+          )}
           <TouchableOpacity style={styles.clearButton} onPress={handleClearChecked}>
             <Text style={styles.clearButtonText}>Clear Checked</Text>
           </TouchableOpacity>
@@ -277,8 +711,14 @@ export const GroceryList = ({ visible, onClose, groceryList, onToggleItem, onRem
 
         {/* List Content */}
         <ScrollView style={styles.content}>
-          {groupBy === 'flat' ? renderFlatList() : renderGroupedList()}
+          {groupBy === 'combined' && renderCombinedList()}
+          {groupBy === 'aisle' && renderAisleList()}
+          {groupBy === 'recipe' && renderGroupedList()}
+          {groupBy === 'flat' && renderFlatList()}
         </ScrollView>
+
+        {renderAislePicker()}
+        {renderSharePanel()}
     </View>
   );
 };
@@ -304,6 +744,71 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: colors.text,
   },
+  listBar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 10,
+    backgroundColor: colors.white,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  listChips: {
+    flex: 1,
+    marginRight: 8,
+  },
+  listBarLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: colors.text,
+    paddingVertical: 6,
+  },
+  listChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 14,
+    backgroundColor: colors.primaryLight,
+    marginRight: 6,
+  },
+  listChipActive: {
+    backgroundColor: colors.primary,
+  },
+  listChipText: {
+    fontSize: 13,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  listChipTextActive: {
+    color: colors.white,
+  },
+  shareButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.primary,
+    gap: 4,
+  },
+  shareButtonText: {
+    fontSize: 13,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  shareSectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    paddingHorizontal: 16,
+    paddingTop: 12,
+    paddingBottom: 6,
+  },
+  memberRemoveText: {
+    fontSize: 14,
+    color: colors.destructive,
+    fontWeight: '600',
+  },
   actionBar: {
     flexDirection: 'row',
     padding: 10,
@@ -311,19 +816,43 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: colors.border,
   },
-  toggleButton: {
+  viewModeGroup: {
     flex: 1,
-    paddingVertical: 8,
-    paddingHorizontal: 12,
+    flexDirection: 'row',
     backgroundColor: colors.primaryLight,
     borderRadius: 8,
+    padding: 2,
+    marginRight: 8,
+  },
+  viewModeButton: {
+    flex: 1,
+    paddingVertical: 6,
+    borderRadius: 6,
     alignItems: 'center',
   },
-  toggleButtonText: {
-    fontSize: 13,
+  viewModeButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  viewModeText: {
+    fontSize: 12,
     color: colors.primary,
     fontWeight: '600',
   },
+  viewModeTextActive: {
+    color: colors.white,
+  },
+  pantryButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    backgroundColor: colors.primary,
+    borderRadius: 8,
+    marginRight: 8,
+  },
+  pantryButtonText: {
+    fontSize: 13,
+    color: colors.white,
+    fontWeight: '600',
+  },
   clearButton: {
     paddingVertical: 8,
     paddingHorizontal: 12,
@@ -446,6 +975,35 @@ const styles = StyleSheet.create({
     color: colors.textSecondary,
     marginTop: 2,
   },
+  expandButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 6,
+    paddingVertical: 4,
+    borderRadius: 10,
+    backgroundColor: colors.background,
+    marginLeft: 8,
+  },
+  expandCount: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    fontWeight: '600',
+    marginRight: 2,
+  },
+  sourceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingLeft: 55,
+    paddingRight: 15,
+    backgroundColor: colors.background,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  sourceText: {
+    fontSize: 14,
+    color: colors.text,
+  },
   removeButton: {
     width: 32,
     height: 32,
@@ -461,6 +1019,54 @@ const styles = StyleSheet.create({
   checkedSection: {
     marginTop: 20,
   },
+  aisleHint: {
+    fontSize: 12,
+    color: colors.textTertiary,
+    paddingHorizontal: 15,
+    paddingTop: 10,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.4)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 30,
+  },
+  aislePicker: {
+    width: '100%',
+    maxWidth: 360,
+    backgroundColor: colors.white,
+    borderRadius: 12,
+    paddingVertical: 12,
+  },
+  aislePickerTitle: {
+    fontSize: 17,
+    fontWeight: 'bold',
+    color: colors.text,
+    paddingHorizontal: 16,
+  },
+  aislePickerSubtitle: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  aisleOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.borderLight,
+  },
+  aisleOptionActive: {
+    backgroundColor: colors.primaryLight,
+  },
+  aisleOptionText: {
+    fontSize: 15,
+    color: colors.text,
+  },
   emptyContainer: {
     padding: 40,
     alignItems: 'center',
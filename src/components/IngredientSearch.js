@@ -2,9 +2,14 @@
  * IngredientSearch Component
  * Search recipes by selecting ingredients
  * Shows results sorted by ingredient match count
+ *
+ * "What can I cook" mode flips the question: the selected ingredients are
+ * what's on hand (seeded from the user's usual staples and the pantry),
+ * and each recipe is scored by how much of its own ingredient list is
+ * covered, with the missing lines one tap away from the grocery list.
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import {
   View,
   Text,
@@ -14,12 +19,15 @@ import {
   Modal,
   StyleSheet,
   FlatList,
+  Alert,
 } from 'react-native';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import colors from '../constants/colors';
 import { normalizeIngredient, matchesCanonical } from '../utils/IngredientNormalizer';
 import { DIETS, analyzeRecipe } from '../utils/dietaryAnalysis';
+import { isAlwaysOnHand, isExpired } from '../utils/pantry';
+import { saveUsualIngredients, loadUsualIngredients } from '../utils/storage';
 
 import { log } from '../utils/log';
 /**
@@ -76,11 +84,49 @@ const extractIngredientsArray = (ingredients) => {
   return [];
 };
 
-export const IngredientSearch = ({ visible, onClose, recipes, onSelectRecipe }) => {
+const SEARCH_MODES = [
+  { key: 'match', label: 'Match ingredients' },
+  { key: 'cook', label: 'What can I cook?' },
+];
+
+export const IngredientSearch = ({ visible, onClose, recipes, onSelectRecipe, userId, pantry = [], onAddToGroceryList }) => {
   const [searchText, setSearchText] = useState('');
   const [selectedIngredients, setSelectedIngredients] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
   const [selectedDiets, setSelectedDiets] = useState([]);
+  const [mode, setMode] = useState('match'); // 'match' or 'cook'
+  const [usualIngredients, setUsualIngredients] = useState([]);
+
+  useEffect(() => {
+    if (!visible) return;
+    loadUsualIngredients(userId || null).then(setUsualIngredients);
+  }, [visible, userId]);
+
+  // What's on hand before the user adds anything: usual staples plus
+  // anything in the pantry that hasn't expired
+  const haveSeed = useMemo(() => {
+    const seed = new Set(usualIngredients);
+    pantry.forEach(item => {
+      if (!isExpired(item)) seed.add(item.key);
+    });
+    return Array.from(seed).filter(key => !isAlwaysOnHand(key));
+  }, [usualIngredients, pantry]);
+
+  const switchMode = (nextMode) => {
+    if (nextMode === mode) return;
+    setMode(nextMode);
+    if (nextMode === 'cook' && selectedIngredients.length === 0) {
+      setSelectedIngredients(haveSeed);
+    }
+  };
+
+  const rememberUsual = async () => {
+    const ok = await saveUsualIngredients(selectedIngredients, userId || null);
+    if (ok) {
+      setUsualIngredients(selectedIngredients);
+      Alert.alert('Saved', `${selectedIngredients.length} ingredient${selectedIngredients.length !== 1 ? 's' : ''} will be filled in next time.`);
+    }
+  };
 
   // Dietary analysis per recipe (derived from ingredients)
   const analysisById = useMemo(() => {
@@ -110,8 +156,10 @@ export const IngredientSearch = ({ visible, onClose, recipes, onSelectRecipe })
       const ingredientsArray = extractIngredientsArray(recipe.ingredients);
 
       ingredientsArray.forEach(ingredient => {
-        // Normalize ingredient to canonical form
-        const normalized = normalizeIngredient(ingredient);
+        // Normalize ingredient to canonical form - exact names only, the
+        // same keys as the pantry (parseGroceryLine), so "peanut butter"
+        // stays apart from butter
+        const normalized = normalizeIngredient(ingredient, { partial: false });
 
         if (normalized && normalized.length > 2) {
           ingredientSet.add(normalized);
@@ -188,7 +236,7 @@ export const IngredientSearch = ({ visible, onClose, recipes, onSelectRecipe })
       const normalizedRecipeIngredients = new Set();
       const ingredientsArray = extractIngredientsArray(recipe.ingredients);
       ingredientsArray.forEach(ing => {
-        normalizedRecipeIngredients.add(normalizeIngredient(ing));
+        normalizedRecipeIngredients.add(normalizeIngredient(ing, { partial: false }));
       });
 
       // Check how many selected ingredients match
@@ -218,14 +266,112 @@ export const IngredientSearch = ({ visible, onClose, recipes, onSelectRecipe })
     );
   }, [selectedIngredients, recipes, selectedDiets, analysisById]);
 
+  // "What can I cook": score every recipe by how much of it is on hand.
+  // Always-there staples (salt, oil, water) are left out of both sides,
+  // so they neither pad the score nor show up as missing.
+  const cookableRecipes = useMemo(() => {
+    if (mode !== 'cook' || selectedIngredients.length === 0) return [];
+    const have = new Set(selectedIngredients);
+    const results = [];
+
+    recipes.forEach(recipe => {
+      if (recipe.deletedAt) return;
+      if (!recipe.ingredients) return;
+
+      if (selectedDiets.length > 0) {
+        const analysis = analysisById.get(recipe.id);
+        if (!analysis || analysis.diets.length === 0) return;
+        if (!selectedDiets.every(diet => analysis.diets.includes(diet))) return;
+      }
+
+      // One entry per ingredient, keeping the first line that names it
+      const needed = new Map();
+      extractIngredientsArray(recipe.ingredients).forEach(line => {
+        const key = normalizeIngredient(line, { partial: false });
+        if (!key || isAlwaysOnHand(key) || needed.has(key)) return;
+        needed.set(key, line);
+      });
+      if (needed.size === 0) return;
+
+      const missing = [];
+      needed.forEach((line, key) => {
+        if (!have.has(key)) missing.push({ key, line });
+      });
+      const haveCount = needed.size - missing.length;
+      if (haveCount === 0) return;
+
+      results.push({
+        recipe,
+        haveCount,
+        neededCount: needed.size,
+        missing,
+        score: haveCount / needed.size,
+      });
+    });
+
+    // Best coverage first; among equals, the shorter shopping trip wins
+    return results.sort((a, b) =>
+      b.score - a.score ||
+      a.missing.length - b.missing.length ||
+      (a.recipe.title || '').localeCompare(b.recipe.title || '')
+    );
+  }, [mode, selectedIngredients, recipes, selectedDiets, analysisById]);
+
+  const addMissingToList = async (result) => {
+    if (!onAddToGroceryList || result.missing.length === 0) return;
+    const count = await onAddToGroceryList(result.missing.map(m => m.line), result.recipe);
+    Alert.alert(
+      'Added to Grocery List',
+      `${count} missing ingredient${count !== 1 ? 's' : ''} for ${result.recipe.title} added.`
+    );
+  };
+
   const handleClose = () => {
     setSearchText('');
     setSelectedIngredients([]);
     setSelectedDiets([]);
     setShowSuggestions(false);
+    setMode('match');
     onClose();
   };
 
+  const renderCookResult = ({ item }) => {
+    const percent = Math.round(item.score * 100);
+    return (
+      <View style={styles.recipeCard}>
+        <TouchableOpacity
+          style={styles.recipeInfo}
+          onPress={() => {
+            onSelectRecipe(item.recipe);
+            handleClose();
+          }}
+        >
+          <Text style={styles.recipeTitle}>{item.recipe.title}</Text>
+          <Text style={styles.recipeMeta}>
+            Have {item.haveCount} of {item.neededCount} ingredients
+          </Text>
+          {item.missing.length > 0 && (
+            <Text style={styles.missingText} numberOfLines={2}>
+              Missing: {item.missing.map(m => m.key).join(', ')}
+            </Text>
+          )}
+        </TouchableOpacity>
+        <View style={{ alignItems: 'center' }}>
+          <View style={styles.matchBadge}>
+            <Text style={styles.matchText}>{percent}%</Text>
+            <Text style={styles.matchLabel}>on hand</Text>
+          </View>
+          {item.missing.length > 0 && onAddToGroceryList && (
+            <TouchableOpacity style={styles.addMissingButton} onPress={() => addMissingToList(item)}>
+              <Ionicons name="cart-outline" size={14} color={colors.primary} style={{ marginRight: 3 }} />
+              <Text style={styles.addMissingText}>Add {item.missing.length}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </View>
+    );
+  };
+
   return (
     <Modal
       visible={visible}
@@ -247,7 +393,23 @@ export const IngredientSearch = ({ visible, onClose, recipes, onSelectRecipe })
 
         {/* Search Input */}
         <View style={styles.searchSection}>
-          <Text style={styles.label}>Type ingredients you have:</Text>
+          <View style={styles.modeGroup}>
+            {SEARCH_MODES.map(m => {
+              const active = m.key === mode;
+              return (
+                <TouchableOpacity
+                  key={m.key}
+                  style={[styles.modeButton, active && styles.modeButtonActive]}
+                  onPress={() => switchMode(m.key)}
+                >
+                  <Text style={[styles.modeText, active && styles.modeTextActive]}>{m.label}</Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+          <Text style={styles.label}>
+            {mode === 'cook' ? 'What do you have on hand?' : 'Type ingredients you have:'}
+          </Text>
           <TextInput
             style={styles.searchInput}
             placeholder="e.g., chicken, garlic, tomato..."
@@ -345,11 +507,58 @@ export const IngredientSearch = ({ visible, onClose, recipes, onSelectRecipe })
               </ScrollView>
             </View>
           )}
+
+          {mode === 'cook' && (
+            <View style={styles.usualRow}>
+              {selectedIngredients.length > 0 && (
+                <TouchableOpacity style={styles.usualLink} onPress={rememberUsual}>
+                  <Ionicons name="bookmark-outline" size={14} color={colors.primary} style={{ marginRight: 4 }} />
+                  <Text style={styles.usualLinkText}>Remember as my usual</Text>
+                </TouchableOpacity>
+              )}
+              {haveSeed.some(key => !selectedIngredients.includes(key)) && (
+                <TouchableOpacity
+                  style={styles.usualLink}
+                  onPress={() => setSelectedIngredients(prev => Array.from(new Set([...prev, ...haveSeed])))}
+                >
+                  <Ionicons name="basket-outline" size={14} color={colors.primary} style={{ marginRight: 4 }} />
+                  <Text style={styles.usualLinkText}>Add my usual & pantry</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          )}
         </View>
 
         {/* Results */}
         <View style={styles.resultsSection}>
-          {selectedIngredients.length === 0 && selectedDiets.length === 0 ? (
+          {mode === 'cook' ? (
+            selectedIngredients.length === 0 ? (
+              <View style={styles.emptyState}>
+                <Ionicons name="basket-outline" size={48} color={colors.textLight} style={{ marginBottom: 12 }} />
+                <Text style={styles.emptyStateText}>Tell us what you have</Text>
+                <Text style={styles.emptyStateSubtext}>
+                  Add ingredients above - salt, oil and water are assumed
+                </Text>
+              </View>
+            ) : cookableRecipes.length === 0 ? (
+              <View style={styles.emptyState}>
+                <Ionicons name="sad-outline" size={48} color={colors.textLight} style={{ marginBottom: 12 }} />
+                <Text style={styles.emptyStateText}>No recipes use these</Text>
+                <Text style={styles.emptyStateSubtext}>Add a few more ingredients you have</Text>
+              </View>
+            ) : (
+              <>
+                <Text style={styles.resultsHeader}>
+                  {cookableRecipes.length} recipe{cookableRecipes.length > 1 ? 's' : ''} • {cookableRecipes.filter(r => r.missing.length === 0).length} ready to cook
+                </Text>
+                <FlatList
+                  data={cookableRecipes}
+                  keyExtractor={(item) => item.recipe.id}
+                  renderItem={renderCookResult}
+                />
+              </>
+            )
+          ) : selectedIngredients.length === 0 && selectedDiets.length === 0 ? (
             <View style={styles.emptyState}>
               <Ionicons name="search" size={48} color={colors.textLight} style={{ marginBottom: 12 }} />
               <Text style={styles.emptyStateText}>
@@ -593,6 +802,65 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginLeft: 4,
   },
+  modeGroup: {
+    flexDirection: 'row',
+    backgroundColor: colors.primaryLight,
+    borderRadius: 8,
+    padding: 2,
+    marginBottom: 12,
+  },
+  modeButton: {
+    flex: 1,
+    paddingVertical: 7,
+    borderRadius: 6,
+    alignItems: 'center',
+  },
+  modeButtonActive: {
+    backgroundColor: colors.primary,
+  },
+  modeText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  modeTextActive: {
+    color: '#fff',
+  },
+  usualRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 12,
+    marginTop: 8,
+  },
+  usualLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  usualLinkText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  missingText: {
+    fontSize: 12,
+    color: colors.error,
+    marginTop: 4,
+  },
+  addMissingButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 6,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  addMissingText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: colors.primary,
+  },
   resultsSection: {
     flex: 1,
     padding: 15,
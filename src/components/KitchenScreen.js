@@ -1,9 +1,11 @@
 /**
  * FILENAME: src/components/KitchenScreen.js
- * PURPOSE: Multi-tab kitchen hub - cook schedule, eat schedule, shop list, fridge.
+ * PURPOSE: Multi-tab kitchen hub - cook schedule, eat schedule, shop list,
+ * pantry, fridge.
  *
  * Free users default to Shop tab (existing grocery list). Premium tabs
- * (Cook/Eat/Fridge) show upgrade prompt for free users.
+ * (Cook/Eat/Fridge) show upgrade prompt for free users. The pantry is
+ * free - it works with the grocery list, which free users have too.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -20,11 +22,13 @@ import { GroceryList } from './GroceryList';
 import CookSchedule from './CookSchedule';
 import EatSchedule from './EatSchedule';
 import FridgeView from './FridgeView';
+import PantryView from './PantryView';
 
 const TABS = [
   { key: 'cook',   label: 'Cook',   icon: 'flame',      premium: true },
   { key: 'eat',    label: 'Eat',    icon: 'restaurant', premium: true },
   { key: 'shop',   label: 'Shop',   icon: 'cart',       premium: false },
+  { key: 'pantry', label: 'Pantry', icon: 'basket',     premium: false },
   { key: 'fridge', label: 'Fridge', icon: 'snow',       premium: true },
 ];
 
@@ -46,12 +50,32 @@ const KitchenScreen = ({
   onOpenRecipe,
   // Grocery list props
   groceryList,
+  aisleOverrides,
   onToggleItem,
+  onToggleItems,
   onRemoveItem,
+  onRemoveItems,
   onClearChecked,
   onClearAll,
   onAddCustomItem,
+  onSetIngredientAisle,
   onAddItemsToGroceryList,
+  onBuildShoppingList,
+  // Shared cloud grocery lists
+  friends,
+  groceryLists,
+  activeGroceryListId,
+  groceryListMembers,
+  onSwitchGroceryList,
+  onLoadGroceryListMembers,
+  onInviteToGroceryList,
+  onRemoveGroceryListMember,
+  onAddCheckedToPantry,
+  // Pantry props
+  pantry,
+  onAddPantryItem,
+  onUpdatePantryItem,
+  onRemovePantryItem,
 }) => {
   // Free users default to Shop tab; premium users can default to Cook
   const [activeTab, setActiveTab] = useState(isPremium ? 'cook' : 'shop');
@@ -78,15 +102,39 @@ const KitchenScreen = ({
           visible={true}
           onClose={() => {}}
           groceryList={groceryList}
+          aisleOverrides={aisleOverrides}
           onToggleItem={onToggleItem}
+          onToggleItems={onToggleItems}
           onRemoveItem={onRemoveItem}
+          onRemoveItems={onRemoveItems}
           onClearChecked={onClearChecked}
           onClearAll={onClearAll}
           onAddCustomItem={onAddCustomItem}
+          onSetIngredientAisle={onSetIngredientAisle}
+          currentUserId={userId}
+          friends={friends}
+          groceryLists={groceryLists}
+          activeListId={activeGroceryListId}
+          listMembers={groceryListMembers}
+          onSwitchList={onSwitchGroceryList}
+          onLoadListMembers={onLoadGroceryListMembers}
+          onInviteFriends={onInviteToGroceryList}
+          onRemoveListMember={onRemoveGroceryListMember}
+          onAddCheckedToPantry={onAddCheckedToPantry}
           embedded={true}
         />
       );
     }
+    if (activeTab === 'pantry') {
+      return (
+        <PantryView
+          pantry={pantry}
+          onAddItem={onAddPantryItem}
+          onUpdateItem={onUpdatePantryItem}
+          onRemoveItem={onRemovePantryItem}
+        />
+      );
+    }
 
     // Premium tabs: gate by subscription
     if (!isPremium) {
@@ -111,6 +159,7 @@ const KitchenScreen = ({
           recipes={recipes}
           onOpenRecipe={onOpenRecipe}
           onAddItemsToGroceryList={onAddItemsToGroceryList}
+          onBuildShoppingList={onBuildShoppingList}
         />
       );
     }
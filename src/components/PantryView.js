@@ -0,0 +1,306 @@
+/**
+ * FILENAME: src/components/PantryView.js
+ * PURPOSE: Raw ingredients on hand - what the shopping list can skip.
+ *
+ * Items are typed the way they'd appear in a recipe ("2 lb chicken
+ * breast", or just "rice" for something we always have) with an optional
+ * expiry date. Checked-off groceries can be added from the Shop tab.
+ * Expired items stay listed (flagged) but no longer count against the
+ * shopping list - see subtractPantry in src/utils/pantry.js.
+ */
+
+import React, { useState, useMemo } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  ScrollView,
+  StyleSheet,
+  TouchableOpacity,
+  TextInput,
+  Alert,
+  Keyboard,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import colors from '../constants/colors';
+import { formatPantryItem, daysUntilExpiry, todayString } from '../utils/pantry';
+
+const EXPIRY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const USE_SOON_DAYS = 3;
+
+// Empty is fine (no date); anything else has to be a real YYYY-MM-DD
+const parseExpiry = (value) => {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return { ok: true, date: null };
+  if (!EXPIRY_PATTERN.test(trimmed) || isNaN(new Date(`${trimmed}T00:00:00`))) {
+    return { ok: false };
+  }
+  return { ok: true, date: trimmed };
+};
+
+const expiryLabel = (days) => {
+  if (days < 0) return `Expired ${-days === 1 ? 'yesterday' : `${-days} days ago`}`;
+  if (days === 0) return 'Expires today';
+  if (days === 1) return 'Expires tomorrow';
+  return `Expires in ${days} days`;
+};
+
+const PantryView = ({ pantry, onAddItem, onUpdateItem, onRemoveItem }) => {
+  const [newText, setNewText] = useState('');
+  const [newExpiry, setNewExpiry] = useState('');
+  // modal state: { item, text, expiresOn }
+  const [editing, setEditing] = useState(null);
+
+  // Soonest expiry first, undated items after, then alphabetical
+  const sorted = useMemo(() => {
+    return [...pantry].sort((a, b) => {
+      if (a.expiresOn && b.expiresOn && a.expiresOn !== b.expiresOn) {
+        return a.expiresOn < b.expiresOn ? -1 : 1;
+      }
+      if (!!a.expiresOn !== !!b.expiresOn) return a.expiresOn ? -1 : 1;
+      return a.name.localeCompare(b.name);
+    });
+  }, [pantry]);
+
+  const handleAdd = async () => {
+    const expiry = parseExpiry(newExpiry);
+    if (!expiry.ok) {
+      Alert.alert('Check the Date', 'Enter the expiry as YYYY-MM-DD, or leave it blank.');
+      return;
+    }
+    const ok = await onAddItem(newText, expiry.date);
+    if (ok) {
+      setNewText('');
+      setNewExpiry('');
+      Keyboard.dismiss();
+    }
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editing) return;
+    const expiry = parseExpiry(editing.expiresOn);
+    if (!expiry.ok) {
+      Alert.alert('Check the Date', 'Enter the expiry as YYYY-MM-DD, or leave it blank.');
+      return;
+    }
+    const ok = await onUpdateItem(editing.item.id, editing.text, expiry.date);
+    if (ok) setEditing(null);
+  };
+
+  const handleRemove = (item) => {
+    Alert.alert('Remove from Pantry', `Remove ${item.name}?`, [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Remove', style: 'destructive', onPress: () => onRemoveItem(item.id) },
+    ]);
+  };
+
+  const today = todayString();
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.addBar}>
+        <TextInput
+          style={[styles.input, { flex: 2 }]}
+          placeholder='e.g. "2 lb rice" or "olive oil"'
+          placeholderTextColor={colors.textLight}
+          value={newText}
+          onChangeText={setNewText}
+          onSubmitEditing={handleAdd}
+          returnKeyType="done"
+        />
+        <TextInput
+          style={[styles.input, { flex: 1 }]}
+          placeholder="Expires"
+          placeholderTextColor={colors.textLight}
+          value={newExpiry}
+          onChangeText={setNewExpiry}
+          onSubmitEditing={handleAdd}
+          keyboardType="numbers-and-punctuation"
+          returnKeyType="done"
+        />
+        <TouchableOpacity
+          style={[styles.addButton, !newText.trim() && styles.addButtonDisabled]}
+          onPress={handleAdd}
+          disabled={!newText.trim()}
+        >
+          <Ionicons name="add" size={22} color="#fff" />
+        </TouchableOpacity>
+      </View>
+
+      {sorted.length === 0 ? (
+        <View style={styles.emptyContainer}>
+          <Ionicons name="basket-outline" size={48} color={colors.textLight} style={{ marginBottom: 12 }} />
+          <Text style={styles.emptyTitle}>Pantry is empty</Text>
+          <Text style={styles.emptyText}>
+            Add the staples you keep on hand. Building a shopping list from the Cook tab will skip what you already have.
+          </Text>
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={{ padding: 12, paddingBottom: 40 }}>
+          <Text style={styles.header}>
+            {sorted.length} item{sorted.length !== 1 ? 's' : ''} on hand - tap to edit
+          </Text>
+          {sorted.map(item => {
+            const days = daysUntilExpiry(item, today);
+            const expired = days !== null && days < 0;
+            const useSoon = days !== null && !expired && days <= USE_SOON_DAYS;
+            return (
+              <TouchableOpacity
+                key={item.id}
+                style={[styles.card, expired && styles.cardExpired, useSoon && styles.cardUseSoon]}
+                onPress={() => setEditing({
+                  item,
+                  text: formatPantryItem(item),
+                  expiresOn: item.expiresOn || '',
+                })}
+              >
+                <View style={{ flex: 1 }}>
+                  <Text style={styles.title} numberOfLines={1}>{formatPantryItem(item)}</Text>
+                  {days !== null && (
+                    <Text style={[
+                      styles.meta,
+                      expired && { color: colors.error || '#e74c3c' },
+                      useSoon && { color: colors.warning },
+                    ]}>
+                      {expiryLabel(days)}{expired ? ' - not counted' : ''}
+                    </Text>
+                  )}
+                </View>
+                <TouchableOpacity style={styles.removeButton} onPress={() => handleRemove(item)}>
+                  <Ionicons name="trash-outline" size={16} color={colors.error} />
+                </TouchableOpacity>
+              </TouchableOpacity>
+            );
+          })}
+        </ScrollView>
+      )}
+
+      {/* Edit Modal */}
+      <Modal
+        visible={!!editing}
+        animationType="fade"
+        transparent
+        onRequestClose={() => setEditing(null)}
+      >
+        <View style={styles.overlay}>
+          <View style={styles.modalCard}>
+            <Text style={styles.modalTitle}>Edit pantry item</Text>
+            <Text style={styles.modalHelp}>Change the amount as you use it up.</Text>
+            <TextInput
+              style={styles.modalInput}
+              value={editing?.text || ''}
+              onChangeText={(text) => setEditing(e => ({ ...e, text }))}
+              placeholder="Amount and ingredient"
+              placeholderTextColor={colors.textLight}
+            />
+            <TextInput
+              style={styles.modalInput}
+              value={editing?.expiresOn || ''}
+              onChangeText={(expiresOn) => setEditing(e => ({ ...e, expiresOn }))}
+              placeholder="Expires (YYYY-MM-DD, optional)"
+              placeholderTextColor={colors.textLight}
+              keyboardType="numbers-and-punctuation"
+            />
+            <View style={styles.modalActions}>
+              <TouchableOpacity style={styles.modalCancel} onPress={() => setEditing(null)}>
+                <Text style={styles.modalCancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.modalConfirm} onPress={handleSaveEdit}>
+                <Text style={styles.modalConfirmText}>Save</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: colors.background },
+  addBar: {
+    flexDirection: 'row',
+    padding: 10,
+    gap: 8,
+    backgroundColor: '#fff',
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    fontSize: 14,
+    color: colors.text,
+  },
+  addButton: {
+    width: 40,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addButtonDisabled: { opacity: 0.4 },
+  emptyContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', padding: 40 },
+  emptyTitle: { fontSize: 22, fontWeight: '700', color: colors.text, marginBottom: 12 },
+  emptyText: { fontSize: 15, color: colors.textSecondary, textAlign: 'center', lineHeight: 22 },
+  header: { fontSize: 13, color: colors.textSecondary, marginBottom: 12 },
+  card: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  cardExpired: { borderColor: colors.error || '#e74c3c', borderWidth: 2 },
+  cardUseSoon: { borderColor: colors.warning },
+  title: { fontSize: 15, fontWeight: '600', color: colors.text },
+  meta: { fontSize: 12, color: colors.textSecondary, marginTop: 2 },
+  removeButton: { padding: 6, marginLeft: 8 },
+
+  // Modal
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)',
+    justifyContent: 'center',
+    padding: 20,
+  },
+  modalCard: { backgroundColor: '#fff', borderRadius: 16, padding: 20 },
+  modalTitle: { fontSize: 20, fontWeight: '700', color: colors.text, textAlign: 'center' },
+  modalHelp: { fontSize: 13, color: colors.textSecondary, textAlign: 'center', marginTop: 8, marginBottom: 12 },
+  modalInput: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 15,
+    color: colors.text,
+    marginBottom: 10,
+  },
+  modalActions: { flexDirection: 'row', gap: 8, marginTop: 6 },
+  modalCancel: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    alignItems: 'center',
+  },
+  modalCancelText: { color: colors.text, fontSize: 14, fontWeight: '600' },
+  modalConfirm: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+    alignItems: 'center',
+  },
+  modalConfirmText: { color: '#fff', fontSize: 14, fontWeight: '700' },
+});
+
+export default PantryView;
@@ -14,6 +14,13 @@ import { TAG_CATEGORIES, getPredefinedTagNames, combineRecipeTags } from '../con
 import { dietLabel, allergenLabel, analyzeRecipe, lineAllergens, getConflicts } from '../utils/dietaryAnalysis';
 import { pickAndUploadRecipePhoto } from '../services/recipePhoto';
 import CookMode from './CookMode';
+import RecipeHistory from './RecipeHistory';
+import RecipeMerge from './RecipeMerge';
+import SyncConflicts from './SyncConflicts';
+import RecipeVariants from './RecipeVariants';
+import { getRevisions } from '../utils/recipeRevisions';
+import { describeCookSession } from '../hooks/useCookSessions';
+import { cancelTimerNotification } from '../utils/timerNotifications';
 import {
   parseRecipeIngredients,
   scaleRecipeIngredients,
@@ -33,6 +40,21 @@ const tryParseJSON = (value) => {
   }
 };
 
+/**
+ * Servings the unscaled recipe makes - same fallbacks as the Kitchen
+ * schedules (base_servings, then the number in the servings text, then 1)
+ */
+const getBaseServings = (recipe) => {
+  if (!recipe) return 1;
+  if (recipe.base_servings) return Number(recipe.base_servings);
+  if (recipe.baseServings) return Number(recipe.baseServings);
+  if (recipe.servings) {
+    const match = String(recipe.servings).match(/(\d+(?:\.\d+)?)/);
+    if (match) return parseFloat(match[1]);
+  }
+  return 1;
+};
+
 // Helper to normalize recipe format
 const normalizeRecipe = (recipe) => {
   if (!recipe) return { ingredients: { main: [] }, instructions: [] };
@@ -118,11 +140,22 @@ export const RecipeDetail = ({
   onSelectVariant, // For selecting a variant
   onCreateVariant, // For creating a new variant
   onDeleteVariant, // For deleting a variant
+  onUpdateVariantDetails, // (recipeId, variantId, details) => Promise<boolean> - notes/rating/photo
+  onPublishVariant, // (recipeId, variantId|null) => Promise<boolean> - version shown on the profile
   onShare, // For sharing with edit options
+  onRestoreRevision, // (recipeId, revisionId) => Promise<boolean> - restore from History
+  onApplyOwnerMerge, // (recipeId, merged) => Promise<boolean> - merge the owner's update
+  onResolveSyncConflicts, // (recipeId, choices) => Promise<boolean> - fields changed on two devices
   onViewOwnerProfile, // For opening the recipe owner's profile
   dietaryPrefs = null, // { diets: [...], avoid: [...] } from user profile
   frequentTags = [], // most-searched tags, passed down from HomeScreen
   userId = null, // for photo uploads on custom/scanned recipes
+  cookSession = null, // in-progress Cook Mode session for this recipe
+  onSaveCookSession, // (recipeId, session) => void
+  onEndCookSession, // (recipeId) => void
+  onLogCook, // (recipeId, servings) => Promise - only when cook tracking is available
+  resumeCooking = false, // open straight into Cook Mode (resume banner on Home)
+  onResumeHandled,
 }) => {
   const isReadOnly = !!recipe?.isReadOnly;
   // Local editable copy of recipe - initialize with normalized data
@@ -184,6 +217,39 @@ export const RecipeDetail = ({
 
   // Cook mode - hands-on session view with cross-off steps/ingredients
   const [showCookMode, setShowCookMode] = useState(false);
+  // Cook Mode stays mounted while closed, holding its progress in state -
+  // bumped to remount it fresh when the session is discarded from here
+  const [cookModeKey, setCookModeKey] = useState(0);
+
+  // Opened from the Home resume banner - restore the session's scale
+  // first so Cook Mode shows the same amounts as before
+  useEffect(() => {
+    if (!resumeCooking) return;
+    if (cookSession) resumeCookMode();
+    onResumeHandled?.();
+  }, [resumeCooking]);
+
+  const resumeCookMode = () => {
+    if (cookSession?.scaleFactor) setScaleFactor(cookSession.scaleFactor);
+    setShowCookMode(true);
+  };
+
+  const confirmDiscardCookSession = () => {
+    Alert.alert('Discard Progress?', 'Your cooking progress for this recipe will be cleared.', [
+      { text: 'Cancel', style: 'cancel' },
+      { text: 'Discard', style: 'destructive', onPress: discardCookSession },
+    ]);
+  };
+
+  // What Cook Mode's own End Session does: stop the timers' scheduled
+  // notifications, drop its progress and clear the saved session
+  const discardCookSession = () => {
+    (cookSession?.timers || []).forEach(timer => {
+      if (!timer.done) cancelTimerNotification(timer.notificationId);
+    });
+    setCookModeKey(key => key + 1);
+    onEndCookSession?.(localRecipe.id);
+  };
 
   // Tag editing state
   const [showTagEditor, setShowTagEditor] = useState(false);
@@ -192,6 +258,10 @@ export const RecipeDetail = ({
 
   // Variant selector state
   const [showVariantPicker, setShowVariantPicker] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showMerge, setShowMerge] = useState(false);
+  const [showSyncConflicts, setShowSyncConflicts] = useState(false);
+  const [showVersions, setShowVersions] = useState(false);
   const [showCreateVariant, setShowCreateVariant] = useState(false);
   const [newVariantName, setNewVariantName] = useState('');
 
@@ -333,6 +403,12 @@ export const RecipeDetail = ({
     setEditingItem(null);
   };
 
+  const handleConfirmReviewed = () => {
+    const updated = { ...localRecipe, needs_review: false };
+    setLocalRecipe(updated);
+    onUpdate(updated);
+  };
+
   /**
    * Delete item
    */
@@ -682,7 +758,7 @@ export const RecipeDetail = ({
   /**
    * Add selected ingredients to grocery list
    */
-  const addSelectedToGroceryList = () => {
+  const addSelectedToGroceryList = async () => {
     const selectedItems = [];
     Object.entries(displayedIngredients || {}).forEach(([section, items]) => {
       items.forEach((item, index) => {
@@ -704,14 +780,15 @@ export const RecipeDetail = ({
       return;
     }
 
-    // Call the callback with selected items
-    if (onAddToGroceryList) {
-      onAddToGroceryList(selectedItems);
-    }
+    // Call the callback with selected items - it leaves off what the
+    // pantry already has and says how many it added
+    const added = onAddToGroceryList ? await onAddToGroceryList(selectedItems) : 0;
+    const inPantry = selectedItems.length - added;
 
     Alert.alert(
       'Added to Grocery List',
-      `${selectedItems.length} item${selectedItems.length > 1 ? 's' : ''} added to your grocery list!`,
+      `${added} item${added !== 1 ? 's' : ''} added to your grocery list!` +
+        (inPantry > 0 ? ` ${inPantry} already in your pantry.` : ''),
       [{ text: 'OK', onPress: () => {
         setSelectionMode(false);
         setSelectedIngredients({});
@@ -733,6 +810,8 @@ export const RecipeDetail = ({
     ? variants.find(v => v.id === selectedVariantId)
     : null;
   const currentVersionName = currentVariant?.name || (isViewingOriginal ? 'Original' : (hasOriginalVersion ? 'My Edits' : 'Original'));
+  // Needs two snapshots to compare - the first edit stores the pre-edit state too
+  const hasHistory = getRevisions(localRecipe).length > 1;
 
   const heroImageUrl = localRecipe.image_url || localRecipe.imageUrl || null;
   // Photos can be added later only on recipes the user owns the content
@@ -888,6 +967,35 @@ export const RecipeDetail = ({
         </View>
       )}
 
+      {/* Changed on two devices before they synced - user picks per field */}
+      {localRecipe.syncConflicts?.length > 0 && onResolveSyncConflicts && (
+        <TouchableOpacity style={styles.ownerUpdateBanner} onPress={() => setShowSyncConflicts(true)}>
+          <Ionicons name="phone-portrait-outline" size={18} color={colors.accentDark} style={{ marginRight: 8 }} />
+          <Text style={styles.ownerUpdateText}>Edited on another device too</Text>
+          <Text style={styles.ownerUpdateAction}>Choose</Text>
+        </TouchableOpacity>
+      )}
+
+      {/* Bulk import saved a best guess from the page text - ask for a check */}
+      {localRecipe.needs_review && onUpdate && !isReadOnly && (
+        <TouchableOpacity style={styles.ownerUpdateBanner} onPress={handleConfirmReviewed}>
+          <Ionicons name="warning-outline" size={18} color={colors.accentDark} style={{ marginRight: 8 }} />
+          <Text style={styles.ownerUpdateText}>Best guess - check the ingredients and steps</Text>
+          <Text style={styles.ownerUpdateAction}>Looks Right</Text>
+        </TouchableOpacity>
+      )}
+
+      {/* Owner updated the recipe we imported - changes waiting to merge */}
+      {localRecipe.pendingOriginal && onApplyOwnerMerge && (
+        <TouchableOpacity style={styles.ownerUpdateBanner} onPress={() => setShowMerge(true)}>
+          <Ionicons name="git-pull-request" size={18} color={colors.accentDark} style={{ marginRight: 8 }} />
+          <Text style={styles.ownerUpdateText}>
+            {localRecipe.createdBy?.username ? `@${localRecipe.createdBy.username}` : 'The owner'} updated this recipe
+          </Text>
+          <Text style={styles.ownerUpdateAction}>Review</Text>
+        </TouchableOpacity>
+      )}
+
       {/* Version/Variant Selector - shows when recipe has variants or edits */}
       {hasVariants && (
         <View style={styles.versionToggleContainer}>
@@ -899,13 +1007,48 @@ export const RecipeDetail = ({
             <Text style={styles.variantSelectorText}>{currentVersionName}</Text>
             <Text style={styles.variantSelectorArrow}>▼</Text>
           </TouchableOpacity>
+          {variants.length > 0 && onUpdateVariantDetails && (
+            <TouchableOpacity style={styles.compareVersionsButton} onPress={() => setShowVersions(true)}>
+              <Ionicons name="git-compare-outline" size={14} color={colors.primary} style={{ marginRight: 4 }} />
+              <Text style={styles.historyButtonText}>Compare</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      )}
+
+      {/* The viewed variant's own rating and notes */}
+      {currentVariant && (currentVariant.rating || currentVariant.edits?.notes) && (
+        <View style={styles.variantDetailsRow}>
+          {!!currentVariant.rating && (
+            <Text style={styles.variantRating}>
+              {'★'.repeat(currentVariant.rating)}{'☆'.repeat(5 - currentVariant.rating)}
+            </Text>
+          )}
+          {!!currentVariant.edits?.notes && (
+            <Text style={styles.variantNotes} numberOfLines={3}>{currentVariant.edits.notes}</Text>
+          )}
         </View>
       )}
 
-      {/* Edit indicator badge */}
-      {localRecipe.hasEdits && !isViewingOriginal && (
-        <View style={styles.editBadge}>
-          <Text style={styles.editBadgeText}>Edited</Text>
+      {/* Someone else's recipe shown as the version they published */}
+      {isReadOnly && localRecipe.publishedVersionName && (
+        <Text style={styles.publishedVersionText}>Version: {localRecipe.publishedVersionName}</Text>
+      )}
+
+      {/* Edit indicator badge + revision history */}
+      {((localRecipe.hasEdits && !isViewingOriginal) || hasHistory) && (
+        <View style={styles.editRow}>
+          {localRecipe.hasEdits && !isViewingOriginal && (
+            <View style={styles.editBadge}>
+              <Text style={styles.editBadgeText}>Edited</Text>
+            </View>
+          )}
+          {hasHistory && (
+            <TouchableOpacity style={styles.historyButton} onPress={() => setShowHistory(true)}>
+              <Ionicons name="time-outline" size={14} color={colors.primary} style={{ marginRight: 4 }} />
+              <Text style={styles.historyButtonText}>History</Text>
+            </TouchableOpacity>
+          )}
         </View>
       )}
 
@@ -939,7 +1082,22 @@ export const RecipeDetail = ({
       )}
 
       {/* Cook Mode - hands-on session with cross-off steps and ingredients */}
-      {!selectionMode && !editingItem && !swapMode && (
+      {!selectionMode && !editingItem && !swapMode && cookSession && (
+        <TouchableOpacity style={styles.resumeCookingBanner} onPress={resumeCookMode}>
+          <Ionicons name="flame" size={20} color="#fff" style={{ marginRight: 10 }} />
+          <View style={{ flex: 1 }}>
+            <Text style={styles.cookModeButtonText}>Resume Cooking</Text>
+            <Text style={styles.resumeCookingText}>{describeCookSession(cookSession)}</Text>
+          </View>
+          <TouchableOpacity
+            onPress={confirmDiscardCookSession}
+            hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+          >
+            <Ionicons name="close" size={20} color="#fff" />
+          </TouchableOpacity>
+        </TouchableOpacity>
+      )}
+      {!selectionMode && !editingItem && !swapMode && !cookSession && (
         <TouchableOpacity
           style={styles.cookModeButton}
           onPress={() => setShowCookMode(true)}
@@ -1364,18 +1522,38 @@ export const RecipeDetail = ({
           );
         }
 
-        // External URL: show link
+        // External URL: show link, with the publisher's author and video
+        // when the page's structured data named them
         if (sourceUrl) {
+          const openLink = (link) => Linking.openURL(link).catch(() =>
+            Alert.alert('Error', 'Could not open URL')
+          );
           return (
             <View style={styles.sourceContainer}>
+              {localRecipe.author && (
+                <View style={styles.attributionRow}>
+                  <Text style={styles.sourceLabel}>Recipe by: </Text>
+                  {localRecipe.author_url ? (
+                    <TouchableOpacity onPress={() => openLink(localRecipe.author_url)}>
+                      <Text style={styles.creatorName}>{localRecipe.author}</Text>
+                    </TouchableOpacity>
+                  ) : (
+                    <Text style={styles.creatorName}>{localRecipe.author}</Text>
+                  )}
+                </View>
+              )}
               <Text style={styles.sourceLabel}>Source:</Text>
-              <TouchableOpacity onPress={() => {
-                Linking.openURL(sourceUrl).catch(() =>
-                  Alert.alert('Error', 'Could not open URL')
-                );
-              }}>
+              <TouchableOpacity onPress={() => openLink(sourceUrl)}>
                 <Text style={styles.sourceUrl}>{sourceUrl}</Text>
               </TouchableOpacity>
+              {localRecipe.video?.url && (
+                <TouchableOpacity style={styles.videoLink} onPress={() => openLink(localRecipe.video.url)}>
+                  <Ionicons name="play-circle-outline" size={18} color={colors.primary} style={{ marginRight: 6 }} />
+                  <Text style={styles.videoLinkText} numberOfLines={1}>
+                    {localRecipe.video.name || 'Watch the video'}
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
           );
         }
@@ -1683,13 +1861,24 @@ export const RecipeDetail = ({
         </View>
       </Modal>
 
-      {/* Cook Mode - session-scoped, uses the currently scaled amounts */}
+      {/* Cook Mode - uses the currently scaled amounts; progress is saved
+          as a session so it can be resumed later */}
       <CookMode
+        key={cookModeKey}
         visible={showCookMode}
         onClose={() => setShowCookMode(false)}
         recipe={localRecipe}
         ingredients={displayedIngredients || localRecipe.ingredients}
         instructions={scaledInstructions || localRecipe.instructions}
+        session={cookSession}
+        onSaveSession={(session) => onSaveCookSession?.(localRecipe.id, {
+          ...session,
+          recipeTitle: localRecipe.title,
+          scaleFactor,
+        })}
+        onEndSession={() => onEndCookSession?.(localRecipe.id)}
+        servings={getBaseServings(localRecipe) * scaleFactor}
+        onLogCook={onLogCook ? (servings) => onLogCook(localRecipe.id, servings) : null}
       />
 
       {swapMode && (
@@ -1750,6 +1939,42 @@ export const RecipeDetail = ({
         </View>
       </Modal>
 
+      {onApplyOwnerMerge && (
+        <RecipeMerge
+          visible={showMerge}
+          recipe={localRecipe}
+          onApply={(merged) => onApplyOwnerMerge(localRecipe.id, merged)}
+          onClose={() => setShowMerge(false)}
+        />
+      )}
+
+      {onResolveSyncConflicts && (
+        <SyncConflicts
+          visible={showSyncConflicts}
+          recipe={localRecipe}
+          onResolve={(choices) => onResolveSyncConflicts(localRecipe.id, choices)}
+          onClose={() => setShowSyncConflicts(false)}
+        />
+      )}
+
+      {onUpdateVariantDetails && (
+        <RecipeVariants
+          visible={showVersions}
+          recipe={localRecipe}
+          userId={userId}
+          onUpdateDetails={(variantId, details) => onUpdateVariantDetails(localRecipe.id, variantId, details)}
+          onPublish={onPublishVariant ? (variantId) => onPublishVariant(localRecipe.id, variantId) : null}
+          onClose={() => setShowVersions(false)}
+        />
+      )}
+
+      <RecipeHistory
+        visible={showHistory}
+        recipe={localRecipe}
+        onRestore={!isReadOnly && onRestoreRevision ? (revisionId) => onRestoreRevision(localRecipe.id, revisionId) : null}
+        onClose={() => setShowHistory(false)}
+      />
+
       {/* Variant Picker Modal */}
       <Modal
         visible={showVariantPicker}
@@ -1849,6 +2074,17 @@ export const RecipeDetail = ({
               </TouchableOpacity>
             ))}
 
+            {onCreateVariant && (
+              <TouchableOpacity
+                style={styles.createVariantButton}
+                onPress={() => {
+                  setShowVariantPicker(false);
+                  setShowCreateVariant(true);
+                }}
+              >
+                <Text style={styles.createVariantButtonText}>+ New Version</Text>
+              </TouchableOpacity>
+            )}
           </View>
         </TouchableOpacity>
       </Modal>
@@ -2136,19 +2372,80 @@ const styles = StyleSheet.create({
     color: colors.primary,
     fontWeight: '600',
   },
+  ownerUpdateBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    backgroundColor: colors.accentLight,
+    borderRadius: 8,
+  },
+  ownerUpdateText: {
+    flex: 1,
+    fontSize: 14,
+    color: colors.text,
+  },
+  ownerUpdateAction: {
+    fontSize: 14,
+    fontWeight: '700',
+    color: colors.primary,
+  },
+  editRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
   editBadge: {
     alignSelf: 'flex-start',
     backgroundColor: '#e0f2fe',
     paddingHorizontal: 10,
     paddingVertical: 4,
     borderRadius: 12,
-    marginBottom: 12,
+    marginRight: 10,
   },
   editBadgeText: {
     fontSize: 12,
     fontWeight: '600',
     color: '#0284c7',
   },
+  historyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  historyButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
+  compareVersionsButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 10,
+    paddingVertical: 4,
+  },
+  variantDetailsRow: {
+    marginTop: -4,
+    marginBottom: 12,
+    paddingHorizontal: 10,
+  },
+  variantRating: {
+    fontSize: 15,
+    color: colors.accent,
+    marginBottom: 2,
+  },
+  variantNotes: {
+    fontSize: 13,
+    color: colors.textSecondary,
+    fontStyle: 'italic',
+  },
+  publishedVersionText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    marginBottom: 12,
+  },
   sectionHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -2386,6 +2683,22 @@ const styles = StyleSheet.create({
     color: colors.primary,
     fontStyle: 'italic',
   },
+  attributionRow: {
+    flexDirection: 'row',
+    alignItems: 'baseline',
+    marginBottom: 8,
+  },
+  videoLink: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  videoLinkText: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: '600',
+    color: colors.primary,
+  },
   privacyContainer: {
     marginTop: 15,
     padding: 15,
@@ -2767,6 +3080,20 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontWeight: '700',
   },
+  resumeCookingBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.accentDark,
+    paddingVertical: 12,
+    paddingHorizontal: 16,
+    borderRadius: 12,
+    marginBottom: 16,
+  },
+  resumeCookingText: {
+    color: 'rgba(255,255,255,0.9)',
+    fontSize: 13,
+    marginTop: 2,
+  },
   tagEditorHint: {
     fontSize: 11,
     color: colors.textTertiary,
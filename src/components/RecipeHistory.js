@@ -0,0 +1,292 @@
+/**
+ * FILENAME: src/components/RecipeHistory.js
+ * PURPOSE: Revision history for a recipe - compare any two saved revisions
+ * line by line and restore an older one
+ * USED BY: RecipeDetail ("History" next to the version selector)
+ *
+ * Revisions come from the recipe's editHistory (see utils/recipeRevisions).
+ * Restoring saves the old content as a new revision, so nothing after it
+ * is lost.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import colors from '../constants/colors';
+import { getRevisions, diffRevisions } from '../utils/recipeRevisions';
+
+const formatDate = (timestamp) => {
+  try {
+    return new Date(timestamp).toLocaleString();
+  } catch { return ''; }
+};
+
+export const DiffBlock = ({ title, lines }) => {
+  if (!lines.some(line => line.type !== 'same')) return null;
+  return (
+    <View style={styles.diffBlock}>
+      <Text style={styles.diffTitle}>{title}</Text>
+      {lines.map((line, index) => (
+        <View
+          key={index}
+          style={[
+            styles.diffLine,
+            line.type === 'added' && styles.diffLineAdded,
+            line.type === 'removed' && styles.diffLineRemoved,
+          ]}
+        >
+          <Text style={[styles.diffMarker, line.type === 'added' && styles.addedText, line.type === 'removed' && styles.removedText]}>
+            {line.type === 'added' ? '+' : line.type === 'removed' ? '−' : ' '}
+          </Text>
+          <Text
+            style={[
+              styles.diffText,
+              line.type === 'same' && styles.sameText,
+              line.type === 'removed' && styles.removedLineText,
+            ]}
+          >
+            {line.text}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const RecipeHistory = ({ visible, recipe, onRestore, onClose }) => {
+  const revisions = useMemo(() => getRevisions(recipe), [recipe?.editHistory]);
+  const [fromId, setFromId] = useState(null);
+  const [toId, setToId] = useState(null);
+
+  // Default: the latest edit (newest vs the one before it)
+  useEffect(() => {
+    if (!visible) return;
+    setToId(revisions[0]?.id || null);
+    setFromId(revisions[1]?.id || null);
+  }, [visible, revisions]);
+
+  const from = revisions.find(r => r.id === fromId);
+  const to = revisions.find(r => r.id === toId);
+  const diff = from && to ? diffRevisions(from.snapshot, to.snapshot) : null;
+
+  const handleRestore = (revision) => {
+    Alert.alert(
+      'Restore Version',
+      `Replace the recipe with the version from ${formatDate(revision.timestamp)}? The current version stays in the history.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Restore',
+          onPress: async () => {
+            const restored = await onRestore(revision.id);
+            if (restored) {
+              onClose();
+            } else {
+              Alert.alert('Error', 'Could not restore that version. Please try again.');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeButton}>Close</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>History</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        {revisions.length < 2 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="git-compare-outline" size={48} color={colors.textSecondary} style={{ marginBottom: 12 }} />
+            <Text style={styles.emptyTitle}>No earlier versions yet</Text>
+            <Text style={styles.emptyText}>Each time you edit this recipe, the previous version is kept here.</Text>
+          </View>
+        ) : (
+          <ScrollView style={styles.list}>
+            <View style={styles.columnHeader}>
+              <Text style={styles.columnLabel}>From</Text>
+              <Text style={styles.columnLabel}>To</Text>
+              <View style={{ flex: 1 }} />
+            </View>
+            {revisions.map((revision, index) => (
+              <View key={revision.id} style={styles.revisionRow}>
+                <TouchableOpacity style={styles.radio} onPress={() => setFromId(revision.id)}>
+                  <Ionicons
+                    name={fromId === revision.id ? 'radio-button-on' : 'radio-button-off'}
+                    size={20}
+                    color={fromId === revision.id ? colors.error : colors.textLight}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity style={styles.radio} onPress={() => setToId(revision.id)}>
+                  <Ionicons
+                    name={toId === revision.id ? 'radio-button-on' : 'radio-button-off'}
+                    size={20}
+                    color={toId === revision.id ? colors.success : colors.textLight}
+                  />
+                </TouchableOpacity>
+                <View style={styles.revisionBody}>
+                  <Text style={styles.revisionDescription} numberOfLines={1}>
+                    {revision.description}
+                    {index === 0 ? '  ·  Current' : ''}
+                  </Text>
+                  <Text style={styles.revisionDate}>{formatDate(revision.timestamp)}</Text>
+                </View>
+                {index > 0 && onRestore && (
+                  <TouchableOpacity style={styles.restoreButton} onPress={() => handleRestore(revision)}>
+                    <Ionicons name="arrow-undo" size={18} color={colors.primary} />
+                  </TouchableOpacity>
+                )}
+              </View>
+            ))}
+
+            {diff && (
+              <View style={styles.diffContainer}>
+                {!diff.changed ? (
+                  <Text style={styles.noChanges}>These versions are the same.</Text>
+                ) : (
+                  <>
+                    {diff.title && (
+                      <View style={styles.diffBlock}>
+                        <Text style={styles.diffTitle}>Title</Text>
+                        <Text style={[styles.diffText, styles.removedLineText]}>− {diff.title.before}</Text>
+                        <Text style={[styles.diffText, styles.addedText]}>+ {diff.title.after}</Text>
+                      </View>
+                    )}
+                    {diff.fields.length > 0 && (
+                      <View style={styles.diffBlock}>
+                        <Text style={styles.diffTitle}>Details</Text>
+                        {diff.fields.map(field => (
+                          <Text key={field.label} style={styles.diffText}>
+                            {field.label}: {field.before == null && field.after == null
+                              ? 'changed'
+                              : `${field.before ?? '—'} → ${field.after ?? '—'}`}
+                          </Text>
+                        ))}
+                      </View>
+                    )}
+                    <DiffBlock title="Ingredients" lines={diff.ingredients} />
+                    <DiffBlock title="Instructions" lines={diff.instructions} />
+                  </>
+                )}
+              </View>
+            )}
+            <View style={{ height: 40 }} />
+          </ScrollView>
+        )}
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: colors.primary,
+    paddingTop: 20,
+  },
+  closeButton: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  title: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  headerSpacer: { width: 44 },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: { fontSize: 20, fontWeight: '700', color: colors.text, marginBottom: 4 },
+  emptyText: { fontSize: 14, color: colors.textSecondary, textAlign: 'center' },
+  list: { flex: 1, padding: 16 },
+  columnHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  columnLabel: {
+    width: 36,
+    fontSize: 11,
+    fontWeight: '600',
+    color: colors.textSecondary,
+    textAlign: 'center',
+  },
+  revisionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingRight: 8,
+    marginBottom: 6,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  radio: {
+    width: 36,
+    alignItems: 'center',
+  },
+  revisionBody: { flex: 1, marginLeft: 4 },
+  revisionDescription: { fontSize: 14, fontWeight: '600', color: colors.text },
+  revisionDate: { fontSize: 12, color: colors.textSecondary, marginTop: 2 },
+  restoreButton: { padding: 6 },
+  diffContainer: { marginTop: 12 },
+  noChanges: { fontSize: 14, color: colors.textSecondary, textAlign: 'center', marginTop: 12 },
+  diffBlock: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  diffTitle: { fontSize: 15, fontWeight: '700', color: colors.text, marginBottom: 8 },
+  diffLine: {
+    flexDirection: 'row',
+    paddingVertical: 3,
+    paddingHorizontal: 4,
+    borderRadius: 4,
+  },
+  diffLineAdded: { backgroundColor: colors.primaryLight },
+  diffLineRemoved: { backgroundColor: '#FBEAE8' },
+  diffMarker: { width: 14, fontSize: 14, fontWeight: '700', color: colors.textLight },
+  diffText: { flex: 1, fontSize: 14, color: colors.text, lineHeight: 20 },
+  sameText: { color: colors.textLight },
+  addedText: { color: colors.success },
+  removedText: { color: colors.error },
+  removedLineText: { color: colors.error, textDecorationLine: 'line-through' },
+});
+
+export default RecipeHistory;
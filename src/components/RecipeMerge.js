@@ -0,0 +1,355 @@
+/**
+ * FILENAME: src/components/RecipeMerge.js
+ * PURPOSE: Review an owner's update to an imported recipe and merge it into
+ * our edits and variants
+ * USED BY: RecipeDetail (the "owner updated this recipe" banner)
+ *
+ * The merge itself is utils/recipeMerge. Changes only the owner made are
+ * already applied here; this screen shows them, plus every conflict (a
+ * line both sides changed) with a choice of mine, theirs or both.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import colors from '../constants/colors';
+import { mergeRecipe, resolveMerge } from '../utils/recipeMerge';
+
+const MAIN_TARGET = 'main';
+
+/**
+ * Everything of ours the owner's update has to merge into
+ */
+const buildTargets = (recipe) => {
+  const targets = [];
+  const ours = recipe.viewingOriginal ? recipe.editedVersion : recipe;
+  if (ours) targets.push({ key: MAIN_TARGET, name: 'My Edits', ours });
+  (recipe.variants || []).forEach(variant => {
+    targets.push({ key: variant.id, name: variant.name, ours: variant.edits || {} });
+  });
+  return targets;
+};
+
+const ChoiceButtons = ({ value, onChange, allowBoth = false }) => (
+  <View style={styles.choiceRow}>
+    {[
+      ['ours', 'Keep mine'],
+      ['theirs', 'Use theirs'],
+      ...(allowBoth ? [['both', 'Keep both']] : []),
+    ].map(([choice, label]) => (
+      <TouchableOpacity
+        key={choice}
+        style={[styles.choiceButton, value === choice && styles.choiceButtonActive]}
+        onPress={() => onChange(choice)}
+      >
+        <Text style={[styles.choiceText, value === choice && styles.choiceTextActive]}>{label}</Text>
+      </TouchableOpacity>
+    ))}
+  </View>
+);
+
+const LinesSection = ({ title, field, chunks, choices, onChoose }) => {
+  if (chunks.length === 0) return null;
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {chunks.map((chunk, index) => {
+        if (chunk.type === 'ok') {
+          return chunk.lines.map((line, lineIndex) => (
+            <View key={`${index}-${lineIndex}`} style={[styles.line, chunk.from === 'theirs' && styles.lineTheirs]}>
+              <Text style={[styles.lineText, chunk.from === 'base' && styles.lineUnchanged]}>{line}</Text>
+              {chunk.from === 'theirs' && <Text style={styles.lineTag}>owner</Text>}
+              {chunk.from === 'ours' && <Text style={styles.lineTag}>yours</Text>}
+            </View>
+          ));
+        }
+
+        const key = `${field}:${index}`;
+        return (
+          <View key={key} style={styles.conflict}>
+            <Text style={styles.conflictLabel}>Yours</Text>
+            {chunk.ours.length > 0
+              ? chunk.ours.map((line, i) => <Text key={i} style={styles.conflictLine}>{line}</Text>)
+              : <Text style={styles.conflictEmpty}>(removed)</Text>}
+            <Text style={styles.conflictLabel}>Owner's</Text>
+            {chunk.theirs.length > 0
+              ? chunk.theirs.map((line, i) => <Text key={i} style={styles.conflictLine}>{line}</Text>)
+              : <Text style={styles.conflictEmpty}>(removed)</Text>}
+            <ChoiceButtons value={choices[key]} onChange={(choice) => onChoose(key, choice)} allowBoth />
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const RecipeMerge = ({ visible, recipe, onApply, onClose }) => {
+  const targets = useMemo(() => (recipe ? buildTargets(recipe) : []), [recipe]);
+  const merges = useMemo(() => {
+    const result = {};
+    if (!recipe?.pendingOriginal) return result;
+    targets.forEach(target => {
+      result[target.key] = mergeRecipe(recipe.originalRecipe, target.ours, recipe.pendingOriginal);
+    });
+    return result;
+  }, [recipe, targets]);
+
+  const [activeKey, setActiveKey] = useState(MAIN_TARGET);
+  const [choices, setChoices] = useState({});
+  const [applying, setApplying] = useState(false);
+
+  useEffect(() => {
+    if (!visible) return;
+    setChoices({});
+    setActiveKey(targets[0]?.key || MAIN_TARGET);
+  }, [visible, recipe?.pendingOriginalAt]);
+
+  if (!recipe?.pendingOriginal) return null;
+
+  const resolved = {};
+  targets.forEach(target => {
+    resolved[target.key] = resolveMerge(merges[target.key], choices[target.key]);
+  });
+  const unresolved = targets.reduce((sum, target) => {
+    const merge = merges[target.key];
+    const made = Object.keys(choices[target.key] || {}).length;
+    return sum + Math.max(0, merge.conflicts - made);
+  }, 0);
+  const autoApplied = targets.reduce((sum, target) => sum + merges[target.key].ownerChanges, 0);
+
+  const choose = (key, choice) => {
+    setChoices(prev => ({ ...prev, [activeKey]: { ...(prev[activeKey] || {}), [key]: choice } }));
+  };
+
+  const handleApply = async () => {
+    setApplying(true);
+    try {
+      const variants = {};
+      targets.filter(t => t.key !== MAIN_TARGET).forEach(t => { variants[t.key] = resolved[t.key]; });
+      const applied = await onApply({ main: resolved[MAIN_TARGET] || null, variants });
+      if (applied) {
+        onClose();
+      } else {
+        Alert.alert('Error', 'Could not apply the update. Please try again.');
+      }
+    } finally {
+      setApplying(false);
+    }
+  };
+
+  const active = targets.find(t => t.key === activeKey) || targets[0];
+  const merge = active ? merges[active.key] : null;
+  const activeChoices = (active && choices[active.key]) || {};
+  const owner = recipe.createdBy?.username ? `@${recipe.createdBy.username}` : 'The owner';
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeButton}>Later</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Owner's Update</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <ScrollView style={styles.list}>
+          <Text style={styles.summary}>
+            {owner} changed this recipe since you saved it.
+            {autoApplied > 0 ? ` ${autoApplied} change${autoApplied !== 1 ? 's' : ''} merged in automatically.` : ''}
+            {unresolved > 0
+              ? ` ${unresolved} conflict${unresolved !== 1 ? 's' : ''} with your edits need${unresolved === 1 ? 's' : ''} a decision.`
+              : ' Nothing conflicts with your edits.'}
+          </Text>
+
+          {targets.length > 1 && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.targetScroll}>
+              {targets.map(target => {
+                const left = merges[target.key].conflicts - Object.keys(choices[target.key] || {}).length;
+                return (
+                  <TouchableOpacity
+                    key={target.key}
+                    style={[styles.targetChip, active?.key === target.key && styles.targetChipActive]}
+                    onPress={() => setActiveKey(target.key)}
+                  >
+                    <Text style={[styles.targetChipText, active?.key === target.key && styles.targetChipTextActive]}>
+                      {target.name}{left > 0 ? ` (${left})` : ''}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          )}
+
+          {merge && (
+            <>
+              {merge.title.conflict && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Title</Text>
+                  <View style={styles.conflict}>
+                    <Text style={styles.conflictLabel}>Yours</Text>
+                    <Text style={styles.conflictLine}>{merge.title.conflict.ours}</Text>
+                    <Text style={styles.conflictLabel}>Owner's</Text>
+                    <Text style={styles.conflictLine}>{merge.title.conflict.theirs}</Text>
+                    <ChoiceButtons value={activeChoices.title} onChange={(choice) => choose('title', choice)} />
+                  </View>
+                </View>
+              )}
+              {merge.image_url.conflict && (
+                <View style={styles.section}>
+                  <Text style={styles.sectionTitle}>Photo</Text>
+                  <View style={styles.conflict}>
+                    <Text style={styles.conflictLine}>You and the owner both changed the photo.</Text>
+                    <ChoiceButtons value={activeChoices.image_url} onChange={(choice) => choose('image_url', choice)} />
+                  </View>
+                </View>
+              )}
+              <LinesSection
+                title="Ingredients"
+                field="ingredients"
+                chunks={merge.ingredients}
+                choices={activeChoices}
+                onChoose={choose}
+              />
+              <LinesSection
+                title="Instructions"
+                field="instructions"
+                chunks={merge.instructions}
+                choices={activeChoices}
+                onChoose={choose}
+              />
+            </>
+          )}
+          <View style={{ height: 40 }} />
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.applyButton, (unresolved > 0 || applying) && styles.applyButtonDisabled]}
+            onPress={handleApply}
+            disabled={unresolved > 0 || applying}
+          >
+            <Text style={styles.applyButtonText}>
+              {unresolved > 0 ? `Resolve ${unresolved} conflict${unresolved !== 1 ? 's' : ''}` : 'Apply Update'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: colors.primary,
+    paddingTop: 20,
+  },
+  closeButton: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  title: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  headerSpacer: { width: 44 },
+  list: { flex: 1, padding: 16 },
+  summary: { fontSize: 14, color: colors.textSecondary, marginBottom: 12, lineHeight: 20 },
+  targetScroll: { marginBottom: 12 },
+  targetChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    backgroundColor: colors.lightGray,
+    borderRadius: 16,
+    marginRight: 8,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  targetChipActive: {
+    backgroundColor: colors.primaryLight,
+    borderColor: colors.primary,
+  },
+  targetChipText: { fontSize: 14, color: colors.text, fontWeight: '500' },
+  targetChipTextActive: { color: colors.primary, fontWeight: '700' },
+  section: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  sectionTitle: { fontSize: 15, fontWeight: '700', color: colors.text, marginBottom: 8 },
+  line: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 3,
+    paddingHorizontal: 4,
+    borderRadius: 4,
+  },
+  lineTheirs: { backgroundColor: colors.primaryLight },
+  lineText: { flex: 1, fontSize: 14, color: colors.text, lineHeight: 20 },
+  lineUnchanged: { color: colors.textLight },
+  lineTag: { fontSize: 11, color: colors.textSecondary, marginLeft: 8 },
+  conflict: {
+    backgroundColor: colors.accentLight,
+    borderRadius: 8,
+    padding: 10,
+    marginVertical: 6,
+  },
+  conflictLabel: { fontSize: 12, fontWeight: '700', color: colors.textSecondary, marginTop: 4 },
+  conflictLine: { fontSize: 14, color: colors.text, lineHeight: 20 },
+  conflictEmpty: { fontSize: 14, color: colors.textLight, fontStyle: 'italic' },
+  choiceRow: { flexDirection: 'row', marginTop: 10, gap: 8 },
+  choiceButton: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: '#fff',
+  },
+  choiceButtonActive: { backgroundColor: colors.primary, borderColor: colors.primary },
+  choiceText: { fontSize: 13, color: colors.text, fontWeight: '600' },
+  choiceTextActive: { color: '#fff' },
+  footer: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  applyButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  applyButtonDisabled: { opacity: 0.5 },
+  applyButtonText: { fontSize: 18, fontWeight: '700', color: '#fff' },
+});
+
+export default RecipeMerge;
@@ -0,0 +1,381 @@
+/**
+ * FILENAME: src/components/RecipeVariants.js
+ * PURPOSE: A recipe's versions side by side - each variant's own notes,
+ * rating and photo, a line diff between any two versions, and which one
+ * the public profile shows
+ * USED BY: RecipeDetail ("Compare" next to the version selector)
+ *
+ * Versions are the base recipe plus its variants (see utils/recipeVariants).
+ * Publishing a variant only changes what other people see; the base
+ * recipe stays as it is.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  TextInput,
+  Image,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import colors from '../constants/colors';
+import { DiffBlock } from './RecipeHistory';
+import { listVersions, compareVariants, BASE_VERSION_ID } from '../utils/recipeVariants';
+import { pickAndUploadRecipePhoto } from '../services/recipePhoto';
+
+const RATINGS = [1, 2, 3, 4, 5];
+
+const VersionChips = ({ versions, selectedId, onSelect }) => (
+  <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.chipRow}>
+    {versions.map(version => (
+      <TouchableOpacity
+        key={version.id || 'base'}
+        style={[styles.chip, selectedId === version.id && styles.chipActive]}
+        onPress={() => onSelect(version.id)}
+      >
+        <Text style={[styles.chipText, selectedId === version.id && styles.chipTextActive]} numberOfLines={1}>
+          {version.name}
+        </Text>
+      </TouchableOpacity>
+    ))}
+  </ScrollView>
+);
+
+const RecipeVariants = ({ visible, recipe, userId, onUpdateDetails, onPublish, onClose }) => {
+  const versions = useMemo(() => listVersions(recipe), [recipe?.variants]);
+  const [fromId, setFromId] = useState(BASE_VERSION_ID);
+  const [toId, setToId] = useState(BASE_VERSION_ID);
+  const [noteDrafts, setNoteDrafts] = useState({});
+  const [uploadingId, setUploadingId] = useState(null);
+
+  // Default: the base recipe against the version being viewed (or the newest)
+  useEffect(() => {
+    if (!visible) return;
+    const variants = recipe?.variants || [];
+    setFromId(BASE_VERSION_ID);
+    setToId(recipe?.selectedVariantId || variants[variants.length - 1]?.id || BASE_VERSION_ID);
+    setNoteDrafts({});
+  }, [visible]);
+
+  const diff = fromId !== toId ? compareVariants(recipe, fromId, toId) : null;
+  const publishedId = recipe?.publishedVariantId || BASE_VERSION_ID;
+
+  const saveDetails = async (variantId, details) => {
+    const saved = await onUpdateDetails(variantId, details);
+    if (!saved) Alert.alert('Error', 'Could not save this version. Please try again.');
+  };
+
+  const saveNotes = (variant) => {
+    const draft = noteDrafts[variant.id];
+    if (draft === undefined || draft === (variant.edits?.notes || '')) return;
+    saveDetails(variant.id, { notes: draft.trim() });
+  };
+
+  const pickPhoto = async (variant, fromCamera) => {
+    setUploadingId(variant.id);
+    try {
+      // Own storage path per variant so it doesn't replace the recipe's photo
+      const url = await pickAndUploadRecipePhoto({
+        userId,
+        recipeId: `${recipe.id}-${variant.id}`,
+        fromCamera,
+      });
+      if (url) await saveDetails(variant.id, { image_url: url });
+    } finally {
+      setUploadingId(null);
+    }
+  };
+
+  const handlePhoto = (variant) => {
+    Alert.alert(
+      'Version Photo',
+      `A photo of how "${variant.name}" turned out`,
+      [
+        { text: 'Take Photo', onPress: () => pickPhoto(variant, true) },
+        { text: 'Choose from Library', onPress: () => pickPhoto(variant, false) },
+        variant.edits?.image_url
+          ? { text: 'Remove Photo', style: 'destructive', onPress: () => saveDetails(variant.id, { image_url: null }) }
+          : null,
+        { text: 'Cancel', style: 'cancel' },
+      ].filter(Boolean)
+    );
+  };
+
+  const handlePublish = async (versionId) => {
+    const published = await onPublish(versionId);
+    if (!published) Alert.alert('Error', 'Could not update your profile. Please try again.');
+  };
+
+  const renderVersion = (version) => {
+    const { variant } = version;
+    const photo = variant?.edits?.image_url || null;
+    const isPublished = publishedId === version.id;
+
+    return (
+      <View key={version.id || 'base'} style={styles.versionCard}>
+        <View style={styles.versionHeader}>
+          <View style={{ flex: 1 }}>
+            <Text style={styles.versionName}>{version.name}</Text>
+            {variant?.sharedBy && <Text style={styles.versionMeta}>shared by @{variant.sharedBy}</Text>}
+            {!variant && <Text style={styles.versionMeta}>The recipe as saved</Text>}
+          </View>
+          {onPublish && (
+            isPublished ? (
+              <View style={styles.publishedBadge}>
+                <Ionicons name="globe-outline" size={12} color="#fff" style={{ marginRight: 4 }} />
+                <Text style={styles.publishedBadgeText}>On profile</Text>
+              </View>
+            ) : (
+              <TouchableOpacity style={styles.publishButton} onPress={() => handlePublish(version.id)}>
+                <Text style={styles.publishButtonText}>Show on profile</Text>
+              </TouchableOpacity>
+            )
+          )}
+        </View>
+
+        {variant && (
+          <>
+            <View style={styles.ratingRow}>
+              {RATINGS.map(value => (
+                <TouchableOpacity
+                  key={value}
+                  onPress={() => saveDetails(variant.id, { rating: variant.rating === value ? null : value })}
+                  hitSlop={{ top: 6, bottom: 6, left: 2, right: 2 }}
+                >
+                  <Ionicons
+                    name={(variant.rating || 0) >= value ? 'star' : 'star-outline'}
+                    size={20}
+                    color={(variant.rating || 0) >= value ? colors.accent : colors.textLight}
+                    style={{ marginRight: 4 }}
+                  />
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.photoRow}>
+              {photo ? (
+                <Image source={{ uri: photo }} style={styles.photo} />
+              ) : (
+                <View style={[styles.photo, styles.photoEmpty]}>
+                  <Ionicons name="image-outline" size={22} color={colors.textLight} />
+                </View>
+              )}
+              <TouchableOpacity
+                style={styles.photoButton}
+                onPress={() => handlePhoto(variant)}
+                disabled={uploadingId === variant.id}
+              >
+                {uploadingId === variant.id ? (
+                  <ActivityIndicator size="small" color={colors.primary} />
+                ) : (
+                  <Text style={styles.photoButtonText}>{photo ? 'Change Photo' : 'Add Photo'}</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+
+            <TextInput
+              style={styles.notesInput}
+              placeholder="Notes on this version - what changed, how it went..."
+              placeholderTextColor={colors.textLight}
+              multiline
+              value={noteDrafts[variant.id] ?? (variant.edits?.notes || '')}
+              onChangeText={(text) => setNoteDrafts(prev => ({ ...prev, [variant.id]: text }))}
+              onEndEditing={() => saveNotes(variant)}
+            />
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeButton}>Close</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Versions</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <ScrollView style={styles.list} keyboardShouldPersistTaps="handled">
+          {recipe?.isPrivate && onPublish && (
+            <Text style={styles.hint}>This recipe is private, so no version shows on your profile until you share it.</Text>
+          )}
+          {versions.map(renderVersion)}
+
+          {versions.length > 1 && (
+            <View style={styles.compareSection}>
+              <Text style={styles.sectionTitle}>Compare</Text>
+              <Text style={styles.chipLabel}>From</Text>
+              <VersionChips versions={versions} selectedId={fromId} onSelect={setFromId} />
+              <Text style={styles.chipLabel}>To</Text>
+              <VersionChips versions={versions} selectedId={toId} onSelect={setToId} />
+
+              {!diff ? (
+                <Text style={styles.noChanges}>Pick two different versions to compare.</Text>
+              ) : !diff.changed ? (
+                <Text style={styles.noChanges}>These versions are the same.</Text>
+              ) : (
+                <View style={styles.diffContainer}>
+                  {diff.title && (
+                    <View style={styles.diffBlock}>
+                      <Text style={styles.diffTitle}>Title</Text>
+                      <Text style={[styles.diffText, styles.removedLineText]}>− {diff.title.before}</Text>
+                      <Text style={[styles.diffText, styles.addedText]}>+ {diff.title.after}</Text>
+                    </View>
+                  )}
+                  {diff.notes && (
+                    <View style={styles.diffBlock}>
+                      <Text style={styles.diffTitle}>Notes</Text>
+                      {!!diff.notes.before && <Text style={[styles.diffText, styles.removedLineText]}>− {diff.notes.before}</Text>}
+                      {!!diff.notes.after && <Text style={[styles.diffText, styles.addedText]}>+ {diff.notes.after}</Text>}
+                    </View>
+                  )}
+                  {diff.fields.length > 0 && (
+                    <View style={styles.diffBlock}>
+                      <Text style={styles.diffTitle}>Details</Text>
+                      {diff.fields.map(field => (
+                        <Text key={field.label} style={styles.diffText}>
+                          {field.label}: {field.before == null && field.after == null
+                            ? 'different'
+                            : `${field.before ?? '—'} → ${field.after ?? '—'}`}
+                        </Text>
+                      ))}
+                    </View>
+                  )}
+                  <DiffBlock title="Ingredients" lines={diff.ingredients} />
+                  <DiffBlock title="Steps" lines={diff.instructions} />
+                </View>
+              )}
+            </View>
+          )}
+          <View style={{ height: 40 }} />
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: colors.primary,
+    paddingTop: 20,
+  },
+  closeButton: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  title: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  headerSpacer: { width: 44 },
+  list: { flex: 1, padding: 16 },
+  hint: { fontSize: 13, color: colors.textSecondary, marginBottom: 10, lineHeight: 18 },
+  versionCard: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  versionHeader: { flexDirection: 'row', alignItems: 'center' },
+  versionName: { fontSize: 16, fontWeight: '700', color: colors.text },
+  versionMeta: { fontSize: 12, color: colors.textSecondary, marginTop: 2 },
+  publishedBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.primary,
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+  },
+  publishedBadgeText: { fontSize: 12, fontWeight: '600', color: '#fff' },
+  publishButton: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+    borderRadius: 6,
+    borderWidth: 1,
+    borderColor: colors.primary,
+  },
+  publishButtonText: { fontSize: 12, fontWeight: '600', color: colors.primary },
+  ratingRow: { flexDirection: 'row', marginTop: 10 },
+  photoRow: { flexDirection: 'row', alignItems: 'center', marginTop: 10 },
+  photo: { width: 64, height: 48, borderRadius: 6 },
+  photoEmpty: {
+    backgroundColor: colors.lightGray,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  photoButton: { marginLeft: 12, paddingVertical: 6 },
+  photoButtonText: { fontSize: 14, fontWeight: '600', color: colors.primary },
+  notesInput: {
+    marginTop: 10,
+    minHeight: 60,
+    borderWidth: 1,
+    borderColor: colors.borderLight,
+    borderRadius: 8,
+    padding: 10,
+    fontSize: 14,
+    color: colors.text,
+    textAlignVertical: 'top',
+  },
+  compareSection: { marginTop: 8 },
+  sectionTitle: { fontSize: 17, fontWeight: '700', color: colors.text, marginBottom: 8 },
+  chipLabel: { fontSize: 12, fontWeight: '600', color: colors.textSecondary, marginTop: 4, marginBottom: 4 },
+  chipRow: { flexGrow: 0, marginBottom: 6 },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: colors.border,
+    backgroundColor: '#fff',
+    marginRight: 8,
+    maxWidth: 180,
+  },
+  chipActive: { backgroundColor: colors.primary, borderColor: colors.primary },
+  chipText: { fontSize: 13, color: colors.text },
+  chipTextActive: { color: '#fff', fontWeight: '600' },
+  noChanges: { fontSize: 14, color: colors.textSecondary, textAlign: 'center', marginTop: 12 },
+  diffContainer: { marginTop: 8 },
+  diffBlock: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  diffTitle: { fontSize: 15, fontWeight: '700', color: colors.text, marginBottom: 8 },
+  diffText: { fontSize: 14, color: colors.text, lineHeight: 20 },
+  addedText: { color: colors.success },
+  removedLineText: { color: colors.error, textDecorationLine: 'line-through' },
+});
+
+export default RecipeVariants;
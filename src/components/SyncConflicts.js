@@ -0,0 +1,239 @@
+/**
+ * FILENAME: src/components/SyncConflicts.js
+ * PURPOSE: Pick between this device's and another device's value for
+ * recipe fields both changed before they synced
+ * USED BY: RecipeDetail (the "edited on two devices" banner)
+ *
+ * Conflicts come from syncRecipes (utils/recipeSync). Until the user picks,
+ * the recipe shows the newer value; nothing is lost either way.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  Modal,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  Alert,
+} from 'react-native';
+import colors from '../constants/colors';
+import { ingredientLines, instructionLines } from '../utils/recipeRevisions';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  ingredients: 'Ingredients',
+  instructions: 'Instructions',
+  notes: 'Notes',
+  image_url: 'Photo',
+  prep_time: 'Prep time',
+  cook_time: 'Cook time',
+  total_time: 'Total time',
+  servings: 'Servings',
+  nutrition: 'Nutrition',
+  tags: 'Tags',
+  folder: 'Folder',
+  folders: 'Folders',
+  isFavorite: 'Favorite',
+  isPrivate: 'Privacy',
+  variants: 'Versions',
+  selectedVariantId: 'Selected version',
+  publishedVariantId: 'Version on your profile',
+};
+
+// A conflicting value as lines of text
+const describeValue = (field, value, recipe) => {
+  if (value === undefined || value === null || value === '') {
+    return [field === 'publishedVariantId' || field === 'selectedVariantId' ? 'Original' : '(empty)'];
+  }
+  switch (field) {
+    case 'ingredients':
+      return ingredientLines(value);
+    case 'instructions':
+      return instructionLines(value).map((step, i) => `${i + 1}. ${step}`);
+    case 'isFavorite':
+      return [value ? 'Favorite' : 'Not a favorite'];
+    case 'isPrivate':
+      return [value ? 'Private' : 'Shared'];
+    case 'tags':
+    case 'folders':
+      return [Array.isArray(value) && value.length > 0 ? value.join(', ') : '(none)'];
+    case 'variants':
+      return Array.isArray(value) && value.length > 0 ? value.map(v => v.name || 'Untitled version') : ['(none)'];
+    case 'selectedVariantId':
+    case 'publishedVariantId':
+      return [(recipe?.variants || []).find(v => v.id === value)?.name || 'A deleted version'];
+    case 'image_url':
+      return ['A different photo'];
+    case 'nutrition':
+      return [typeof value === 'object' ? Object.entries(value).map(([k, v]) => `${k}: ${v}`).join(', ') : String(value)];
+    default:
+      return String(value).split('\n');
+  }
+};
+
+const formatDate = (timestamp) => {
+  try {
+    return new Date(timestamp).toLocaleString();
+  } catch { return ''; }
+};
+
+const SyncConflicts = ({ visible, recipe, onResolve, onClose }) => {
+  const [choices, setChoices] = useState({});
+  const [saving, setSaving] = useState(false);
+  const conflicts = recipe?.syncConflicts || [];
+
+  useEffect(() => {
+    if (visible) setChoices({});
+  }, [visible]);
+
+  const unresolved = conflicts.filter(c => !choices[c.field]).length;
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const resolved = await onResolve(choices);
+      if (resolved) {
+        onClose();
+      } else {
+        Alert.alert('Error', 'Could not save your choices. Please try again.');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const renderOption = (conflict, side) => {
+    const selected = choices[conflict.field] === side;
+    const value = side === 'local' ? conflict.local : conflict.remote;
+    const at = side === 'local' ? conflict.localAt : conflict.remoteAt;
+    return (
+      <TouchableOpacity
+        style={[styles.option, selected && styles.optionSelected]}
+        onPress={() => setChoices(prev => ({ ...prev, [conflict.field]: side }))}
+      >
+        <Text style={[styles.optionLabel, selected && styles.optionLabelSelected]}>
+          {side === 'local' ? 'This device' : 'Other device'}
+          {at ? ` · ${formatDate(at)}` : ''}
+        </Text>
+        {describeValue(conflict.field, value, recipe).map((line, i) => (
+          <Text key={i} style={styles.optionText}>{line}</Text>
+        ))}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose}>
+            <Text style={styles.closeButton}>Later</Text>
+          </TouchableOpacity>
+          <Text style={styles.title}>Choose Changes</Text>
+          <View style={styles.headerSpacer} />
+        </View>
+
+        <ScrollView style={styles.list}>
+          <Text style={styles.summary}>
+            This recipe was changed on another device before they synced. Pick which version of each to keep.
+          </Text>
+          {conflicts.map(conflict => (
+            <View key={conflict.field} style={styles.section}>
+              <Text style={styles.sectionTitle}>{FIELD_LABELS[conflict.field] || conflict.field}</Text>
+              {renderOption(conflict, 'local')}
+              {renderOption(conflict, 'remote')}
+            </View>
+          ))}
+          <View style={{ height: 40 }} />
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.saveButton, (unresolved > 0 || saving) && styles.saveButtonDisabled]}
+            onPress={handleSave}
+            disabled={unresolved > 0 || saving}
+          >
+            <Text style={styles.saveButtonText}>
+              {unresolved > 0 ? `${unresolved} left to choose` : 'Keep These'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: 16,
+    backgroundColor: colors.primary,
+    paddingTop: 20,
+  },
+  closeButton: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  title: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  headerSpacer: { width: 44 },
+  list: { flex: 1, padding: 16 },
+  summary: { fontSize: 14, color: colors.textSecondary, marginBottom: 12, lineHeight: 20 },
+  section: {
+    backgroundColor: '#fff',
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 10,
+    borderWidth: 1,
+    borderColor: colors.border,
+  },
+  sectionTitle: { fontSize: 15, fontWeight: '700', color: colors.text, marginBottom: 8 },
+  option: {
+    borderRadius: 8,
+    borderWidth: 2,
+    borderColor: colors.borderLight,
+    padding: 10,
+    marginBottom: 8,
+  },
+  optionSelected: {
+    borderColor: colors.primary,
+    backgroundColor: colors.primaryLight,
+  },
+  optionLabel: { fontSize: 12, fontWeight: '700', color: colors.textSecondary, marginBottom: 4 },
+  optionLabelSelected: { color: colors.primary },
+  optionText: { fontSize: 14, color: colors.text, lineHeight: 20 },
+  footer: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  saveButtonDisabled: { opacity: 0.5 },
+  saveButtonText: { fontSize: 18, fontWeight: '700', color: '#fff' },
+});
+
+export default SyncConflicts;
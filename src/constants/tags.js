@@ -30,6 +30,15 @@ export const TAG_CATEGORIES = [
     name: 'Occasion',
     tags: ['Holiday', 'Party', 'Comfort Food', 'Healthy', 'Kid-Friendly'],
   },
+  {
+    // Also auto-tagged from the cuisine a recipe page declares (autoTag.js)
+    name: 'Cuisine',
+    tags: [
+      'Italian', 'Mexican', 'Indian', 'Chinese', 'Japanese', 'Korean', 'Thai',
+      'Vietnamese', 'French', 'Greek', 'Spanish', 'Mediterranean', 'Middle Eastern',
+      'Moroccan', 'Cajun', 'Caribbean',
+    ],
+  },
 ];
 
 // Flat list for backward compatibility with existing callers
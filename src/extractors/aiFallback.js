@@ -0,0 +1,89 @@
+/**
+ * FILENAME: src/extractors/aiFallback.js
+ * PURPOSE: The AI tier (RecipeExtractor tier 6) - for pages no markup
+ * tier or heuristic could read.
+ *
+ * The page is reduced to its readable text here and handed to the
+ * caller's `aiFallback` (the extract-recipe Edge Function, which runs it
+ * through Gemini against the user's scan allowance). Its answer comes
+ * back in the scan shape and is converted to the extractor's recipe
+ * shape, flagged `needs_review` like the heuristic tier.
+ */
+
+import { select, metaContent, absoluteImageUrl } from './markup';
+
+// Page furniture that never holds the recipe
+const BOILERPLATE = /<(script|style|noscript|template|svg|nav|header|footer|aside|form|iframe)\b[^>]*>[\s\S]*?<\/\1>|<!--[\s\S]*?-->/gi;
+
+// Tags that end a line of text
+const BLOCK_END = /<\/(p|div|li|h[1-6]|tr|section|article|blockquote|dd|dt)>|<br\s*\/?>/gi;
+
+// Below this there's nothing to read - usually a page built by JavaScript
+const MIN_TEXT_LENGTH = 200;
+
+// Recipe posts run to a few thousand words; past this it's comments
+const MAX_TEXT_LENGTH = 30000;
+
+const CONFIDENCE = { high: 0.6, medium: 0.5, low: 0.3 };
+
+/**
+ * The page's readable text, one block per line: the <main>/<article>
+ * content when there is one, else the whole body
+ * @param {string} html - Page HTML
+ * @param {Object} helpers - RecipeExtractor instance
+ * @returns {string} Empty when the page has too little text to be worth sending
+ */
+export const pageText = (html, helpers) => {
+  const body = html.replace(BOILERPLATE, ' ');
+  const content = select(body, 'main') || select(body, 'article');
+  const lines = (content ? content.inner : body)
+    .replace(BLOCK_END, '\n')
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .split('\n')
+    .map(line => helpers.stripHTML(line))
+    .filter(Boolean);
+
+  const title = helpers.stripHTML((html.match(/<title[^>]*>(.*?)<\/title>/is) || [])[1] || '');
+  const text = [title, ...lines].filter(Boolean).join('\n');
+  return text.length >= MIN_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) : '';
+};
+
+/**
+ * One recipe from extract-recipe (scan shape) -> the extractor's shape
+ * @param {Object} raw - { title, ingredient_sections, instructions, ... }
+ * @param {string} url - Page URL
+ * @param {string} html - Page HTML, for the og:image the AI can't see
+ * @returns {Object}
+ */
+export const fromAIRecipe = (raw, url, html) => {
+  const ingredients = {};
+  (raw.ingredient_sections || []).forEach(section => {
+    const name = (section?.name || 'main').trim() || 'main';
+    const items = Array.isArray(section?.items)
+      ? section.items.filter(item => typeof item === 'string' && item.trim())
+      : [];
+    if (items.length > 0) ingredients[name] = [...(ingredients[name] || []), ...items];
+  });
+
+  return {
+    title: raw.title,
+    ingredients: Object.keys(ingredients).length > 0 ? ingredients : { main: [] },
+    instructions: raw.instructions || [],
+    prep_time: raw.prep_time || null,
+    cook_time: raw.cook_time || null,
+    total_time: raw.total_time || null,
+    servings: raw.servings || null,
+    notes: raw.notes || null,
+    image: absoluteImageUrl(metaContent(html, 'og:image')),
+    extraction_method: 'ai',
+    confidence: CONFIDENCE[raw.confidence] ?? CONFIDENCE.medium,
+    warnings: raw.warnings || [],
+    needs_review: true,
+    source_url: url,
+  };
+};
+
+export default {
+  pageText,
+  fromAIRecipe,
+};
@@ -0,0 +1,91 @@
+/**
+ * FILENAME: src/extractors/diagnostics.js
+ * PURPOSE: Why a URL import failed - typed reasons instead of one
+ * generic "Unable to extract recipe".
+ *
+ * A paywall, a 403 from a bot wall, a timeout and a page that simply has
+ * no recipe all need different advice for the user and point at
+ * different fixes for us. RecipeExtractor reports failures as
+ * { reason, tier } using these; useRecipeExtraction turns the reason into
+ * a message and the per-domain counts go to the admin's Import
+ * Diagnostics (see sql/add_extraction_stats.sql).
+ */
+
+export const EXTRACTION_ERRORS = {
+  NETWORK: 'network',                 // no connection / DNS / TLS
+  TIMEOUT: 'timeout',                 // the site didn't answer in time
+  HTTP_STATUS: 'http_status',         // 404, 500... (`status` says which)
+  BLOCKED: 'blocked',                 // paywall, bot wall, 401/403/429 (`detail` says which)
+  NO_RECIPE_FOUND: 'no_recipe_found', // page loaded, nothing recipe-shaped on it
+  PARSE_ERROR: 'parse_error',         // recipe markup present but unreadable
+};
+
+/**
+ * A failure with a reason, thrown by RecipeExtractor.fetchHTML
+ */
+export class ExtractionError extends Error {
+  /**
+   * @param {string} reason - One of EXTRACTION_ERRORS
+   * @param {string} message - Technical description, for logs
+   * @param {Object} [details] - { status, detail }
+   */
+  constructor(reason, message, details = {}) {
+    super(message);
+    this.name = 'ExtractionError';
+    this.reason = reason;
+    this.status = details.status ?? null;
+    this.detail = details.detail ?? null;
+  }
+}
+
+/**
+ * HTTP status -> reason and detail. Sites answer scrapers with 403 (bot
+ * walls), 401/402 (subscriber-only) or 429 (rate limits).
+ */
+export const classifyStatus = (status) => {
+  if (status === 401 || status === 402) return { reason: EXTRACTION_ERRORS.BLOCKED, detail: 'paywall' };
+  if (status === 403 || status === 451) return { reason: EXTRACTION_ERRORS.BLOCKED, detail: 'forbidden' };
+  if (status === 429) return { reason: EXTRACTION_ERRORS.BLOCKED, detail: 'rate_limited' };
+  return { reason: EXTRACTION_ERRORS.HTTP_STATUS, detail: null };
+};
+
+// Challenge pages served instead of the content (Cloudflare, Akamai,
+// PerimeterX, DataDome) - often with a 200
+const BOT_CHECK = /cf-browser-verification|challenge-platform|<title>\s*(just a moment|attention required|access denied)|px-captcha|captcha-delivery\.com|verify you are (a )?human/i;
+
+// Subscriber-only pages (schema.org's isAccessibleForFree, and the
+// usual paywall containers)
+const PAYWALL = /"isAccessibleForFree"\s*:\s*"?false|class=["'][^"']*\b(paywall|subscriber-only|premium-content)\b/i;
+
+/**
+ * A page that loaded but was a bot wall or paywall rather than content
+ * @returns {'bot_check'|'paywall'|null}
+ */
+export const detectBlock = (html) => {
+  if (BOT_CHECK.test(html)) return 'bot_check';
+  if (PAYWALL.test(html)) return 'paywall';
+  return null;
+};
+
+/**
+ * The tier whose recipe markup is on the page, if any. When that tier
+ * still came back empty the page is a parse error, not a page without a
+ * recipe.
+ * @param {string} html
+ * @param {Object} wpPlugins - WP_PLUGINS
+ * @returns {string|null} Tier label, as extract()'s `source`
+ */
+export const detectRecipeMarkup = (html, wpPlugins) => {
+  if (/"@type"\s*:\s*(\[[^\]]*)?"Recipe"/.test(html)) return 'JSON-LD';
+  if (/itemtype=["']https?:\/\/schema\.org\/Recipe["']/i.test(html)) return 'Microdata';
+  const plugin = Object.values(wpPlugins).find(p => p.markers.some(marker => html.includes(marker)));
+  return plugin ? 'WordPress' : null;
+};
+
+export default {
+  EXTRACTION_ERRORS,
+  ExtractionError,
+  classifyStatus,
+  detectBlock,
+  detectRecipeMarkup,
+};
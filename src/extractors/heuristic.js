@@ -0,0 +1,223 @@
+/**
+ * FILENAME: src/extractors/heuristic.js
+ * PURPOSE: Last-resort recipe extraction for pages with no structured
+ * data, plugin card or site extractor (RecipeExtractor tier 5).
+ *
+ * Scores the page's blocks instead of trusting any markup:
+ * - ingredient lists sit under an "Ingredients" heading and most lines
+ *   parse as quantity (+ unit) + ingredient
+ * - steps are an ordered list, or paragraphs, under "Directions",
+ *   "Method", "Instructions"... and read as sentences
+ * The result is a best guess: it's flagged `needs_review` with a low
+ * confidence so the save screen asks the user to check it.
+ */
+
+import { parseIngredient } from '../utils/IngredientParser';
+import {
+  selectAll,
+  matchAllGroups,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+} from './markup';
+
+const INGREDIENT_HEADING = /\bingredients?\b/i;
+const STEPS_HEADING = /\b(directions?|instructions?|method|steps|preparation|how to make( it)?)\b/i;
+
+// Page furniture that holds lists but never the recipe
+const BOILERPLATE = /<(script|style|noscript|template|svg|nav|header|footer|aside|form)\b[^>]*>[\s\S]*?<\/\1>|<!--[\s\S]*?-->/gi;
+
+// A heading is an <h1>-<h6>, or a short paragraph that is all bold
+const HEADING = /<h[1-6][^>]*>(.*?)<\/h[1-6]>|<p[^>]*>\s*<(?:strong|b)>(.*?)<\/(?:strong|b)>\s*:?\s*<\/p>/gis;
+
+// How far back (in characters of HTML) a heading still labels a block
+const HEADING_REACH = 1500;
+
+const MIN_INGREDIENT_SCORE = 3;
+const MIN_STEPS_SCORE = 3;
+
+const collectHeadings = (html, helpers) => {
+  const headings = [];
+  for (const match of html.matchAll(HEADING)) {
+    const text = helpers.stripHTML(match[1] ?? match[2]).replace(/:$/, '').trim();
+    if (text && text.length <= 80) headings.push({ index: match.index, end: match.index + match[0].length, text });
+  }
+  return headings;
+};
+
+// The last heading before `index`, if it's close enough to label it
+const headingBefore = (headings, index) => {
+  let found = null;
+  for (const heading of headings) {
+    if (heading.end > index) break;
+    found = heading;
+  }
+  return found && index - found.end <= HEADING_REACH ? found : null;
+};
+
+// Share of lines that read like "2 cups flour" / "1 onion, diced"
+const quantityDensity = (lines) => {
+  if (lines.length === 0) return { quantity: 0, unit: 0 };
+  let quantity = 0;
+  let unit = 0;
+  lines.forEach(line => {
+    const parsed = parseIngredient(line);
+    if (parsed.parsed && parsed.quantity > 0) quantity++;
+    if (parsed.parsed && parsed.unit) unit++;
+  });
+  return { quantity: quantity / lines.length, unit: unit / lines.length };
+};
+
+const averageLength = (lines) =>
+  lines.reduce((sum, line) => sum + line.length, 0) / Math.max(lines.length, 1);
+
+/**
+ * Every <ul>/<ol> on the page with its items, nearest heading and scores
+ */
+const scoreLists = (html, headings, helpers) => {
+  const lists = ['ul', 'ol'].flatMap(tag => selectAll(html, tag).map(el => ({ ...el, ordered: tag === 'ol' })));
+
+  return lists
+    .map(list => {
+      const lines = matchAllGroups(list.inner, /<li[^>]*>(.*?)<\/li>/gis)
+        .map(item => helpers.stripHTML(item))
+        .filter(Boolean);
+      const heading = headingBefore(headings, list.index);
+      const density = quantityDensity(lines);
+      const avg = averageLength(lines);
+
+      let ingredientScore = density.quantity * 3 + density.unit * 2;
+      if (heading && INGREDIENT_HEADING.test(heading.text)) ingredientScore += 3;
+      if (avg > 100) ingredientScore -= 2;
+
+      let stepsScore = 0;
+      if (heading && STEPS_HEADING.test(heading.text)) stepsScore += 3;
+      if (list.ordered) stepsScore += 1;
+      if (avg > 40) stepsScore += 1;
+      if (density.unit > 0.5) stepsScore -= 2;
+
+      return { ...list, lines, heading, ingredientScore, stepsScore };
+    })
+    .filter(list => list.lines.length >= 2);
+};
+
+/**
+ * Ingredient lists: the best-scoring one plus any other ingredient-like
+ * lists right after it ("For the sauce" groups). A list's own heading
+ * becomes its section unless it's the "Ingredients" heading itself.
+ */
+const pickIngredients = (lists, helpers) => {
+  const candidates = lists
+    .filter(list => list.ingredientScore >= MIN_INGREDIENT_SCORE)
+    .sort((a, b) => a.index - b.index);
+  if (candidates.length === 0) return null;
+
+  const best = candidates.reduce((a, b) => (b.ingredientScore > a.ingredientScore ? b : a));
+  const group = [best];
+  for (const list of candidates) {
+    if (list.index <= group[group.length - 1].index) continue;
+    if (list.index - (group[group.length - 1].index + group[group.length - 1].inner.length) > HEADING_REACH) break;
+    group.push(list);
+  }
+
+  const lines = [];
+  group.forEach(list => {
+    if (list.heading && !INGREDIENT_HEADING.test(list.heading.text) && list !== best) {
+      lines.push({ text: list.heading.text, header: true });
+    }
+    list.lines.forEach(text => lines.push({ text }));
+  });
+  return { lists: group, ingredients: toIngredientSections(lines, helpers) };
+};
+
+/**
+ * Steps: the best step-like list, or failing that the paragraphs after a
+ * "Directions"/"Method" heading, up to the next heading
+ */
+const pickSteps = (html, lists, headings, usedLists, helpers) => {
+  const best = lists
+    .filter(list => !usedLists.includes(list) && list.stepsScore >= MIN_STEPS_SCORE)
+    .sort((a, b) => b.stepsScore - a.stepsScore)[0];
+  if (best) return { steps: best.lines, headed: !!best.heading && STEPS_HEADING.test(best.heading.text) };
+
+  const heading = headings.find(h => STEPS_HEADING.test(h.text));
+  if (!heading) return null;
+  const next = headings.find(h => h.index > heading.index);
+  const section = html.slice(heading.end, next ? next.index : undefined);
+  const steps = matchAllGroups(section, /<p[^>]*>(.*?)<\/p>/gis)
+    .map(p => helpers.stripHTML(p).replace(/^(step\s*)?\d+[.:)]\s*/i, ''))
+    .filter(text => text.length > 15);
+  return steps.length > 0 ? { steps, headed: true } : null;
+};
+
+const TIME_VALUE = '(\\d+\\s*(?:hours?|hrs?|h)\\b(?:\\s*(?:and\\s*)?\\d+\\s*(?:minutes?|mins?|m)\\b)?|\\d+\\s*(?:minutes?|mins?|m)\\b)';
+
+const findTime = (text, label) => {
+  const match = text.match(new RegExp(`${label}\\s*(?:time)?\\s*:?\\s*${TIME_VALUE}`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+// Only a yield noun may follow the number: block text runs straight on
+// into the next heading ("Serves 4 What you'll need")
+const YIELD_NOUN = '(?:servings?|people|portions?|pieces?|slices?|cookies|muffins|scones|bars|loaves|loaf|cups?|dozen)';
+
+const findServings = (text) => {
+  const match = text.match(new RegExp(`\\b(?:serves|servings|yield|makes)\\s*:?\\s*(\\d+(?:\\s*(?:-|to)\\s*\\d+)?(?:\\s+${YIELD_NOUN}\\b)?)`, 'i'));
+  return match ? match[1].trim() : null;
+};
+
+const findTitle = (html, helpers) => {
+  const h1 = html.match(/<h1[^>]*>(.*?)<\/h1>/is);
+  if (h1 && helpers.stripHTML(h1[1])) return helpers.stripHTML(h1[1]);
+  const og = metaContent(html, 'og:title');
+  if (og) return helpers.stripHTML(og);
+  const title = html.match(/<title[^>]*>(.*?)<\/title>/is);
+  // "Best Chili - My Food Blog" -> "Best Chili"
+  return title ? helpers.stripHTML(title[1]).split(/\s+[|\-–—]\s+/)[0].trim() : '';
+};
+
+/**
+ * Best-guess recipe from plain HTML
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @param {Object} helpers - RecipeExtractor instance
+ * @returns {Object|null} Recipe with `needs_review: true`, or null when no
+ *   block looks enough like ingredients and steps
+ */
+export const extractHeuristic = (html, url, helpers) => {
+  const body = html.replace(BOILERPLATE, ' ');
+  const headings = collectHeadings(body, helpers);
+  const lists = scoreLists(body, headings, helpers);
+
+  const picked = pickIngredients(lists, helpers);
+  if (!picked || countIngredients(picked.ingredients) < 2) return null;
+  const steps = pickSteps(body, lists, headings, picked.lists, helpers);
+  if (!steps) return null;
+
+  const title = findTitle(html, helpers);
+  if (!title) return null;
+
+  const text = helpers.stripHTML(body);
+  const ingredientHeaded = picked.lists.some(list => list.heading && INGREDIENT_HEADING.test(list.heading.text));
+
+  return {
+    title,
+    ingredients: picked.ingredients,
+    instructions: steps.steps,
+    prep_time: findTime(text, 'prep(?:aration)?'),
+    cook_time: findTime(text, 'cook(?:ing)?'),
+    total_time: findTime(text, 'total'),
+    servings: findServings(text),
+    image: absoluteImageUrl(metaContent(html, 'og:image')),
+    extraction_method: 'heuristic',
+    // Headings that say "Ingredients" / "Method" make the guess a lot safer
+    confidence: Math.round((0.3 + (ingredientHeaded ? 0.1 : 0) + (steps.headed ? 0.1 : 0)) * 10) / 10,
+    needs_review: true,
+    source_url: url,
+  };
+};
+
+export default {
+  extractHeuristic,
+};
@@ -0,0 +1,225 @@
+/**
+ * FILENAME: src/extractors/markup.js
+ * PURPOSE: Small HTML helpers shared by RecipeExtractor and the site
+ * extractors in ./sites.
+ *
+ * RecipeExtractor works on raw HTML with regexes (no DOM in React Native).
+ * A lazy `<div ...>(.*?)</div>` stops at the first nested </div>, so
+ * findElements walks the tags and returns each element's full contents.
+ */
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Inner HTML of the element opened by `openMatch` - a regex match of its
+ * opening tag, whose group 1 is the tag name - up to its matching close
+ * tag (or the end of the document)
+ * @param {string} html
+ * @param {RegExpMatchArray} openMatch - From match()/exec() on `html`
+ * @returns {string}
+ */
+export const elementContent = (html, openMatch) => {
+  const name = openMatch[1].toLowerCase();
+  const start = openMatch.index + openMatch[0].length;
+  const tagRe = new RegExp(`<(/?)${name}\\b[^>]*?(/?)>`, 'gi');
+  tagRe.lastIndex = start;
+  let depth = 1;
+  let t;
+  while ((t = tagRe.exec(html)) !== null) {
+    if (t[1]) depth--;
+    else if (!t[2]) depth++;
+    if (depth === 0) return html.slice(start, t.index);
+  }
+  return html.slice(start);
+};
+
+// Elements with no closing tag - their inner HTML is always empty
+const VOID_TAGS = /^(img|meta|link|br|hr|input|source)$/i;
+
+/**
+ * Every element matching a minimal CSS-like selector, nesting-aware and
+ * in document order:
+ *   'li'                 - by tag
+ *   'div.recipe-notes'   - tag plus a substring of the class attribute
+ *   '*.recipe-name'      - any tag with that class substring
+ *   'ul#recipe-list'     - tag plus a substring of the id
+ *   'time[itemprop=prepTime]' - tag plus a substring of another attribute
+ * The tag part may be a regex source, e.g. 'h[34].group-name'.
+ * @param {string} html
+ * @param {string} selector
+ * @returns {Array<{tag: string, inner: string, index: number}>} `tag` is the whole opening tag
+ */
+export const selectAll = (html, selector) => {
+  if (!html) return [];
+  const [, tagPart, kind, fragment, attrName, attrFragment] =
+    selector.match(/^((?:\[[^\]=]*\]|[^.#[])*)(?:([.#])(.+)|\[([\w-]+)=(.+)\])?$/);
+  const tag = !tagPart || tagPart === '*' ? '[a-z][a-z0-9]*' : tagPart;
+  const name = attrName || (kind === '#' ? 'id' : 'class');
+  const value = attrFragment || fragment;
+  const attr = value
+    ? `[^>]*\\b${name}=["'][^"']*${escapeRegExp(value)}[^"']*["']`
+    : '';
+  const openRe = new RegExp(`<(${tag})\\b${attr}[^>]*>`, 'gi');
+  return Array.from(html.matchAll(openRe), open => ({
+    tag: open[0],
+    inner: VOID_TAGS.test(open[1]) ? '' : elementContent(html, open),
+    index: open.index,
+  }));
+};
+
+/**
+ * First element matching `selector` (see selectAll), or null
+ */
+export const select = (html, selector) => selectAll(html, selector)[0] ?? null;
+
+/**
+ * Elements matching several selectors merged in document order - the
+ * selector counterpart of orderedMatches. An element matching more than
+ * one selector ('li.ingredient' also matches "ingredient-label") goes to
+ * the first kind listed.
+ * @param {string} html
+ * @param {Object} selectors - { kind: selector }
+ * @returns {Array<{kind: string, inner: string}>}
+ */
+export const selectOrdered = (html, selectors) => {
+  const byIndex = new Map();
+  Object.entries(selectors).forEach(([kind, selector]) => {
+    selectAll(html, selector).forEach(el => {
+      if (!byIndex.has(el.index)) byIndex.set(el.index, { kind, inner: el.inner });
+    });
+  });
+  return [...byIndex.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([, el]) => el);
+};
+
+/**
+ * Inner HTML of every `tag` element whose class attribute contains
+ * `classFragment`, nesting-aware. Elements inside an earlier match are
+ * included too, in document order.
+ * @param {string} html
+ * @param {string} tag - e.g. 'div', 'li', or '[a-z0-9]+' for any
+ * @param {string} classFragment - Substring of the class attribute
+ * @returns {Array<string>}
+ */
+export const findElements = (html, tag, classFragment) =>
+  selectAll(html, `${tag}.${classFragment}`).map(el => el.inner);
+
+/**
+ * First element's inner HTML, or null
+ */
+export const findElement = (html, tag, classFragment) =>
+  findElements(html, tag, classFragment)[0] ?? null;
+
+/**
+ * Capture group `group` of every match of a global regex
+ */
+export const matchAllGroups = (html, regex, group = 1) =>
+  html ? Array.from(html.matchAll(regex), m => m[group]) : [];
+
+/**
+ * An attribute of the first tag matching `tagRegex`, e.g. an image's src
+ * @param {string} html
+ * @param {RegExp} tagRegex - Matches a whole opening tag
+ * @param {string} attr - Attribute name
+ */
+export const attributeOf = (html, tagRegex, attr) => {
+  const tagMatch = html?.match(tagRegex);
+  if (!tagMatch) return null;
+  const attrMatch = tagMatch[0].match(new RegExp(`\\b${attr}=["']([^"']+)["']`, 'i'));
+  return attrMatch ? attrMatch[1] : null;
+};
+
+/**
+ * Matches of several patterns merged in document order - for lists where
+ * section headings sit between the items.
+ * @param {string} html
+ * @param {Object} patterns - { kind: globalRegex }, group 1 is the content
+ * @returns {Array<{kind: string, inner: string}>}
+ * @example orderedMatches(html, { header: /<h3[^>]*>(.*?)<\/h3>/gis, item: /<li[^>]*>(.*?)<\/li>/gis })
+ */
+export const orderedMatches = (html, patterns) => {
+  if (!html) return [];
+  const found = [];
+  Object.entries(patterns).forEach(([kind, regex]) => {
+    for (const match of html.matchAll(regex)) {
+      found.push({ kind, inner: match[1], index: match.index });
+    }
+  });
+  return found
+    .sort((a, b) => a.index - b.index)
+    .map(({ kind, inner }) => ({ kind, inner }));
+};
+
+/**
+ * <meta property="og:image" content="..."> and the like
+ */
+export const metaContent = (html, property) => {
+  const tag = html?.match(new RegExp(
+    `<meta[^>]+(?:property|name)=["']${escapeRegExp(property)}["'][^>]*>`, 'i'
+  ));
+  if (!tag) return null;
+  const content = tag[0].match(/\bcontent=["']([^"']*)["']/i);
+  return content ? content[1] : null;
+};
+
+/**
+ * Make a scraped image src usable: protocol-relative URLs get https,
+ * placeholders (data: URIs, relative paths) are dropped
+ */
+export const absoluteImageUrl = (src) => {
+  if (!src) return null;
+  if (src.startsWith('//')) return `https:${src}`;
+  return /^https?:\/\//i.test(src) ? src : null;
+};
+
+/**
+ * Group ingredient lines into sections, the same way the structured-data
+ * tiers do: a line that looks like a header ("For the sauce:") starts a
+ * new section, as does any line the page marks up as a heading
+ * (`header: true`).
+ * @param {Array<{text: string, header?: boolean}>|Array<string>} lines - Plain text
+ * @param {Object} helpers - RecipeExtractor instance
+ * @returns {Object} { main: [...], 'For the sauce': [...] }
+ */
+export const toIngredientSections = (lines, helpers) => {
+  const ingredients = { main: [] };
+  let currentSection = 'main';
+
+  lines.forEach(line => {
+    const entry = typeof line === 'string' ? { text: line } : line;
+    const text = helpers.cleanIngredientText(entry.text);
+    if (!text) return;
+    if (entry.header || helpers.isSectionHeader(text)) {
+      currentSection = text.replace(/:/g, '').trim();
+      if (!ingredients[currentSection]) ingredients[currentSection] = [];
+      return;
+    }
+    if (!ingredients[currentSection]) ingredients[currentSection] = [];
+    ingredients[currentSection].push(text);
+  });
+
+  return ingredients;
+};
+
+/**
+ * Total ingredient lines across sections
+ */
+export const countIngredients = (ingredients) =>
+  Object.values(ingredients || {}).reduce((n, items) => n + items.length, 0);
+
+export default {
+  elementContent,
+  selectAll,
+  select,
+  selectOrdered,
+  findElements,
+  findElement,
+  matchAllGroups,
+  attributeOf,
+  orderedMatches,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+};
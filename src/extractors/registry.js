@@ -0,0 +1,90 @@
+/**
+ * FILENAME: src/extractors/registry.js
+ * PURPOSE: Registry of site-specific recipe extractors (RecipeExtractor tier 4).
+ *
+ * Each site is its own module in ./sites that registers itself on import;
+ * ./sites/index.js imports them all. A site extractor declares what it
+ * handles and how to read it:
+ *
+ *   registerSiteExtractor({
+ *     id: 'bbcgoodfood',            // unique; used in extraction_method and fixtures
+ *     name: 'BBC Good Food',
+ *     domains: ['bbcgoodfood.com'], // matches the domain and any subdomain
+ *     matches: (url, html) => bool, // optional - page patterns shared across domains
+ *     extract: (html, url, helpers) => recipe | null,
+ *   });
+ *
+ * `helpers` is the RecipeExtractor instance, for stripHTML,
+ * cleanIngredientText, isSectionHeader and parseDuration.
+ */
+
+const extractors = [];
+
+/**
+ * Add a site extractor, replacing any already registered with the same id
+ * @param {Object} extractor - See shape above
+ * @returns {Object} The extractor, so a module can `export default registerSiteExtractor({...})`
+ */
+export const registerSiteExtractor = (extractor) => {
+  if (!extractor?.id || typeof extractor.extract !== 'function') {
+    throw new Error('Site extractor needs an id and an extract(html, url, helpers) function');
+  }
+  if (!extractor.domains?.length && typeof extractor.matches !== 'function') {
+    throw new Error(`Site extractor "${extractor.id}" matches nothing - give it domains or matches()`);
+  }
+
+  const entry = { domains: [], ...extractor };
+  const index = extractors.findIndex(e => e.id === entry.id);
+  if (index === -1) {
+    extractors.push(entry);
+  } else {
+    extractors[index] = entry;
+  }
+  return entry;
+};
+
+export const getSiteExtractors = () => [...extractors];
+
+export const getSiteExtractor = (id) => extractors.find(e => e.id === id) || null;
+
+/**
+ * Does a hostname belong to a domain? "cooking.nytimes.com" belongs to
+ * both "cooking.nytimes.com" and "nytimes.com"; "notnytimes.com" doesn't.
+ */
+export const hostnameMatches = (hostname, domain) =>
+  hostname === domain || hostname.endsWith(`.${domain}`);
+
+/**
+ * Extractors to try for a page, best first: those claiming the domain,
+ * then those recognising the page's markup.
+ * @param {string} url - Page URL
+ * @param {string} html - Page HTML (for matches())
+ * @returns {Array} Registered extractors
+ */
+export const findSiteExtractors = (url, html = '') => {
+  let hostname = '';
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (err) {
+    return [];
+  }
+
+  const byDomain = extractors.filter(e => e.domains.some(d => hostnameMatches(hostname, d)));
+  const byPattern = extractors.filter(e => {
+    if (byDomain.includes(e) || typeof e.matches !== 'function') return false;
+    try {
+      return !!e.matches(url, html);
+    } catch (err) {
+      return false;
+    }
+  });
+  return [...byDomain, ...byPattern];
+};
+
+export default {
+  registerSiteExtractor,
+  getSiteExtractors,
+  getSiteExtractor,
+  hostnameMatches,
+  findSiteExtractors,
+};
@@ -0,0 +1,215 @@
+/**
+ * FILENAME: src/extractors/schemaOrg.js
+ * PURPOSE: Normalizes the schema.org Recipe fields beyond ingredients and
+ * steps (RecipeExtractor tier 1): yield, nutrition, cuisine, category,
+ * keywords, author, rating, video, diets and HowToTip notes.
+ *
+ * Publishers fill these in every shape the spec allows - a string or an
+ * array, a Person or a bare name, "4.7" or 4.7, a QuantitativeValue or
+ * "300 calories" - so each one is reduced here to a single plain shape
+ * the app can store and display.
+ */
+
+import { NUTRIENT_KEYS } from '../utils/recipeFormat';
+
+// Plain text out of a string, number or { name | text | @value } object
+const textOf = (value) => {
+  if (value == null) return '';
+  if (typeof value === 'string' || typeof value === 'number') return String(value).trim();
+  if (typeof value === 'object') return textOf(value.name ?? value.text ?? value['@value']);
+  return '';
+};
+
+// Array or comma-separated string -> unique, non-empty strings
+const listOf = (value) => {
+  const parts = (Array.isArray(value) ? value : [value])
+    .flatMap(item => textOf(item).split(','))
+    .map(part => part.trim())
+    .filter(Boolean);
+  const seen = new Set();
+  return parts.filter(part => {
+    const key = part.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+const numberOf = (value) => {
+  const match = textOf(value).replace(',', '.').match(/\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+/**
+ * recipeYield -> one display string. Sites often repeat it as a bare
+ * number and a labelled one (["4", "4 servings"]); the labelled one wins.
+ * @param {*} recipeYield - Raw recipeYield
+ * @returns {string|null} e.g. "4 servings"
+ */
+export const normalizeYield = (recipeYield) => {
+  const values = (Array.isArray(recipeYield) ? recipeYield : [recipeYield])
+    .map(textOf)
+    .filter(Boolean);
+  if (values.length === 0) return null;
+  const labelled = values.find(value => /\d\s*[a-z]/i.test(value));
+  return labelled || values[0];
+};
+
+// Spellings seen in the wild for each NUTRIENT_KEYS key, beyond its own
+// name and `alt` list
+const NUTRIENT_ALIASES = {
+  calories: ['calorieContent', 'energy', 'kcal'],
+  carbohydrateContent: ['carbohydrate', 'totalCarbohydrateContent'],
+  fatContent: ['totalFat', 'totalFatContent'],
+};
+
+const nutrientValue = (raw) => {
+  if (raw == null) return null;
+  if (typeof raw === 'object') {
+    const value = raw.value ?? raw['@value'];
+    if (value == null) return null;
+    const unit = raw.unitText || raw.unitCode || '';
+    return unit ? `${value} ${unit}` : String(value);
+  }
+  const text = String(raw).trim();
+  return text || null;
+};
+
+/**
+ * NutritionInformation -> the keys buildNutritionItems reads (see
+ * NUTRIENT_KEYS in src/utils/recipeFormat.js), matched case-insensitively
+ * @param {Object} nutrition - Raw nutrition object
+ * @returns {Object|null} e.g. { calories: '320 calories', fatContent: '12 g', servingSize: '1 slice' }
+ */
+export const normalizeNutrition = (nutrition) => {
+  if (!nutrition || typeof nutrition !== 'object' || Array.isArray(nutrition)) return null;
+  const byLowerKey = {};
+  Object.entries(nutrition).forEach(([key, value]) => {
+    if (!key.startsWith('@')) byLowerKey[key.toLowerCase()] = value;
+  });
+
+  const normalized = {};
+  NUTRIENT_KEYS.forEach(({ key, alt = [] }) => {
+    const names = [key, ...alt, ...(NUTRIENT_ALIASES[key] || [])];
+    for (const name of names) {
+      const value = nutrientValue(byLowerKey[name.toLowerCase()]);
+      if (value) {
+        normalized[key] = value;
+        break;
+      }
+    }
+  });
+  const servingSize = nutrientValue(byLowerKey.servingsize);
+  if (servingSize) normalized.servingSize = servingSize;
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+};
+
+/**
+ * author -> name and link of the first Person/Organization
+ * @returns {{author: string|null, author_url: string|null}}
+ */
+export const parseAuthor = (author) => {
+  const first = Array.isArray(author) ? author[0] : author;
+  if (!first) return { author: null, author_url: null };
+  if (typeof first === 'string') return { author: first.trim() || null, author_url: null };
+  const url = typeof first.url === 'string' ? first.url : (typeof first.sameAs === 'string' ? first.sameAs : null);
+  return { author: textOf(first.name) || null, author_url: url };
+};
+
+/**
+ * aggregateRating -> { value, count }, or null without a usable value
+ */
+export const parseRating = (rating) => {
+  if (!rating || typeof rating !== 'object') return null;
+  const value = numberOf(rating.ratingValue);
+  if (!value) return null;
+  const count = numberOf(rating.ratingCount ?? rating.reviewCount);
+  return { value: Math.round(value * 10) / 10, count: count ? Math.round(count) : null };
+};
+
+/**
+ * video (VideoObject) -> { url, name, thumbnail }. A watch page
+ * (contentUrl) is preferred over a player embed.
+ */
+export const parseVideo = (video, helpers) => {
+  const first = Array.isArray(video) ? video[0] : video;
+  if (!first || typeof first !== 'object') return null;
+  const url = [first.contentUrl, first.embedUrl, first.url].find(u => typeof u === 'string' && /^https?:/i.test(u));
+  if (!url) return null;
+  return {
+    url,
+    name: textOf(first.name) || null,
+    thumbnail: helpers.extractImageURL(first.thumbnailUrl) || null,
+  };
+};
+
+/**
+ * suitableForDiet -> readable names: "https://schema.org/GlutenFreeDiet"
+ * -> "Gluten Free"
+ */
+export const parseDiets = (diets) =>
+  listOf(diets).map(diet => diet
+    .replace(/^https?:\/\/schema\.org\//i, '')
+    .replace(/Diet$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .trim()
+  ).filter(Boolean);
+
+// HowToTip entries are advice, not steps
+export const isTip = (item) => item && typeof item === 'object' && item['@type'] === 'HowToTip';
+
+/**
+ * HowToTip entries in recipeInstructions (at the top level or inside a
+ * HowToSection), which are advice rather than steps
+ * @returns {string|null} One tip per line, as the plugin tier's notes
+ */
+export const collectTips = (instructions, helpers) => {
+  const tips = [];
+  (Array.isArray(instructions) ? instructions : []).forEach(item => {
+    const items = item && item['@type'] === 'HowToSection' ? item.itemListElement || [] : [item];
+    items.filter(isTip).forEach(tip => {
+      const text = helpers.stripHTML(textOf(tip.text ?? tip.name));
+      if (text) tips.push(text);
+    });
+  });
+  return tips.length > 0 ? tips.join('\n') : null;
+};
+
+/**
+ * Everything parseJSONLDRecipe adds beyond the core recipe fields
+ * @param {Object} recipe - schema.org Recipe object
+ * @param {Object} helpers - RecipeExtractor instance
+ * @returns {Object} description, cuisine, category, keywords, author,
+ *   author_url, rating, video, diets and notes
+ */
+export const extractSchemaExtras = (recipe, helpers) => {
+  const cuisine = listOf(recipe.recipeCuisine);
+  const category = listOf(recipe.recipeCategory);
+  // keywords often repeat the cuisine and category
+  const known = new Set([...cuisine, ...category].map(item => item.toLowerCase()));
+
+  return {
+    description: helpers.stripHTML(textOf(recipe.description)) || null,
+    cuisine: cuisine.join(', ') || null,
+    category: category.join(', ') || null,
+    keywords: listOf(recipe.keywords).filter(keyword => !known.has(keyword.toLowerCase())),
+    ...parseAuthor(recipe.author),
+    rating: parseRating(recipe.aggregateRating),
+    video: parseVideo(recipe.video, helpers),
+    diets: parseDiets(recipe.suitableForDiet),
+    notes: collectTips(recipe.recipeInstructions, helpers),
+  };
+};
+
+export default {
+  normalizeYield,
+  normalizeNutrition,
+  parseAuthor,
+  parseRating,
+  parseVideo,
+  parseDiets,
+  collectTips,
+  extractSchemaExtras,
+  isTip,
+};
@@ -0,0 +1,123 @@
+/**
+ * FILENAME: src/extractors/sites/allrecipes.js
+ * PURPOSE: Allrecipes and the other Dotdash Meredith sites.
+ *
+ * Serious Eats, Simply Recipes, EatingWell and friends are built on the
+ * same "mntl" page template as Allrecipes, so one extractor covers them -
+ * by domain, or by spotting the template's structured-ingredients markup
+ * on a sister site not listed here.
+ */
+
+import { registerSiteExtractor } from '../registry';
+import {
+  findElement,
+  matchAllGroups,
+  attributeOf,
+  orderedMatches,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+} from '../markup';
+
+const TEMPLATE_MARKER = /(mntl|mm-recipes)-structured-ingredients/;
+
+const extractTitle = (html, helpers) => {
+  let titleMatch = html.match(/<h1[^>]+class=["'][^"']*article-heading[^"']*["'][^>]*>(.*?)<\/h1>/is);
+  if (!titleMatch) {
+    titleMatch = html.match(/<h1[^>]*>(.*?)<\/h1>/is);
+  }
+  return titleMatch ? helpers.stripHTML(titleMatch[1]).trim() : '';
+};
+
+const extractIngredients = (html, helpers) => {
+  // Structured list: headings ("For the sauce") between the <ul>s
+  const container = findElement(html, 'div', 'structured-ingredients');
+  if (container) {
+    const lines = orderedMatches(container, {
+      header: /<p[^>]+class=["'][^"']*list-heading[^"']*["'][^>]*>(.*?)<\/p>/gis,
+      item: /<li[^>]*>(.*?)<\/li>/gis,
+    }).map(({ kind, inner }) => ({ text: helpers.stripHTML(inner), header: kind === 'header' }));
+    return toIngredientSections(lines, helpers);
+  }
+
+  // Older pages: a single ingredient list
+  const list = html.match(/<ul[^>]+class=["'][^"']*(mntl-structured-ingredients|ingredient-list|mm-recipes-structured-ingredients)[^"']*["'][^>]*>(.*?)<\/ul>/is);
+  if (!list) return { main: [] };
+  const lines = matchAllGroups(list[2], /<li[^>]*>(.*?)<\/li>/gis).map(li => helpers.stripHTML(li));
+  return toIngredientSections(lines, helpers);
+};
+
+const extractInstructions = (html, helpers) => {
+  const list = findElement(html, 'ol', 'mntl-sc-block-group') || findElement(html, 'ol', 'instructions');
+  if (!list) return [];
+
+  return matchAllGroups(list, /<li[^>]*>(.*?)<\/li>/gis)
+    .map(li => {
+      // Step text is in a <p>; the <li> also holds photos and captions
+      const paragraph = li.match(/<p[^>]*>(.*?)<\/p>/is);
+      return helpers.stripHTML(paragraph ? paragraph[1] : li).trim();
+    })
+    .filter(text => text.length > 10);
+};
+
+// "Prep Time: 15 mins" label/value pairs in the recipe details box
+const extractDetails = (html, helpers) => {
+  const details = { prep_time: null, cook_time: null, total_time: null, servings: null };
+  const pairs = html.matchAll(
+    /(?:mntl|mm)-recipes?-details__label[^>]*>(.*?)<\/div>\s*<div[^>]+class=["'][^"']*(?:mntl|mm)-recipes?-details__value[^>]*>(.*?)<\/div>/gis
+  );
+  for (const [, rawLabel, rawValue] of pairs) {
+    const label = helpers.stripHTML(rawLabel).toLowerCase();
+    const value = helpers.stripHTML(rawValue).trim();
+    if (label.includes('prep')) details.prep_time = value;
+    else if (label.includes('cook')) details.cook_time = value;
+    else if (label.includes('total')) details.total_time = value;
+    else if (/serv|yield/.test(label)) details.servings = value;
+  }
+  return details;
+};
+
+const extractImage = (html) => {
+  const imgTag = /<img[^>]+class=["'][^"']*(primary-image|recipe-image|hero-photo|universal-image__image)[^"']*["'][^>]*>/i;
+  return absoluteImageUrl(attributeOf(html, imgTag, 'data-src'))
+    || absoluteImageUrl(attributeOf(html, imgTag, 'src'))
+    || absoluteImageUrl(metaContent(html, 'og:image'));
+};
+
+export default registerSiteExtractor({
+  id: 'allrecipes',
+  name: 'Allrecipes / Dotdash Meredith',
+  domains: [
+    'allrecipes.com',
+    'seriouseats.com',
+    'simplyrecipes.com',
+    'eatingwell.com',
+    'foodandwine.com',
+    'thespruceeats.com',
+    'marthastewart.com',
+    'southernliving.com',
+  ],
+  matches: (url, html) => TEMPLATE_MARKER.test(html),
+
+  extract(html, url, helpers) {
+    try {
+      const title = extractTitle(html, helpers);
+      const ingredients = extractIngredients(html, helpers);
+      if (!title || countIngredients(ingredients) === 0) return null;
+
+      return {
+        title,
+        ingredients,
+        instructions: extractInstructions(html, helpers),
+        ...extractDetails(html, helpers),
+        image: extractImage(html),
+        extraction_method: 'site_specific_allrecipes',
+        confidence: 0.85,
+        source_url: url,
+      };
+    } catch (error) {
+      return null;
+    }
+  },
+});
@@ -0,0 +1,91 @@
+/**
+ * FILENAME: src/extractors/sites/bbcGoodFood.js
+ * PURPOSE: BBC Good Food (bbcgoodfood.com).
+ *
+ * Ingredients are <li>s under "recipe__ingredients", with <h3> group
+ * titles between the lists. Each method step is an <li> that starts with
+ * a "STEP 1" label - only the step's <p> text is kept.
+ */
+
+import { registerSiteExtractor } from '../registry';
+import {
+  findElement,
+  findElements,
+  matchAllGroups,
+  attributeOf,
+  orderedMatches,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+} from '../markup';
+
+const extractDetails = (html, helpers) => {
+  const details = { prep_time: null, cook_time: null, total_time: null, servings: null };
+
+  findElements(html, 'li', 'recipe-cook-and-prep-details__item').forEach(item => {
+    const text = helpers.stripHTML(item).trim();
+    const label = text.toLowerCase();
+    // Prefer the machine-readable duration when there is one
+    const datetime = item.match(/<time[^>]+datetime=["']([^"']+)["']/i);
+    const value = datetime
+      ? helpers.parseDuration(datetime[1])
+      : text.replace(/^[^:]*:\s*/, '');
+
+    if (label.startsWith('prep')) details.prep_time = value;
+    else if (label.startsWith('cook')) details.cook_time = value;
+    else if (label.startsWith('total')) details.total_time = value;
+    else if (/^(serves|makes)/.test(label)) details.servings = text;
+  });
+
+  return details;
+};
+
+export default registerSiteExtractor({
+  id: 'bbcgoodfood',
+  name: 'BBC Good Food',
+  domains: ['bbcgoodfood.com'],
+
+  extract(html, url, helpers) {
+    try {
+      const titleMatch = html.match(/<h1[^>]*>(.*?)<\/h1>/is);
+      const title = titleMatch ? helpers.stripHTML(titleMatch[1]).trim() : '';
+
+      const ingredientBlock = findElement(html, 'section', 'recipe__ingredients')
+        || findElement(html, 'div', 'recipe__ingredients');
+      const ingredients = toIngredientSections(
+        orderedMatches(ingredientBlock, {
+          header: /<h3[^>]*>(.*?)<\/h3>/gis,
+          item: /<li[^>]*>(.*?)<\/li>/gis,
+        }).map(({ kind, inner }) => ({ text: helpers.stripHTML(inner), header: kind === 'header' })),
+        helpers
+      );
+      if (!title || countIngredients(ingredients) === 0) return null;
+
+      const instructions = findElements(html, 'li', 'method-steps__list-item')
+        .map(step => {
+          const paragraphs = matchAllGroups(step, /<p[^>]*>(.*?)<\/p>/gis);
+          const text = paragraphs.length > 0 ? paragraphs.join(' ') : step.replace(/<span[^>]*>\s*step\s*\d+\s*<\/span>/i, '');
+          return helpers.stripHTML(text).trim();
+        })
+        .filter(Boolean);
+
+      const imageBlock = findElement(html, 'div', 'post-header__image-container') || '';
+      const image = absoluteImageUrl(attributeOf(imageBlock, /<img[^>]*>/i, 'src'))
+        || absoluteImageUrl(metaContent(html, 'og:image'));
+
+      return {
+        title,
+        ingredients,
+        instructions,
+        ...extractDetails(html, helpers),
+        image,
+        extraction_method: 'site_specific_bbcgoodfood',
+        confidence: 0.85,
+        source_url: url,
+      };
+    } catch (error) {
+      return null;
+    }
+  },
+});
@@ -0,0 +1,77 @@
+/**
+ * FILENAME: src/extractors/sites/delish.js
+ * PURPOSE: Delish and the other Hearst food sites.
+ *
+ * Hearst recipe pages (Delish, Good Housekeeping, Country Living, The
+ * Pioneer Woman) share one template: "ingredient-item" rows with separate
+ * amount and description spans, and a "direction-lists" <ol> of steps.
+ */
+
+import { registerSiteExtractor } from '../registry';
+import {
+  findElement,
+  matchAllGroups,
+  attributeOf,
+  orderedMatches,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+} from '../markup';
+
+// "Total Time: 1 hr" - label and amount spans inside a time/yield block
+const detailValue = (html, name, helpers) => {
+  const block = findElement(html, '[a-z]+', `${name}-amount`);
+  return block ? helpers.stripHTML(block).trim() || null : null;
+};
+
+export default registerSiteExtractor({
+  id: 'delish',
+  name: 'Delish / Hearst',
+  domains: [
+    'delish.com',
+    'goodhousekeeping.com',
+    'countryliving.com',
+    'thepioneerwoman.com',
+  ],
+
+  extract(html, url, helpers) {
+    try {
+      const titleMatch = html.match(/<h1[^>]+class=["'][^"']*recipe-hed[^"']*["'][^>]*>(.*?)<\/h1>/is)
+        || html.match(/<h1[^>]*>(.*?)<\/h1>/is);
+      const title = titleMatch ? helpers.stripHTML(titleMatch[1]).trim() : '';
+
+      const ingredientBlock = findElement(html, 'div', 'ingredients-body') || html;
+      const lines = orderedMatches(ingredientBlock, {
+        header: /<h[34][^>]+class=["'][^"']*ingredient-title[^"']*["'][^>]*>(.*?)<\/h[34]>/gis,
+        item: /<div[^>]+class=["'][^"']*ingredient-item["'][^>]*>([\s\S]*?)<\/div>/gi,
+      }).map(({ kind, inner }) => ({ text: helpers.stripHTML(inner), header: kind === 'header' }));
+      const ingredients = toIngredientSections(lines, helpers);
+      if (!title || countIngredients(ingredients) === 0) return null;
+
+      const directions = findElement(html, 'div', 'direction-lists') || '';
+      const instructions = matchAllGroups(directions, /<li[^>]*>(.*?)<\/li>/gis)
+        .map(step => helpers.stripHTML(step).trim())
+        .filter(Boolean);
+
+      const image = absoluteImageUrl(attributeOf(html, /<img[^>]+class=["'][^"']*recipe-image[^"']*["'][^>]*>/i, 'src'))
+        || absoluteImageUrl(metaContent(html, 'og:image'));
+
+      return {
+        title,
+        ingredients,
+        instructions,
+        prep_time: detailValue(html, 'prep-time', helpers),
+        cook_time: detailValue(html, 'cook-time', helpers),
+        total_time: detailValue(html, 'total-time', helpers),
+        servings: detailValue(html, 'yields', helpers),
+        image,
+        extraction_method: 'site_specific_delish',
+        confidence: 0.85,
+        source_url: url,
+      };
+    } catch (error) {
+      return null;
+    }
+  },
+});
@@ -0,0 +1,81 @@
+/**
+ * FILENAME: src/extractors/sites/foodNetwork.js
+ * PURPOSE: Food Network (foodnetwork.com).
+ *
+ * Ingredients are checkbox labels ("o-Ingredients__a-Ingredient--
+ * CheckboxLabel") with sub-headlines between groups; the first checkbox
+ * is the "Deselect All" toggle. Images are protocol-relative.
+ */
+
+import { registerSiteExtractor } from '../registry';
+import {
+  findElements,
+  attributeOf,
+  orderedMatches,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+} from '../markup';
+
+const SELECT_ALL = /^(de)?select all$/i;
+
+// "Prep: 15 min" headline/description pairs in the recipe info box
+const extractDetails = (html, helpers) => {
+  const details = { prep_time: null, cook_time: null, total_time: null, servings: null };
+  const pairs = html.matchAll(
+    /a-Headline[^"']*["'][^>]*>(.*?)<\/span>\s*<span[^>]+class=["'][^"']*a-Description[^"']*["'][^>]*>(.*?)<\/span>/gis
+  );
+  for (const [, rawLabel, rawValue] of pairs) {
+    const label = helpers.stripHTML(rawLabel).toLowerCase();
+    const value = helpers.stripHTML(rawValue).trim();
+    if (label.startsWith('prep')) details.prep_time = value;
+    else if (label.startsWith('cook')) details.cook_time = value;
+    else if (label.startsWith('total')) details.total_time = value;
+    else if (label.startsWith('yield')) details.servings = value;
+  }
+  return details;
+};
+
+export default registerSiteExtractor({
+  id: 'foodnetwork',
+  name: 'Food Network',
+  domains: ['foodnetwork.com'],
+
+  extract(html, url, helpers) {
+    try {
+      const titleMatch = html.match(/<span[^>]+class=["'][^"']*o-AssetTitle__a-HeadlineText[^"']*["'][^>]*>(.*?)<\/span>/is)
+        || html.match(/<h1[^>]*>(.*?)<\/h1>/is);
+      const title = titleMatch ? helpers.stripHTML(titleMatch[1]).trim() : '';
+
+      const lines = orderedMatches(html, {
+        header: /<h3[^>]+class=["'][^"']*o-Ingredients__a-SubHeadline[^"']*["'][^>]*>(.*?)<\/h3>/gis,
+        item: /<span[^>]+class=["'][^"']*o-Ingredients__a-Ingredient--CheckboxLabel[^"']*["'][^>]*>(.*?)<\/span>/gis,
+      })
+        .map(({ kind, inner }) => ({ text: helpers.stripHTML(inner), header: kind === 'header' }))
+        .filter(line => !SELECT_ALL.test(line.text));
+      const ingredients = toIngredientSections(lines, helpers);
+      if (!title || countIngredients(ingredients) === 0) return null;
+
+      const instructions = findElements(html, 'li', 'o-Method__m-Step')
+        .map(step => helpers.stripHTML(step).trim())
+        .filter(Boolean);
+
+      const image = absoluteImageUrl(attributeOf(html, /<img[^>]+class=["'][^"']*m-MediaBlock__a-Image[^"']*["'][^>]*>/i, 'src'))
+        || absoluteImageUrl(metaContent(html, 'og:image'));
+
+      return {
+        title,
+        ingredients,
+        instructions,
+        ...extractDetails(html, helpers),
+        image,
+        extraction_method: 'site_specific_foodnetwork',
+        confidence: 0.85,
+        source_url: url,
+      };
+    } catch (error) {
+      return null;
+    }
+  },
+});
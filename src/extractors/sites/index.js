@@ -0,0 +1,20 @@
+/**
+ * FILENAME: src/extractors/sites/index.js
+ * PURPOSE: Load every site extractor so it registers itself.
+ *
+ * Metro can't import a directory by pattern, so a new site module needs
+ * one line here. Order doesn't matter - lookups go by domain first.
+ */
+
+import './allrecipes';
+import './bbcGoodFood';
+import './delish';
+import './foodNetwork';
+import './nytCooking';
+
+export {
+  registerSiteExtractor,
+  getSiteExtractors,
+  getSiteExtractor,
+  findSiteExtractors,
+} from '../registry';
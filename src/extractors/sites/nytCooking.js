@@ -0,0 +1,164 @@
+/**
+ * FILENAME: src/extractors/sites/nytCooking.js
+ * PURPOSE: NYT Cooking (cooking.nytimes.com).
+ *
+ * The page is a Next.js app: the full recipe is in the __NEXT_DATA__
+ * script as JSON, which is more reliable than the rendered markup (its
+ * class names carry build hashes, e.g. "ingredient_quantity__Z_Mvw").
+ * The markup is read only if that script is missing, by class prefix.
+ *
+ * Subscriber-only recipes serve a teaser without ingredients; those
+ * return null and the import fails as "unable to extract".
+ */
+
+import { registerSiteExtractor } from '../registry';
+import {
+  findElements,
+  matchAllGroups,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+} from '../markup';
+
+// The recipe is the object with a title plus ingredients and steps
+const findRecipeData = (data, depth = 0) => {
+  if (!data || typeof data !== 'object' || depth > 8) return null;
+  if (!Array.isArray(data) && data.title && Array.isArray(data.ingredients)
+    && (Array.isArray(data.steps) || Array.isArray(data.instructions))) {
+    return data;
+  }
+  for (const value of Object.values(data)) {
+    const found = findRecipeData(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+};
+
+// Ingredient groups look like { name: 'For the sauce', ingredients: [...] }
+// and each ingredient like { quantity: '2', text: 'cups flour' }
+const flattenIngredients = (items, lines = []) => {
+  (items || []).forEach(item => {
+    if (typeof item === 'string') {
+      lines.push({ text: item });
+    } else if (Array.isArray(item?.ingredients)) {
+      if (item.name) lines.push({ text: item.name, header: true });
+      flattenIngredients(item.ingredients, lines);
+    } else if (item) {
+      const text = [item.quantity, item.text || item.name].filter(Boolean).join(' ');
+      if (text) lines.push({ text });
+    }
+  });
+  return lines;
+};
+
+// Step groups: { name, steps: [{ number, description }] }
+const flattenSteps = (items, steps = []) => {
+  (items || []).forEach(item => {
+    if (typeof item === 'string') {
+      steps.push(item);
+    } else if (Array.isArray(item?.steps)) {
+      flattenSteps(item.steps, steps);
+    } else if (item) {
+      const text = item.description || item.text || item.step;
+      if (text) steps.push(String(text));
+    }
+  });
+  return steps;
+};
+
+// First absolute URL anywhere in an image object
+const findImageUrl = (image, depth = 0) => {
+  if (!image || depth > 4) return null;
+  if (typeof image === 'string') return absoluteImageUrl(image);
+  for (const value of Object.values(image)) {
+    const found = findImageUrl(value, depth + 1);
+    if (found) return found;
+  }
+  return null;
+};
+
+const extractFromNextData = (html, url, helpers) => {
+  const script = html.match(/<script[^>]+id=["']__NEXT_DATA__["'][^>]*>(.*?)<\/script>/is);
+  if (!script) return null;
+
+  let data;
+  try {
+    data = JSON.parse(script[1]);
+  } catch (err) {
+    return null;
+  }
+  const recipe = findRecipeData(data?.props?.pageProps || data);
+  if (!recipe) return null;
+
+  const ingredients = toIngredientSections(
+    flattenIngredients(recipe.ingredients).map(line => ({ ...line, text: helpers.stripHTML(line.text) })),
+    helpers
+  );
+  if (countIngredients(ingredients) === 0) return null;
+
+  return {
+    title: helpers.stripHTML(recipe.title).trim(),
+    ingredients,
+    instructions: flattenSteps(recipe.steps || recipe.instructions)
+      .map(step => helpers.stripHTML(step).trim())
+      .filter(Boolean),
+    prep_time: recipe.prepTime ? helpers.parseDuration(recipe.prepTime) : null,
+    cook_time: recipe.cookTime ? helpers.parseDuration(recipe.cookTime) : null,
+    total_time: recipe.totalTime || recipe.time
+      ? helpers.parseDuration(String(recipe.totalTime || recipe.time))
+      : null,
+    servings: recipe.recipeYield || recipe.yield ? String(recipe.recipeYield || recipe.yield) : null,
+    image: findImageUrl(recipe.image) || absoluteImageUrl(metaContent(html, 'og:image')),
+  };
+};
+
+const extractFromMarkup = (html, url, helpers) => {
+  const titleMatch = html.match(/<h1[^>]*>(.*?)<\/h1>/is);
+  const title = titleMatch ? helpers.stripHTML(titleMatch[1]).trim() : '';
+
+  const lines = findElements(html, 'li', 'ingredient_ingredient__').map(li => ({
+    text: helpers.stripHTML(li),
+  }));
+  const ingredients = toIngredientSections(lines, helpers);
+  if (!title || countIngredients(ingredients) === 0) return null;
+
+  const instructions = findElements(html, 'li', 'preparation_step__')
+    .map(li => {
+      const content = matchAllGroups(li, /<p[^>]*>(.*?)<\/p>/gis).join(' ');
+      return helpers.stripHTML(content || li).trim();
+    })
+    .filter(Boolean);
+
+  return {
+    title,
+    ingredients,
+    instructions,
+    prep_time: null,
+    cook_time: null,
+    total_time: null,
+    servings: null,
+    image: absoluteImageUrl(metaContent(html, 'og:image')),
+  };
+};
+
+export default registerSiteExtractor({
+  id: 'nytcooking',
+  name: 'NYT Cooking',
+  domains: ['cooking.nytimes.com'],
+
+  extract(html, url, helpers) {
+    try {
+      const result = extractFromNextData(html, url, helpers) || extractFromMarkup(html, url, helpers);
+      if (!result || !result.title) return null;
+      return {
+        ...result,
+        extraction_method: 'site_specific_nytcooking',
+        confidence: 0.85,
+        source_url: url,
+      };
+    } catch (error) {
+      return null;
+    }
+  },
+});
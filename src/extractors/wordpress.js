@@ -0,0 +1,343 @@
+/**
+ * FILENAME: src/extractors/wordpress.js
+ * PURPOSE: WordPress recipe card plugins (RecipeExtractor tier 3).
+ *
+ * Every plugin renders the same parts - a card with a title, grouped
+ * ingredient and instruction lists, notes, times and a yield - under its
+ * own class names. So each plugin is described by selectors (see
+ * selectAll in ./markup) and parsed by the same code (extractPluginCard,
+ * or extractPluginCards for pages with several cards):
+ *
+ *   {
+ *     name: 'Tasty Recipes',
+ *     markers: ['tasty-recipes-ingredients'], // substrings that mean the plugin is on the page
+ *     card: 'div.tasty-recipes',      // the recipe card; everything below is read inside it
+ *     title: ['h2.tasty-recipes-title'],
+ *     ingredients: { container, header, item, text? },
+ *     instructions: { container, header, item, text? },
+ *     notes: 'div.tasty-recipes-notes',
+ *     details: { prep_time, cook_time, total_time, servings },
+ *     image: 'div.tasty-recipes-image', // an <img>, or an element holding one
+ *   }
+ *
+ * `header` marks group titles ("For the sauce") between the items; `text`
+ * picks the part of an item to keep when it also holds numbers or icons.
+ * A selector may be a list - the first that matches wins.
+ */
+
+import {
+  selectAll,
+  select,
+  selectOrdered,
+  attributeOf,
+  metaContent,
+  absoluteImageUrl,
+  toIngredientSections,
+  countIngredients,
+} from './markup';
+
+export const WP_PLUGINS = {
+  wprm: {
+    name: 'WordPress Recipe Maker',
+    markers: ['wprm-recipe-container', 'wprm-recipe-ingredients'],
+    card: 'div.wprm-recipe-container',
+    title: ['*.wprm-recipe-name'],
+    ingredients: {
+      container: 'div.wprm-recipe-ingredients-container',
+      header: '*.wprm-recipe-ingredient-group-name',
+      item: 'li.wprm-recipe-ingredient',
+    },
+    instructions: {
+      container: 'div.wprm-recipe-instructions-container',
+      header: '*.wprm-recipe-instruction-group-name',
+      item: 'li.wprm-recipe-instruction',
+      text: '*.wprm-recipe-instruction-text',
+    },
+    notes: 'div.wprm-recipe-notes',
+    details: {
+      prep_time: 'div.wprm-recipe-prep-time-container',
+      cook_time: 'div.wprm-recipe-cook-time-container',
+      total_time: 'div.wprm-recipe-total-time-container',
+      servings: 'div.wprm-recipe-servings-container',
+    },
+    image: '*.wprm-recipe-image',
+  },
+
+  tasty: {
+    name: 'Tasty Recipes',
+    markers: ['tasty-recipes-ingredients', 'tasty-recipes-instructions'],
+    card: 'div.tasty-recipes',
+    title: ['*.tasty-recipes-title'],
+    ingredients: {
+      container: ['div.tasty-recipes-ingredients-body', 'div.tasty-recipes-ingredients'],
+      header: 'h[3-5]',
+      item: 'li',
+    },
+    instructions: {
+      container: ['div.tasty-recipes-instructions-body', 'div.tasty-recipes-instructions'],
+      header: 'h[3-5]',
+      item: 'li',
+    },
+    notes: 'div.tasty-recipes-notes',
+    details: {
+      prep_time: 'span.tasty-recipes-prep-time',
+      cook_time: 'span.tasty-recipes-cook-time',
+      total_time: 'span.tasty-recipes-total-time',
+      servings: 'span.tasty-recipes-yield',
+    },
+    image: 'div.tasty-recipes-image',
+  },
+
+  mediavine: {
+    name: 'Mediavine Create',
+    markers: ['mv-create-card'],
+    card: 'div.mv-create-card',
+    title: ['*.mv-create-title'],
+    ingredients: {
+      container: 'div.mv-create-ingredients',
+      header: 'h[3-5]',
+      item: 'li',
+    },
+    instructions: {
+      container: 'div.mv-create-instructions',
+      header: 'h[3-5]',
+      item: 'li',
+    },
+    notes: 'div.mv-create-notes',
+    details: {
+      prep_time: 'div.mv-create-time-prep',
+      // Create calls the hands-on cooking time "Active Time"
+      cook_time: ['div.mv-create-time-active', 'div.mv-create-time-cook'],
+      total_time: 'div.mv-create-time-total',
+      servings: 'div.mv-create-yield',
+    },
+    image: ['img.mv-create-image', 'div.mv-create-image'],
+  },
+
+  zip: {
+    name: 'Zip Recipes',
+    markers: ['zlrecipe-container', 'zlrecipe-ingredients-list'],
+    card: ['div#zlrecipe-container', 'div.zlrecipe-container'],
+    title: ['*#zlrecipe-title'],
+    ingredients: {
+      container: 'ul#zlrecipe-ingredients-list',
+      header: 'li.ingredient-label',
+      item: 'li.ingredient',
+    },
+    instructions: {
+      container: 'ol#zlrecipe-instructions-list',
+      header: 'li.instruction-label',
+      item: 'li.instruction',
+    },
+    notes: '*#zlrecipe-notes-list',
+    details: {
+      prep_time: '*#zlrecipe-prep-time',
+      cook_time: '*#zlrecipe-cook-time',
+      total_time: '*#zlrecipe-total-time',
+      servings: '*#zlrecipe-yield',
+    },
+    image: ['img#zlrecipe-image', 'img.zlrecipe-image'],
+  },
+
+  cooked: {
+    name: 'Cooked',
+    markers: ['cooked-recipe-ingredients', 'cooked-recipe-directions'],
+    // Cooked renders its parts straight into the post, with the post's
+    // own title, rather than as one card
+    card: ['article', 'div.entry-content', 'body'],
+    title: ['h1.entry-title', 'h1'],
+    ingredients: {
+      container: 'div.cooked-recipe-ingredients',
+      header: 'div.cooked-heading',
+      item: 'div.cooked-ingredient',
+    },
+    instructions: {
+      container: 'div.cooked-recipe-directions',
+      header: 'div.cooked-heading',
+      item: 'div.cooked-direction',
+      text: 'div.cooked-dir-content',
+    },
+    notes: null,
+    details: {
+      prep_time: 'span.cooked-prep-time',
+      cook_time: 'span.cooked-cook-time',
+      total_time: 'span.cooked-total-time',
+      servings: 'span.cooked-servings',
+    },
+    image: null,
+  },
+
+  easyrecipe: {
+    name: 'EasyRecipe',
+    markers: ['easyrecipe', 'ERSIngredients'],
+    card: 'div.easyrecipe',
+    title: ['*.ERSName'],
+    ingredients: {
+      container: 'div.ERSIngredients',
+      header: 'div.ERSSectionHead',
+      item: 'li.ingredient',
+    },
+    instructions: {
+      container: 'div.ERSInstructions',
+      header: 'div.ERSSectionHead',
+      item: 'li.instruction',
+    },
+    notes: 'div.ERSNotes',
+    // Times are only told apart by their microdata
+    details: {
+      prep_time: 'time[itemprop=prepTime]',
+      cook_time: 'time[itemprop=cookTime]',
+      total_time: 'time[itemprop=totalTime]',
+      servings: 'div.ERSServes',
+    },
+    image: 'img[itemprop=image]',
+  },
+};
+
+// Screen-reader copies of units ("15<span class="sr-only"> minutes</span>
+// mins"), recipe scaling buttons ("1x 2x 3x") and the leading label of a
+// time or yield ("Prep Time: ")
+const DETAIL_NOISE = /<span[^>]+class=["'][^"']*(sr-only|screen-reader-text|yield-scale)[^"']*["'][^>]*>(<span[^>]*>.*?<\/span>|.)*?<\/span>/gis;
+const DETAIL_LABEL = /^((prep(aration)?|cook(ing)?|total|active|inactive)\s*time|yields?|serves|servings|makes)\s*:?\s*/i;
+// The card's own "Ingredients" / "Instructions" heading isn't a group title
+const LIST_TITLE = /^(ingredients|instructions|directions|method|steps|preparation):?$/i;
+const NOTES_TITLE = /^(recipe )?notes:?$/i;
+
+// First element matching any of the selectors
+const selectFirst = (html, selectors) => {
+  for (const selector of [].concat(selectors || [])) {
+    const el = select(html, selector);
+    if (el) return el;
+  }
+  return null;
+};
+
+const groupedLines = (card, spec, helpers) => {
+  const container = selectFirst(card, spec.container);
+  if (!container) return [];
+  return selectOrdered(container.inner, { header: spec.header, item: spec.item })
+    .map(({ kind, inner }) => {
+      const part = kind === 'item' && spec.text ? select(inner, spec.text) : null;
+      return { text: helpers.stripHTML(part ? part.inner : inner), header: kind === 'header' };
+    })
+    .filter(line => line.text && !(line.header && LIST_TITLE.test(line.text)));
+};
+
+const detailValue = (card, selectors, helpers) => {
+  const el = selectFirst(card, selectors);
+  if (!el) return null;
+  // A machine-readable duration beats whatever the label says
+  const datetime = attributeOf(el.tag, /<time[^>]*>/i, 'datetime')
+    || attributeOf(el.inner, /<time[^>]*>/i, 'datetime');
+  if (datetime) return helpers.parseDuration(datetime);
+  const text = helpers.stripHTML(el.inner.replace(DETAIL_NOISE, '')).replace(DETAIL_LABEL, '').trim();
+  return text || null;
+};
+
+const notesText = (card, selectors, helpers) => {
+  for (const selector of [].concat(selectors || [])) {
+    for (const el of selectAll(card, selector)) {
+      // One line per paragraph, list item or block; drop the "Notes" heading
+      const lines = el.inner
+        .replace(/<h[1-6][^>]*>.*?<\/h[1-6]>/gis, '')
+        .replace(/<br\s*\/?>|<\/(p|li|div)>|<span[^>]+display:\s*block[^>]*>/gi, '\n')
+        .split('\n')
+        .map(part => helpers.stripHTML(part))
+        .filter(Boolean);
+      // A class like "ERSNotes" also matches the "ERSNotesHeader" label
+      if (lines.length > 0 && !NOTES_TITLE.test(lines.join(' '))) return lines.join('\n');
+    }
+  }
+  return null;
+};
+
+const imageUrl = (card, selectors, html) => {
+  const el = selectFirst(card, selectors);
+  const imgTag = el && (/^<img\b/i.test(el.tag) ? el.tag : el.inner.match(/<img\b[^>]*>/i)?.[0]);
+  if (imgTag) {
+    // Lazy-loading plugins keep the real URL in a data attribute
+    const src = ['data-lazy-src', 'data-src', 'src']
+      .map(attr => absoluteImageUrl(attributeOf(imgTag, /<img\b[^>]*>/i, attr)))
+      .find(Boolean);
+    if (src) return src;
+  }
+  return absoluteImageUrl(metaContent(html, 'og:image'));
+};
+
+// Every card on the page for the first card selector that matches. A
+// class fragment like "tasty-recipes" also matches the card's own parts,
+// so elements inside an earlier match are skipped.
+const selectCards = (html, selectors) => {
+  for (const selector of [].concat(selectors || [])) {
+    const cards = [];
+    let end = -1;
+    selectAll(html, selector).forEach(el => {
+      if (el.index < end) return;
+      cards.push(el);
+      end = el.index + el.tag.length + el.inner.length;
+    });
+    if (cards.length > 0) return cards;
+  }
+  return [];
+};
+
+const parseCard = (card, html, url, id, plugin, helpers) => {
+  const titleEl = selectFirst(card.inner, plugin.title);
+  const title = titleEl ? helpers.stripHTML(titleEl.inner).trim() : '';
+  const ingredients = toIngredientSections(groupedLines(card.inner, plugin.ingredients, helpers), helpers);
+  if (!title || countIngredients(ingredients) === 0) return null;
+
+  // Instruction group titles are dropped, as with JSON-LD HowToSections:
+  // steps are one flat list
+  const instructions = groupedLines(card.inner, plugin.instructions, helpers)
+    .filter(line => !line.header)
+    .map(line => line.text.trim());
+
+  const details = {};
+  ['prep_time', 'cook_time', 'total_time', 'servings'].forEach(field => {
+    details[field] = detailValue(card.inner, plugin.details[field], helpers);
+  });
+
+  return {
+    title,
+    ingredients,
+    instructions,
+    ...details,
+    notes: notesText(card.inner, plugin.notes, helpers),
+    image: imageUrl(card.inner, plugin.image, html),
+    extraction_method: `wp_plugin_${id}`,
+    confidence: 0.90,
+    source_url: url,
+  };
+};
+
+/**
+ * Parse a plugin's recipe card into the sectioned recipe shape the other
+ * tiers produce
+ * @param {string} html - Page HTML
+ * @param {string} url - Page URL
+ * @param {string} id - Plugin id, e.g. 'tasty' (used in extraction_method)
+ * @param {Object} plugin - Its description, e.g. WP_PLUGINS.tasty
+ * @param {Object} helpers - RecipeExtractor instance
+ * @returns {Object|null} Recipe, or null if the card has no title or ingredients
+ */
+export const extractPluginCard = (html, url, id, plugin, helpers) => {
+  const card = selectFirst(html, plugin.card);
+  return card ? parseCard(card, html, url, id, plugin, helpers) : null;
+};
+
+/**
+ * Every recipe card of one plugin on the page - round-ups and meal-prep
+ * posts carry several
+ * @returns {Array<Object>} Recipes, in page order
+ */
+export const extractPluginCards = (html, url, id, plugin, helpers) =>
+  selectCards(html, plugin.card)
+    .map(card => parseCard(card, html, url, id, plugin, helpers))
+    .filter(Boolean);
+
+export default {
+  WP_PLUGINS,
+  extractPluginCard,
+  extractPluginCards,
+};
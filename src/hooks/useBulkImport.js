@@ -0,0 +1,181 @@
+/**
+ * useBulkImport Hook
+ * Queue for importing many recipe URLs at once (BulkImportScreen)
+ *
+ * Links are extracted a few at a time in the background - the queue lives
+ * in HomeScreen, so it keeps going while the user looks at other tabs.
+ * Each item moves queued -> extracting -> ready | failed, or straight to
+ * duplicate when the recipe is already saved. Ready recipes are saved
+ * together by the caller (saveRecipesBatch), then marked saved.
+ */
+
+import { useState, useRef, useCallback } from 'react';
+import RecipeExtractor from '../../RecipeExtractor';
+import { extractRecipeFromUrl, describeExtractionFailure } from '../services/urlExtraction';
+import { extractUrlsForImport, normalizeRecipeUrl } from '../utils/urlExtractor';
+import { toAppRecipe } from './useRecipeExtraction';
+
+import { log } from '../utils/log';
+
+// Sites rate-limit bursts from one device; three at a time keeps a
+// bookmarks folder moving without tripping that
+const CONCURRENCY = 3;
+
+export const BULK_STATUS = {
+  QUEUED: 'queued',
+  EXTRACTING: 'extracting',
+  READY: 'ready',
+  FAILED: 'failed',
+  DUPLICATE: 'duplicate',
+  SAVED: 'saved',
+};
+
+let nextItemId = 1;
+
+/**
+ * @param {Function} findExistingRecipeByUrl - From useRecipeExtraction
+ */
+export const useBulkImport = (findExistingRecipeByUrl) => {
+  const [items, setItems] = useState([]);
+  // The queue's source of truth - workers read it between awaits, when
+  // `items` from the last render may be stale
+  const itemsRef = useRef([]);
+  const activeCount = useRef(0);
+  // No AI tier: a bulk import must not quietly spend the user's scans
+  const extractor = useRef(new RecipeExtractor()).current;
+
+  const commit = (next) => {
+    itemsRef.current = next;
+    setItems(next);
+  };
+
+  // No-op if the item was removed (or the queue cleared) meanwhile
+  const updateItem = (id, changes) => {
+    commit(itemsRef.current.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const runItem = async (item) => {
+    try {
+      const result = await extractRecipeFromUrl(item.url, extractor);
+      if (result.success) {
+        const recipes = (result.recipes?.length ? result.recipes : [result.data]).map((data, index) =>
+          toAppRecipe(data, index === 0 ? item.url : data.source_url || item.url, result.source, index)
+        );
+        updateItem(item.id, {
+          status: BULK_STATUS.READY,
+          title: recipes[0].title || item.title,
+          recipes,
+          needsReview: recipes.some(recipe => recipe.needs_review),
+        });
+      } else {
+        updateItem(item.id, {
+          status: BULK_STATUS.FAILED,
+          error: describeExtractionFailure(result).title,
+          reason: result.reason,
+        });
+      }
+    } catch (error) {
+      console.error('❌ Bulk import error:', error);
+      updateItem(item.id, { status: BULK_STATUS.FAILED, error: error.message });
+    }
+  };
+
+  // Start queued items until CONCURRENCY are running
+  const pump = () => {
+    while (activeCount.current < CONCURRENCY) {
+      const next = itemsRef.current.find(item => item.status === BULK_STATUS.QUEUED);
+      if (!next) return;
+      activeCount.current++;
+      updateItem(next.id, { status: BULK_STATUS.EXTRACTING });
+      runItem(next).finally(() => {
+        activeCount.current--;
+        pump();
+      });
+    }
+  };
+
+  /**
+   * Queue every link in pasted text or a bookmarks export
+   * @param {string} input - See extractUrlsForImport
+   * @returns {{added: number, duplicates: number}} Links already queued
+   *   are skipped and not counted
+   */
+  const addFromText = useCallback((input) => {
+    const queued = new Set(itemsRef.current.map(item => normalizeRecipeUrl(item.url)));
+    const entries = extractUrlsForImport(input).filter(({ url }) => !queued.has(normalizeRecipeUrl(url)));
+
+    const newItems = entries.map(({ url, title }) => {
+      const existing = findExistingRecipeByUrl(url);
+      return {
+        id: `bulk-${nextItemId++}`,
+        url,
+        title: existing?.title || title,
+        status: existing ? BULK_STATUS.DUPLICATE : BULK_STATUS.QUEUED,
+        recipes: [],
+        error: null,
+      };
+    });
+    commit([...itemsRef.current, ...newItems]);
+    log(`📥 Bulk import: queued ${newItems.length} link(s)`);
+    pump();
+
+    const duplicates = newItems.filter(item => item.status === BULK_STATUS.DUPLICATE).length;
+    return { added: newItems.length - duplicates, duplicates };
+  }, [findExistingRecipeByUrl]);
+
+  const retryItem = useCallback((id) => {
+    updateItem(id, { status: BULK_STATUS.QUEUED, error: null, reason: null });
+    pump();
+  }, []);
+
+  const removeItem = useCallback((id) => {
+    commit(itemsRef.current.filter(item => item.id !== id));
+  }, []);
+
+  /**
+   * Empty the queue. Extractions already running finish but are dropped.
+   */
+  const clear = useCallback(() => commit([]), []);
+
+  /**
+   * Recipes ready to save, across all ready items
+   */
+  const readyItems = items.filter(item => item.status === BULK_STATUS.READY);
+  const readyRecipes = readyItems.flatMap(item => item.recipes);
+  const readyItemIds = readyItems.map(item => item.id);
+
+  /**
+   * After the caller saved some ready items' recipes: mark just those
+   * saved. Extraction keeps running during the save, so items that became
+   * ready meanwhile keep their recipes for the next save.
+   * @param {Array} itemIds - readyItemIds as they were when the save began
+   */
+  const markItemsSaved = useCallback((itemIds) => {
+    const ids = new Set(itemIds);
+    commit(itemsRef.current.map(item => (
+      ids.has(item.id) && item.status === BULK_STATUS.READY
+        ? { ...item, status: BULK_STATUS.SAVED, recipes: [] }
+        : item
+    )));
+  }, []);
+
+  const counts = items.reduce((acc, item) => {
+    acc[item.status] = (acc[item.status] || 0) + 1;
+    return acc;
+  }, {});
+
+  return {
+    items,
+    counts,
+    readyRecipes,
+    readyItemIds,
+    isRunning: items.some(item => item.status === BULK_STATUS.QUEUED || item.status === BULK_STATUS.EXTRACTING),
+    addFromText,
+    retryItem,
+    removeItem,
+    clear,
+    markItemsSaved,
+  };
+};
+
+export default useBulkImport;
@@ -0,0 +1,105 @@
+/**
+ * useCookSessions Hook
+ * In-progress Cook Mode sessions, one per recipe, stored per user so a
+ * phone call or the OS killing the app mid-recipe doesn't lose progress.
+ *
+ * Session shape:
+ *   { recipeId, recipeTitle, checkedIngredients, checkedSteps, currentStep,
+ *     totalSteps, scaleFactor, timers, startedAt, updatedAt }
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { saveCookSessions, loadCookSessions } from '../utils/storage';
+
+// A session nobody has touched in two days was abandoned, not paused
+const SESSION_MAX_AGE_MS = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * One-line progress for resume banners, e.g. "Step 3 of 8 · started 25m ago"
+ */
+export const describeCookSession = (session) => {
+  const parts = [];
+  if (session.totalSteps > 0) {
+    parts.push(session.currentStep === -1
+      ? 'All steps done'
+      : `Step ${session.currentStep + 1} of ${session.totalSteps}`);
+  }
+  const minutes = Math.floor((Date.now() - new Date(session.startedAt).getTime()) / 60000);
+  if (minutes >= 0) {
+    const hours = Math.floor(minutes / 60);
+    parts.push(minutes < 1 ? 'started just now'
+      : hours < 1 ? `started ${minutes}m ago`
+        : hours < 24 ? `started ${hours}h ago`
+          : 'started yesterday');
+  }
+  const running = (session.timers || []).filter(t => !t.done && t.endsAt > Date.now()).length;
+  if (running > 0) parts.push(`${running} timer${running !== 1 ? 's' : ''} running`);
+  return parts.join(' · ');
+};
+
+export const useCookSessions = (user) => {
+  const [cookSessions, setCookSessions] = useState({});
+  // Writes come in quick succession (every tap in Cook Mode) - build each
+  // on the latest map rather than whatever the last render saw
+  const sessionsRef = useRef({});
+
+  useEffect(() => {
+    sessionsRef.current = {};
+    setCookSessions({});
+    loadSessions();
+  }, [user?.uid]);
+
+  const commit = async (updated) => {
+    sessionsRef.current = updated;
+    setCookSessions(updated);
+    await saveCookSessions(updated, user?.uid || null);
+  };
+
+  const loadSessions = async () => {
+    const stored = await loadCookSessions(user?.uid || null);
+    const cutoff = Date.now() - SESSION_MAX_AGE_MS;
+    const fresh = {};
+    Object.values(stored || {}).forEach(session => {
+      if (session?.recipeId && new Date(session.updatedAt).getTime() > cutoff) {
+        fresh[session.recipeId] = session;
+      }
+    });
+    if (Object.keys(fresh).length !== Object.keys(stored || {}).length) {
+      await commit(fresh);
+    } else {
+      sessionsRef.current = fresh;
+      setCookSessions(fresh);
+    }
+  };
+
+  /**
+   * Record progress for a recipe's session
+   * @param {String} recipeId
+   * @param {Object} session - Fields to store (see shape above)
+   */
+  const saveCookSession = async (recipeId, session) => {
+    if (!recipeId) return;
+    await commit({
+      ...sessionsRef.current,
+      [recipeId]: { ...session, recipeId, updatedAt: new Date().toISOString() },
+    });
+  };
+
+  const clearCookSession = async (recipeId) => {
+    if (!sessionsRef.current[recipeId]) return;
+    const updated = { ...sessionsRef.current };
+    delete updated[recipeId];
+    await commit(updated);
+  };
+
+  // Most recently touched first, for the resume banner
+  const activeCookSessions = Object.values(cookSessions)
+    .sort((a, b) => (a.updatedAt < b.updatedAt ? 1 : -1));
+
+  return {
+    cookSessions,
+    activeCookSessions,
+    saveCookSession,
+    clearCookSession,
+  };
+};
@@ -3,27 +3,227 @@
  * Manages grocery list state and operations
  *
  * Now supports user-specific grocery lists to prevent data mixing between accounts
+ *
+ * Signed-in users also get a cloud list (src/services/supabase/grocery.js).
+ * AsyncStorage stays the first thing loaded, so the list shows instantly
+ * and still works offline; the cloud copy then replaces it and every
+ * change is pushed up (queued in the outbox while offline). The list can
+ * be shared with friends, and their edits arrive through realtime.
  */
 
-import { useState, useEffect } from 'react';
-import { saveGroceryList, loadGroceryList } from '../utils/storage';
+import { useState, useEffect, useRef } from 'react';
+import {
+  saveGroceryList,
+  loadGroceryList,
+  saveGroceryAisleOverrides,
+  loadGroceryAisleOverrides,
+  loadAppSettings,
+  saveAppSettings,
+} from '../utils/storage';
+import {
+  getGroceryLists,
+  getOrCreateOwnGroceryList,
+  getGroceryListMembers,
+  inviteToGroceryList,
+  removeGroceryListMember,
+  getGroceryItems,
+  upsertGroceryItems,
+  deleteGroceryItems,
+  mapGroceryItem,
+} from '../services/supabase/grocery';
+import { flushOutbox } from '../services/supabase/outbox';
+import { supabase } from '../services/supabase/config';
+import { log } from '../utils/log';
 
 export const useGroceryList = (user) => {
   const [groceryList, setGroceryList] = useState([]);
+  const [aisleOverrides, setAisleOverrides] = useState({});
   const [loading, setLoading] = useState(true);
+  const [groceryLists, setGroceryLists] = useState([]);
+  const [activeListId, setActiveListId] = useState(null);
+  const [listMembers, setListMembers] = useState([]);
+
+  // Realtime handlers read the list through this ref - re-subscribing on
+  // every change to pick up fresh state would churn the channel
+  const groceryListRef = useRef(groceryList);
+  groceryListRef.current = groceryList;
 
   // Load grocery list on mount and when user changes
   useEffect(() => {
     // Clear grocery list immediately when user changes
     setGroceryList([]);
+    setAisleOverrides({});
+    setGroceryLists([]);
+    setActiveListId(null);
+    setListMembers([]);
     loadList();
   }, [user?.uid]);
 
   const loadList = async () => {
     setLoading(true);
-    const list = await loadGroceryList(user?.uid || null);
+    const [list, overrides] = await Promise.all([
+      loadGroceryList(user?.uid || null),
+      loadGroceryAisleOverrides(user?.uid || null),
+    ]);
     setGroceryList(list);
+    setAisleOverrides(overrides);
     setLoading(false);
+
+    if (user?.uid) {
+      await syncFromCloud(user.uid, list);
+    }
+  };
+
+  /**
+   * Swap the local copy for the cloud list.
+   * The first time a device syncs, whatever it had locally is uploaded
+   * rather than thrown away - that list predates cloud sync. After that
+   * the cloud is the source of truth. Offline, the local copy is kept.
+   */
+  const syncFromCloud = async (userId, localList) => {
+    const [settings, ownList] = await Promise.all([
+      loadAppSettings(userId),
+      getOrCreateOwnGroceryList(userId),
+    ]);
+    if (!ownList) return;
+
+    const lists = await getGroceryLists(userId);
+    setGroceryLists(lists.length > 0 ? lists : [ownList]);
+
+    // Changes made offline go up first, or the fetch below would undo them
+    await flushOutbox({ userId, force: true });
+
+    const syncedListId = settings.activeGroceryListId;
+    const target = lists.find(list => list.id === syncedListId) || ownList;
+    const remote = await getGroceryItems(target.id);
+    if (remote === null) return;
+
+    let items = remote;
+    if (!syncedListId && target.id === ownList.id && localList.length > 0) {
+      const remoteIds = new Set(remote.map(item => item.id));
+      const localOnly = localList.filter(item => !remoteIds.has(item.id));
+      log(`🛒 Uploading ${localOnly.length} local grocery items`);
+      const uploaded = await upsertGroceryItems(target.id, userId, localOnly);
+      if (!uploaded) return;
+      items = [...remote, ...localOnly];
+    }
+
+    setActiveListId(target.id);
+    setGroceryList(items);
+    await saveGroceryList(items, userId);
+    if (syncedListId !== target.id) {
+      await saveAppSettings({ ...settings, activeGroceryListId: target.id }, userId);
+    }
+  };
+
+  // Live updates from everyone on the active list
+  useEffect(() => {
+    if (!user?.uid || !activeListId) return;
+    const userId = user.uid;
+
+    const applyRemote = (updater) => {
+      const updated = updater(groceryListRef.current);
+      groceryListRef.current = updated;
+      setGroceryList(updated);
+      saveGroceryList(updated, userId);
+    };
+
+    const itemsChannel = supabase
+      .channel(`grocery-items-${activeListId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'grocery_items',
+          filter: `list_id=eq.${activeListId}`,
+        },
+        (payload) => {
+          if (payload.eventType === 'DELETE') {
+            // Deletes only carry the primary key and skip the filter - ids
+            // are unique across lists, so dropping a matching id is enough
+            const deletedId = payload.old?.id;
+            if (deletedId) {
+              applyRemote(list => list.filter(item => item.id !== deletedId));
+            }
+            return;
+          }
+          if (!payload.new) return;
+
+          const incoming = mapGroceryItem(payload.new);
+          applyRemote(list => (
+            list.some(item => item.id === incoming.id)
+              ? list.map(item => (item.id === incoming.id ? incoming : item))
+              : [...list, incoming]
+          ));
+        }
+      )
+      .subscribe((status) => {
+        log('📡 Grocery list subscription status:', status);
+      });
+
+    // Being added to (or removed from) someone's list
+    const membersChannel = supabase
+      .channel(`grocery-members-${userId}`)
+      .on(
+        'postgres_changes',
+        {
+          event: '*',
+          schema: 'public',
+          table: 'grocery_list_members',
+        },
+        (payload) => {
+          const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+          if (!row) return;
+          if (row.list_id === activeListId) {
+            getGroceryListMembers(activeListId).then(setListMembers);
+          }
+          if (row.user_id !== userId) return;
+
+          getGroceryLists(userId).then(lists => {
+            if (lists.length > 0) setGroceryLists(lists);
+          });
+          if (payload.eventType === 'DELETE' && row.list_id === activeListId) {
+            // Removed from the list we were looking at - fall back to our own
+            loadList();
+          }
+        }
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(itemsChannel);
+      supabase.removeChannel(membersChannel);
+    };
+  }, [user?.uid, activeListId]);
+
+  /**
+   * Save a new version of the list locally and push the difference to
+   * the cloud list. Mutators only build new objects for items they change,
+   * so anything not identical to its previous object needs uploading.
+   */
+  const commitList = async (updatedList) => {
+    const previousList = groceryList;
+    setGroceryList(updatedList);
+    await saveGroceryList(updatedList, user?.uid || null);
+
+    if (!user?.uid || !activeListId) return;
+    const previousById = new Map(previousList.map(item => [item.id, item]));
+    const updatedIds = new Set(updatedList.map(item => item.id));
+    const changed = updatedList.filter(item => previousById.get(item.id) !== item);
+    const removedIds = previousList.filter(item => !updatedIds.has(item.id)).map(item => item.id);
+
+    // Not awaited - the local save above is what the UI waits on. Both go
+    // through the outbox, so offline they're queued and sent later; false
+    // means the server refused the change.
+    Promise.all([
+      upsertGroceryItems(activeListId, user.uid, changed),
+      deleteGroceryItems(user.uid, removedIds),
+    ]).then(([upserted, deleted]) => {
+      if (!upserted || !deleted) {
+        console.error('❌ Grocery list change was not saved to the cloud list');
+      }
+    });
   };
 
   /**
@@ -44,11 +244,46 @@ export const useGroceryList = (user) => {
     }));
 
     const updatedList = [...groceryList, ...newItems];
-    setGroceryList(updatedList);
-    await saveGroceryList(updatedList, user?.uid || null);
+    await commitList(updatedList);
     return newItems.length;
   };
 
+  /**
+   * Replace the items generated from a week of the cook schedule.
+   * Each item remembers the cook event it came from, so building the same
+   * week again swaps the old lines for fresh ones instead of stacking a
+   * second copy. Lines that were already checked off stay checked.
+   * @param {String} weekStart - Monday of the planned week (YYYY-MM-DD)
+   * @param {Array} plannedItems - [{ text, section, cookEventId, recipe }]
+   * @returns {Object} { added, replaced }
+   */
+  const replacePlannedItems = async (weekStart, plannedItems) => {
+    const cookEventIds = new Set(plannedItems.map(item => item.cookEventId));
+    const isPlanned = (item) =>
+      item.planWeek === weekStart || (item.cookEventId && cookEventIds.has(item.cookEventId));
+
+    const previous = groceryList.filter(isPlanned);
+    const wasChecked = new Set(
+      previous.filter(item => item.checked).map(item => `${item.cookEventId}|${item.text}`)
+    );
+
+    const newItems = plannedItems.map(({ text, section, cookEventId, recipe }) => ({
+      id: `${Date.now()}_${Math.random()}`,
+      text,
+      recipeId: recipe.id,
+      recipeTitle: recipe.title,
+      section: section || 'main',
+      cookEventId,
+      planWeek: weekStart,
+      checked: wasChecked.has(`${cookEventId}|${text}`),
+      addedAt: new Date().toISOString(),
+    }));
+
+    const updatedList = [...groceryList.filter(item => !isPlanned(item)), ...newItems];
+    await commitList(updatedList);
+    return { added: newItems.length, replaced: previous.length };
+  };
+
   /**
    * Add a custom item to grocery list (not from a recipe)
    * @param {String} text - The item text
@@ -67,8 +302,7 @@ export const useGroceryList = (user) => {
     };
 
     const updatedList = [...groceryList, newItem];
-    setGroceryList(updatedList);
-    await saveGroceryList(updatedList, user?.uid || null);
+    await commitList(updatedList);
     return true;
   };
 
@@ -77,8 +311,17 @@ export const useGroceryList = (user) => {
    */
   const removeItem = async (itemId) => {
     const updatedList = groceryList.filter(item => item.id !== itemId);
-    setGroceryList(updatedList);
-    await saveGroceryList(updatedList, user?.uid || null);
+    await commitList(updatedList);
+  };
+
+  /**
+   * Remove several items at once (a combined row and all its sources)
+   * @param {Array} itemIds - IDs of the items to remove
+   */
+  const removeItems = async (itemIds) => {
+    const ids = new Set(itemIds);
+    const updatedList = groceryList.filter(item => !ids.has(item.id));
+    await commitList(updatedList);
   };
 
   /**
@@ -88,8 +331,23 @@ export const useGroceryList = (user) => {
     const updatedList = groceryList.map(item =>
       item.id === itemId ? { ...item, checked: !item.checked } : item
     );
-    setGroceryList(updatedList);
-    await saveGroceryList(updatedList, user?.uid || null);
+    await commitList(updatedList);
+  };
+
+  /**
+   * Set checked status on several items at once.
+   * Checking off a combined row has to update every source item in one
+   * write - toggling them one by one would each start from the same
+   * stale list and only the last change would stick.
+   * @param {Array} itemIds - IDs of the items to update
+   * @param {Boolean} checked - New checked status
+   */
+  const setItemsChecked = async (itemIds, checked) => {
+    const ids = new Set(itemIds);
+    const updatedList = groceryList.map(item =>
+      ids.has(item.id) ? { ...item, checked } : item
+    );
+    await commitList(updatedList);
   };
 
   /**
@@ -97,16 +355,83 @@ export const useGroceryList = (user) => {
    */
   const clearCheckedItems = async () => {
     const updatedList = groceryList.filter(item => !item.checked);
-    setGroceryList(updatedList);
-    await saveGroceryList(updatedList, user?.uid || null);
+    await commitList(updatedList);
   };
 
   /**
    * Clear all items
    */
   const clearAllItems = async () => {
-    setGroceryList([]);
-    await saveGroceryList([], user?.uid || null);
+    await commitList([]);
+  };
+
+  /**
+   * Remember which aisle an ingredient belongs in.
+   * Keyed by canonical name, so the choice applies to that ingredient on
+   * every future list, not just the item that was moved.
+   * @param {String} ingredientKey - Canonical ingredient name
+   * @param {String} aisle - Aisle key from AISLES (src/utils/groceryAisles.js)
+   */
+  const setIngredientAisle = async (ingredientKey, aisle) => {
+    const updated = { ...aisleOverrides, [ingredientKey]: aisle };
+    setAisleOverrides(updated);
+    await saveGroceryAisleOverrides(updated, user?.uid || null);
+  };
+
+  /**
+   * Show another list the user belongs to (their own or a friend's)
+   * @returns {Boolean} false if the list couldn't be fetched
+   */
+  const switchList = async (listId) => {
+    if (!user?.uid || listId === activeListId) return false;
+
+    const items = await getGroceryItems(listId);
+    if (items === null) return false;
+
+    setActiveListId(listId);
+    setListMembers([]);
+    setGroceryList(items);
+    await saveGroceryList(items, user.uid);
+    const settings = await loadAppSettings(user.uid);
+    await saveAppSettings({ ...settings, activeGroceryListId: listId }, user.uid);
+    return true;
+  };
+
+  const loadListMembers = async () => {
+    if (!activeListId) return [];
+    const members = await getGroceryListMembers(activeListId);
+    setListMembers(members);
+    return members;
+  };
+
+  /**
+   * Share the active list with friends. Only the owner can add people.
+   * @param {Array} friends - [{ id, username }] from useSocial
+   */
+  const inviteFriends = async (friends) => {
+    if (!user?.uid || !activeListId || friends.length === 0) return false;
+    const ok = await inviteToGroceryList(activeListId, user.uid, friends);
+    if (ok) await loadListMembers();
+    return ok;
+  };
+
+  /**
+   * Remove someone from the active list - or, passed the user's own id
+   * on a friend's list, leave it and go back to their own.
+   */
+  const removeListMember = async (memberId) => {
+    if (!activeListId) return false;
+    const ok = await removeGroceryListMember(activeListId, memberId);
+    if (!ok) return false;
+
+    if (memberId === user?.uid) {
+      const ownList = groceryLists.find(list => list.isOwner);
+      setGroceryLists(lists => lists.filter(list => list.id !== activeListId));
+      if (ownList) await switchList(ownList.id);
+    } else {
+      await loadListMembers();
+    }
+    return true;
   };
 
   /**
@@ -127,22 +452,33 @@ export const useGroceryList = (user) => {
    * Restore grocery list to a specific state (for undo functionality)
    */
   const restoreList = async (listSnapshot) => {
-    setGroceryList(listSnapshot);
-    await saveGroceryList(listSnapshot, user?.uid || null);
+    await commitList(listSnapshot);
   };
 
   return {
     groceryList,
+    aisleOverrides,
     loading,
     addItems,
     addCustomItem,
+    replacePlannedItems,
     removeItem,
+    removeItems,
     toggleItemChecked,
+    setItemsChecked,
     clearCheckedItems,
     clearAllItems,
     getUncheckedCount,
     getCheckedCount,
     refreshList: loadList,
     restoreList,
+    setIngredientAisle,
+    groceryLists,
+    activeListId,
+    listMembers,
+    switchList,
+    loadListMembers,
+    inviteFriends,
+    removeListMember,
   };
 };
@@ -0,0 +1,198 @@
+/**
+ * useHandsFree Hook
+ * Read-aloud and spoken commands for Cook Mode.
+ *
+ * Text-to-speech comes from expo-speech, listening from
+ * expo-speech-recognition. While the phone is talking the microphone
+ * stays on but only the stop words count - otherwise it would hear its
+ * own voice reading "...then go back to the pan" and oblige, and "stop"
+ * is only any use mid-sentence. Both modules are optional in the same way
+ * expo-keep-awake is in CookMode: if one is missing, that half quietly
+ * does nothing.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { log } from '../utils/log';
+
+let Speech = null;
+try {
+  Speech = require('expo-speech');
+} catch (err) {
+  log('expo-speech unavailable - hands-free mode cannot read aloud');
+}
+
+let Recognition = null;
+try {
+  Recognition = require('expo-speech-recognition').ExpoSpeechRecognitionModule || null;
+} catch (err) {
+  log('expo-speech-recognition unavailable - hands-free mode cannot listen');
+}
+
+// Whole utterances only. The microphone is open for the whole recipe, so
+// "I'm done with the onions" or "pause the show" is someone talking in the
+// kitchen, not a command.
+const COMMANDS = [
+  { command: 'back', re: /^(go back|back|previous|previous step|last step)$/ },
+  { command: 'repeat', re: /^(repeat|repeat that|again|say that again|say it again|what was that)$/ },
+  { command: 'timer', re: /^(timer|time it|(start|set) (the )?timer|start (the )?clock)$/ },
+  { command: 'stop', re: /^(stop|stop talking|quiet|be quiet|pause|hush)$/ },
+  { command: 'next', re: /^(next|next step|done|i'?m done|continue|go on)$/ },
+];
+
+// Words people wrap a command in: "okay, next please"
+const LEADING_FILLER = /^((okay|ok|alright|all right|hey|um|uh|so|and|now)\s+)+/;
+const TRAILING_FILLER = /\s+(please|thanks|thank you)$/;
+
+/**
+ * Map what was heard to a Cook Mode command.
+ * @param {string} transcript - Recognized speech
+ * @returns {string|null} 'next' | 'back' | 'repeat' | 'timer' | 'stop'
+ */
+export const parseVoiceCommand = (transcript) => {
+  const heard = (transcript || '')
+    .toLowerCase()
+    .replace(/[^a-z'\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(LEADING_FILLER, '')
+    .replace(TRAILING_FILLER, '');
+  const match = COMMANDS.find(c => c.re.test(heard));
+  return match ? match.command : null;
+};
+
+export const useHandsFree = ({ enabled, onCommand }) => {
+  const [listening, setListening] = useState(false);
+  const [lastHeard, setLastHeard] = useState('');
+
+  const enabledRef = useRef(enabled);
+  const speakingRef = useRef(false);
+  const listeningRef = useRef(false);
+  const utteranceRef = useRef(0);
+  const onCommandRef = useRef(onCommand);
+  enabledRef.current = enabled;
+  onCommandRef.current = onCommand;
+
+  const startListening = () => {
+    if (!Recognition || !enabledRef.current || listeningRef.current) return;
+    try {
+      Recognition.start({
+        lang: 'en-US',
+        interimResults: false,
+        maxAlternatives: 1,
+        continuous: true,
+        contextualStrings: ['next', 'back', 'repeat', 'timer'],
+      });
+    } catch (err) {
+      console.error('Failed to start listening:', err);
+    }
+  };
+
+  const stopListening = () => {
+    if (!Recognition) return;
+    try {
+      Recognition.abort();
+    } catch (err) {
+      // Already stopped
+    }
+  };
+
+  useEffect(() => {
+    if (!enabled || !Recognition) return undefined;
+
+    const subscriptions = [
+      Recognition.addListener('start', () => {
+        listeningRef.current = true;
+        setListening(true);
+      }),
+      Recognition.addListener('end', () => {
+        listeningRef.current = false;
+        setListening(false);
+        // Recognizers give up after a stretch of silence - keep going
+        // for as long as hands-free is on
+        if (enabledRef.current) {
+          setTimeout(startListening, 300);
+        }
+      }),
+      Recognition.addListener('result', (event) => {
+        if (!event.isFinal) return;
+        const transcript = event.results?.[0]?.transcript || '';
+        const command = parseVoiceCommand(transcript);
+        // Mid-sentence, anything but "stop" may be the phone's own voice
+        if (speakingRef.current && command !== 'stop') return;
+        setLastHeard(transcript);
+        if (command) {
+          log('🎙️ Cook Mode command:', command, `("${transcript}")`);
+          onCommandRef.current?.(command);
+        }
+      }),
+      Recognition.addListener('error', (event) => {
+        // "no-speech" is just silence; the end handler restarts
+        if (event.error !== 'no-speech') {
+          log('🎙️ Speech recognition error:', event.error, event.message);
+        }
+      }),
+    ];
+
+    let cancelled = false;
+    Recognition.requestPermissionsAsync()
+      .then(result => {
+        if (cancelled) return;
+        if (result.granted) {
+          startListening();
+        } else {
+          log('🎙️ Microphone permission denied - read-aloud only');
+        }
+      })
+      .catch(err => console.error('Failed to request speech permission:', err));
+
+    return () => {
+      cancelled = true;
+      subscriptions.forEach(sub => sub.remove());
+      stopListening();
+      listeningRef.current = false;
+      setListening(false);
+    };
+  }, [enabled]);
+
+  // Turning hands-free off mid-sentence should stop talking too
+  useEffect(() => {
+    if (!enabled && Speech) Speech.stop();
+  }, [enabled]);
+
+  /**
+   * Read text aloud, listening only for the stop words until it's done
+   */
+  const speak = (text) => {
+    if (!Speech || !text) return;
+    speakingRef.current = true;
+
+    // Speech.stop() below fires the previous utterance's onStopped - only
+    // the newest one may open the microphone to every command again
+    const utterance = ++utteranceRef.current;
+    const resume = () => {
+      if (utterance !== utteranceRef.current) return;
+      speakingRef.current = false;
+    };
+    Speech.stop();
+    Speech.speak(text, {
+      language: 'en-US',
+      rate: 0.95,
+      onDone: resume,
+      onStopped: resume,
+      onError: resume,
+    });
+  };
+
+  const stopSpeaking = () => {
+    if (Speech) Speech.stop();
+  };
+
+  return {
+    canSpeak: !!Speech,
+    canListen: !!Recognition,
+    listening,
+    lastHeard,
+    speak,
+    stopSpeaking,
+  };
+};
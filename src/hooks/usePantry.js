@@ -0,0 +1,82 @@
+/**
+ * usePantry Hook
+ * Manages the pantry - raw ingredients on hand, with optional amounts
+ * and expiry dates. Stored per user like the grocery list.
+ */
+
+import { useState, useEffect } from 'react';
+import { savePantry, loadPantry } from '../utils/storage';
+import { addLinesToPantry, parsePantryText } from '../utils/pantry';
+
+export const usePantry = (user) => {
+  const [pantry, setPantry] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    setPantry([]);
+    loadItems();
+  }, [user?.uid]);
+
+  const loadItems = async () => {
+    setLoading(true);
+    const items = await loadPantry(user?.uid || null);
+    setPantry(items);
+    setLoading(false);
+  };
+
+  const commit = async (updated) => {
+    setPantry(updated);
+    await savePantry(updated, user?.uid || null);
+  };
+
+  /**
+   * Add something typed in, e.g. "2 lb chicken breast" or just "rice"
+   * @param {String} text - What's on hand
+   * @param {String|null} expiresOn - 'YYYY-MM-DD'
+   */
+  const addPantryItem = async (text, expiresOn = null) => {
+    if (!text || !text.trim()) return false;
+    await commit(addLinesToPantry(pantry, [{ text: text.trim(), expiresOn }]));
+    return true;
+  };
+
+  /**
+   * Stock the pantry with grocery items that were bought
+   * @param {Array} items - Grocery items ({ text })
+   * @returns {Number} How many lines were added
+   */
+  const addBoughtItems = async (items) => {
+    const lines = items.filter(item => item.text).map(item => ({ text: item.text }));
+    if (lines.length === 0) return 0;
+    await commit(addLinesToPantry(pantry, lines));
+    return lines.length;
+  };
+
+  /**
+   * Replace an item's amount/name and expiry, e.g. after using some up
+   */
+  const updatePantryItem = async (itemId, text, expiresOn = null) => {
+    if (!text || !text.trim()) return false;
+    const updated = pantry.map(item =>
+      item.id === itemId
+        ? { ...item, ...parsePantryText(text.trim()), expiresOn }
+        : item
+    );
+    await commit(updated);
+    return true;
+  };
+
+  const removePantryItem = async (itemId) => {
+    await commit(pantry.filter(item => item.id !== itemId));
+  };
+
+  return {
+    pantry,
+    loading,
+    addPantryItem,
+    addBoughtItems,
+    updatePantryItem,
+    removePantryItem,
+    refreshPantry: loadItems,
+  };
+};
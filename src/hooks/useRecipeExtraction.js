@@ -8,6 +8,7 @@ import { useState, useRef } from 'react';
 import { Alert } from 'react-native';
 import RecipeExtractor from '../../RecipeExtractor';
 import { Ionicons } from '@expo/vector-icons';
+import { extractRecipeFromUrl, extractRecipeWithAI, describeExtractionFailure } from '../services/urlExtraction';
 
 import { log } from '../utils/log';
 /**
@@ -28,9 +29,47 @@ const normalizeUrl = (url) => {
   }
 };
 
+/**
+ * Turn one extracted recipe into the app's recipe shape
+ */
+export const toAppRecipe = (data, recipeUrl, source, index = 0) => {
+  // Convert image to image_url for consistency
+  const imageUrl = data.image || data.image_url || null;
+  return {
+    id: `${Date.now()}${index > 0 ? `-${index}` : ''}`,
+    url: recipeUrl,
+    ...data,
+    image_url: imageUrl, // Use image_url consistently
+    extractedAt: new Date().toISOString(),
+    source,
+    folder: 'All Recipes',
+    isFavorite: false,
+    // Stats tracking fields for public/discoverable feature
+    stats: {
+      likes: 0,
+      saves: 0,
+      views: 0,
+    },
+    // Versioning support - store original for imported recipes
+    originalRecipe: {
+      title: data.title,
+      ingredients: data.ingredients,
+      instructions: data.instructions,
+      prep_time: data.prep_time,
+      cook_time: data.cook_time,
+      total_time: data.total_time,
+      servings: data.servings,
+      nutrition: data.nutrition,
+      image_url: imageUrl,
+    },
+    hasEdits: false,
+    editHistory: [], // Track edit history for sharing
+  };
+};
+
 export const useRecipeExtraction = (onRecipeExtracted, existingRecipes = []) => {
   const [loading, setLoading] = useState(false);
-  const extractor = useRef(new RecipeExtractor()).current;
+  const extractor = useRef(new RecipeExtractor({ aiFallback: extractRecipeWithAI })).current;
 
   /**
    * Check if a URL has already been imported
@@ -97,54 +136,43 @@ export const useRecipeExtraction = (onRecipeExtracted, existingRecipes = []) =>
     log('🔍 Extracting recipe from:', recipeUrl);
 
     try {
-      // Hard timeout - the extractor has its own 15s fetch timeout,
-      // but this catches any downstream hang.
-      const extractPromise = extractor.extract(recipeUrl);
-      const timeoutPromise = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Extraction timed out after 30 seconds')), 30000)
-      );
-      const result = await Promise.race([extractPromise, timeoutPromise]);
+      // Hard timeout - the extractor has its own 15s fetch timeout and
+      // the server fallback its own retries, but this catches any
+      // downstream hang. Giving up aborts the import too, so an AI read
+      // still under way doesn't spend a scan on a recipe we'd drop.
+      const controller = new AbortController();
+      const extractPromise = extractRecipeFromUrl(recipeUrl, extractor, { signal: controller.signal });
+      let timer;
+      const timeoutPromise = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error('Extraction timed out after 60 seconds'));
+        }, 60000);
+      });
+      const result = await Promise.race([extractPromise, timeoutPromise]).finally(() => clearTimeout(timer));
 
       log('🔍 Extraction result:', {
         success: result.success,
         source: result.source,
+        via: result.via,
         title: result.data?.title,
+        recipes: result.recipes?.length,
         error: result.error,
+        reason: result.reason,
+        tier: result.tier,
       });
 
       if (result.success) {
-        // Convert image to image_url for consistency
-        const imageUrl = result.data.image || result.data.image_url || null;
-        const recipe = {
-          id: Date.now().toString(),
-          url: recipeUrl,
-          ...result.data,
-          image_url: imageUrl, // Use image_url consistently
-          extractedAt: new Date().toISOString(),
-          source: result.source,
-          folder: 'All Recipes',
-          isFavorite: false,
-          // Stats tracking fields for public/discoverable feature
-          stats: {
-            likes: 0,
-            saves: 0,
-            views: 0,
-          },
-          // Versioning support - store original for imported recipes
-          originalRecipe: {
-            title: result.data.title,
-            ingredients: result.data.ingredients,
-            instructions: result.data.instructions,
-            prep_time: result.data.prep_time,
-            cook_time: result.data.cook_time,
-            total_time: result.data.total_time,
-            servings: result.data.servings,
-            nutrition: result.data.nutrition,
-            image_url: imageUrl,
-          },
-          hasEdits: false,
-          editHistory: [], // Track edit history for sharing
-        };
+        const recipe = toAppRecipe(result.data, recipeUrl, result.source);
+
+        // Round-ups and meal-prep posts hold several recipes: hand them all
+        // to the save screen so the user can pick which to keep. Later
+        // ones carry their own source_url (an anchor on the page).
+        if (result.recipes?.length > 1) {
+          recipe.pageRecipes = result.recipes.map((data, index) =>
+            index === 0 ? { ...recipe } : toAppRecipe(data, data.source_url || recipeUrl, result.source, index)
+          );
+        }
 
         // Call callback with extracted recipe
         if (onRecipeExtracted) {
@@ -152,17 +180,15 @@ export const useRecipeExtraction = (onRecipeExtracted, existingRecipes = []) =>
         }
         return { action: 'extracted', recipe };
       } else {
-        Alert.alert(
-          'Extraction Failed',
-          `Could not extract a recipe from that URL.\n\n${result.error || 'The site may not have structured recipe data.'}\n\nTry a different recipe URL.`,
-        );
-        return { action: 'failed', error: result.error };
+        const { title, message } = describeExtractionFailure(result);
+        Alert.alert(title, message);
+        return { action: 'failed', error: result.error, reason: result.reason };
       }
     } catch (error) {
       console.error('❌ Extraction error:', error);
       Alert.alert(
         'Extraction Error',
-        error.message === 'Extraction timed out after 30 seconds'
+        error.message === 'Extraction timed out after 60 seconds'
           ? 'The site took too long to respond. Check your internet or try again.'
           : `Failed to extract recipe: ${error.message}`,
       );
@@ -3,7 +3,7 @@
  * Manages recipe state and CRUD operations with Supabase sync
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { Alert } from 'react-native';
 import { saveRecipes as saveRecipesToStorage, loadRecipes as loadRecipesFromStorage } from '../utils/storage';
 import {
@@ -14,10 +14,44 @@ import {
 } from '../services/supabase/database';
 import { MY_CREATIONS_FOLDER } from './useFolders';
 import { getHighConfidenceTags } from '../utils/autoTag';
+import { REVISION_FIELDS, sameValue, snapshotRecipe, addRevision, getRevisions } from '../utils/recipeRevisions';
+import { differsFromBase } from '../utils/recipeMerge';
+import { stampFieldChanges, stampRecipeChanges, resolveSyncConflicts as resolveConflictChoices } from '../utils/recipeSync';
+import { VARIANT_DETAIL_FIELDS } from '../utils/recipeVariants';
 
 import { log } from '../utils/log';
 import { isInternalUrl, buildInternalRecipeUrl } from '../constants/app';
 import { normalizeRecipeUrl } from '../utils/urlExtractor';
+// Background owner-update checks revisit a recipe at most this often
+const OWNER_CHECK_INTERVAL = 6 * 60 * 60 * 1000;
+
+/**
+ * Has the user changed an imported recipe (edits or variants) since import?
+ * Such copies need a merge when the owner updates theirs.
+ */
+const hasLocalChanges = (recipe) => !!recipe.originalRecipe && (
+  (recipe.variants || []).length > 0 ||
+  !!recipe.editedVersion ||
+  differsFromBase(recipe, recipe.originalRecipe)
+);
+
+/**
+ * Record the owner's new version on a recipe: untouched copies just take
+ * it, changed ones hold it in pendingOriginal until merged
+ */
+const withOwnerVersion = (recipe, newOriginal) => (
+  hasLocalChanges(recipe)
+    ? { ...recipe, pendingOriginal: newOriginal, pendingOriginalAt: Date.now() }
+    : {
+      ...recipe,
+      ...newOriginal,
+      originalRecipe: newOriginal,
+      pendingOriginal: null,
+      originalRefreshedAt: Date.now(),
+      updatedAt: Date.now(),
+    }
+);
+
 /**
  * Check if a recipe is custom (created by user, not imported from URL)
  */
@@ -28,6 +62,8 @@ const isCustomRecipe = (recipe) => {
 
 export const useRecipes = (user) => {
   const [recipes, setRecipes] = useState([]);
+  // When each imported recipe was last compared with its owner's version
+  const ownerCheckedAt = useRef({});
   const [loadingRecipes, setLoadingRecipes] = useState(true);
   const [selectedRecipe, setSelectedRecipe] = useState(null);
   const [synced, setSynced] = useState(false);
@@ -61,6 +97,16 @@ export const useRecipes = (user) => {
           setSynced(true);
           const mergedDeletedCount = mergedRecipes.filter(r => r.deletedAt).length;
           log(`📚 Synced: ${mergedRecipes.length} recipes (${mergedDeletedCount} deleted)`);
+
+          const conflicted = mergedRecipes.filter(r => r.syncConflicts?.length && !r.deletedAt);
+          if (conflicted.length > 0) {
+            Alert.alert(
+              'Edited on Two Devices',
+              conflicted.length === 1
+                ? `"${conflicted[0].title}" was changed on another device too. Open it to choose which changes to keep.`
+                : `${conflicted.length} recipes were changed on another device too. Open them to choose which changes to keep.`
+            );
+          }
         } catch (syncError) {
           console.error('Sync failed, using local recipes:', syncError);
           setRecipes(localRecipes);
@@ -266,7 +312,7 @@ export const useRecipes = (user) => {
 
   /**
    * Update existing recipe
-   * Automatically tracks edits for imported recipes
+   * Content edits are recorded as revisions (the fields each edit changed) in editHistory
    */
   const updateRecipe = async (updatedRecipe, editDescription = '') => {
     // Find the stored version to compare against
@@ -277,46 +323,32 @@ export const useRecipes = (user) => {
       updatedAt: Date.now(),
     };
 
-    // Detect CONTENT edits (title/ingredients/instructions) - metadata-only
+    // Detect CONTENT edits (any field a revision captures) - metadata-only
     // updates like privacy, tags, or favorites must not create a "version".
-    const contentChanged = priorRecipe && (
-      priorRecipe.title !== updatedRecipe.title ||
-      JSON.stringify(priorRecipe.ingredients) !== JSON.stringify(updatedRecipe.ingredients) ||
-      JSON.stringify(priorRecipe.instructions) !== JSON.stringify(updatedRecipe.instructions)
-    );
+    const contentChanged = priorRecipe &&
+      REVISION_FIELDS.some(field => !sameValue(priorRecipe[field], updatedRecipe[field]));
 
     if (contentChanged) {
       // Ensure an original snapshot exists so the version toggle can offer
       // "Original". For recipes that never had one (custom recipes, imports
       // that skipped it), snapshot the PRE-EDIT state on first edit.
-      const originalSnapshot = priorRecipe.originalRecipe || {
-        title: priorRecipe.title,
-        ingredients: priorRecipe.ingredients,
-        instructions: priorRecipe.instructions,
-        prep_time: priorRecipe.prep_time,
-        cook_time: priorRecipe.cook_time,
-        total_time: priorRecipe.total_time,
-        servings: priorRecipe.servings,
-        nutrition: priorRecipe.nutrition,
-        image_url: priorRecipe.image_url,
-      };
+      const originalSnapshot = priorRecipe.originalRecipe || snapshotRecipe(priorRecipe);
 
-      const editHistory = priorRecipe.editHistory || [];
       recipeWithTimestamp = {
         ...recipeWithTimestamp,
         originalRecipe: originalSnapshot,
         hasEdits: true,
         viewingOriginal: false, // Always show edited version after edit
-        editHistory: [
-          ...editHistory,
-          {
-            timestamp: Date.now(),
-            description: editDescription || 'Recipe modified',
-          }
-        ],
+        editHistory: addRevision(
+          priorRecipe.editHistory,
+          recipeWithTimestamp,
+          editDescription,
+          priorRecipe
+        ),
       };
     }
 
+    recipeWithTimestamp = stampFieldChanges(priorRecipe, recipeWithTimestamp);
     const updatedRecipes = recipes.map(r =>
       r.id === recipeWithTimestamp.id ? recipeWithTimestamp : r
     );
@@ -337,6 +369,24 @@ export const useRecipes = (user) => {
     return false;
   };
 
+  /**
+   * Bring back an older revision's content. Saved as a new edit, so the
+   * revisions after it stay in the history and the restore can be undone.
+   * @param {string} recipeId
+   * @param {string} revisionId - id from getRevisions
+   */
+  const restoreRecipeRevision = async (recipeId, revisionId) => {
+    const recipe = recipes.find(r => r.id === recipeId);
+    const revision = recipe && getRevisions(recipe).find(r => r.id === revisionId);
+    if (!revision) return false;
+
+    const when = new Date(revision.timestamp).toLocaleString();
+    return updateRecipe(
+      { ...recipe, ...revision.snapshot, viewingOriginal: false },
+      `Restored version from ${when}`
+    );
+  };
+
   /**
    * Delete recipe (soft delete)
    */
@@ -344,9 +394,9 @@ export const useRecipes = (user) => {
     const recipeToDelete = recipes.find(r => r.id === recipeId);
     log(`🗑️ Deleting recipe: "${recipeToDelete?.title}" (ID: ${recipeId})`);
 
-    const updatedRecipes = recipes.map(r =>
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r =>
       r.id === recipeId ? { ...r, deletedAt: Date.now(), updatedAt: Date.now() } : r
-    );
+    ));
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
 
     if (success) {
@@ -378,13 +428,13 @@ export const useRecipes = (user) => {
    * Restore deleted recipe
    */
   const restoreRecipe = async (recipeId) => {
-    const updatedRecipes = recipes.map(r => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
       if (r.id === recipeId) {
         const { deletedAt, ...restored } = r;
         return { ...restored, updatedAt: Date.now() };
       }
       return r;
-    });
+    }));
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
 
     if (success) {
@@ -478,9 +528,9 @@ export const useRecipes = (user) => {
    * Toggle favorite status
    */
   const toggleFavorite = async (recipeId) => {
-    const updatedRecipes = recipes.map(r =>
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r =>
       r.id === recipeId ? { ...r, isFavorite: !r.isFavorite, updatedAt: Date.now() } : r
-    );
+    ));
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
 
     if (success) {
@@ -503,7 +553,7 @@ export const useRecipes = (user) => {
    * Update recipe stats (likes, saves, views)
    */
   const updateRecipeStats = async (recipeId, statType, increment = 1) => {
-    const updatedRecipes = recipes.map(r => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
       if (r.id === recipeId) {
         const currentStats = r.stats || { likes: 0, saves: 0, views: 0 };
         return {
@@ -516,7 +566,7 @@ export const useRecipes = (user) => {
         };
       }
       return r;
-    });
+    }));
 
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
     if (success) {
@@ -562,7 +612,7 @@ export const useRecipes = (user) => {
         image_url: recipe.image_url,
       };
 
-      const updatedRecipes = recipes.map(r => {
+      const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
         if (r.id === recipeId) {
           return {
             ...r,
@@ -583,7 +633,7 @@ export const useRecipes = (user) => {
           };
         }
         return r;
-      });
+      }));
 
       const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
       if (success) {
@@ -602,7 +652,7 @@ export const useRecipes = (user) => {
       }
 
       const editedData = recipe.editedVersion || {};
-      const updatedRecipes = recipes.map(r => {
+      const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
         if (r.id === recipeId) {
           return {
             ...r,
@@ -621,7 +671,7 @@ export const useRecipes = (user) => {
           };
         }
         return r;
-      });
+      }));
 
       const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
       if (success) {
@@ -641,24 +691,17 @@ export const useRecipes = (user) => {
    * Mark a recipe as having edits (called when user modifies an imported recipe)
    */
   const markRecipeAsEdited = async (recipeId, editDescription = '') => {
-    const updatedRecipes = recipes.map(r => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
       if (r.id === recipeId) {
-        const editHistory = r.editHistory || [];
         return {
           ...r,
           hasEdits: true,
-          editHistory: [
-            ...editHistory,
-            {
-              timestamp: Date.now(),
-              description: editDescription,
-            }
-          ],
+          editHistory: addRevision(r.editHistory, r, editDescription),
           updatedAt: Date.now(),
         };
       }
       return r;
-    });
+    }));
 
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
     if (success) {
@@ -686,7 +729,7 @@ export const useRecipes = (user) => {
    * Select a variant for a recipe
    */
   const selectVariant = async (recipeId, variantId) => {
-    const updatedRecipes = recipes.map(r => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
       if (r.id === recipeId) {
         return {
           ...r,
@@ -696,7 +739,7 @@ export const useRecipes = (user) => {
         };
       }
       return r;
-    });
+    }));
 
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
     if (success) {
@@ -739,7 +782,7 @@ export const useRecipes = (user) => {
       createdAt: Date.now(),
     };
 
-    const updatedRecipes = recipes.map(r => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
       if (r.id === recipeId) {
         const existingVariants = r.variants || [];
         return {
@@ -751,7 +794,7 @@ export const useRecipes = (user) => {
         };
       }
       return r;
-    });
+    }));
 
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
     if (success) {
@@ -791,7 +834,7 @@ export const useRecipes = (user) => {
       createdAt: variant.createdAt || Date.now(),
     };
 
-    const updatedRecipes = recipes.map(r => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
       if (r.id === recipeId) {
         return {
           ...r,
@@ -801,7 +844,7 @@ export const useRecipes = (user) => {
         };
       }
       return r;
-    });
+    }));
 
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
     if (success) {
@@ -826,7 +869,7 @@ export const useRecipes = (user) => {
    * Delete a variant from a recipe
    */
   const deleteVariant = async (recipeId, variantId) => {
-    const updatedRecipes = recipes.map(r => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
       if (r.id === recipeId) {
         const existingVariants = r.variants || [];
         const filteredVariants = existingVariants.filter(v => v.id !== variantId);
@@ -834,12 +877,13 @@ export const useRecipes = (user) => {
           ...r,
           variants: filteredVariants,
           selectedVariantId: r.selectedVariantId === variantId ? null : r.selectedVariantId,
+          publishedVariantId: r.publishedVariantId === variantId ? null : r.publishedVariantId,
           hasEdits: filteredVariants.length > 0 || r.editedVersion != null,
           updatedAt: Date.now(),
         };
       }
       return r;
-    });
+    }));
 
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
     if (success) {
@@ -863,14 +907,95 @@ export const useRecipes = (user) => {
     return false;
   };
 
+  /**
+   * Update a variant's own notes, photo, rating or name
+   * @param {Object} details - Any of { name, notes, image_url, rating }.
+   *   Notes and photo live in the variant's edits (they replace the
+   *   recipe's when the variant is shown, and clearing one falls back to
+   *   the recipe's); rating is 1-5 or null.
+   */
+  const updateVariantDetails = async (recipeId, variantId, details) => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => {
+      if (r.id !== recipeId) return r;
+      return {
+        ...r,
+        variants: (r.variants || []).map(variant => {
+          if (variant.id !== variantId) return variant;
+          const edits = { ...(variant.edits || {}) };
+          VARIANT_DETAIL_FIELDS.forEach(field => {
+            if (details[field] === undefined) return;
+            if (details[field]) edits[field] = details[field];
+            else delete edits[field];
+          });
+          return {
+            ...variant,
+            edits,
+            ...(details.name !== undefined && details.name.trim() ? { name: details.name.trim() } : {}),
+            ...(details.rating !== undefined ? { rating: details.rating || null } : {}),
+            updatedAt: Date.now(),
+          };
+        }),
+        updatedAt: Date.now(),
+      };
+    }));
+
+    const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
+    if (success) {
+      setRecipes(updatedRecipes);
+      if (selectedRecipe && selectedRecipe.id === recipeId) {
+        setSelectedRecipe(updatedRecipes.find(r => r.id === recipeId));
+      }
+      if (user) {
+        const updatedRecipe = updatedRecipes.find(r => r.id === recipeId);
+        if (updatedRecipe) {
+          saveRecipeWithDualWrite(user.uid, updatedRecipe).catch(err =>
+            console.error('Failed to sync variant details to Supabase:', err)
+          );
+        }
+      }
+      return true;
+    }
+    return false;
+  };
+
+  /**
+   * Choose which version of a recipe the public profile shows
+   * @param {string|null} variantId - null to show the base recipe again
+   */
+  const publishVariant = async (recipeId, variantId) => {
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r => (
+      r.id === recipeId
+        ? { ...r, publishedVariantId: variantId || null, updatedAt: Date.now() }
+        : r
+    )));
+
+    const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
+    if (success) {
+      setRecipes(updatedRecipes);
+      if (selectedRecipe && selectedRecipe.id === recipeId) {
+        setSelectedRecipe(updatedRecipes.find(r => r.id === recipeId));
+      }
+      if (user) {
+        const updatedRecipe = updatedRecipes.find(r => r.id === recipeId);
+        if (updatedRecipe) {
+          saveRecipeWithDualWrite(user.uid, updatedRecipe).catch(err =>
+            console.error('Failed to sync published variant to Supabase:', err)
+          );
+        }
+      }
+      return true;
+    }
+    return false;
+  };
+
   /**
    * Move recipe to folder (replaces all folders with the new one)
    */
   const moveToFolder = async (recipeId, newFolder) => {
     const newFolders = [newFolder];
-    const updatedRecipes = recipes.map(r =>
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r =>
       r.id === recipeId ? { ...r, folder: newFolder, folders: newFolders, updatedAt: Date.now() } : r
-    );
+    ));
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
 
     if (success) {
@@ -898,9 +1023,9 @@ export const useRecipes = (user) => {
    */
   const moveManyToFolder = async (recipeIds, newFolder) => {
     const recipeIdSet = new Set(recipeIds);
-    const updatedRecipes = recipes.map(r =>
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r =>
       recipeIdSet.has(r.id) ? { ...r, folder: newFolder, updatedAt: Date.now() } : r
-    );
+    ));
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
 
     if (success) {
@@ -962,9 +1087,9 @@ export const useRecipes = (user) => {
     const newFolders = [...currentFolders, folderToAdd];
     const primaryFolder = newFolders.find(f => f !== 'All Recipes') || newFolders[0];
 
-    const updatedRecipes = recipes.map(r =>
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r =>
       r.id === recipeId ? { ...r, folders: newFolders, folder: primaryFolder, updatedAt: Date.now() } : r
-    );
+    ));
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
 
     if (success) {
@@ -1006,9 +1131,9 @@ export const useRecipes = (user) => {
     }
     const primaryFolder = newFolders.find(f => f !== 'All Recipes') || newFolders[0];
 
-    const updatedRecipes = recipes.map(r =>
+    const updatedRecipes = stampRecipeChanges(recipes, recipes.map(r =>
       r.id === recipeId ? { ...r, folders: newFolders, folder: primaryFolder, updatedAt: Date.now() } : r
-    );
+    ));
     const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
 
     if (success) {
@@ -1031,8 +1156,36 @@ export const useRecipes = (user) => {
   };
 
   /**
-   * Refresh the "original" version of an imported recipe from its owner
-   * Returns the updated recipe (with fresh originalRecipe) or null if nothing to update
+   * Fetch the owner's current version of an imported recipe
+   * Returns it, or null if the owner hasn't changed anything since the
+   * version we already know of. Edited copies keep originalRecipe as the
+   * merge base until the user merges (applyOwnerMerge).
+   */
+  const compareWithOwner = async (recipe) => {
+    const { getFullPublicRecipe } = require('../services/supabase/social');
+    const fresh = await getFullPublicRecipe(recipe.originalOwnerId, recipe.originalOwnerRecipeId);
+    if (!fresh) return null;
+
+    const newOriginal = {
+      title: fresh.title,
+      image_url: fresh.image_url || fresh.imageUrl || null,
+      ingredients: fresh.ingredients,
+      instructions: fresh.instructions,
+    };
+
+    // Compare to the newest version we know of to skip pointless writes
+    const known = recipe.pendingOriginal || recipe.originalRecipe || {};
+    const same =
+      known.title === newOriginal.title &&
+      JSON.stringify(known.ingredients) === JSON.stringify(newOriginal.ingredients) &&
+      JSON.stringify(known.instructions) === JSON.stringify(newOriginal.instructions) &&
+      (known.image_url || known.imageUrl || null) === newOriginal.image_url;
+    return same ? null : newOriginal;
+  };
+
+  /**
+   * Check an imported recipe against its owner's current version
+   * Returns the updated recipe, the unchanged recipe, or null if there's no owner to check
    */
   const refreshOriginalFromOwner = async (recipeId) => {
     const recipe = recipes.find(r => r.id === recipeId);
@@ -1040,35 +1193,19 @@ export const useRecipes = (user) => {
     if (!recipe.originalOwnerId || !recipe.originalOwnerRecipeId) return null;
 
     try {
-      const { getFullPublicRecipe } = require('../services/supabase/social');
-      const fresh = await getFullPublicRecipe(recipe.originalOwnerId, recipe.originalOwnerRecipeId);
-      if (!fresh) return null;
-
-      // Compare to existing to skip pointless writes
-      const existing = recipe.originalRecipe || {};
-      const same =
-        existing.title === fresh.title &&
-        JSON.stringify(existing.ingredients) === JSON.stringify(fresh.ingredients) &&
-        JSON.stringify(existing.instructions) === JSON.stringify(fresh.instructions) &&
-        (existing.image_url || existing.imageUrl || null) === (fresh.image_url || fresh.imageUrl || null);
-      if (same) {
+      const newOriginal = await compareWithOwner(recipe);
+      ownerCheckedAt.current[recipeId] = Date.now();
+      if (!newOriginal) {
         log('🔄 Original unchanged for', recipe.title);
         return recipe;
       }
 
-      const newOriginal = {
-        title: fresh.title,
-        image_url: fresh.image_url || fresh.imageUrl || null,
-        ingredients: fresh.ingredients,
-        instructions: fresh.instructions,
-      };
-
-      const updated = { ...recipe, originalRecipe: newOriginal, originalRefreshedAt: Date.now() };
+      const updated = stampFieldChanges(recipe, withOwnerVersion(recipe, newOriginal));
       const updatedRecipes = recipes.map(r => (r.id === recipeId ? updated : r));
       await saveRecipesToStorage(updatedRecipes, user?.uid || null);
       setRecipes(updatedRecipes);
 
-      log('🔄 Refreshed original version from owner for:', recipe.title);
+      log(updated.pendingOriginal ? '🔀 Owner changes waiting to merge for:' : '🔄 Refreshed original version from owner for:', recipe.title);
       return updated;
     } catch (err) {
       console.error('❌ Failed to refresh original from owner:', err);
@@ -1076,6 +1213,136 @@ export const useRecipes = (user) => {
     }
   };
 
+  /**
+   * Check every imported recipe for owner updates (at most every few
+   * hours per recipe). Returns how many have changes waiting to merge.
+   */
+  const checkOwnerUpdates = async () => {
+    const now = Date.now();
+    const due = recipes.filter(r =>
+      !r.deletedAt &&
+      r.originalOwnerId && r.originalOwnerRecipeId &&
+      now - (ownerCheckedAt.current[r.id] || 0) > OWNER_CHECK_INTERVAL
+    );
+
+    const changed = new Map();
+    // One at a time - this runs in the background and shouldn't burst
+    for (const recipe of due) {
+      try {
+        const newOriginal = await compareWithOwner(recipe);
+        ownerCheckedAt.current[recipe.id] = Date.now();
+        if (newOriginal) changed.set(recipe.id, newOriginal);
+      } catch (err) {
+        console.error(`❌ Owner update check failed for ${recipe.title}:`, err);
+      }
+    }
+
+    let latest = recipes;
+    if (changed.size > 0) {
+      // Re-read storage: the user may have edited recipes while we checked
+      const current = await loadRecipesFromStorage(user?.uid || null);
+      latest = current.map(r => (
+        changed.has(r.id) ? stampFieldChanges(r, withOwnerVersion(r, changed.get(r.id))) : r
+      ));
+      await saveRecipesToStorage(latest, user?.uid || null);
+      setRecipes(latest);
+    }
+
+    const waiting = latest.filter(r => r.pendingOriginal && !r.deletedAt).length;
+    log(`🔀 Owner update check: ${due.length} checked, ${waiting} waiting to merge`);
+    return waiting;
+  };
+
+  /**
+   * Finish merging the owner's update (RecipeMerge)
+   * @param {string} recipeId
+   * @param {Object} merged - { main, variants: { [variantId]: content } } where
+   *   each content is {title, image_url, ingredients, instructions} from
+   *   resolveMerge. The owner's version becomes the new originalRecipe.
+   */
+  const applyOwnerMerge = async (recipeId, merged) => {
+    const recipe = recipes.find(r => r.id === recipeId);
+    if (!recipe?.pendingOriginal) return false;
+
+    const newOriginal = recipe.pendingOriginal;
+    const variants = (recipe.variants || []).map(variant => (
+      merged.variants?.[variant.id]
+        ? { ...variant, edits: { ...variant.edits, ...merged.variants[variant.id] } }
+        : variant
+    ));
+
+    let content;
+    let editedVersion = recipe.editedVersion || null;
+    if (recipe.viewingOriginal) {
+      // Showing the original: that's the owner's new version now, and our
+      // merged edits wait in editedVersion for the toggle
+      content = newOriginal;
+      if (editedVersion && merged.main) editedVersion = { ...editedVersion, ...merged.main };
+    } else {
+      content = merged.main || {};
+    }
+
+    const updatedRecipe = stampFieldChanges(recipe, {
+      ...recipe,
+      ...content,
+      variants,
+      editedVersion,
+      originalRecipe: newOriginal,
+      pendingOriginal: null,
+      pendingOriginalAt: null,
+      originalRefreshedAt: Date.now(),
+      updatedAt: Date.now(),
+      editHistory: addRevision(
+        recipe.editHistory,
+        { ...recipe, ...content },
+        `Merged ${recipe.createdBy?.username ? `@${recipe.createdBy.username}'s` : "the owner's"} changes`,
+        recipe
+      ),
+    });
+
+    const updatedRecipes = recipes.map(r => (r.id === recipeId ? updatedRecipe : r));
+    const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
+    if (!success) return false;
+
+    setRecipes(updatedRecipes);
+    if (selectedRecipe && selectedRecipe.id === recipeId) {
+      setSelectedRecipe(updatedRecipe);
+    }
+    if (user) {
+      saveRecipeWithDualWrite(user.uid, updatedRecipe).catch(err =>
+        console.error('Failed to sync merged recipe to Supabase:', err)
+      );
+    }
+    log('🔀 Merged owner changes into:', updatedRecipe.title);
+    return true;
+  };
+
+  /**
+   * Settle fields a sync found changed on two devices (SyncConflicts)
+   * @param {string} recipeId
+   * @param {Object} choices - { [field]: 'local' | 'remote' }
+   */
+  const resolveSyncConflicts = async (recipeId, choices) => {
+    const recipe = recipes.find(r => r.id === recipeId);
+    if (!recipe?.syncConflicts?.length) return false;
+
+    const resolved = resolveConflictChoices(recipe, choices);
+    const updatedRecipes = recipes.map(r => (r.id === recipeId ? resolved : r));
+    const success = await saveRecipesToStorage(updatedRecipes, user?.uid || null);
+    if (!success) return false;
+
+    setRecipes(updatedRecipes);
+    if (selectedRecipe && selectedRecipe.id === recipeId) {
+      setSelectedRecipe(resolved);
+    }
+    if (user) {
+      saveRecipeWithDualWrite(user.uid, resolved).catch(err =>
+        console.error('Failed to sync conflict resolution to Supabase:', err)
+      );
+    }
+    return true;
+  };
+
   useEffect(() => {
     setRecipes([]);
     setSynced(false);
@@ -1091,6 +1358,7 @@ export const useRecipes = (user) => {
     saveRecipe,
     saveRecipesBatch,
     updateRecipe,
+    restoreRecipeRevision,
     deleteRecipe,
     restoreRecipe,
     permanentlyDeleteRecipe,
@@ -1113,8 +1381,14 @@ export const useRecipes = (user) => {
     createVariant,
     deleteVariant,
     addVariantToRecipe,
+    updateVariantDetails,
+    publishVariant,
     // Original-recipe sync for imported recipes
     refreshOriginalFromOwner,
+    checkOwnerUpdates,
+    applyOwnerMerge,
+    // Cross-device sync conflicts
+    resolveSyncConflicts,
   };
 };
 
@@ -0,0 +1,435 @@
+/**
+ * FILENAME: src/screens/BulkImportScreen.js
+ * PURPOSE: Import many recipe links at once - pasted links, any text with
+ * links in it, or a browser bookmarks export
+ * USED BY: HomeScreen (recipes tab action bar)
+ *
+ * The queue itself is useBulkImport, owned by HomeScreen, so extraction
+ * keeps running if the user leaves this screen and comes back.
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  SafeAreaView,
+  TextInput,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { StatusBar } from 'expo-status-bar';
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+import Clipboard from '@react-native-clipboard/clipboard';
+import { Ionicons } from '@expo/vector-icons';
+import colors from '../constants/colors';
+import { BULK_STATUS } from '../hooks/useBulkImport';
+
+import { log } from '../utils/log';
+
+const STATUS_DISPLAY = {
+  [BULK_STATUS.QUEUED]: { icon: 'time-outline', color: colors.textLight, label: 'Waiting' },
+  [BULK_STATUS.EXTRACTING]: { icon: null, color: colors.primary, label: 'Importing…' },
+  [BULK_STATUS.READY]: { icon: 'checkmark-circle', color: colors.success, label: 'Ready to save' },
+  [BULK_STATUS.FAILED]: { icon: 'alert-circle', color: colors.error, label: 'Failed' },
+  [BULK_STATUS.DUPLICATE]: { icon: 'copy-outline', color: colors.textLight, label: 'Already saved' },
+  [BULK_STATUS.SAVED]: { icon: 'bookmark', color: colors.primary, label: 'Saved' },
+};
+
+export const BulkImportScreen = ({ bulkImport, folders, onSave, onClose }) => {
+  const { items, counts, readyRecipes, isRunning, addFromText, retryItem, removeItem, clear } = bulkImport;
+  const [input, setInput] = useState('');
+  const [selectedFolder, setSelectedFolder] = useState(folders[0] || 'All Recipes');
+  const [saving, setSaving] = useState(false);
+
+  const addLinks = (text) => {
+    const { added, duplicates } = addFromText(text);
+    if (added === 0 && duplicates === 0) {
+      Alert.alert('No New Links', 'No links were found that aren\'t already in the list.');
+      return;
+    }
+    setInput('');
+    if (duplicates > 0) {
+      Alert.alert('Already Saved', `${duplicates} of these recipe${duplicates !== 1 ? 's are' : ' is'} already in your cookbook and will be skipped.`);
+    }
+  };
+
+  const handlePaste = async () => {
+    try {
+      const text = await Clipboard.getString();
+      if (text) setInput(prev => (prev ? `${prev}\n${text}` : text));
+    } catch (error) {
+      console.error('Clipboard error:', error);
+    }
+  };
+
+  const handlePickBookmarks = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/html', 'text/plain', '*/*'],
+        copyToCacheDirectory: true,
+      });
+      if (result.canceled || !result.assets || result.assets.length === 0) return;
+
+      const file = result.assets[0];
+      log('Bulk import file:', file.name);
+      const content = await FileSystem.readAsStringAsync(file.uri, {
+        encoding: FileSystem.EncodingType.UTF8,
+      });
+      addLinks(content);
+    } catch (error) {
+      console.error('❌ Error reading bookmarks file:', error);
+      Alert.alert('Error', 'Could not read that file. Export your bookmarks as HTML and try again.');
+    }
+  };
+
+  const handleSave = async () => {
+    if (readyRecipes.length === 0) return;
+    setSaving(true);
+    try {
+      await onSave(selectedFolder);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClear = () => {
+    Alert.alert(
+      'Clear List',
+      readyRecipes.length > 0
+        ? `${readyRecipes.length} imported recipe${readyRecipes.length !== 1 ? 's have' : ' has'} not been saved yet. Clear anyway?`
+        : 'Remove every link from the list?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Clear', style: 'destructive', onPress: clear },
+      ]
+    );
+  };
+
+  const summary = [
+    `${items.length} link${items.length !== 1 ? 's' : ''}`,
+    counts[BULK_STATUS.QUEUED] || counts[BULK_STATUS.EXTRACTING]
+      ? `${(counts[BULK_STATUS.QUEUED] || 0) + (counts[BULK_STATUS.EXTRACTING] || 0)} to go`
+      : null,
+    counts[BULK_STATUS.READY] ? `${counts[BULK_STATUS.READY]} ready` : null,
+    counts[BULK_STATUS.FAILED] ? `${counts[BULK_STATUS.FAILED]} failed` : null,
+    counts[BULK_STATUS.DUPLICATE] ? `${counts[BULK_STATUS.DUPLICATE]} already saved` : null,
+    counts[BULK_STATUS.SAVED] ? `${counts[BULK_STATUS.SAVED]} saved` : null,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <StatusBar style="light" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Bulk Import</Text>
+        <TouchableOpacity onPress={onClose}>
+          <Text style={styles.closeButton}>Done</Text>
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView style={styles.content} keyboardShouldPersistTaps="handled">
+        {/* Input */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Add links</Text>
+          <Text style={styles.hint}>
+            Paste recipe links - one per line, or any text with links in it - or import a bookmarks file exported from your browser.
+          </Text>
+          <TextInput
+            style={styles.input}
+            value={input}
+            onChangeText={setInput}
+            placeholder="https://..."
+            placeholderTextColor={colors.textLight}
+            multiline
+            autoCapitalize="none"
+            autoCorrect={false}
+            keyboardType="url"
+          />
+          <View style={styles.inputActions}>
+            <TouchableOpacity style={styles.secondaryButton} onPress={handlePaste}>
+              <Ionicons name="clipboard-outline" size={16} color={colors.primary} />
+              <Text style={styles.secondaryButtonText}>Paste</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.secondaryButton} onPress={handlePickBookmarks}>
+              <Ionicons name="document-outline" size={16} color={colors.primary} />
+              <Text style={styles.secondaryButtonText}>Bookmarks file</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.addButton, !input.trim() && styles.buttonDisabled]}
+              onPress={() => addLinks(input)}
+              disabled={!input.trim()}
+            >
+              <Text style={styles.addButtonText}>Add</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Queue */}
+        {items.length > 0 && (
+          <View style={styles.section}>
+            <View style={styles.queueHeader}>
+              <Text style={styles.summary}>{summary}</Text>
+              <TouchableOpacity onPress={handleClear}>
+                <Text style={styles.clearText}>Clear</Text>
+              </TouchableOpacity>
+            </View>
+            {items.map(item => {
+              const display = STATUS_DISPLAY[item.status];
+              const recipeCount = item.recipes?.length || 0;
+              return (
+                <View key={item.id} style={styles.itemRow}>
+                  <View style={styles.itemIcon}>
+                    {display.icon ? (
+                      <Ionicons name={display.icon} size={20} color={display.color} />
+                    ) : (
+                      <ActivityIndicator size="small" color={display.color} />
+                    )}
+                  </View>
+                  <View style={styles.itemBody}>
+                    <Text style={styles.itemTitle} numberOfLines={1}>{item.title || item.url}</Text>
+                    <Text style={[styles.itemStatus, { color: display.color }]} numberOfLines={1}>
+                      {item.status === BULK_STATUS.FAILED && item.error ? item.error : display.label}
+                      {item.status === BULK_STATUS.READY && recipeCount > 1 ? ` · ${recipeCount} recipes` : ''}
+                      {item.status === BULK_STATUS.READY && item.needsReview ? ' · best guess, check it after saving' : ''}
+                    </Text>
+                  </View>
+                  {item.status === BULK_STATUS.FAILED && (
+                    <TouchableOpacity style={styles.itemAction} onPress={() => retryItem(item.id)}>
+                      <Ionicons name="refresh" size={20} color={colors.primary} />
+                    </TouchableOpacity>
+                  )}
+                  {item.status !== BULK_STATUS.EXTRACTING && (
+                    <TouchableOpacity style={styles.itemAction} onPress={() => removeItem(item.id)}>
+                      <Ionicons name="close" size={20} color={colors.textLight} />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              );
+            })}
+          </View>
+        )}
+
+        {/* Folder Selection */}
+        {items.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Save to Cookbook:</Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.folderScroll}>
+              {folders.map((folder) => (
+                <TouchableOpacity
+                  key={folder}
+                  style={[styles.folderChip, selectedFolder === folder && styles.folderChipSelected]}
+                  onPress={() => setSelectedFolder(folder)}
+                >
+                  <Text style={[styles.folderChipText, selectedFolder === folder && styles.folderChipTextSelected]}>
+                    {folder}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          </View>
+        )}
+      </ScrollView>
+
+      {items.length > 0 && (
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.saveButton, (readyRecipes.length === 0 || saving) && styles.buttonDisabled]}
+            onPress={handleSave}
+            disabled={readyRecipes.length === 0 || saving}
+          >
+            <Text style={styles.saveButtonText}>
+              {readyRecipes.length > 0
+                ? `Save ${readyRecipes.length} recipe${readyRecipes.length !== 1 ? 's' : ''} to ${selectedFolder}`
+                : isRunning ? 'Importing…' : 'Nothing to save'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.background,
+  },
+  header: {
+    backgroundColor: colors.primary,
+    paddingTop: 50,
+    paddingBottom: 15,
+    paddingHorizontal: 15,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  closeButton: {
+    fontSize: 16,
+    color: '#fff',
+    fontWeight: '600',
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: '#fff',
+    padding: 20,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+    color: colors.text,
+    marginBottom: 12,
+  },
+  hint: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: -6,
+    marginBottom: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: colors.border,
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 14,
+    minHeight: 100,
+    maxHeight: 200,
+    textAlignVertical: 'top',
+    color: colors.text,
+  },
+  inputActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+    gap: 8,
+  },
+  secondaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    backgroundColor: colors.primaryLight,
+    gap: 4,
+  },
+  secondaryButtonText: {
+    fontSize: 14,
+    color: colors.primary,
+    fontWeight: '600',
+  },
+  addButton: {
+    marginLeft: 'auto',
+    paddingVertical: 8,
+    paddingHorizontal: 20,
+    borderRadius: 8,
+    backgroundColor: colors.primary,
+  },
+  addButtonText: {
+    fontSize: 14,
+    color: '#fff',
+    fontWeight: '700',
+  },
+  buttonDisabled: {
+    opacity: 0.5,
+  },
+  queueHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  summary: {
+    flex: 1,
+    fontSize: 13,
+    color: colors.textSecondary,
+  },
+  clearText: {
+    fontSize: 14,
+    color: colors.error,
+    fontWeight: '600',
+    marginLeft: 12,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.borderLight,
+  },
+  itemIcon: {
+    width: 28,
+    alignItems: 'center',
+  },
+  itemBody: {
+    flex: 1,
+    marginLeft: 8,
+  },
+  itemTitle: {
+    fontSize: 14,
+    color: colors.text,
+  },
+  itemStatus: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  itemAction: {
+    padding: 6,
+    marginLeft: 4,
+  },
+  folderScroll: {
+    marginHorizontal: -4,
+  },
+  folderChip: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    backgroundColor: colors.lightGray,
+    borderRadius: 20,
+    marginHorizontal: 4,
+    borderWidth: 2,
+    borderColor: 'transparent',
+  },
+  folderChipSelected: {
+    backgroundColor: colors.primaryLight,
+    borderColor: colors.primary,
+  },
+  folderChipText: {
+    fontSize: 14,
+    color: colors.text,
+    fontWeight: '500',
+  },
+  folderChipTextSelected: {
+    color: colors.primary,
+    fontWeight: '700',
+  },
+  footer: {
+    backgroundColor: '#fff',
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: colors.border,
+  },
+  saveButton: {
+    backgroundColor: colors.primary,
+    paddingVertical: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  saveButtonText: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#fff',
+  },
+});
+
+export default BulkImportScreen;
@@ -38,7 +38,10 @@ import { useFolders, MY_CREATIONS_FOLDER } from '../hooks/useFolders';
 import { useShareIntent } from '../hooks/useShareIntent';
 import { resolveShareUrl, normalizeRecipeUrl } from '../utils/urlExtractor';
 import { useRecipeExtraction } from '../hooks/useRecipeExtraction';
+import { useBulkImport } from '../hooks/useBulkImport';
 import { useGroceryList } from '../hooks/useGroceryList';
+import { usePantry } from '../hooks/usePantry';
+import { useCookSessions, describeCookSession } from '../hooks/useCookSessions';
 import { useSocial } from '../hooks/useSocial';
 
 // Components
@@ -56,6 +59,7 @@ import { IngredientSearch } from '../components/IngredientSearch';
 import { CreateRecipeScreen } from './CreateRecipeScreen';
 import { SettingsScreen } from './SettingsScreen';
 import { SaveRecipeScreen } from './SaveRecipeScreen';
+import { BulkImportScreen } from './BulkImportScreen';
 import { UsernameSetupModal } from '../components/UsernameSetupModal';
 import { SocialModal } from '../components/SocialModal';
 import { ShareToFriendsModal } from '../components/ShareToFriendsModal';
@@ -66,6 +70,9 @@ import { WelcomeModal } from '../components/WelcomeModal';
 import colors from '../constants/colors';
 import { TAG_CATEGORIES, getPredefinedTagNames, getFrequentTags, combineRecipeTags } from '../constants/tags';
 import { DIETS, dietLabel, analyzeRecipe, getConflicts } from '../utils/dietaryAnalysis';
+import { subtractPantry, todayString } from '../utils/pantry';
+import { createCookEvent } from '../services/supabase/kitchen';
+import { startOutbox } from '../services/supabase/outbox';
 import { loadDietaryPreferences, saveDietaryPreferences } from '../services/supabase/dietary';
 
 // Supabase auth
@@ -85,6 +92,7 @@ import {
 import DiscoverFeed from '../components/DiscoverFeed';
 import { getLikesForRecipes, likeRecipe, unlikeRecipe } from '../services/supabase/discover';
 import AdminReports from '../components/AdminReports';
+import AdminExtractionStats from '../components/AdminExtractionStats';
 import BlockedUsers from '../components/BlockedUsers';
 import DisclaimerModal, { shouldShowDisclaimer } from '../components/DisclaimerModal';
 import KitchenScreen from '../components/KitchenScreen';
@@ -97,6 +105,8 @@ import { saveRecipes as saveRecipesToStorage, loadAppSettings, saveAppSettings,
 
 // Recipe extractor for parsing shared URLs (consistent with Android)
 import RecipeExtractor from '../../RecipeExtractor';
+// Falls back to the extract-url Edge Function when the device can't read a page
+import { extractRecipeFromUrl, extractRecipeWithAI, describeExtractionFailure } from '../services/urlExtraction';
 
 import { log } from '../utils/log';
 import {
@@ -105,6 +115,51 @@ import {
   internalRecipeUrlCandidates,
   parseFriendLink,
 } from '../constants/app';
+
+// Extractor output -> the recipe shape SaveRecipeScreen edits (quick link import)
+const toQuickLinkRecipe = (extracted, sourceUrl) => {
+  // Convert to app format
+  let ingredients = { main: [] };
+  if (typeof extracted.ingredients === 'object' && !Array.isArray(extracted.ingredients)) {
+    ingredients = extracted.ingredients;
+  } else if (Array.isArray(extracted.ingredients)) {
+    ingredients = { main: extracted.ingredients };
+  } else if (typeof extracted.ingredients === 'string') {
+    ingredients = { main: extracted.ingredients.split('\n').filter(line => line.trim()) };
+  }
+
+  let instructions = [];
+  if (Array.isArray(extracted.instructions)) {
+    instructions = extracted.instructions;
+  } else if (typeof extracted.instructions === 'string') {
+    instructions = extracted.instructions.split('\n').filter(line => line.trim());
+  }
+
+  return {
+    title: extracted.title || 'Untitled Recipe',
+    ingredients,
+    instructions,
+    prepTime: extracted.prepTime || extracted.prep_time || '',
+    cookTime: extracted.cookTime || extracted.cook_time || '',
+    servings: extracted.servings || '',
+    image_url: extracted.image || extracted.image_url || '',
+    source_url: sourceUrl,
+    notes: extracted.notes || '',
+    nutrition: extracted.nutrition || null,
+    // Publisher metadata (JSON-LD) - stored on the global recipe
+    description: extracted.description || null,
+    cuisine: extracted.cuisine || null,
+    category: extracted.category || null,
+    keywords: extracted.keywords || [],
+    author: extracted.author || null,
+    author_url: extracted.author_url || null,
+    rating: extracted.rating || null,
+    video: extracted.video || null,
+    diets: extracted.diets || [],
+    needs_review: extracted.needs_review || false,
+  };
+};
+
 export const HomeScreen = ({ user }) => {
   // Navigation state
   const [currentScreen, setCurrentScreen] = useState('recipes'); // recipes, social, settings, grocery
@@ -131,6 +186,7 @@ export const HomeScreen = ({ user }) => {
   const [readOnlyLike, setReadOnlyLike] = useState({ liked: false, count: 0 });
   const [isPremium, setIsPremium] = useState(false);
   const [showAdminReports, setShowAdminReports] = useState(false);
+  const [showExtractionStats, setShowExtractionStats] = useState(false);
   const [showBlockedUsers, setShowBlockedUsers] = useState(false);
   const [showDisclaimer, setShowDisclaimer] = useState(false);
   const [pendingFolders, setPendingFolders] = useState([]);
@@ -204,6 +260,7 @@ export const HomeScreen = ({ user }) => {
     saveRecipe,
     saveRecipesBatch,
     updateRecipe,
+    restoreRecipeRevision,
     deleteRecipe,
     restoreRecipe,
     permanentlyDeleteRecipe,
@@ -224,9 +281,14 @@ export const HomeScreen = ({ user }) => {
     selectVariant,
     createVariant,
     deleteVariant,
+    updateVariantDetails,
+    publishVariant,
     addVariantToRecipe,
     // Original-recipe sync
     refreshOriginalFromOwner,
+    checkOwnerUpdates,
+    applyOwnerMerge,
+    resolveSyncConflicts,
   } = useRecipes(user);
 
   const {
@@ -260,17 +322,47 @@ export const HomeScreen = ({ user }) => {
 
   const {
     groceryList,
+    aisleOverrides: groceryAisleOverrides,
     loading: groceryListLoading,
     addItems: addItemsToGroceryList,
     addCustomItem: addCustomGroceryItem,
+    replacePlannedItems: replacePlannedGroceryItems,
     removeItem: removeGroceryItem,
+    removeItems: removeGroceryItems,
     toggleItemChecked,
+    setItemsChecked: setGroceryItemsChecked,
     clearCheckedItems,
     clearAllItems,
     getUncheckedCount,
     restoreList: restoreGroceryList,
+    setIngredientAisle: setGroceryIngredientAisle,
+    groceryLists,
+    activeListId: activeGroceryListId,
+    listMembers: groceryListMembers,
+    switchList: switchGroceryList,
+    loadListMembers: loadGroceryListMembers,
+    inviteFriends: inviteFriendsToGroceryList,
+    removeListMember: removeGroceryListMember,
   } = useGroceryList(user);
 
+  // Pantry (ingredients on hand - taken off generated shopping lists)
+  const {
+    pantry,
+    addPantryItem,
+    addBoughtItems: addBoughtItemsToPantry,
+    updatePantryItem,
+    removePantryItem,
+  } = usePantry(user);
+
+  // Cook Mode progress that survives closing the recipe or the app
+  const {
+    cookSessions,
+    activeCookSessions,
+    saveCookSession,
+    clearCookSession,
+  } = useCookSessions(user);
+  const [resumeCookingId, setResumeCookingId] = useState(null);
+
 
   // Social features
   const {
@@ -467,6 +559,20 @@ export const HomeScreen = ({ user }) => {
     });
   }, [selectedRecipe?.id]);
 
+  // Replay writes queued while offline (or from a previous session) for
+  // whoever is signed in
+  useEffect(() => {
+    if (!user?.uid) return;
+    return startOutbox(user.uid);
+  }, [user?.uid]);
+
+  // Look for owner updates to imported recipes once recipes are loaded -
+  // recipes with changes to merge get a badge in the list
+  useEffect(() => {
+    if (!user || loadingRecipes) return;
+    checkOwnerUpdates().catch(err => console.error('❌ Owner update check failed:', err));
+  }, [user?.uid, loadingRecipes]);
+
   // Handle pending friend request when social data is ready
   useEffect(() => {
     if (pendingFriendUsername && searchUsers && user) {
@@ -512,47 +618,26 @@ export const HomeScreen = ({ user }) => {
 
     setQuickLinkLoading(true);
     try {
-      const extractor = new RecipeExtractor();
-      const result = await extractor.extract(quickLinkUrl.trim());
+      // AI tier on: the user reviews the result on the save screen
+      const extractor = new RecipeExtractor({ aiFallback: extractRecipeWithAI });
+      const result = await extractRecipeFromUrl(quickLinkUrl.trim(), extractor);
 
       if (result.success && result.data) {
-        const extracted = result.data;
-
-        // Convert to app format
-        let ingredients = { main: [] };
-        if (typeof extracted.ingredients === 'object' && !Array.isArray(extracted.ingredients)) {
-          ingredients = extracted.ingredients;
-        } else if (Array.isArray(extracted.ingredients)) {
-          ingredients = { main: extracted.ingredients };
-        } else if (typeof extracted.ingredients === 'string') {
-          ingredients = { main: extracted.ingredients.split('\n').filter(line => line.trim()) };
-        }
-
-        let instructions = [];
-        if (Array.isArray(extracted.instructions)) {
-          instructions = extracted.instructions;
-        } else if (typeof extracted.instructions === 'string') {
-          instructions = extracted.instructions.split('\n').filter(line => line.trim());
+        const recipeData = toQuickLinkRecipe(result.data, quickLinkUrl.trim());
+        // Several recipes on the page - SaveRecipeScreen lets the user pick
+        if (result.recipes?.length > 1) {
+          recipeData.pageRecipes = result.recipes.map((extracted, index) =>
+            index === 0 ? { ...recipeData } : toQuickLinkRecipe(extracted, extracted.source_url || quickLinkUrl.trim())
+          );
         }
 
-        const recipeData = {
-          title: extracted.title || 'Untitled Recipe',
-          ingredients,
-          instructions,
-          prepTime: extracted.prepTime || extracted.prep_time || '',
-          cookTime: extracted.cookTime || extracted.cook_time || '',
-          servings: extracted.servings || '',
-          image_url: extracted.image || extracted.image_url || '',
-          source_url: quickLinkUrl.trim(),
-          notes: '',
-        };
-
         setExtractedRecipe(recipeData);
         setShowQuickLinkModal(false);
         setQuickLinkUrl('');
         setCurrentScreen('saveRecipe');
       } else {
-        Alert.alert('Error', result.error || 'Could not extract recipe from this URL');
+        const { title, message } = describeExtractionFailure(result);
+        Alert.alert(title, message);
       }
     } catch (error) {
       console.error('Quick link extraction error:', error);
@@ -605,7 +690,7 @@ export const HomeScreen = ({ user }) => {
               // Check if this needs parsing (new format with URL only)
               if (item.needs_parsing && item.url) {
                 log(`Parsing URL with RecipeExtractor: ${item.url}`);
-                const result = await extractor.extract(item.url);
+                const result = await extractRecipeFromUrl(item.url, extractor);
 
                 if (result.success && result.data) {
                   // Convert RecipeExtractor format to app format
@@ -748,31 +833,46 @@ export const HomeScreen = ({ user }) => {
     recipes // Pass recipes for deduplication check
   );
 
+  // Bulk link import - lives here so the queue keeps running while the
+  // user browses other tabs
+  const bulkImport = useBulkImport(findExistingRecipeByUrl);
+
   // Handle save from SaveRecipeScreen
   const handleSaveExtractedRecipe = async (selectedFolder, modifiedRecipe) => {
     if (!modifiedRecipe) return;
 
-    const recipeWithFolder = {
-      ...modifiedRecipe,
-      folder: selectedFolder === 'Favorites' || selectedFolder === 'Recently Deleted'
-        ? 'All Recipes'
-        : selectedFolder,
+    // SaveRecipeScreen hands over an array when the user picked several
+    // recipes from a multi-recipe page
+    const picked = Array.isArray(modifiedRecipe) ? modifiedRecipe : [modifiedRecipe];
+    const folder = selectedFolder === 'Favorites' || selectedFolder === 'Recently Deleted'
+      ? 'All Recipes'
+      : selectedFolder;
+    const recipesWithFolder = picked.map(recipe => ({
+      ...recipe,
+      folder,
       // Add creator info if user is logged in
       createdBy: profile ? {
         id: user?.uid,
         username: profile.username,
       } : null,
-    };
+    }));
+    const recipeWithFolder = recipesWithFolder[0];
 
-    const saved = await saveRecipe(recipeWithFolder);
+    const saved = recipesWithFolder.length > 1
+      ? await saveRecipesBatch(recipesWithFolder)
+      : await saveRecipe(recipeWithFolder);
 
     if (saved) {
       setCurrentScreen('recipes');
       // More scanned recipes waiting? Offer the next one instead of
       // opening the just-saved recipe
       if (!advanceScanQueue()) {
-        setSelectedRecipe(recipeWithFolder);
-        Alert.alert('Saved', `Recipe saved to ${recipeWithFolder.folder}!`);
+        if (recipesWithFolder.length > 1) {
+          Alert.alert('Saved', `${recipesWithFolder.length} recipes saved to ${folder}!`);
+        } else {
+          setSelectedRecipe(recipeWithFolder);
+          Alert.alert('Saved', `Recipe saved to ${folder}!`);
+        }
       }
     } else {
       Alert.alert('Error', 'Failed to save recipe. Please try again.');
@@ -783,6 +883,34 @@ export const HomeScreen = ({ user }) => {
     setUrl('');
   };
 
+  // Handle save from BulkImportScreen: every ready recipe into one folder
+  const handleSaveBulkImport = async (selectedFolder) => {
+    const folder = selectedFolder === 'Favorites' || selectedFolder === 'Recently Deleted'
+      ? 'All Recipes'
+      : selectedFolder;
+    // Items can finish extracting while this saves - only these get marked
+    const savingItemIds = bulkImport.readyItemIds;
+    // Drop the Date.now() ids from extraction - items that finished in the
+    // same millisecond would collide; saveRecipesBatch assigns unique ones.
+    // needs_review stays so RecipeDetail can ask for a check of best guesses.
+    const recipesWithFolder = bulkImport.readyRecipes.map(({ id, ...recipe }) => ({
+      ...recipe,
+      folder,
+      createdBy: profile ? {
+        id: user?.uid,
+        username: profile.username,
+      } : null,
+    }));
+
+    const saved = await saveRecipesBatch(recipesWithFolder);
+    if (saved) {
+      bulkImport.markItemsSaved(savingItemIds);
+      Alert.alert('Saved', `${recipesWithFolder.length} recipe${recipesWithFolder.length !== 1 ? 's' : ''} saved to ${folder}!`);
+    } else {
+      Alert.alert('Error', 'Failed to save recipes. Please try again.');
+    }
+  };
+
   // Handle cancel save from SaveRecipeScreen
   const handleCancelSave = () => {
     setExtractedRecipe(null);
@@ -1154,7 +1282,7 @@ export const HomeScreen = ({ user }) => {
     try {
       const RecipeExtractor = require('../../RecipeExtractor').default;
       const extractor = new RecipeExtractor();
-      const result = await extractor.extract(recipeUrl);
+      const result = await extractRecipeFromUrl(recipeUrl, extractor);
 
       if (result.success) {
         // Convert image to image_url for consistency
@@ -1284,10 +1412,19 @@ export const HomeScreen = ({ user }) => {
   };
 
   // Grocery list handlers
+
+  // Lines the pantry already covers stay off the list, as when building a
+  // planned week. Returns how many were added.
+  const handleAddItemsToGroceryList = async (ingredientTexts, recipe, section = 'main') => {
+    const { items } = subtractPantry(ingredientTexts.map(text => ({ text })), pantry);
+    if (items.length === 0) return 0;
+    return addItemsToGroceryList(items.map(item => item.text), recipe, section);
+  };
+
   const handleAddToGroceryList = async (selectedItems) => {
-    if (!selectedRecipe || selectedItems.length === 0) return;
+    if (!selectedRecipe || selectedItems.length === 0) return 0;
     const ingredientTexts = selectedItems.map(item => item.text);
-    await addItemsToGroceryList(ingredientTexts, selectedRecipe, selectedItems[0]?.section || 'main');
+    return handleAddItemsToGroceryList(ingredientTexts, selectedRecipe, selectedItems[0]?.section || 'main');
   };
 
   const handleToggleGroceryItem = async (itemId) => {
@@ -1306,6 +1443,45 @@ export const HomeScreen = ({ user }) => {
     await clearAllItems();
   };
 
+  // Bought: stock the pantry with the checked items, then clear them
+  const handleAddCheckedToPantry = async (checkedItems) => {
+    await addBoughtItemsToPantry(checkedItems);
+    await clearCheckedItems();
+  };
+
+  // Skip or shrink planned lines the pantry already covers
+  const handleBuildShoppingList = async (weekStart, plannedItems) => {
+    const { items, covered, reduced } = subtractPantry(plannedItems, pantry);
+    const result = await replacePlannedGroceryItems(weekStart, items);
+    return { ...result, covered: covered.length, reduced };
+  };
+
+  // Resume banner: open the recipe straight into Cook Mode
+  const handleResumeCooking = (session) => {
+    const recipe = recipes.find(r => r.id === session.recipeId);
+    if (!recipe) {
+      Alert.alert('Recipe Not Found', `"${session.recipeTitle || 'This recipe'}" is no longer in your recipes.`, [
+        { text: 'OK', onPress: () => clearCookSession(session.recipeId) },
+      ]);
+      return;
+    }
+    setResumeCookingId(recipe.id);
+    setSelectedRecipe(recipe);
+  };
+
+  // Finishing in Cook Mode can log what was made for the Kitchen tab
+  const handleLogCook = async (recipeId, servings) => {
+    if (!user?.uid) return;
+    const created = await createCookEvent(user.uid, {
+      cookDate: todayString(),
+      recipeId,
+      servingsProduced: servings,
+    });
+    if (!created) {
+      Alert.alert('Could Not Log Cook', 'Your progress was saved, but the cook could not be added to your Kitchen. Try adding it from the Cook tab.');
+    }
+  };
+
   // Multiselect handlers
   const enterMultiselectMode = (recipeId) => {
     setMultiselectMode(true);
@@ -2762,6 +2938,22 @@ export const HomeScreen = ({ user }) => {
     );
   }
 
+  if (currentScreen === 'bulkImport') {
+    return (
+      <SafeAreaView style={styles.container}>
+        <BulkImportScreen
+          bulkImport={bulkImport}
+          folders={folders.filter(f => f.name !== 'Favorites' && f.name !== 'Recently Deleted').map(f => f.name)}
+          onSave={handleSaveBulkImport}
+          onClose={() => setCurrentScreen('recipes')}
+        />
+
+        {/* Bottom Navigation Bar */}
+        {renderNavigationBar()}
+      </SafeAreaView>
+    );
+  }
+
   if (currentScreen === 'create') {
     return (
       <SafeAreaView style={styles.container}>
@@ -2830,6 +3022,12 @@ export const HomeScreen = ({ user }) => {
                 <Ionicons name="link" size={22} color={colors.primary} />
               </TouchableOpacity>
             )}
+            <TouchableOpacity
+              style={styles.actionBarButton}
+              onPress={() => setCurrentScreen('bulkImport')}
+            >
+              <Ionicons name={bulkImport.isRunning ? 'cloud-download' : 'albums-outline'} size={22} color={colors.primary} />
+            </TouchableOpacity>
             <TouchableOpacity
               style={styles.actionBarButton}
               onPress={() => setShowIngredientSearch(true)}
@@ -2850,6 +3048,26 @@ export const HomeScreen = ({ user }) => {
             </TouchableOpacity>
           </View>
 
+          {/* Resume an in-progress Cook Mode session */}
+          {activeCookSessions.length > 0 && (
+            <TouchableOpacity
+              style={styles.resumeCookingBanner}
+              onPress={() => handleResumeCooking(activeCookSessions[0])}
+            >
+              <Ionicons name="flame" size={20} color="#fff" style={{ marginRight: 10 }} />
+              <View style={{ flex: 1 }}>
+                <Text style={styles.resumeCookingTitle} numberOfLines={1}>
+                  Resume cooking: {activeCookSessions[0].recipeTitle || 'recipe'}
+                </Text>
+                <Text style={styles.resumeCookingText} numberOfLines={1}>
+                  {describeCookSession(activeCookSessions[0])}
+                  {activeCookSessions.length > 1 ? ` · +${activeCookSessions.length - 1} more` : ''}
+                </Text>
+              </View>
+              <Ionicons name="chevron-forward" size={20} color="#fff" />
+            </TouchableOpacity>
+          )}
+
           {/* Sort + Tags Bar */}
           <View style={styles.filterBar}>
             <TouchableOpacity
@@ -3182,6 +3400,7 @@ export const HomeScreen = ({ user }) => {
           onToggleQuickLinkButton={(value) => updateAppSetting('showQuickLinkButton', value)}
           isAdmin={isAdmin}
           onOpenAdminReports={() => setShowAdminReports(true)}
+          onOpenExtractionStats={() => setShowExtractionStats(true)}
           onOpenBlockedUsers={() => setShowBlockedUsers(true)}
           dietaryPrefs={dietaryPrefs}
           onUpdateDietaryPrefs={updateDietaryPrefs}
@@ -3195,12 +3414,30 @@ export const HomeScreen = ({ user }) => {
           recipes={recipes}
           onOpenRecipe={(recipe) => setSelectedRecipe(recipe)}
           groceryList={groceryList}
+          aisleOverrides={groceryAisleOverrides}
           onToggleItem={handleToggleGroceryItem}
+          onToggleItems={setGroceryItemsChecked}
           onRemoveItem={handleRemoveGroceryItem}
+          onRemoveItems={removeGroceryItems}
           onClearChecked={handleClearCheckedItems}
           onClearAll={handleClearAllItems}
           onAddCustomItem={addCustomGroceryItem}
-          onAddItemsToGroceryList={addItemsToGroceryList}
+          onSetIngredientAisle={setGroceryIngredientAisle}
+          onAddItemsToGroceryList={handleAddItemsToGroceryList}
+          onBuildShoppingList={handleBuildShoppingList}
+          friends={friends}
+          groceryLists={groceryLists}
+          activeGroceryListId={activeGroceryListId}
+          groceryListMembers={groceryListMembers}
+          onSwitchGroceryList={switchGroceryList}
+          onLoadGroceryListMembers={loadGroceryListMembers}
+          onInviteToGroceryList={user ? inviteFriendsToGroceryList : undefined}
+          onRemoveGroceryListMember={removeGroceryListMember}
+          onAddCheckedToPantry={handleAddCheckedToPantry}
+          pantry={pantry}
+          onAddPantryItem={addPantryItem}
+          onUpdatePantryItem={updatePantryItem}
+          onRemovePantryItem={removePantryItem}
         />
       )}
 
@@ -3347,6 +3584,22 @@ export const HomeScreen = ({ user }) => {
                     <View style={styles.recipeCardContent}>
                       <View style={styles.recipeCardHeader}>
                         <Text style={styles.recipeTitle}>{recipe.title}</Text>
+                        {recipe.syncConflicts?.length > 0 && !recipe.deletedAt && (
+                          <Ionicons
+                            name="phone-portrait-outline"
+                            size={16}
+                            color={colors.accentDark}
+                            style={{ marginLeft: 4, marginTop: 2 }}
+                          />
+                        )}
+                        {recipe.pendingOriginal && !recipe.deletedAt && (
+                          <Ionicons
+                            name="git-pull-request"
+                            size={16}
+                            color={colors.accentDark}
+                            style={{ marginLeft: 4, marginTop: 2 }}
+                          />
+                        )}
                         {dietConflicts.length > 0 && (
                           <Ionicons
                             name="alert-circle"
@@ -3849,6 +4102,12 @@ export const HomeScreen = ({ user }) => {
                 dietaryPrefs={dietaryPrefs}
                 frequentTags={frequentTags}
                 userId={user?.uid}
+                cookSession={cookSessions[selectedRecipe.id] || null}
+                onSaveCookSession={selectedRecipe.isReadOnly ? null : saveCookSession}
+                onEndCookSession={clearCookSession}
+                onLogCook={isPremium && !selectedRecipe.isReadOnly ? handleLogCook : null}
+                resumeCooking={resumeCookingId === selectedRecipe.id}
+                onResumeHandled={() => setResumeCookingId(null)}
                 onUpdate={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : updateRecipe}
                 onAddToGroceryList={selectedRecipe.deletedAt ? null : handleAddToGroceryList}
                 allRecipes={recipes}
@@ -3857,6 +4116,11 @@ export const HomeScreen = ({ user }) => {
                 onSelectVariant={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : selectVariant}
                 onCreateVariant={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : createVariant}
                 onDeleteVariant={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : deleteVariant}
+                onUpdateVariantDetails={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : updateVariantDetails}
+                onPublishVariant={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : publishVariant}
+                onRestoreRevision={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : restoreRecipeRevision}
+                onApplyOwnerMerge={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : applyOwnerMerge}
+                onResolveSyncConflicts={selectedRecipe.deletedAt || selectedRecipe.isReadOnly ? null : resolveSyncConflicts}
                 onViewOwnerProfile={(ownerId, username) => {
                   setSelectedRecipe(null);
                   setViewingUserProfile(ownerId);
@@ -3916,6 +4180,9 @@ export const HomeScreen = ({ user }) => {
         onClose={() => setShowIngredientSearch(false)}
         recipes={recipes}
         onSelectRecipe={(recipe) => setSelectedRecipe(recipe)}
+        userId={user?.uid}
+        pantry={pantry}
+        onAddToGroceryList={handleAddItemsToGroceryList}
       />
 
       {/* Quick Link Modal */}
@@ -4443,6 +4710,12 @@ export const HomeScreen = ({ user }) => {
         }}
       />
 
+      {/* Admin URL import diagnostics */}
+      <AdminExtractionStats
+        visible={showExtractionStats}
+        onClose={() => setShowExtractionStats(false)}
+      />
+
       {/* Blocked Users */}
       <BlockedUsers
         visible={showBlockedUsers}
@@ -4571,6 +4844,24 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     paddingVertical: 10,
   },
+  resumeCookingBanner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.accentDark,
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+  },
+  resumeCookingTitle: {
+    color: colors.white,
+    fontSize: 15,
+    fontWeight: '700',
+  },
+  resumeCookingText: {
+    color: colors.white,
+    fontSize: 12,
+    opacity: 0.9,
+    marginTop: 1,
+  },
   inputContainer: {
     flexDirection: 'row',
     padding: 15,
@@ -54,14 +54,64 @@ const normalizeIngredients = (ingredients) => {
   return { main: [] };
 };
 
+// Keep the extracted version alongside any edits made here. The global
+// recipe - the shared copy every future importer of this URL receives -
+// has to be what the site published, not one user's tweaks. It also
+// gives the version picker a real "Original" to switch back to.
+const prepareForSave = (draft, original) => {
+  // The review flag only matters on this screen
+  const { needs_review, ...toSave } = draft;
+
+  const edited =
+    draft.title !== original.title ||
+    draft.prep_time !== original.prep_time ||
+    draft.cook_time !== original.cook_time ||
+    draft.total_time !== original.total_time ||
+    draft.servings !== original.servings;
+  if (!edited) return toSave;
+
+  return {
+    ...toSave,
+    originalRecipe: draft.originalRecipe || {
+      title: original.title,
+      ingredients: original.ingredients,
+      instructions: original.instructions,
+      prep_time: original.prep_time,
+      cook_time: original.cook_time,
+      total_time: original.total_time,
+      servings: original.servings,
+      nutrition: original.nutrition,
+      image_url: original.image_url,
+    },
+  };
+};
+
 export const SaveRecipeScreen = ({ recipe, folders, onSave, onCancel }) => {
   const [selectedFolder, setSelectedFolder] = useState('All Recipes');
 
-  // Local editable copy of recipe data with normalized ingredients
-  const [localRecipe, setLocalRecipe] = useState(() => ({
-    ...recipe,
-    ingredients: normalizeIngredients(recipe?.ingredients)
+  // A round-up or meal-prep page can hold several recipes
+  // (recipe.pageRecipes, first one = recipe). Each gets its own editable
+  // draft; the user previews one at a time and ticks the ones to save.
+  const [originals] = useState(() =>
+    recipe?.pageRecipes?.length > 1 ? recipe.pageRecipes : [recipe]
+  );
+  const [drafts, setDrafts] = useState(() => originals.map(original => {
+    const { pageRecipes, ...rest } = original || {};
+    // Local editable copy of recipe data with normalized ingredients
+    return { ...rest, ingredients: normalizeIngredients(original?.ingredients) };
   }));
+  const [previewIndex, setPreviewIndex] = useState(0);
+  const [selectedIndexes, setSelectedIndexes] = useState([0]);
+
+  const localRecipe = drafts[previewIndex];
+  const setLocalRecipe = (next) =>
+    setDrafts(current => current.map((draft, i) => (i === previewIndex ? next : draft)));
+
+  const toggleSelected = (index) => {
+    setSelectedIndexes(current => (current.includes(index)
+      ? current.filter(i => i !== index)
+      : [...current, index].sort((a, b) => a - b)));
+  };
 
   // Edit modal state
   const [showEditModal, setShowEditModal] = useState(false);
@@ -69,48 +119,45 @@ export const SaveRecipeScreen = ({ recipe, folders, onSave, onCancel }) => {
   const [editValue, setEditValue] = useState('');
 
   const handleSave = async () => {
-    const profanityCheck = await checkFieldsAsync({
-      title: localRecipe?.title,
-      ingredients: localRecipe?.ingredients,
-      instructions: localRecipe?.instructions,
-    });
-    if (!profanityCheck.safe) {
-      Alert.alert(
-        'Inappropriate Content',
-        `The recipe ${profanityCheck.field || 'content'} contains inappropriate language and cannot be saved.`,
-      );
+    const toSave = selectedIndexes.map(i => drafts[i]);
+    if (toSave.length === 0) {
+      Alert.alert('Nothing Selected', 'Tick at least one recipe to save.');
       return;
     }
 
+    for (const draft of toSave) {
+      const profanityCheck = await checkFieldsAsync({
+        title: draft?.title,
+        ingredients: draft?.ingredients,
+        instructions: draft?.instructions,
+      });
+      if (!profanityCheck.safe) {
+        Alert.alert(
+          'Inappropriate Content',
+          `The recipe ${profanityCheck.field || 'content'}${toSave.length > 1 ? ` of "${draft.title}"` : ''} contains inappropriate language and cannot be saved.`,
+        );
+        return;
+      }
+    }
+
+    // A heuristic guess gets one more look before it's saved
+    if (toSave.some(draft => draft.needs_review)) {
+      const confirmed = await new Promise(resolve => Alert.alert(
+        'Save this best guess?',
+        'This page had no recipe markup, so the ingredients and steps were guessed from its text. Make sure they look right before saving.',
+        [
+          { text: 'Keep Reviewing', style: 'cancel', onPress: () => resolve(false) },
+          { text: 'Save', onPress: () => resolve(true) },
+        ],
+        { cancelable: true, onDismiss: () => resolve(false) },
+      ));
+      if (!confirmed) return;
+    }
+
     if (onSave) {
-      // Keep the extracted version alongside any edits made here. The
-      // global recipe - the shared copy every future importer of this
-      // URL receives - has to be what the site published, not one
-      // user's tweaks. It also gives the version picker a real
-      // "Original" to switch back to.
-      const edited =
-        localRecipe.title !== recipe.title ||
-        localRecipe.prep_time !== recipe.prep_time ||
-        localRecipe.cook_time !== recipe.cook_time ||
-        localRecipe.total_time !== recipe.total_time ||
-        localRecipe.servings !== recipe.servings;
-
-      onSave(selectedFolder, edited
-        ? {
-            ...localRecipe,
-            originalRecipe: localRecipe.originalRecipe || {
-              title: recipe.title,
-              ingredients: recipe.ingredients,
-              instructions: recipe.instructions,
-              prep_time: recipe.prep_time,
-              cook_time: recipe.cook_time,
-              total_time: recipe.total_time,
-              servings: recipe.servings,
-              nutrition: recipe.nutrition,
-              image_url: recipe.image_url,
-            },
-          }
-        : localRecipe);
+      const prepared = selectedIndexes.map(i => prepareForSave(drafts[i], originals[i] || {}));
+      // One recipe is saved as before; several go over as an array
+      onSave(selectedFolder, prepared.length === 1 ? prepared[0] : prepared);
     }
   };
 
@@ -188,6 +235,37 @@ export const SaveRecipeScreen = ({ recipe, folders, onSave, onCancel }) => {
         showsVerticalScrollIndicator={true}
         keyboardShouldPersistTaps="handled"
       >
+        {/* Several recipes on the page: pick which to save */}
+        {drafts.length > 1 && (
+          <View style={styles.folderSection}>
+            <Text style={styles.sectionTitle}>This page has {drafts.length} recipes</Text>
+            <Text style={styles.pickerHint}>Tick the ones to save. Tap a title to preview it.</Text>
+            {drafts.map((draft, index) => {
+              const selected = selectedIndexes.includes(index);
+              return (
+                <View
+                  key={index}
+                  style={[styles.pickerRow, index === previewIndex && styles.pickerRowPreviewing]}
+                >
+                  <TouchableOpacity
+                    onPress={() => toggleSelected(index)}
+                    hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+                  >
+                    <Ionicons
+                      name={selected ? 'checkbox' : 'square-outline'}
+                      size={22}
+                      color={selected ? colors.primary : colors.textLight}
+                    />
+                  </TouchableOpacity>
+                  <TouchableOpacity style={styles.pickerTitleButton} onPress={() => setPreviewIndex(index)}>
+                    <Text style={styles.pickerTitle} numberOfLines={2}>{draft.title}</Text>
+                  </TouchableOpacity>
+                </View>
+              );
+            })}
+          </View>
+        )}
+
         {/* Recipe Preview */}
         <View style={styles.previewSection}>
           <TouchableOpacity
@@ -198,6 +276,15 @@ export const SaveRecipeScreen = ({ recipe, folders, onSave, onCancel }) => {
             <Text style={styles.editHint}>Long press to edit</Text>
           </TouchableOpacity>
 
+          {localRecipe.needs_review && (
+            <View style={styles.reviewBanner}>
+              <Ionicons name="warning-outline" size={16} color={colors.accentDark} style={{ marginRight: 8 }} />
+              <Text style={styles.reviewBannerText}>
+                Best guess - this page had no recipe markup. Check the ingredients and steps below before saving.
+              </Text>
+            </View>
+          )}
+
           <View style={styles.metaRow}>
             {localRecipe.source && (
               <Text style={styles.metaText}>{localRecipe.source}</Text>
@@ -354,7 +441,9 @@ export const SaveRecipeScreen = ({ recipe, folders, onSave, onCancel }) => {
           onPress={handleSave}
         >
           <Ionicons name="save" size={16} color="#fff" style={{ marginRight: 6 }} />
-          <Text style={styles.saveButtonText}>Save to {selectedFolder}</Text>
+          <Text style={styles.saveButtonText}>
+            {selectedIndexes.length > 1 ? `Save ${selectedIndexes.length} to ${selectedFolder}` : `Save to ${selectedFolder}`}
+          </Text>
         </TouchableOpacity>
       </View>
 
@@ -443,6 +532,20 @@ const styles = StyleSheet.create({
     fontStyle: 'italic',
     marginBottom: 12,
   },
+  reviewBanner: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+    backgroundColor: colors.accentLight,
+    borderRadius: 8,
+    padding: 12,
+    marginBottom: 12,
+  },
+  reviewBannerText: {
+    flex: 1,
+    fontSize: 13,
+    lineHeight: 18,
+    color: colors.text,
+  },
   metaRow: {
     marginBottom: 12,
   },
@@ -481,6 +584,30 @@ const styles = StyleSheet.create({
     padding: 20,
     marginBottom: 12,
   },
+  pickerHint: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: -6,
+    marginBottom: 10,
+  },
+  pickerRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+  },
+  pickerRowPreviewing: {
+    backgroundColor: colors.primaryLight,
+  },
+  pickerTitleButton: {
+    flex: 1,
+    marginLeft: 10,
+  },
+  pickerTitle: {
+    fontSize: 15,
+    color: colors.text,
+  },
   sectionTitle: {
     fontSize: 16,
     fontWeight: '700',
@@ -27,6 +27,7 @@ import { Ionicons } from '@expo/vector-icons';
 import { DIETS, ALLERGENS } from '../utils/dietaryAnalysis';
 import { APP_NAME, APP_VERSION_LABEL, SUPPORT_EMAIL, TERMS_URL, PRIVACY_URL, BACKUP_EXT, LEGACY_BACKUP_EXTS, buildFriendLink } from '../constants/app';
 import { requestAccountDeletion } from '../services/supabase/account';
+import { subscribeToOutbox } from '../services/supabase/outbox';
 import { USERNAME_INPUT_PROPS } from '../components/UsernameSetupModal';
 
 import { log } from '../utils/log';
@@ -51,6 +52,7 @@ export const SettingsScreen = ({
   onToggleQuickLinkButton,
   isAdmin,
   onOpenAdminReports,
+  onOpenExtractionStats,
   onOpenBlockedUsers,
   dietaryPrefs,
   onUpdateDietaryPrefs,
@@ -63,6 +65,15 @@ export const SettingsScreen = ({
   const [savingUsername, setSavingUsername] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
   const [isSyncing, setIsSyncing] = useState(false);
+  const [pendingWrites, setPendingWrites] = useState(0);
+  const [pendingError, setPendingError] = useState(null);
+
+  // Changes saved on this device that haven't reached the cloud yet
+  useEffect(() => subscribeToOutbox(status => {
+    setPendingWrites(status.pending);
+    setPendingError(status.lastError);
+  }), []);
+
   const handleSyncNow = async () => {
     if (!onSyncNow || !user) return;
 
@@ -671,10 +682,25 @@ export const SettingsScreen = ({
             <View style={styles.infoCard}>
               <View style={styles.accountHeader}>
                 <Text style={styles.accountLabel}>Signed in as</Text>
-                <View style={styles.accountBadge}>
-                  <Ionicons name="cloud-done" size={13} color={colors.primary} style={{ marginRight: 5 }} />
-                  <Text style={styles.accountBadgeText}>Cloud Sync Active</Text>
-                </View>
+                {pendingWrites > 0 ? (
+                  <View style={[styles.accountBadge, styles.accountBadgePending]}>
+                    <Ionicons name="cloud-upload-outline" size={13} color="#fff" style={{ marginRight: 5 }} />
+                    <Text style={styles.accountBadgeText}>
+                      {pendingWrites} {pendingWrites === 1 ? 'change' : 'changes'} waiting to sync
+                    </Text>
+                  </View>
+                ) : (
+                  <View style={styles.accountBadge}>
+                    <Ionicons name="cloud-done" size={13} color={colors.primary} style={{ marginRight: 5 }} />
+                    <Text style={styles.accountBadgeText}>Cloud Sync Active</Text>
+                  </View>
+                )}
+                {pendingWrites > 0 && (
+                  <Text style={styles.pendingWritesText}>
+                    Saved on this device and retried automatically.
+                    {pendingError ? ` Last try: ${pendingError}` : ''}
+                  </Text>
+                )}
               </View>
               {user.displayName && (
                 <View style={styles.infoRow}>
@@ -763,6 +789,19 @@ export const SettingsScreen = ({
               </View>
               <Text style={{ fontSize: 18, color: '#999' }}>{'>'}</Text>
             </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.infoCard, { padding: 16, marginTop: 8, flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between' }]}
+              onPress={onOpenExtractionStats}
+            >
+              <View style={{ flexDirection: 'row', alignItems: 'center' }}>
+                <Ionicons name="analytics" size={22} color={colors.primary} style={{ marginRight: 12 }} />
+                <View>
+                  <Text style={{ fontSize: 16, fontWeight: '600', color: '#000' }}>Import Diagnostics</Text>
+                  <Text style={{ fontSize: 12, color: '#666', marginTop: 2 }}>Which sites URL imports fail on, and why</Text>
+                </View>
+              </View>
+              <Text style={{ fontSize: 18, color: '#999' }}>{'>'}</Text>
+            </TouchableOpacity>
           </View>
         )}
 
@@ -1421,6 +1460,14 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#fff',
   },
+  accountBadgePending: {
+    backgroundColor: colors.accentDark,
+  },
+  pendingWritesText: {
+    fontSize: 12,
+    color: colors.textSecondary,
+    marginTop: 6,
+  },
   syncButton: {
     flexDirection: 'row',
     alignItems: 'center',
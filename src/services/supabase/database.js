@@ -6,6 +6,9 @@
 import { supabase } from './config';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getHighConfidenceTags } from '../../utils/autoTag';
+import { mergeRecipeFields, CONTENT_FIELDS } from '../../utils/recipeSync';
+import { publishedVersion } from '../../utils/recipeVariants';
+import { queueWrite, registerWriteHandler, isNetworkError, flushOutbox } from './outbox';
 
 import { log } from '../../utils/log';
 import { buildInternalRecipeUrl, isInternalUrl } from '../../constants/app';
@@ -106,6 +109,7 @@ export const loadRecipesFromDatabase = async (userId) => {
         notes,
         imported_from,
         imported_at,
+        is_private,
         deleted_at,
         created_at,
         updated_at,
@@ -122,6 +126,11 @@ export const loadRecipesFromDatabase = async (userId) => {
           servings,
           nutrition,
           author,
+          author_url,
+          cuisine,
+          category,
+          rating,
+          video,
           tags
         )
       `)
@@ -213,13 +222,22 @@ export const loadRecipesFromDatabase = async (userId) => {
         notes: row.notes,
         prep_time: globalRecipe?.prep_time || localData?.prep_time || null,
         cook_time: globalRecipe?.cook_time || localData?.cook_time || null,
+        total_time: globalRecipe?.total_time || localData?.total_time || null,
         servings: globalRecipe?.servings || localData?.servings || null,
         nutrition: globalRecipe?.nutrition || localData?.nutrition || null,
+        // Publisher metadata from the page's structured data
+        author: globalRecipe?.author || null,
+        author_url: globalRecipe?.author_url || null,
+        cuisine: globalRecipe?.cuisine || null,
+        category: globalRecipe?.category || null,
+        rating: globalRecipe?.rating || null,
+        video: globalRecipe?.video || null,
         tags: row.tags || [],                       // user's own tags (editable)
         globalTags: globalRecipe?.tags || [],       // shared auto-tags (read-only)
         source: localData?.source || null,          // 'manual' | 'scan' | null
         createdBy: localData?.createdBy || null,
         isFavorite: row.is_favorite || false,
+        isPrivate: row.is_private || false,
         createdAt: new Date(row.created_at).getTime(),
         updatedAt: new Date(row.updated_at).getTime(),
         importedFrom: row.imported_from,
@@ -230,6 +248,11 @@ export const loadRecipesFromDatabase = async (userId) => {
         viewingOriginal: selectedVariantId === null,
         variants: variants,
         selectedVariantId: selectedVariantId,
+        publishedVariantId: localEdits.publishedVariantId || null,
+        editHistory: localEdits.editHistory || [],
+        fieldUpdatedAt: localEdits.fieldUpdatedAt || {},
+        // Our edits to global content (see saveToUserRecipesV2)
+        ...(localEdits.fields || {}),
         // Global reference
         globalRecipeId: row.global_recipe_id,
       };
@@ -457,10 +480,15 @@ export const saveRecipeToDatabase = async (userId, recipe) => {
  * Delete a recipe (soft delete)
  * @param {string} userId - User's unique ID
  * @param {string} recipeId - Recipe ID
+ * @returns {Promise} Resolves once sent, or queued while offline (see outbox.js)
  */
-export const deleteRecipeFromDatabase = async (userId, recipeId) => {
+export const deleteRecipeFromDatabase = (userId, recipeId) =>
+  queueWrite({ type: 'recipe.delete', userId, args: [userId, recipeId] });
+
+const writeRecipeDeletion = async (userId, recipeId) => {
   const deletedAt = new Date().toISOString();
   let anySuccess = false;
+  let lastError = null;
 
   // Delete from OLD recipes table
   try {
@@ -472,12 +500,14 @@ export const deleteRecipeFromDatabase = async (userId, recipeId) => {
 
     if (error) {
       console.error('❌ Delete from recipes failed:', error);
+      lastError = error;
     } else {
       log(`✅ Marked deleted in recipes table: ${recipeId}`);
       anySuccess = true;
     }
   } catch (err) {
     console.error('❌ recipes delete error:', err);
+    lastError = err;
   }
 
   // Also delete from user_recipes_v2 table (matches by cloud id OR local_recipe_data.id)
@@ -521,13 +551,18 @@ export const deleteRecipeFromDatabase = async (userId, recipeId) => {
     }
   } catch (err) {
     console.error('❌ user_recipes_v2 delete error:', err);
+    lastError = err;
   }
 
   if (!anySuccess) {
+    // Offline - let the outbox retry it
+    if (isNetworkError(lastError)) throw lastError;
     throw new Error(`Failed to delete recipe ${recipeId} from any table`);
   }
 };
 
+registerWriteHandler('recipe.delete', writeRecipeDeletion);
+
 /**
  * Sync recipes between local storage and Supabase
  * @param {string} userId - User's unique ID
@@ -539,6 +574,10 @@ export const syncRecipes = async (userId, localRecipes) => {
     log('🔄 Starting recipe sync...');
     log(`📦 Local recipes to sync: ${localRecipes.length}`);
 
+    // Writes queued while offline go first, so an older queued save can't
+    // land on top of what this sync uploads
+    await flushOutbox({ userId, force: true });
+
     // Debug: Log deleted recipes
     const deletedLocal = localRecipes.filter(r => r.deletedAt);
     log(`🗑️ Locally deleted recipes: ${deletedLocal.length}`);
@@ -568,6 +607,9 @@ export const syncRecipes = async (userId, localRecipes) => {
 
     const dbDeletedMap = new Map(allDbData.map(r => [r.id, r.deleted_at]));
 
+    // Fields both sides changed after this are conflicts
+    const lastSyncAt = Number(await AsyncStorage.getItem(LAST_SYNC_KEY)) || 0;
+
     // Load non-deleted from database for merge
     const dbRecipes = await loadRecipesFromDatabase(userId);
     log(`☁️ Database recipes: ${dbRecipes.length}`);
@@ -618,23 +660,21 @@ export const syncRecipes = async (userId, localRecipes) => {
         recipesToUpload.push(localRecipe);
         mergedRecipes.push(localRecipe);
       } else {
-        // Exists in both - keep newer
-        const localTime = localRecipe.updatedAt || localRecipe.createdAt || 0;
-        const dbTime = dbRecipe.updatedAt || dbRecipe.createdAt || 0;
-
-        if (localTime > dbTime) {
-          recipesToUpload.push(localRecipe);
-          // Carry over global auto-tags - they only live on the DB side,
-          // so a locally-newer copy must not erase them
-          mergedRecipes.push({
-            ...localRecipe,
-            globalTags: (localRecipe.globalTags && localRecipe.globalTags.length > 0)
-              ? localRecipe.globalTags
-              : dbRecipe.globalTags || [],
-          });
-        } else {
-          mergedRecipes.push(dbRecipe);
+        // Exists in both - merge field by field (utils/recipeSync), so
+        // edits to different fields on different devices both survive
+        const { recipe: merged, conflicts, localWins } = mergeRecipeFields(localRecipe, dbRecipe, lastSyncAt);
+        if (conflicts.length > 0) {
+          log(`⚠️ "${merged.title}" changed on two devices: ${conflicts.map(c => c.field).join(', ')}`);
         }
+        if (localWins) recipesToUpload.push(merged);
+        // Carry over global auto-tags - they only live on the DB side,
+        // so a locally-newer copy must not erase them
+        mergedRecipes.push({
+          ...merged,
+          globalTags: (merged.globalTags && merged.globalTags.length > 0)
+            ? merged.globalTags
+            : dbRecipe.globalTags || [],
+        });
       }
     });
 
@@ -650,6 +690,18 @@ export const syncRecipes = async (userId, localRecipes) => {
     if (recipesToUpload.length > 0) {
       log(`📤 Uploading ${recipesToUpload.length} recipes to database...`);
       await saveRecipesToDatabase(userId, recipesToUpload);
+      // Merged recipes already have a V2 row - update it too, or the
+      // other devices would keep loading the old field values
+      for (const recipe of recipesToUpload) {
+        if (dbMap.has(recipe.id)) {
+          try {
+            await saveToUserRecipesV2(userId, recipe, dbMap.get(recipe.id).globalRecipeId || null);
+          } catch (_error) {
+            // Through the outbox, so it's retried instead of lost
+            saveRecipeWithDualWrite(userId, recipe).catch(console.error);
+          }
+        }
+      }
     } else {
       log('✓ No new recipes to upload');
     }
@@ -717,8 +769,12 @@ export const syncRecipes = async (userId, localRecipes) => {
  * Save folders to database
  * @param {string} userId - User's unique ID
  * @param {Array} folders - Array of folder names
+ * @returns {Promise} Resolves once sent, or queued while offline (see outbox.js)
  */
-export const saveFoldersToDatabase = async (userId, folders) => {
+export const saveFoldersToDatabase = (userId, folders) =>
+  queueWrite({ type: 'folders.save', userId, args: [userId, folders], key: 'folders' });
+
+const writeFolders = async (userId, folders) => {
   try {
     const { error } = await supabase
       .from('user_settings')
@@ -737,6 +793,8 @@ export const saveFoldersToDatabase = async (userId, folders) => {
   }
 };
 
+registerWriteHandler('folders.save', writeFolders);
+
 /**
  * Load folders from database
  * @param {string} userId - User's unique ID
@@ -923,6 +981,8 @@ export const createGlobalRecipe = async (recipe) => {
       prep_time: recipe.prep_time || recipe.prepTime,
       cook_time: recipe.cook_time || recipe.cookTime,
       total_time: recipe.total_time || recipe.totalTime,
+      cuisine: recipe.cuisine,
+      category: recipe.category,
     });
 
     const { data, error } = await supabase
@@ -942,6 +1002,11 @@ export const createGlobalRecipe = async (recipe) => {
         description: recipe.description || null,
         cuisine: recipe.cuisine || null,
         category: recipe.category || null,
+        keywords: recipe.keywords || [],
+        author_url: recipe.author_url || null,
+        rating: recipe.rating || null,
+        video: recipe.video || null,
+        diets: recipe.diets || [],
         tags: autoTags,
       })
       .select()
@@ -969,6 +1034,7 @@ export const createGlobalRecipe = async (recipe) => {
  * @param {string} userId - User's unique ID
  * @param {Object} recipe - Recipe data
  * @param {string|null} globalRecipeId - ID of global recipe (null for manual recipes)
+ * @returns {Promise<boolean>} true once saved; throws if the write failed
  */
 export const saveToUserRecipesV2 = async (userId, recipe, globalRecipeId = null) => {
   try {
@@ -1025,6 +1091,14 @@ export const saveToUserRecipesV2 = async (userId, recipe, globalRecipeId = null)
         variants: recipe.variants,
         selectedVariantId: recipe.selectedVariantId || null,
       };
+
+      // The version the public profile shows instead of the base recipe,
+      // resolved here so readers don't have to (utils/recipeVariants)
+      const published = publishedVersion(recipe);
+      if (published) {
+        localEdits.publishedVariantId = published.variantId;
+        localEdits.published = published;
+      }
     } else if (recipe.hasEdits && recipe.editedVersion) {
       // Legacy single-edit format - convert to variant
       localEdits = {
@@ -1039,11 +1113,29 @@ export const saveToUserRecipesV2 = async (userId, recipe, globalRecipeId = null)
           createdAt: Date.now(),
         }],
         selectedVariantId: recipe.viewingOriginal ? null : 'default-edit',
-        // Preserve edit history for migration
-        editHistory: recipe.editHistory || [],
       };
     }
 
+    // Revision history (changes per edit, utils/recipeRevisions) rides
+    // along in local_edits - there's no column for it in user_recipes_v2
+    if (recipe.editHistory && recipe.editHistory.length > 0) {
+      localEdits = { ...(localEdits || {}), editHistory: recipe.editHistory };
+    }
+
+    // Per-field change times for sync merging (utils/recipeSync). Recipes
+    // backed by a global entry also keep their edited content here -
+    // global_recipes holds what was published, not our changes.
+    if (recipe.fieldUpdatedAt && Object.keys(recipe.fieldUpdatedAt).length > 0) {
+      localEdits = { ...(localEdits || {}), fieldUpdatedAt: recipe.fieldUpdatedAt };
+      if (globalRecipeId) {
+        const fields = {};
+        CONTENT_FIELDS.forEach(field => {
+          if (recipe.fieldUpdatedAt[field] && recipe[field] !== undefined) fields[field] = recipe[field];
+        });
+        if (Object.keys(fields).length > 0) localEdits.fields = fields;
+      }
+    }
+
     const { error } = await supabase
       .from('user_recipes_v2')
       .upsert({
@@ -1074,8 +1166,9 @@ export const saveToUserRecipesV2 = async (userId, recipe, globalRecipeId = null)
     return true;
   } catch (error) {
     console.error('❌ [V2] Error saving to user_recipes_v2:', error);
-    // Don't throw - this is dual-write, old table is still primary
-    return false;
+    // Other devices and profile readers load this row - the caller
+    // retries (see writeRecipeWithDualWrite)
+    throw error;
   }
 };
 
@@ -1083,80 +1176,84 @@ export const saveToUserRecipesV2 = async (userId, recipe, globalRecipeId = null)
  * Dual-write: Save recipe to both old and new tables
  * @param {string} userId - User's unique ID
  * @param {Object} recipe - Recipe data
+ * @returns {Promise} Resolves once sent, or queued while offline (see
+ *   outbox.js). A queued save is replaced by a later save of the same recipe.
  */
-export const saveRecipeWithDualWrite = async (userId, recipe) => {
+export const saveRecipeWithDualWrite = (userId, recipe) =>
+  queueWrite({ type: 'recipe.save', userId, args: [userId, recipe], key: `recipe:${recipe.id}` });
+
+const writeRecipeWithDualWrite = async (userId, recipe) => {
   // 1. Save to OLD table (primary - existing behavior)
   await saveRecipeToDatabase(userId, recipe);
 
-  // 2. Save to NEW tables (secondary - migration)
-  try {
-    let sourceUrl = recipe.url || recipe.sourceUrl || recipe.source_url;
-    let globalRecipeId = null;
-
-    // User-created recipes: either no URL at all, or one the app minted
-    // itself. addRecipe now mints it up front so the in-memory recipe is
-    // complete immediately, but older rows and offline creations still
-    // arrive without one - both take this same path.
-    if (!sourceUrl || isInternalUrl(sourceUrl)) {
-      // Internal source URL for user-created recipes (see constants/app.js)
-      sourceUrl = sourceUrl || buildInternalRecipeUrl(userId, recipe.id);
-
-      // Add creator info to recipe for global entry
-      const recipeWithSource = {
-        ...recipe,
-        source_url: sourceUrl,
-        author: recipe.createdBy?.username || `${APP_NAME} User`,
-      };
+  // 2. Save to NEW tables (secondary - migration). A failure here throws
+  // too: the outbox retries the whole save (both writes are upserts), or
+  // user_recipes_v2 - what other devices load - would silently fall behind.
+  let sourceUrl = recipe.url || recipe.sourceUrl || recipe.source_url;
+  let globalRecipeId = null;
+
+  // User-created recipes: either no URL at all, or one the app minted
+  // itself. addRecipe now mints it up front so the in-memory recipe is
+  // complete immediately, but older rows and offline creations still
+  // arrive without one - both take this same path.
+  if (!sourceUrl || isInternalUrl(sourceUrl)) {
+    // Internal source URL for user-created recipes (see constants/app.js)
+    sourceUrl = sourceUrl || buildInternalRecipeUrl(userId, recipe.id);
+
+    // Add creator info to recipe for global entry
+    const recipeWithSource = {
+      ...recipe,
+      source_url: sourceUrl,
+      author: recipe.createdBy?.username || `${APP_NAME} User`,
+    };
 
-      // Check if this manual recipe already exists globally
-      let globalRecipe = await findGlobalRecipeByUrl(sourceUrl);
+    // Check if this manual recipe already exists globally
+    let globalRecipe = await findGlobalRecipeByUrl(sourceUrl);
 
-      if (!globalRecipe) {
-        globalRecipe = await createGlobalRecipe(recipeWithSource);
-      } else {
-        // Owner-controlled global entry (internal source URL): keep its
-        // photo in sync when the user adds/changes/removes one later
-        const currentImage = recipe.imageUrl || recipe.image_url || recipe.image || null;
-        if ((globalRecipe.image_url || null) !== currentImage) {
-          await supabase
-            .from('global_recipes')
-            .update({ image_url: currentImage })
-            .eq('id', globalRecipe.id);
-          log('🖼️ Updated global recipe photo');
-        }
-      }
-
-      globalRecipeId = globalRecipe?.id || null;
+    if (!globalRecipe) {
+      globalRecipe = await createGlobalRecipe(recipeWithSource);
     } else {
-      // External URL - check if global recipe exists
-      let globalRecipe = await findGlobalRecipeByUrl(sourceUrl);
-
-      if (!globalRecipe) {
-        // The global entry is the SHARED copy handed to everyone who
-        // imports this URL later, so it must be what the site
-        // published. Whoever imports first would otherwise bake their
-        // own edits into it - a retitled recipe would arrive retitled
-        // for every future user. Their edits stay on their own row in
-        // user_recipes_v2.
-        const published = recipe.originalRecipe
-          ? { ...recipe, ...recipe.originalRecipe, url: sourceUrl, source_url: sourceUrl }
-          : recipe;
-        globalRecipe = await createGlobalRecipe(published);
+      // Owner-controlled global entry (internal source URL): keep its
+      // photo in sync when the user adds/changes/removes one later
+      const currentImage = recipe.imageUrl || recipe.image_url || recipe.image || null;
+      if ((globalRecipe.image_url || null) !== currentImage) {
+        await supabase
+          .from('global_recipes')
+          .update({ image_url: currentImage })
+          .eq('id', globalRecipe.id);
+        log('🖼️ Updated global recipe photo');
       }
-
-      globalRecipeId = globalRecipe?.id || null;
     }
 
-    // Save to user_recipes_v2
-    await saveToUserRecipesV2(userId, recipe, globalRecipeId);
+    globalRecipeId = globalRecipe?.id || null;
+  } else {
+    // External URL - check if global recipe exists
+    let globalRecipe = await findGlobalRecipeByUrl(sourceUrl);
+
+    if (!globalRecipe) {
+      // The global entry is the SHARED copy handed to everyone who
+      // imports this URL later, so it must be what the site
+      // published. Whoever imports first would otherwise bake their
+      // own edits into it - a retitled recipe would arrive retitled
+      // for every future user. Their edits stay on their own row in
+      // user_recipes_v2.
+      const published = recipe.originalRecipe
+        ? { ...recipe, ...recipe.originalRecipe, url: sourceUrl, source_url: sourceUrl }
+        : recipe;
+      globalRecipe = await createGlobalRecipe(published);
+    }
 
-    log(`✅ [DUAL] Recipe saved to both tables: ${recipe.title}`);
-  } catch (error) {
-    // Log but don't fail - old table write succeeded
-    console.error('⚠️ [DUAL] V2 write failed (old table succeeded):', error);
+    globalRecipeId = globalRecipe?.id || null;
   }
+
+  // Save to user_recipes_v2
+  await saveToUserRecipesV2(userId, recipe, globalRecipeId);
+
+  log(`✅ [DUAL] Recipe saved to both tables: ${recipe.title}`);
 };
 
+registerWriteHandler('recipe.save', writeRecipeWithDualWrite);
+
 export default {
   saveRecipesToDatabase,
   loadRecipesFromDatabase,
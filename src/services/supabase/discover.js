@@ -17,6 +17,7 @@
 
 import { supabase } from './config';
 import { log } from '../../utils/log';
+import { publicRowContent } from '../../utils/recipeVariants';
 
 export const DISCOVER_PAGE_SIZE = 24;
 
@@ -44,7 +45,7 @@ const flattenIngredients = (raw) => {
  * getFullPublicRecipe(ownerUserId, id) finds the same recipe.
  */
 const mapRowToCard = (row, profileMap) => {
-  const local = row.local_recipe_data || {};
+  const local = publicRowContent(row);
   const profile = profileMap[row.user_id] || {};
   return {
     id: local.id || row.id,
@@ -72,6 +73,7 @@ const fetchRecipesForUsers = async (userIds, profileMap, offset, limit) => {
       id,
       user_id,
       local_recipe_data,
+      published:local_edits->published,
       global_recipe_id,
       created_at,
       global_recipes (
@@ -0,0 +1,283 @@
+/**
+ * FILENAME: src/services/supabase/grocery.js
+ * PURPOSE: Cloud grocery lists - items, and sharing a list with friends.
+ *
+ * Data model (sql/add_grocery_lists.sql):
+ *   grocery_lists: one per owner, plus any lists friends have shared
+ *   grocery_list_members: friends the owner has added to a list
+ *   grocery_items: the lines, keyed by the id the device minted
+ *
+ * The app keeps its local item shape ({ id, text, recipeId, ... }, see
+ * useGroceryList) - rows are mapped on the way in and out here. Item
+ * writes go through the outbox (outbox.js) so offline edits still arrive.
+ */
+
+import { supabase } from './config';
+import { getUserProfile } from './social';
+import { queueWrite, registerWriteHandler } from './outbox';
+
+const mapList = (row, userId) => ({
+  id: row.id,
+  ownerId: row.owner_id,
+  ownerUsername: row.owner_username,
+  name: row.name,
+  isOwner: row.owner_id === userId,
+});
+
+export const mapGroceryItem = (row) => ({
+  id: row.id,
+  text: row.text,
+  recipeId: row.recipe_id,
+  recipeTitle: row.recipe_title,
+  section: row.section,
+  cookEventId: row.cook_event_id || undefined,
+  planWeek: row.plan_week || undefined,
+  checked: !!row.checked,
+  addedAt: row.added_at,
+});
+
+const toItemRow = (listId, userId, item) => ({
+  id: item.id,
+  list_id: listId,
+  text: item.text,
+  recipe_id: item.recipeId != null ? String(item.recipeId) : null,
+  recipe_title: item.recipeTitle || null,
+  section: item.section || null,
+  cook_event_id: item.cookEventId || null,
+  plan_week: item.planWeek || null,
+  checked: !!item.checked,
+  added_by: userId,
+  added_at: item.addedAt || new Date().toISOString(),
+  updated_at: new Date().toISOString(),
+});
+
+// -----------------------------------------------------------------------------
+// Lists
+// -----------------------------------------------------------------------------
+
+/**
+ * Every list the user can see - their own and any shared with them.
+ * RLS does the filtering, so no owner/member condition is needed here.
+ */
+export const getGroceryLists = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('grocery_lists')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ getGroceryLists error:', error);
+      return [];
+    }
+    return (data || []).map(row => mapList(row, userId));
+  } catch (err) {
+    console.error('❌ getGroceryLists error:', err);
+    return [];
+  }
+};
+
+export const getOrCreateOwnGroceryList = async (userId) => {
+  try {
+    const { data: existing, error: fetchError } = await supabase
+      .from('grocery_lists')
+      .select('*')
+      .eq('owner_id', userId)
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (fetchError) {
+      console.error('❌ getOrCreateOwnGroceryList error:', fetchError);
+      return null;
+    }
+    if (existing && existing.length > 0) {
+      return mapList(existing[0], userId);
+    }
+
+    const profile = await getUserProfile(userId).catch(() => null);
+    const { data, error } = await supabase
+      .from('grocery_lists')
+      .insert({
+        owner_id: userId,
+        owner_username: profile?.username || null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('❌ getOrCreateOwnGroceryList error:', error);
+      return null;
+    }
+    return mapList(data, userId);
+  } catch (err) {
+    console.error('❌ getOrCreateOwnGroceryList error:', err);
+    return null;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Members
+// -----------------------------------------------------------------------------
+
+export const getGroceryListMembers = async (listId) => {
+  try {
+    const { data, error } = await supabase
+      .from('grocery_list_members')
+      .select('*')
+      .eq('list_id', listId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ getGroceryListMembers error:', error);
+      return [];
+    }
+    return (data || []).map(row => ({ id: row.user_id, username: row.username }));
+  } catch (err) {
+    console.error('❌ getGroceryListMembers error:', err);
+    return [];
+  }
+};
+
+/**
+ * Add friends to a list the user owns.
+ * @param {Array} friends - [{ id, username }] from useSocial's friends
+ */
+export const inviteToGroceryList = async (listId, userId, friends) => {
+  try {
+    const rows = friends.map(friend => ({
+      list_id: listId,
+      user_id: friend.id,
+      username: friend.username || null,
+      invited_by: userId,
+    }));
+
+    const { error } = await supabase
+      .from('grocery_list_members')
+      .upsert(rows, { onConflict: 'list_id,user_id', ignoreDuplicates: true });
+
+    if (error) {
+      console.error('❌ inviteToGroceryList error:', error);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('❌ inviteToGroceryList error:', err);
+    return false;
+  }
+};
+
+/**
+ * Take someone off a list - the owner removing a member, or a member
+ * removing themselves to leave.
+ */
+export const removeGroceryListMember = async (listId, memberId) => {
+  try {
+    const { error } = await supabase
+      .from('grocery_list_members')
+      .delete()
+      .eq('list_id', listId)
+      .eq('user_id', memberId);
+
+    if (error) {
+      console.error('❌ removeGroceryListMember error:', error);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.error('❌ removeGroceryListMember error:', err);
+    return false;
+  }
+};
+
+// -----------------------------------------------------------------------------
+// Items
+// -----------------------------------------------------------------------------
+
+/**
+ * @returns {Array|null} Items in local shape, or null if the fetch failed
+ *   (so callers can tell "empty list" from "offline")
+ */
+export const getGroceryItems = async (listId) => {
+  try {
+    const { data, error } = await supabase
+      .from('grocery_items')
+      .select('*')
+      .eq('list_id', listId)
+      .order('added_at', { ascending: true });
+
+    if (error) {
+      console.error('❌ getGroceryItems error:', error);
+      return null;
+    }
+    return (data || []).map(mapGroceryItem);
+  } catch (err) {
+    console.error('❌ getGroceryItems error:', err);
+    return null;
+  }
+};
+
+/**
+ * Add or update items on a list. Goes through the outbox, so a change made
+ * offline is sent once the connection is back.
+ * @returns {Promise<boolean>} true once sent or queued, false if the
+ *   server refused it
+ */
+export const upsertGroceryItems = async (listId, userId, items) => {
+  if (!items.length) return true;
+  try {
+    await queueWrite({ type: 'grocery.upsert', userId, args: [listId, userId, items] });
+    return true;
+  } catch (err) {
+    console.error('❌ upsertGroceryItems error:', err);
+    return false;
+  }
+};
+
+const writeGroceryItems = async (listId, userId, items) => {
+  const { error } = await supabase
+    .from('grocery_items')
+    .upsert(items.map(item => toItemRow(listId, userId, item)), { onConflict: 'id' });
+
+  if (error) throw error;
+};
+
+registerWriteHandler('grocery.upsert', writeGroceryItems);
+
+/**
+ * Remove items from whichever list they're on, through the outbox
+ * @returns {Promise<boolean>} true once sent or queued, false if the
+ *   server refused it
+ */
+export const deleteGroceryItems = async (userId, itemIds) => {
+  if (!itemIds.length) return true;
+  try {
+    await queueWrite({ type: 'grocery.delete', userId, args: [itemIds] });
+    return true;
+  } catch (err) {
+    console.error('❌ deleteGroceryItems error:', err);
+    return false;
+  }
+};
+
+const writeGroceryDeletion = async (itemIds) => {
+  const { error } = await supabase
+    .from('grocery_items')
+    .delete()
+    .in('id', itemIds);
+
+  if (error) throw error;
+};
+
+registerWriteHandler('grocery.delete', writeGroceryDeletion);
+
+export default {
+  getGroceryLists,
+  getOrCreateOwnGroceryList,
+  getGroceryListMembers,
+  inviteToGroceryList,
+  removeGroceryListMember,
+  getGroceryItems,
+  upsertGroceryItems,
+  deleteGroceryItems,
+  mapGroceryItem,
+};
@@ -15,9 +15,83 @@
  *   remaining = servings_produced
  *             - SUM(meal_events.servings_consumed)
  *             - SUM(fridge_adjustments.servings)
+ *
+ * Writes go through the outbox (outbox.js) so they survive being offline.
+ * New rows get their id here rather than from the database, which makes
+ * the insert safe to replay and lets a queued meal event point at a
+ * queued cook event. While offline, create* returns the row as it will be
+ * saved, and the reads below show queued writes on top of what the server
+ * returned.
  */
 
 import { supabase } from './config';
+import { queueWrite, registerWriteHandler, getPendingWrites, QUEUED } from './outbox';
+
+// -----------------------------------------------------------------------------
+// Queued writes
+// -----------------------------------------------------------------------------
+
+const newRowId = () =>
+  'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
+    const r = (Math.random() * 16) | 0;
+    return (c === 'x' ? r : (r & 0x3) | 0x8).toString(16);
+  });
+
+registerWriteHandler('kitchen.insert', async (table, row) => {
+  const { data, error } = await supabase
+    .from(table)
+    .upsert(row, { onConflict: 'id' })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+});
+
+registerWriteHandler('kitchen.update', async (table, id, patch) => {
+  const { error } = await supabase
+    .from(table)
+    .update(patch)
+    .eq('id', id);
+  if (error) throw error;
+  return true;
+});
+
+registerWriteHandler('kitchen.delete', async (table, id) => {
+  const { error } = await supabase
+    .from(table)
+    .delete()
+    .eq('id', id);
+  if (error) throw error;
+  return true;
+});
+
+const insertRow = async (userId, table, row) => {
+  const saved = await queueWrite({ type: 'kitchen.insert', userId, args: [table, row] });
+  return saved === QUEUED ? row : saved;
+};
+
+const KITCHEN_WRITES = ['kitchen.insert', 'kitchen.update', 'kitchen.delete'];
+
+// A table's rows as they'll be once the queued writes land, so a read
+// right after an offline (or still-retrying) write doesn't lose it.
+// `belongs` re-applies the read's own filter.
+const withPendingWrites = async (userId, table, rows, belongs) => {
+  const pending = await getPendingWrites(userId, KITCHEN_WRITES);
+  const byId = new Map(rows.map(row => [row.id, row]));
+  pending.forEach(({ type, args: [opTable, ...args] }) => {
+    if (opTable !== table) return;
+    if (type === 'kitchen.insert') {
+      byId.set(args[0].id, { ...byId.get(args[0].id), ...args[0] });
+    } else if (type === 'kitchen.update' && byId.has(args[0])) {
+      byId.set(args[0], { ...byId.get(args[0]), ...args[1] });
+    } else if (type === 'kitchen.delete') {
+      byId.delete(args[0]);
+    }
+  });
+  return [...byId.values()].filter(belongs);
+};
+
+const byDate = (field) => (a, b) => (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0);
 
 // -----------------------------------------------------------------------------
 // Cook Events
@@ -33,11 +107,10 @@ export const getCookEvents = async (userId, startDate, endDate) => {
       .lte('cook_date', endDate)
       .order('cook_date', { ascending: true });
 
-    if (error) {
-      console.error('❌ getCookEvents error:', error);
-      return [];
-    }
-    return data || [];
+    if (error) console.error('❌ getCookEvents error:', error);
+    const rows = await withPendingWrites(userId, 'cook_events', (!error && data) || [],
+      row => row.cook_date >= startDate && row.cook_date <= endDate);
+    return rows.sort(byDate('cook_date'));
   } catch (err) {
     console.error('❌ getCookEvents error:', err);
     return [];
@@ -53,25 +126,16 @@ export const createCookEvent = async (userId, {
   takeoutName,
 }) => {
   try {
-    const { data, error } = await supabase
-      .from('cook_events')
-      .insert({
-        user_id: userId,
-        cook_date: cookDate,
-        recipe_id: recipeId || null,
-        servings_produced: servingsProduced || 1,
-        notes: notes || null,
-        is_takeout: !!isTakeout,
-        takeout_name: takeoutName || null,
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('❌ createCookEvent error:', error);
-      return null;
-    }
-    return data;
+    return await insertRow(userId, 'cook_events', {
+      id: newRowId(),
+      user_id: userId,
+      cook_date: cookDate,
+      recipe_id: recipeId || null,
+      servings_produced: servingsProduced || 1,
+      notes: notes || null,
+      is_takeout: !!isTakeout,
+      takeout_name: takeoutName || null,
+    });
   } catch (err) {
     console.error('❌ createCookEvent error:', err);
     return null;
@@ -85,15 +149,7 @@ export const updateCookEvent = async (cookEventId, patch) => {
     if (patch.servingsProduced !== undefined) dbPatch.servings_produced = patch.servingsProduced;
     if (patch.notes !== undefined) dbPatch.notes = patch.notes;
 
-    const { error } = await supabase
-      .from('cook_events')
-      .update(dbPatch)
-      .eq('id', cookEventId);
-
-    if (error) {
-      console.error('❌ updateCookEvent error:', error);
-      return false;
-    }
+    await queueWrite({ type: 'kitchen.update', args: ['cook_events', cookEventId, dbPatch] });
     return true;
   } catch (err) {
     console.error('❌ updateCookEvent error:', err);
@@ -103,15 +159,7 @@ export const updateCookEvent = async (cookEventId, patch) => {
 
 export const deleteCookEvent = async (cookEventId) => {
   try {
-    const { error } = await supabase
-      .from('cook_events')
-      .delete()
-      .eq('id', cookEventId);
-
-    if (error) {
-      console.error('❌ deleteCookEvent error:', error);
-      return false;
-    }
+    await queueWrite({ type: 'kitchen.delete', args: ['cook_events', cookEventId] });
     return true;
   } catch (err) {
     console.error('❌ deleteCookEvent error:', err);
@@ -133,11 +181,10 @@ export const getMealEvents = async (userId, startDate, endDate) => {
       .lte('meal_date', endDate)
       .order('meal_date', { ascending: true });
 
-    if (error) {
-      console.error('❌ getMealEvents error:', error);
-      return [];
-    }
-    return data || [];
+    if (error) console.error('❌ getMealEvents error:', error);
+    const rows = await withPendingWrites(userId, 'meal_events', (!error && data) || [],
+      row => row.meal_date >= startDate && row.meal_date <= endDate);
+    return rows.sort(byDate('meal_date'));
   } catch (err) {
     console.error('❌ getMealEvents error:', err);
     return [];
@@ -146,23 +193,14 @@ export const getMealEvents = async (userId, startDate, endDate) => {
 
 export const createMealEvent = async (userId, { mealDate, slot, cookEventId, servingsConsumed }) => {
   try {
-    const { data, error } = await supabase
-      .from('meal_events')
-      .insert({
-        user_id: userId,
-        meal_date: mealDate,
-        slot,
-        cook_event_id: cookEventId,
-        servings_consumed: servingsConsumed || 1,
-      })
-      .select()
-      .single();
-
-    if (error) {
-      console.error('❌ createMealEvent error:', error);
-      return null;
-    }
-    return data;
+    return await insertRow(userId, 'meal_events', {
+      id: newRowId(),
+      user_id: userId,
+      meal_date: mealDate,
+      slot,
+      cook_event_id: cookEventId,
+      servings_consumed: servingsConsumed || 1,
+    });
   } catch (err) {
     console.error('❌ createMealEvent error:', err);
     return null;
@@ -176,15 +214,7 @@ export const updateMealEvent = async (mealEventId, patch) => {
     if (patch.mealDate !== undefined) dbPatch.meal_date = patch.mealDate;
     if (patch.slot !== undefined) dbPatch.slot = patch.slot;
 
-    const { error } = await supabase
-      .from('meal_events')
-      .update(dbPatch)
-      .eq('id', mealEventId);
-
-    if (error) {
-      console.error('❌ updateMealEvent error:', error);
-      return false;
-    }
+    await queueWrite({ type: 'kitchen.update', args: ['meal_events', mealEventId, dbPatch] });
     return true;
   } catch (err) {
     console.error('❌ updateMealEvent error:', err);
@@ -194,14 +224,7 @@ export const updateMealEvent = async (mealEventId, patch) => {
 
 export const deleteMealEvent = async (mealEventId) => {
   try {
-    const { error } = await supabase
-      .from('meal_events')
-      .delete()
-      .eq('id', mealEventId);
-    if (error) {
-      console.error('❌ deleteMealEvent error:', error);
-      return false;
-    }
+    await queueWrite({ type: 'kitchen.delete', args: ['meal_events', mealEventId] });
     return true;
   } catch (err) {
     console.error('❌ deleteMealEvent error:', err);
@@ -215,20 +238,14 @@ export const deleteMealEvent = async (mealEventId) => {
 
 export const createFridgeAdjustment = async (userId, { cookEventId, adjustmentType, servings, note }) => {
   try {
-    const { error } = await supabase
-      .from('fridge_adjustments')
-      .insert({
-        user_id: userId,
-        cook_event_id: cookEventId,
-        adjustment_type: adjustmentType,
-        servings,
-        note: note || null,
-      });
-
-    if (error) {
-      console.error('❌ createFridgeAdjustment error:', error);
-      return false;
-    }
+    await insertRow(userId, 'fridge_adjustments', {
+      id: newRowId(),
+      user_id: userId,
+      cook_event_id: cookEventId,
+      adjustment_type: adjustmentType,
+      servings,
+      note: note || null,
+    });
     return true;
   } catch (err) {
     console.error('❌ createFridgeAdjustment error:', err);
@@ -251,37 +268,42 @@ export const getFridgeInventory = async (userId, lookbackDays = 10) => {
     const startDateStr = startDate.toISOString().split('T')[0];
 
     // Fetch all cook events in window
-    const { data: cookEvents, error: cookErr } = await supabase
+    const { data: savedCookEvents, error: cookErr } = await supabase
       .from('cook_events')
       .select('*')
       .eq('user_id', userId)
       .gte('cook_date', startDateStr)
       .order('cook_date', { ascending: false });
 
-    if (cookErr || !cookEvents) return [];
+    if (cookErr) console.error('❌ getFridgeInventory error:', cookErr);
+    const cookEvents = (await withPendingWrites(userId, 'cook_events', (!cookErr && savedCookEvents) || [],
+      cook => cook.cook_date >= startDateStr)).sort(byDate('cook_date')).reverse();
     if (cookEvents.length === 0) return [];
 
     const cookEventIds = cookEvents.map(c => c.id);
+    const fromTheseCooks = row => cookEventIds.includes(row.cook_event_id);
 
     // Fetch meal events referencing these cook events
-    const { data: mealEvents } = await supabase
+    const { data: savedMealEvents } = await supabase
       .from('meal_events')
-      .select('cook_event_id, servings_consumed')
+      .select('id, cook_event_id, servings_consumed')
       .in('cook_event_id', cookEventIds);
+    const mealEvents = await withPendingWrites(userId, 'meal_events', savedMealEvents || [], fromTheseCooks);
 
     // Fetch fridge adjustments referencing these cook events
-    const { data: adjustments } = await supabase
+    const { data: savedAdjustments } = await supabase
       .from('fridge_adjustments')
-      .select('cook_event_id, servings')
+      .select('id, cook_event_id, servings')
       .in('cook_event_id', cookEventIds);
+    const adjustments = await withPendingWrites(userId, 'fridge_adjustments', savedAdjustments || [], fromTheseCooks);
 
     // Group by cook_event_id
     const consumedByCook = {};
-    (mealEvents || []).forEach(m => {
+    mealEvents.forEach(m => {
       consumedByCook[m.cook_event_id] = (consumedByCook[m.cook_event_id] || 0) + Number(m.servings_consumed);
     });
     const adjustedByCook = {};
-    (adjustments || []).forEach(a => {
+    adjustments.forEach(a => {
       adjustedByCook[a.cook_event_id] = (adjustedByCook[a.cook_event_id] || 0) + Number(a.servings);
     });
 
@@ -0,0 +1,315 @@
+/**
+ * FILENAME: src/services/supabase/outbox.js
+ * PURPOSE: Persistent queue of Supabase writes, replayed in order when the
+ * connection comes back
+ * USED BY: database.js (recipe saves/deletes, folders), kitchen.js (cook,
+ * meal and fridge writes, and their reads), grocery.js (list items), HomeScreen (starts replay for the signed-in
+ * user), SettingsScreen (pending changes indicator)
+ *
+ * Every write is recorded in AsyncStorage before it's sent and removed once
+ * Supabase accepts it, so a write made offline (or cut off by the app
+ * closing) isn't lost. Operations must be idempotent - a write can land on
+ * the server and still be retried if the response never arrives - so
+ * inserts carry client-made ids and upsert on them.
+ *
+ * There's no connectivity listener in the app, so "back online" is noticed
+ * by retrying: with exponential backoff, on every new write, and whenever
+ * the app comes to the foreground. Writes replay strictly in order (a meal
+ * can't land before the cook event it eats from); one that keeps failing
+ * for a reason other than the network is dropped after MAX_ATTEMPTS so it
+ * can't block the rest forever.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AppState } from 'react-native';
+
+import { log } from '../../utils/log';
+
+const OUTBOX_KEY = '@supabase_outbox';
+const BASE_DELAY = 5 * 1000;
+const MAX_DELAY = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 6;
+
+// Resolved value of queueWrite when the write is waiting for a connection
+export const QUEUED = 'queued';
+
+const handlers = {};
+const waiters = new Map();
+const listeners = new Set();
+let queue = null;
+let loading = null;
+let flushing = null;
+let inFlightId = null;
+let retryTimer = null;
+let activeUserId = null;
+let appStateSubscription = null;
+
+/**
+ * Errors that mean "couldn't reach Supabase" rather than "Supabase said no".
+ * supabase-js reports fetch failures as errors without a Postgres code.
+ */
+export const isNetworkError = (error) => {
+  if (!error || error.code) return false;
+  return /network|fetch|timed? ?out|connection|offline|abort/i.test(
+    `${error.message || ''} ${error.details || ''}`
+  );
+};
+
+/**
+ * Register the function that performs one type of write. It receives the
+ * operation's args and must throw on failure.
+ * @param {string} type
+ * @param {Function} handler
+ */
+export const registerWriteHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+const loadQueue = async () => {
+  if (queue) return queue;
+  if (!loading) {
+    loading = AsyncStorage.getItem(OUTBOX_KEY)
+      .then(json => { queue = json ? JSON.parse(json) : []; })
+      .catch(err => {
+        console.error('❌ Error loading outbox:', err);
+        queue = [];
+      });
+  }
+  await loading;
+  return queue;
+};
+
+const saveQueue = async () => {
+  try {
+    await AsyncStorage.setItem(OUTBOX_KEY, JSON.stringify(queue));
+  } catch (err) {
+    console.error('❌ Error saving outbox:', err);
+  }
+};
+
+const userOps = (userId) => (queue || []).filter(op => op.userId === userId);
+
+/**
+ * Pending writes for a user (defaults to the signed-in one)
+ * @returns {{pending: number, nextAttemptAt: number|null, lastError: string|null}}
+ */
+export const getOutboxStatus = (userId = activeUserId) => {
+  const ops = userOps(userId);
+  return {
+    pending: ops.length,
+    nextAttemptAt: ops[0]?.nextAttemptAt || null,
+    lastError: ops[0]?.lastError || null,
+  };
+};
+
+/**
+ * A user's queued writes of the given types, oldest first - for readers
+ * that should show what hasn't reached the server yet
+ * @param {string} userId
+ * @param {string[]} types - Registered handler types
+ * @returns {Promise<Array<{type: string, args: Array}>>}
+ */
+export const getPendingWrites = async (userId, types) => {
+  await loadQueue();
+  return userOps(userId)
+    .filter(op => types.includes(op.type))
+    .map(({ type, args }) => ({ type, args }));
+};
+
+const notify = () => {
+  const status = getOutboxStatus();
+  listeners.forEach(listener => listener(status));
+};
+
+/**
+ * Listen for pending-write changes for the signed-in user
+ * @param {Function} listener - Called with getOutboxStatus()
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToOutbox = (listener) => {
+  listeners.add(listener);
+  loadQueue().then(() => listener(getOutboxStatus()));
+  return () => listeners.delete(listener);
+};
+
+const settle = (opId, method, value) => {
+  const waiter = waiters.get(opId);
+  if (!waiter) return;
+  waiters.delete(opId);
+  waiter[method](value);
+};
+
+const scheduleRetry = (userId) => {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = null;
+  const next = userOps(userId)[0];
+  if (!next || userId !== activeUserId) return;
+  const delay = Math.max(0, (next.nextAttemptAt || 0) - Date.now());
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    flushOutbox({ force: true });
+  }, delay);
+};
+
+const runFlush = async (userId, force) => {
+  await loadQueue();
+
+  while (true) {
+    const op = userOps(userId)[0];
+    if (!op) break;
+    if (!force && op.nextAttemptAt && op.nextAttemptAt > Date.now()) break;
+
+    const handler = handlers[op.type];
+    if (!handler) {
+      // Module that owns this write hasn't loaded yet - keep the order
+      log(`⏸️ Outbox: no handler for ${op.type} yet`);
+      break;
+    }
+
+    inFlightId = op.id;
+    try {
+      const result = await handler(...op.args);
+      queue = queue.filter(o => o.id !== op.id);
+      await saveQueue();
+      settle(op.id, 'resolve', result);
+      log(`✅ Outbox: ${op.type} sent${op.attempts ? ` after ${op.attempts} retries` : ''}`);
+    } catch (err) {
+      const offline = isNetworkError(err);
+
+      // A fresh write the server rejected - hand the error back to the
+      // caller like a direct call would, retrying won't help
+      if (!offline && waiters.has(op.id) && op.attempts === 0) {
+        queue = queue.filter(o => o.id !== op.id);
+        await saveQueue();
+        settle(op.id, 'reject', err);
+        continue;
+      }
+
+      const attempts = op.attempts + 1;
+      if (!offline && attempts >= MAX_ATTEMPTS) {
+        console.error(`❌ Outbox: dropping ${op.type} after ${attempts} attempts:`, err);
+        queue = queue.filter(o => o.id !== op.id);
+        await saveQueue();
+        settle(op.id, 'reject', err);
+        continue;
+      }
+
+      queue = queue.map(o => (o.id === op.id
+        ? {
+          ...o,
+          attempts,
+          nextAttemptAt: Date.now() + Math.min(BASE_DELAY * 2 ** (attempts - 1), MAX_DELAY),
+          lastError: err?.message || String(err),
+        }
+        : o));
+      await saveQueue();
+      log(`⏳ Outbox: ${op.type} failed (attempt ${attempts}), ${userOps(userId).length} waiting`);
+      break;
+    } finally {
+      inFlightId = null;
+      notify();
+    }
+  }
+
+  // Anyone still waiting has their write safely queued
+  userOps(userId).forEach(op => settle(op.id, 'resolve', QUEUED));
+  scheduleRetry(userId);
+};
+
+/**
+ * Send a user's queued writes, in order
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Defaults to the signed-in user
+ * @param {boolean} [options.force] - Ignore backoff and try now
+ * @returns {Promise<number>} Writes still pending
+ */
+export const flushOutbox = async ({ userId = activeUserId, force = false } = {}) => {
+  if (!userId) return 0;
+  // One flush at a time; a forced one queued behind it picks up the rest
+  while (flushing) await flushing;
+  flushing = runFlush(userId, force).finally(() => { flushing = null; });
+  await flushing;
+  return userOps(userId).length;
+};
+
+/**
+ * Record a write and try to send it (after anything already queued)
+ * @param {Object} operation
+ * @param {string} operation.type - A registered handler
+ * @param {string} [operation.userId] - Whose write this is; defaults to the
+ *   signed-in user
+ * @param {Array} operation.args - Handler arguments; must survive JSON
+ * @param {string} [operation.key] - Writes with the same key replace each
+ *   other while queued (later full saves of one recipe, folder list...)
+ * @returns {Promise<*>} The handler's result, or QUEUED if it's waiting
+ *   for a connection. Rejects if the server refused the write.
+ */
+export const queueWrite = async ({ type, userId = activeUserId, args, key = null }) => {
+  if (!userId) throw new Error(`Can't queue ${type} without a signed-in user`);
+  await loadQueue();
+
+  const op = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
+    type,
+    userId,
+    args,
+    key,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null,
+    createdAt: Date.now(),
+  };
+
+  if (key) {
+    const superseded = queue.filter(o => o.key === key && o.userId === userId && o.id !== inFlightId);
+    queue = queue.filter(o => !superseded.includes(o));
+    superseded.forEach(o => settle(o.id, 'resolve', QUEUED));
+  }
+
+  queue = [...queue, op];
+  await saveQueue();
+  notify();
+
+  const result = new Promise((resolve, reject) => waiters.set(op.id, { resolve, reject }));
+  flushOutbox({ userId, force: true }).catch(err => console.error('❌ Outbox flush failed:', err));
+  return result;
+};
+
+/**
+ * Replay a user's queued writes now and whenever the app comes back to
+ * the foreground
+ * @param {string} userId
+ * @returns {Function} Stop
+ */
+export const startOutbox = (userId) => {
+  activeUserId = userId;
+  appStateSubscription?.remove();
+  appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+    if (nextAppState === 'active') flushOutbox({ force: true });
+  });
+  flushOutbox({ force: true }).then(pending => {
+    if (pending > 0) log(`📤 Outbox: ${pending} writes waiting for a connection`);
+  });
+
+  return () => {
+    if (activeUserId !== userId) return;
+    activeUserId = null;
+    appStateSubscription?.remove();
+    appStateSubscription = null;
+    if (retryTimer) clearTimeout(retryTimer);
+    retryTimer = null;
+    notify();
+  };
+};
+
+export default {
+  QUEUED,
+  isNetworkError,
+  registerWriteHandler,
+  getOutboxStatus,
+  getPendingWrites,
+  subscribeToOutbox,
+  flushOutbox,
+  queueWrite,
+  startOutbox,
+};
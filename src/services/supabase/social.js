@@ -5,6 +5,7 @@
 
 import { supabase } from './config';
 import { containsProfanity, containsProfanityAsync, checkUsernameAsync } from '../profanityFilter';
+import { publicRowContent } from '../../utils/recipeVariants';
 
 import { log } from '../../utils/log';
 /**
@@ -677,6 +678,7 @@ export const getUserFeaturedRecipes = async (targetUserId) => {
       .select(`
         id,
         local_recipe_data,
+        published:local_edits->published,
         global_recipes (
           id,
           title,
@@ -696,13 +698,16 @@ export const getUserFeaturedRecipes = async (targetUserId) => {
 
       if (matched.length > 0) {
         log('✅ Found featured in V2 table:', matched.length);
-        return matched.map(row => ({
-          id: row.local_recipe_data?.id || row.id,
-          title: row.local_recipe_data?.title || row.global_recipes?.title || 'Untitled',
-          imageUrl: row.local_recipe_data?.image_url || row.global_recipes?.image_url || null,
-          sourceUrl: row.global_recipes?.source_url || null,
-          isCustom: !row.global_recipes?.source_url,
-        }));
+        return matched.map(row => {
+          const content = publicRowContent(row);
+          return {
+            id: row.local_recipe_data?.id || row.id,
+            title: content.title || row.global_recipes?.title || 'Untitled',
+            imageUrl: content.image_url || row.global_recipes?.image_url || null,
+            sourceUrl: row.global_recipes?.source_url || null,
+            isCustom: !row.global_recipes?.source_url,
+          };
+        });
       }
     }
 
@@ -758,6 +763,7 @@ export const getUserPublicRecipes = async (targetUserId, folderPath = null) => {
         folders,
         folder,
         local_recipe_data,
+        published:local_edits->published,
         global_recipe_id,
         global_recipes (
           id,
@@ -785,14 +791,17 @@ export const getUserPublicRecipes = async (targetUserId, folderPath = null) => {
         });
       }
 
-      return filtered.map(row => ({
-        id: row.local_recipe_data?.id || row.id,
-        title: row.local_recipe_data?.title || row.global_recipes?.title || 'Untitled',
-        imageUrl: row.local_recipe_data?.image_url || row.global_recipes?.image_url || null,
-        sourceUrl: row.global_recipes?.source_url || null,
-        folders: row.folders || row.local_recipe_data?.folders || [],
-        isCustom: !row.global_recipes?.source_url,
-      }));
+      return filtered.map(row => {
+        const content = publicRowContent(row);
+        return {
+          id: row.local_recipe_data?.id || row.id,
+          title: content.title || row.global_recipes?.title || 'Untitled',
+          imageUrl: content.image_url || row.global_recipes?.image_url || null,
+          sourceUrl: row.global_recipes?.source_url || null,
+          folders: row.folders || row.local_recipe_data?.folders || [],
+          isCustom: !row.global_recipes?.source_url,
+        };
+      });
     }
 
     // Fallback to old table
@@ -947,6 +956,7 @@ export const getUserFolderRecipes = async (targetUserId, folderName) => {
         folders,
         folder,
         local_recipe_data,
+        published:local_edits->published,
         global_recipes (
           id,
           title,
@@ -972,13 +982,16 @@ export const getUserFolderRecipes = async (targetUserId, folderName) => {
       });
 
       log('📂 Filtered V2 recipes:', filtered.length);
-      return filtered.map(row => ({
-        id: row.local_recipe_data?.id || row.id,
-        title: row.local_recipe_data?.title || row.global_recipes?.title || 'Untitled',
-        imageUrl: row.local_recipe_data?.image_url || row.global_recipes?.image_url || null,
-        sourceUrl: row.global_recipes?.source_url || null,
-        folders: row.folders || row.local_recipe_data?.folders || [],
-      }));
+      return filtered.map(row => {
+        const content = publicRowContent(row);
+        return {
+          id: row.local_recipe_data?.id || row.id,
+          title: content.title || row.global_recipes?.title || 'Untitled',
+          imageUrl: content.image_url || row.global_recipes?.image_url || null,
+          sourceUrl: row.global_recipes?.source_url || null,
+          folders: row.folders || row.local_recipe_data?.folders || [],
+        };
+      });
     }
 
     // Fallback to old table
@@ -1233,6 +1246,7 @@ export const getFullPublicRecipe = async (targetUserId, recipeId) => {
         folders,
         folder,
         local_recipe_data,
+        published:local_edits->published,
         global_recipes (
           id,
           title,
@@ -1253,7 +1267,9 @@ export const getFullPublicRecipe = async (targetUserId, recipeId) => {
       });
 
       if (match) {
-        const local = match.local_recipe_data || {};
+        // The owner's published variant, if they picked one, replaces the
+        // base content (utils/recipeVariants)
+        const local = publicRowContent(match);
         const global = match.global_recipes || {};
         return {
           id: local.id || match.id,
@@ -1264,6 +1280,8 @@ export const getFullPublicRecipe = async (targetUserId, recipeId) => {
           sourceUrl: global.source_url || null,
           ingredients: parseIngredients(local.ingredients || global.ingredients),
           instructions: parseInstructions(local.instructions || global.instructions),
+          notes: local.notes || null,
+          publishedVersionName: match.published?.name || null,
           folders: match.folders || local.folders || [],
           folder: match.folder || local.folder || 'All Recipes',
           author: global.author || null,
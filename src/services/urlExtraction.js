@@ -0,0 +1,317 @@
+/**
+ * FILENAME: src/services/urlExtraction.js
+ * PURPOSE: Recipe extraction from a URL - on the device first, then via
+ * the extract-url Edge Function when that fails.
+ *
+ * Many sites block requests from a phone app or only answer a desktop
+ * browser, and fetchHTML gives up on any error. The Edge Function runs
+ * the same RecipeExtractor tiers server-side with redirects, retries and
+ * charset handling, so a page the device couldn't read often still
+ * imports. Both paths return RecipeExtractor's result shape.
+ *
+ * When no tier finds a recipe, extractRecipeWithAI is RecipeExtractor's
+ * `aiFallback`: the page text goes to the extract-recipe Edge Function
+ * and spends one of the user's scans, like a photo scan. So the AI only
+ * runs once both free attempts - device and server - have failed.
+ *
+ * Every import's final outcome is reported per domain (see
+ * sql/add_extraction_stats.sql) so an admin can see which sites fail and
+ * why.
+ */
+
+import { supabase } from './supabase/config';
+import { log } from '../utils/log';
+import { EXTRACTION_ERRORS } from '../extractors/diagnostics';
+
+// Non-2xx responses carry our { error, message } body in error.context
+// The AI step's own budget, inside the import's overall timeout
+const AI_TIMEOUT_MS = 30 * 1000;
+
+const isAbort = (err) => err?.name === 'AbortError' || /abort/i.test(err?.message || '');
+
+const cancelled = () => ({ success: false, error: 'cancelled', message: 'The import was cancelled.' });
+
+const errorBody = async (error) => {
+  try {
+    if (error.context && typeof error.context.json === 'function') {
+      return await error.context.json();
+    }
+  } catch (_e) { /* ignore */ }
+  return null;
+};
+
+/**
+ * Read recipes out of a page's text with AI - RecipeExtractor's
+ * `aiFallback`. Counts against the same allowance as photo scans.
+ * @param {string} text - The page's readable text (see pageText in src/extractors/aiFallback.js)
+ * @param {string} url - Page URL
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancel the call; extract-recipe
+ *   doesn't spend a scan on a caller that hung up
+ * @returns {Promise<Object>} extract-recipe's response: { success, recipes }
+ *   or { success: false, error, message } (limit_reached, no_recipe, ...)
+ */
+export const extractRecipeWithAI = async (text, url, { signal } = {}) => {
+  if (signal?.aborted) return cancelled();
+  try {
+    const { data, error } = await supabase.functions.invoke('extract-recipe', {
+      body: { text, url },
+      signal,
+      timeout: AI_TIMEOUT_MS,
+    });
+
+    if (error) {
+      if (signal?.aborted || isAbort(error.context || error)) return cancelled();
+      const body = await errorBody(error);
+      if (body?.error) return { success: false, ...body };
+      console.error('❌ [EXTRACT] AI fallback error:', error);
+      return { success: false, error: 'network', message: 'Could not reach the AI import service.' };
+    }
+    return data?.success ? data : { success: false, ...data };
+  } catch (err) {
+    if (signal?.aborted || isAbort(err)) return cancelled();
+    console.error('❌ [EXTRACT] AI fallback unexpected error:', err);
+    return { success: false, error: 'internal', message: 'Something went wrong while reading the page.' };
+  }
+};
+
+// extract-url's { error, reason, tier, message } -> RecipeExtractor's failure shape
+const serverFailure = (body) => ({
+  success: false,
+  error: body.message || 'No recipe was found on that page.',
+  reason: body.reason || null,
+  tier: body.tier || null,
+  status: body.status ?? null,
+  detail: body.detail ?? null,
+  code: body.error,
+  aiAttempted: body.tier === 'AI',
+});
+
+/**
+ * Extract a recipe server-side via the extract-url Edge Function
+ * @param {string} url - Recipe page URL
+ * @param {Object} [options]
+ * @param {boolean} [options.ai=true] - Let the server use the AI tier too
+ * @param {AbortSignal} [options.signal] - Cancel the call
+ * @returns {Promise<{
+ *   success: boolean,
+ *   data?: object,          // first recipe on the page
+ *   recipes?: object[],     // every recipe on the page
+ *   source?: string,        // tier that matched, e.g. "JSON-LD"
+ *   error?: string,         // readable reason, as RecipeExtractor's
+ *   reason?: string,        // one of EXTRACTION_ERRORS; absent when the
+ *                           // service itself couldn't be reached
+ *   tier?: string,          // last tier tried, or "fetch"
+ *   code?: string,          // the server's own code, e.g. limit_reached
+ * }>}
+ */
+export const extractRecipeOnServer = async (url, { ai = true, signal } = {}) => {
+  try {
+    const { data, error } = await supabase.functions.invoke('extract-url', {
+      body: { url, ai },
+      signal,
+    });
+
+    if (error) {
+      const body = await errorBody(error);
+      if (body?.error) return serverFailure(body);
+      console.error('❌ [EXTRACT] Edge Function error:', error);
+      return {
+        success: false,
+        error: 'Could not reach the import service. Check your connection and try again.',
+        code: 'network',
+      };
+    }
+
+    if (!data?.success) return serverFailure(data || {});
+
+    return {
+      success: true,
+      data: data.data,
+      recipes: data.recipes?.length ? data.recipes : [data.data],
+      source: data.source,
+    };
+  } catch (err) {
+    console.error('❌ [EXTRACT] Unexpected error:', err);
+    return {
+      success: false,
+      error: 'Something went wrong while importing. Please try again.',
+      code: 'internal',
+    };
+  }
+};
+
+/**
+ * Extract on the device, falling back to the server when the page
+ * couldn't be fetched or parsed there. The AI tier, which spends a scan,
+ * goes last: device, then server, without it first.
+ * @param {string} url - Recipe page URL
+ * @param {RecipeExtractor} extractor - The caller's extractor instance;
+ *   its `aiFallback` decides whether either side may use the AI tier
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Abort when the caller gives up
+ *   (its own timeout): the AI step doesn't start, or is cancelled, so no
+ *   scan is spent on a result nobody will see
+ * @returns {Promise<Object>} RecipeExtractor result, plus `via: 'device' | 'server'`
+ */
+export const extractRecipeFromUrl = async (url, extractor, { signal } = {}) => {
+  const result = await extractWithFallback(url, extractor, signal);
+  recordExtractionOutcome(url, result);
+  return result;
+};
+
+// Free extraction on the device. A page it loaded but couldn't read comes
+// back with `html`, for extractPageWithAI.
+const extractOnDevice = async (url, extractor) => {
+  try {
+    return await extractor.extract(url, { ai: false });
+  } catch (err) {
+    console.error('❌ [EXTRACT] On-device extraction error:', err);
+    return { success: false, error: err.message, reason: EXTRACTION_ERRORS.PARSE_ERROR };
+  }
+};
+
+// Got the page and it wasn't a bot wall or paywall - the AI has something
+// to read. Server failures without a reason never reached the service.
+const aiCouldRead = (result) =>
+  !!result.reason && result.tier !== 'fetch' && result.reason !== EXTRACTION_ERRORS.BLOCKED;
+
+const extractWithFallback = async (url, extractor, signal) => {
+  const { html, ...local } = await extractOnDevice(url, extractor);
+  if (local.success) return { ...local, via: 'device' };
+
+  log('🌐 [EXTRACT] On-device extraction failed, trying server:', local.reason, local.tier, local.error);
+  const remote = await extractRecipeOnServer(url, { ai: false, signal });
+  if (remote.success) return { ...remote, via: 'server' };
+
+  // Last resort, only if the caller's extractor allows it and is still
+  // waiting: the AI reads whichever copy of the page loaded, the device's
+  // first - as it was already fetched, without running the tiers again
+  if (extractor.aiFallback && !signal?.aborted) {
+    let read = null;
+    if (html) {
+      log('🤖 [EXTRACT] No structured recipe, reading the page with AI on device');
+      read = { ...await extractor.extractPageWithAI(html, url, { signal }), via: 'device' };
+    } else if (aiCouldRead(remote)) {
+      log('🤖 [EXTRACT] No structured recipe, reading the page with AI on server');
+      read = { ...await extractRecipeOnServer(url, { ai: true, signal }), via: 'server' };
+    }
+    // An AI answer ("no scans left", "no recipe on that page") is the
+    // most specific one there is
+    if (read && (read.success || read.aiAttempted)) return read;
+  }
+
+  // Anything beats the server's answer when it couldn't be reached.
+  // Otherwise the server's reason is the more specific one (it got past
+  // the block the device hit).
+  if (!remote.reason) return { ...local, via: 'device' };
+  return { ...remote, via: 'server' };
+};
+
+/**
+ * Count an import's outcome against its domain, for the admin's Import
+ * Diagnostics. Fire-and-forget: a failed report never affects the import.
+ * @param {string} url - Page URL
+ * @param {Object} result - extractRecipeFromUrl's result
+ */
+export const recordExtractionOutcome = async (url, result) => {
+  try {
+    const domain = new URL(url).hostname.replace(/^www\./, '').toLowerCase();
+    const { error } = await supabase.rpc('record_extraction_outcome', {
+      p_domain: domain,
+      p_success: !!result.success,
+      p_source: result.success ? result.source || null : null,
+      p_reason: result.success ? null : result.reason || 'unknown',
+      p_tier: result.success ? null : result.tier || null,
+    });
+    if (error) log('📊 [EXTRACT] Could not record outcome:', error.message);
+  } catch (err) {
+    log('📊 [EXTRACT] Could not record outcome:', err?.message);
+  }
+};
+
+/**
+ * Admin: per-domain import outcomes, most failures first
+ * @param {number} [limit=100]
+ * @returns {Promise<Array<Object>>} extraction_domain_stats rows
+ */
+export const getExtractionDomainStats = async (limit = 100) => {
+  try {
+    const { data, error } = await supabase
+      .from('extraction_domain_stats')
+      .select('*')
+      .order('failures', { ascending: false })
+      .order('successes', { ascending: false })
+      .limit(limit);
+    if (error) throw error;
+    return data || [];
+  } catch (err) {
+    console.error('❌ Error loading extraction stats:', err);
+    return [];
+  }
+};
+
+// Advice for each EXTRACTION_ERRORS reason
+const FAILURE_MESSAGES = {
+  [EXTRACTION_ERRORS.NETWORK]: {
+    title: 'No Connection',
+    message: "Couldn't reach the site. Check your internet connection and try again.",
+  },
+  [EXTRACTION_ERRORS.TIMEOUT]: {
+    title: 'Site Too Slow',
+    message: 'The site took too long to respond. Try again in a minute.',
+  },
+  [EXTRACTION_ERRORS.HTTP_STATUS]: {
+    title: 'Page Unavailable',
+    message: 'The site returned an error for that page. Check the link is complete, or try again later.',
+  },
+  [EXTRACTION_ERRORS.BLOCKED]: {
+    title: 'Site Blocked the Import',
+    message: "This site doesn't let apps read its pages. You can still add the recipe by hand, or take a screenshot and scan it.",
+  },
+  [EXTRACTION_ERRORS.NO_RECIPE_FOUND]: {
+    title: 'No Recipe Found',
+    message: "We couldn't find a recipe on that page. Make sure the link opens the recipe itself, not a home page or a list of recipes.",
+  },
+  [EXTRACTION_ERRORS.PARSE_ERROR]: {
+    title: "Couldn't Read the Recipe",
+    message: "The page has a recipe, but we couldn't make sense of it. Add it by hand or scan a screenshot - we've logged the site so we can fix it.",
+  },
+};
+
+/**
+ * A failed import's alert: specific, actionable advice for its reason
+ * @param {Object} result - extractRecipeFromUrl's failure
+ * @returns {{title: string, message: string}}
+ */
+export const describeExtractionFailure = (result) => {
+  if (result.code === 'limit_reached') {
+    return { title: 'Scan Limit Reached', message: result.error };
+  }
+  // The AI's own answer is already specific
+  if (result.aiAttempted && result.code && result.code !== 'no_recipe') {
+    return { title: 'No Recipe Found', message: result.error };
+  }
+  if (result.reason === EXTRACTION_ERRORS.BLOCKED && result.detail === 'paywall') {
+    return {
+      title: 'Recipe Behind a Paywall',
+      message: "This recipe is for the site's subscribers only. If you subscribe, copy the recipe in by hand or scan a screenshot of it.",
+    };
+  }
+  if (result.reason === EXTRACTION_ERRORS.HTTP_STATUS && result.status === 404) {
+    return { title: 'Page Not Found', message: "That page doesn't exist any more. Check the link is complete." };
+  }
+  return FAILURE_MESSAGES[result.reason] || {
+    title: 'Extraction Failed',
+    message: `Could not extract a recipe from that URL.\n\n${result.error || 'The site may not have structured recipe data.'}`,
+  };
+};
+
+export default {
+  extractRecipeWithAI,
+  extractRecipeOnServer,
+  extractRecipeFromUrl,
+  recordExtractionOutcome,
+  getExtractionDomainStats,
+  describeExtractionFailure,
+};
@@ -170,9 +170,13 @@ Object.entries(INGREDIENT_MAP).forEach(([canonical, variations]) => {
 /**
  * Normalizes an ingredient string to its canonical form
  * @param {string} ingredient - The ingredient text to normalize
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=true] - Fall back to the first canonical
+ *   name contained in the text ("chicken breast cubes" -> "chicken breast").
+ *   Good for search; pass false where "garlic powder" must not become garlic.
  * @returns {string} - The normalized canonical ingredient name
  */
-export const normalizeIngredient = (ingredient) => {
+export const normalizeIngredient = (ingredient, { partial = true } = {}) => {
   let cleaned = ingredient
     .toLowerCase()
     .trim();
@@ -227,6 +231,8 @@ export const normalizeIngredient = (ingredient) => {
     return VARIATION_TO_CANONICAL[cleaned];
   }
 
+  if (!partial) return cleaned;
+
   // Try partial matching - check if any canonical ingredient is contained in cleaned string
   // This helps with cases like "chicken breast cubes" -> "chicken breast"
   const sortedCanonicals = Object.keys(INGREDIENT_MAP).sort((a, b) => b.length - a.length);
@@ -256,6 +262,16 @@ export const getAllCanonicalIngredients = () => {
   return Object.keys(INGREDIENT_MAP).sort();
 };
 
+/**
+ * Gets the known variations of a canonical ingredient name
+ * e.g. 'shrimp' -> ['shrimp', 'shrimps', 'prawns', ...]
+ * @param {string} canonical - Canonical ingredient name
+ * @returns {string[]} - Variations (empty if the name isn't in the map)
+ */
+export const getIngredientVariations = (canonical) => {
+  return INGREDIENT_MAP[canonical] || [];
+};
+
 /**
  * Checks if an ingredient matches a canonical form or any of its variations
  * @param {string} ingredient - The ingredient to check
@@ -294,6 +310,7 @@ export const extractNormalizedIngredients = (recipe) => {
 export default {
   normalizeIngredient,
   getAllCanonicalIngredients,
+  getIngredientVariations,
   matchesCanonical,
   extractNormalizedIngredients,
 };
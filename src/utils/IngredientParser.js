@@ -64,6 +64,26 @@ const WEIGHT_CONVERSIONS = {
 const METRIC_VOLUME_UNITS = ['ml', 'milliliter', 'milliliters', 'l', 'liter', 'liters'];
 const METRIC_WEIGHT_UNITS = ['g', 'gram', 'grams', 'kg', 'kilogram', 'kilograms'];
 
+/**
+ * Classify a unit for adding quantities together.
+ * Returns { family: 'volume' | 'weight', factor } where factor converts
+ * one unit to ml or g, or null when there is no unit.
+ *
+ * Bare "oz" is read as weight: on a shopping list it is almost always a
+ * package size, and "fl oz" is the unambiguous way to write volume.
+ */
+export function getUnitMeasure(unit) {
+  if (!unit) return null;
+  const key = unit.toLowerCase();
+  if (WEIGHT_CONVERSIONS[key]) {
+    return { family: 'weight', factor: WEIGHT_CONVERSIONS[key] };
+  }
+  if (VOLUME_CONVERSIONS[key]) {
+    return { family: 'volume', factor: VOLUME_CONVERSIONS[key] };
+  }
+  return null;
+}
+
 // ========== FRACTION UTILITIES ==========
 
 const UNICODE_FRACTIONS = {
@@ -87,6 +107,28 @@ function fractionToDecimal(fraction) {
   return parseFloat(parts[0]) / parseFloat(parts[1]);
 }
 
+/**
+ * Read a written amount: "2", "1.5", "1/2", "½", "1 1/2" or "1½"
+ * @param {string} text
+ * @returns {number|null} null when it isn't an amount
+ */
+export function parseQuantity(text) {
+  const match = String(text || '').trim()
+    .match(/^(?:(\d+(?:\.\d+)?)(?:\s+(\d+\/\d+)|\s*([¼½¾⅓⅔⅛⅜⅝⅞]))?|(\d+\/\d+)|([¼½¾⅓⅔⅛⅜⅝⅞]))$/);
+  if (!match) return null;
+
+  const [, whole, mixed, mixedUnicode, fraction, unicode] = match;
+  const part = mixed || mixedUnicode || fraction || unicode;
+  let value = whole ? parseFloat(whole) : 0;
+  if (part) {
+    const unicodeFrac = Object.entries(UNICODE_FRACTIONS).find(([, val]) => val === part);
+    const decimal = fractionToDecimal(unicodeFrac ? unicodeFrac[0] : part);
+    if (decimal === null || !isFinite(decimal)) return null;
+    value += decimal;
+  }
+  return value;
+}
+
 /**
  * Convert decimal to fraction string
  */
@@ -116,7 +158,7 @@ function decimalToFraction(decimal) {
 /**
  * Format number as mixed fraction with unicode
  */
-function formatQuantity(num) {
+export function formatQuantity(num) {
   if (!num || num === 0) return '';
 
   const whole = Math.floor(num);
@@ -481,4 +523,6 @@ export default {
   scaleRecipeIngredients,
   convertRecipeIngredients,
   formatQuantity,
+  parseQuantity,
+  getUnitMeasure,
 };
\ No newline at end of file
@@ -11,6 +11,8 @@
  * (Comfort Food, Kid-Friendly, Dinner...) are left for users.
  */
 
+import { TAG_CATEGORIES } from '../constants/tags';
+
 // Dish/meal tags matched against the TITLE only (title mentions are
 // high-confidence; ingredient mentions are not - bacon in a salad
 // doesn't make it a pork dish)
@@ -74,6 +76,33 @@ const METHOD_RULES = [
   { tag: 'One-Pot', re: /\b(one[- ]pot|one[- ]pan|sheet[- ]pan)\b/i },
 ];
 
+// Meal/dish tags from the publisher's own recipeCategory. A category is
+// declared, not guessed, so these are as safe as a title match - but
+// "Main Course" or "Entree" could be lunch or dinner, so they add nothing.
+const CATEGORY_RULES = [
+  { tag: 'Breakfast', re: /\b(breakfast|brunch)\b/i },
+  { tag: 'Lunch', re: /\blunch\b/i },
+  { tag: 'Dinner', re: /\b(dinner|supper)\b/i },
+  { tag: 'Dessert', re: /\bdesserts?\b/i },
+  { tag: 'Snack', re: /\bsnacks?\b/i },
+  { tag: 'Appetizer', re: /\b(appetizers?|starters?|hors d[’']?oeuvres?)\b/i },
+  { tag: 'Soup', re: /\bsoups?\b/i },
+  { tag: 'Salad', re: /\bsalads?\b/i },
+  { tag: 'Pasta', re: /\bpasta\b/i },
+];
+
+// Cuisines worth a tag when the publisher declares one - the Cuisine
+// category, so they show as predefined tags. Catch-alls like "American"
+// or "International" are left out - recipe card plugins fill them in by
+// default, so they say nothing about the dish.
+const CUISINE_TAGS = TAG_CATEGORIES.find(category => category.name === 'Cuisine').tags;
+
+// cuisine/category arrive as "Main Course, Dinner" strings or arrays
+const declaredValues = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+
 // Quick = total time 30 minutes or less (from real extracted times)
 const QUICK_MAX_MINUTES = 30;
 
@@ -141,6 +170,16 @@ export const getHighConfidenceTags = (recipe) => {
     tags.add('Dessert');
   }
 
+  // Publisher-declared category and cuisine (structured data)
+  const categories = declaredValues(recipe.category);
+  for (const rule of CATEGORY_RULES) {
+    if (categories.some(category => rule.re.test(category))) tags.add(rule.tag);
+  }
+  for (const cuisine of declaredValues(recipe.cuisine)) {
+    const tag = CUISINE_TAGS.find(name => name.toLowerCase() === cuisine.toLowerCase());
+    if (tag) tags.add(tag);
+  }
+
   // Instructions text for method/appliance detection
   let instructionsText = '';
   const instructions = recipe.instructions;
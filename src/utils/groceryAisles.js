@@ -0,0 +1,144 @@
+/**
+ * FILENAME: src/utils/groceryAisles.js
+ * PURPOSE: Sort grocery items into store aisles.
+ *
+ * Keys of AISLE_INGREDIENTS are the canonical names from INGREDIENT_MAP in
+ * IngredientNormalizer.js, so anything the normalizer recognizes lands in
+ * a fixed aisle. Names outside the map fall back to keyword rules, then
+ * to "Other". A user's own choice (moving an item to another aisle) is
+ * stored per canonical name and always wins - see
+ * loadGroceryAisleOverrides in src/utils/storage.js.
+ */
+
+import { getAllCanonicalIngredients } from './IngredientNormalizer';
+import { log } from './log';
+
+// Store walk order - the aisle view lists groups in this order
+export const AISLES = [
+  { key: 'produce', label: 'Produce' },
+  { key: 'meat', label: 'Meat & Seafood' },
+  { key: 'dairy', label: 'Dairy & Eggs' },
+  { key: 'bakery', label: 'Bakery' },
+  { key: 'pantry', label: 'Pantry' },
+  { key: 'spices', label: 'Spices' },
+  { key: 'frozen', label: 'Frozen' },
+  { key: 'other', label: 'Other' },
+];
+
+const AISLE_INGREDIENTS = {
+  produce: [
+    'onion', 'red onion', 'green onion', 'garlic', 'tomato', 'cherry tomato',
+    'bell pepper', 'red bell pepper', 'green bell pepper', 'carrot', 'celery',
+    'potato', 'sweet potato', 'broccoli', 'cauliflower', 'spinach', 'kale',
+    'lettuce', 'cucumber', 'zucchini', 'mushroom', 'corn', 'green beans',
+    'basil', 'parsley', 'cilantro', 'thyme', 'rosemary', 'oregano', 'dill',
+    'mint', 'ginger', 'lemon', 'lime', 'apple', 'banana', 'orange',
+    'berries', 'strawberry', 'blueberry',
+  ],
+  meat: [
+    'chicken', 'chicken breast', 'chicken thigh', 'chicken wing', 'ground chicken',
+    'turkey', 'ground turkey', 'beef', 'ground beef', 'beef chuck', 'ribeye',
+    'sirloin', 'brisket', 'pork', 'pork chop', 'ground pork', 'bacon', 'ham',
+    'pork tenderloin', 'pork shoulder', 'salmon', 'shrimp', 'tuna', 'cod', 'tilapia',
+  ],
+  dairy: [
+    'milk', 'heavy cream', 'sour cream', 'butter', 'cheese', 'cheddar',
+    'mozzarella', 'parmesan', 'cream cheese', 'yogurt', 'egg',
+  ],
+  bakery: ['bread'],
+  pantry: [
+    'rice', 'brown rice', 'pasta', 'spaghetti', 'penne', 'fettuccine', 'flour',
+    'bread crumbs', 'black beans', 'kidney beans', 'chickpeas', 'lentils',
+    'olive oil', 'vegetable oil', 'canola oil', 'sesame oil', 'soy sauce',
+    'worcestershire sauce', 'hot sauce', 'ketchup', 'mustard', 'mayonnaise',
+    'vinegar', 'balsamic vinegar', 'apple cider vinegar', 'tomato paste',
+    'tomato sauce', 'crushed tomatoes', 'diced tomatoes', 'chicken broth',
+    'beef broth', 'vegetable broth', 'lemon juice', 'lime juice', 'sugar',
+    'brown sugar', 'honey', 'maple syrup',
+  ],
+  spices: [
+    'bay leaf', 'black pepper', 'salt', 'paprika', 'cumin', 'chili powder',
+    'cayenne pepper', 'red pepper flakes', 'cinnamon',
+  ],
+  frozen: ['peas'],
+};
+
+const AISLE_BY_INGREDIENT = {};
+Object.entries(AISLE_INGREDIENTS).forEach(([aisle, names]) => {
+  names.forEach(name => {
+    AISLE_BY_INGREDIENT[name] = aisle;
+  });
+});
+
+// Herbs are sold fresh in produce, but "dried oregano" lives with the
+// spices. The normalizer strips "dried", so the raw line decides.
+const HERBS = new Set(['basil', 'parsley', 'cilantro', 'thyme', 'rosemary', 'oregano', 'dill', 'mint']);
+
+// Fallbacks for names the normalizer doesn't know, checked in order
+const KEYWORD_RULES = [
+  { aisle: 'frozen', re: /\b(frozen|ice cream)\b/i },
+  { aisle: 'spices', re: /\b(powder|seasoning|spices?|flakes|extract|peppercorns?|nutmeg|cardamom|turmeric|allspice|vanilla|saffron|za'?atar)\b/i },
+  { aisle: 'meat', re: /\b(lamb|veal|sausages?|chorizo|prosciutto|salami|pancetta|steak|fish|crab|lobster|scallops?|clams?|mussels?|anchov(y|ies))\b/i },
+  { aisle: 'dairy', re: /\b(cheese|milk|cream|yogurt|ricotta|feta|buttermilk|eggs?)\b/i },
+  { aisle: 'bakery', re: /\b(bread|buns?|rolls?|tortillas?|pitas?|bagels?|baguettes?|croissants?|naan)\b/i },
+  { aisle: 'produce', re: /\b(squash|cabbage|leeks?|shallots?|avocados?|greens|sprouts|radish(es)?|beets?|eggplants?|jalape(n|ñ)os?|chiles?|peaches?|pears?|plums?|grapes?|mangoes?|mangos?|pineapples?|arugula|herbs?)\b/i },
+  { aisle: 'pantry', re: /\b(sauce|oil|vinegar|sugar|noodles?|beans?|broth|stock|syrup|nuts?|almonds?|walnuts?|pecans?|oats|chocolate|cocoa|baking|yeast|cornstarch|salsa|jam|peanut|canned)\b/i },
+];
+
+if (__DEV__) {
+  // The table is keyed on INGREDIENT_MAP names - a renamed canonical would
+  // silently drop to the keyword rules, so flag any drift in development.
+  const canonicals = new Set(getAllCanonicalIngredients());
+  const unknown = Object.keys(AISLE_BY_INGREDIENT).filter(name => !canonicals.has(name));
+  if (unknown.length > 0) {
+    log('⚠️ groceryAisles: not canonical ingredient names:', unknown.join(', '));
+  }
+}
+
+/**
+ * Work out the aisle for a grocery item.
+ * @param {string} key - Canonical ingredient name (a combined row's key)
+ * @param {string} text - The raw line, for words the normalizer strips
+ * @param {Object} overrides - { [key]: aisleKey } chosen by the user
+ * @returns {string} An aisle key from AISLES
+ */
+export const getAisleForItem = (key, text = '', overrides = {}) => {
+  if (overrides[key] && AISLES.some(a => a.key === overrides[key])) {
+    return overrides[key];
+  }
+  if (/\bfrozen\b/i.test(text)) {
+    return 'frozen';
+  }
+
+  const mapped = AISLE_BY_INGREDIENT[key];
+  if (mapped) {
+    if (HERBS.has(key) && /\bdried\b/i.test(text)) {
+      return 'spices';
+    }
+    return mapped;
+  }
+
+  const rule = KEYWORD_RULES.find(r => r.re.test(key) || r.re.test(text));
+  return rule ? rule.aisle : 'other';
+};
+
+/**
+ * Group combined grocery rows (see mergeGroceryItems) by aisle.
+ * @returns {Array} [{ aisle, rows }] in store walk order, empty aisles omitted
+ */
+export const groupRowsByAisle = (rows, overrides = {}) => {
+  const byAisle = {};
+  rows.forEach(row => {
+    const aisle = getAisleForItem(row.key, row.items.map(i => i.text).join(' '), overrides);
+    (byAisle[aisle] = byAisle[aisle] || []).push(row);
+  });
+  return AISLES
+    .filter(aisle => byAisle[aisle.key])
+    .map(aisle => ({ aisle, rows: byAisle[aisle.key] }));
+};
+
+export default {
+  AISLES,
+  getAisleForItem,
+  groupRowsByAisle,
+};
@@ -0,0 +1,197 @@
+/**
+ * FILENAME: src/utils/groceryMerge.js
+ * PURPOSE: Combine grocery list items that are the same ingredient.
+ *
+ * The stored list stays one row per recipe line, so undo, "group by
+ * recipe" and removal keep working on exactly what was added. This
+ * builds the combined shopping view on top of it: lines are matched on
+ * the exact canonical name from IngredientNormalizer (no partial matching,
+ * so garlic powder stays apart from garlic), and quantities are added up
+ * within a unit family (1 cup + 4 tbsp butter -> 1 ¼ cup butter).
+ * Packages and pieces ("2 cans", "3 cloves") only add up with the same
+ * word - a can of tomatoes isn't a tomato. Each combined row keeps its
+ * source items so the UI can show which recipes asked for it.
+ */
+
+import { parseIngredient, getUnitMeasure, formatQuantity } from './IngredientParser';
+import { normalizeIngredient } from './IngredientNormalizer';
+
+// Display order when one ingredient is listed by weight AND by volume
+// AND by count, e.g. "1 lb + 1 cup + 2 carrot"
+const FAMILY_ORDER = ['weight', 'volume', 'count'];
+
+// Package and piece words the parser leaves at the front of the
+// ingredient ("2 cans diced tomatoes"), singular -> plural
+const COUNT_UNITS = {
+  can: 'cans',
+  jar: 'jars',
+  bottle: 'bottles',
+  bag: 'bags',
+  box: 'boxes',
+  package: 'packages',
+  container: 'containers',
+  stick: 'sticks',
+  head: 'heads',
+  clove: 'cloves',
+  bunch: 'bunches',
+  stalk: 'stalks',
+  sprig: 'sprigs',
+  slice: 'slices',
+  piece: 'pieces',
+  handful: 'handfuls',
+  pinch: 'pinches',
+  dash: 'dashes',
+};
+
+const COUNT_UNIT_LOOKUP = {};
+Object.entries(COUNT_UNITS).forEach(([singular, plural]) => {
+  COUNT_UNIT_LOOKUP[singular] = singular;
+  COUNT_UNIT_LOOKUP[plural] = singular;
+});
+
+/**
+ * Singular form of a package/piece unit ("cloves" -> "clove"), or '' if
+ * the word isn't one
+ * @param {string} unit
+ * @returns {string}
+ */
+export const countUnit = (unit) => COUNT_UNIT_LOOKUP[(unit || '').toLowerCase()] || '';
+
+/**
+ * Parse one grocery line into a match key and an amount.
+ * @param {string} text - Raw ingredient line, e.g. "2 cups chopped onion"
+ * @returns {{ key: string, parsed: Object, measure: Object|null }}
+ *   parsed.unit also holds a package/piece word ("cans") when there's no
+ *   measuring unit
+ */
+export const parseGroceryLine = (text) => {
+  let parsed = parseIngredient(text || '');
+  // The piece word comes first ("2 cloves garlic") or last ("3 garlic
+  // cloves") - either way it's the unit, so both merge. "Last" is the end
+  // of the name, before any ", minced".
+  if (parsed.parsed && !parsed.unit) {
+    const [word, ...rest] = parsed.ingredient.split(/\s+/);
+    const [name, ...prep] = parsed.ingredient.split(',');
+    const nameWords = name.trim().split(/\s+/);
+    const last = nameWords[nameWords.length - 1];
+    if (countUnit(word) && rest.length > 0) {
+      parsed = { ...parsed, unit: word.toLowerCase(), ingredient: rest.join(' ') };
+    } else if (countUnit(last) && nameWords.length > 1) {
+      parsed = { ...parsed, unit: last.toLowerCase(), ingredient: [nameWords.slice(0, -1).join(' '), ...prep].join(',') };
+    }
+  }
+  const canonical = normalizeIngredient(parsed.ingredient || '', { partial: false });
+  const key = canonical || (text || '').toLowerCase().trim();
+  return { key, parsed, measure: getUnitMeasure(parsed.unit) };
+};
+
+/**
+ * Pick the unit a family total reads best in.
+ * Uses the largest unit any source used, as long as the total is at
+ * least one of it - otherwise steps down to a smaller source unit.
+ */
+const formatFamilyTotal = (total) => {
+  const units = [...total.units].sort((a, b) => b.factor - a.factor);
+  const chosen = units.find(u => total.base / u.factor >= 1) || units[units.length - 1];
+  return `${formatQuantity(total.base / chosen.factor)} ${chosen.unit}`;
+};
+
+/**
+ * Add a parsed line's quantity into a group's per-family totals.
+ * Lines with no quantity ("salt to taste") contribute nothing. Counts are
+ * kept per package/piece word, '' being a plain count.
+ */
+const addToTotals = (totals, { parsed, measure }) => {
+  if (!parsed.parsed || !parsed.quantity) return;
+
+  if (measure) {
+    const total = totals[measure.family] || (totals[measure.family] = { base: 0, units: [] });
+    total.base += parsed.quantity * measure.factor;
+    if (!total.units.some(u => u.factor === measure.factor)) {
+      total.units.push({ unit: parsed.unit, factor: measure.factor });
+    }
+  } else {
+    const counts = totals.count || (totals.count = {});
+    const unit = countUnit(parsed.unit) || (parsed.unit || '').toLowerCase();
+    counts[unit] = (counts[unit] || 0) + parsed.quantity;
+  }
+};
+
+/**
+ * Per-unit counts, e.g. "2 cans + 3". The plain count goes last so it
+ * reads straight into the name.
+ */
+const formatCounts = (counts) => Object.entries(counts)
+  .sort(([a], [b]) => (a === '') - (b === ''))
+  .map(([unit, quantity]) => {
+    if (!unit) return formatQuantity(quantity);
+    const word = quantity > 1 ? (COUNT_UNITS[unit] || unit) : unit;
+    return `${formatQuantity(quantity)} ${word}`;
+  })
+  .join(' + ');
+
+/**
+ * Format a group's combined amount, e.g. "1 ¼ cup" or "1 lb + 2".
+ * Returns '' when none of the sources had a usable quantity.
+ */
+const formatTotals = (totals) => {
+  return FAMILY_ORDER
+    .filter(family => totals[family])
+    .map(family => (family === 'count'
+      ? formatCounts(totals.count)
+      : formatFamilyTotal(totals[family])))
+    .filter(Boolean)
+    .join(' + ');
+};
+
+/**
+ * Combine grocery items that refer to the same ingredient.
+ *
+ * @param {Array} items - Stored grocery items ({ id, text, recipeTitle, checked, ... })
+ * @returns {Array} Combined rows in first-added order:
+ *   { key, name, text, amount, items, recipeTitles, checked }
+ *   `text` is what to show - the original line when a row has a single
+ *   source, otherwise the summed amount plus the canonical name.
+ */
+export const mergeGroceryItems = (items = []) => {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const line = parseGroceryLine(item.text);
+    let group = groups.get(line.key);
+    if (!group) {
+      group = { key: line.key, name: line.key, items: [], totals: {} };
+      groups.set(line.key, group);
+    }
+    group.items.push(item);
+    addToTotals(group.totals, line);
+  });
+
+  return Array.from(groups.values()).map(group => {
+    const amount = formatTotals(group.totals);
+    const recipeTitles = [...new Set(group.items.map(i => i.recipeTitle).filter(Boolean))];
+
+    let text;
+    if (group.items.length === 1) {
+      text = group.items[0].text;
+    } else {
+      text = amount ? `${amount} ${group.name}` : group.name;
+    }
+
+    return {
+      key: group.key,
+      name: group.name,
+      text,
+      amount,
+      items: group.items,
+      recipeTitles,
+      checked: group.items.every(i => i.checked),
+    };
+  });
+};
+
+export default {
+  countUnit,
+  parseGroceryLine,
+  mergeGroceryItems,
+};
@@ -0,0 +1,224 @@
+/**
+ * FILENAME: src/utils/pantry.js
+ * PURPOSE: Raw ingredients on hand, and taking them off the shopping list.
+ *
+ * The Fridge tab tracks cooked servings; the pantry tracks what they're
+ * cooked from. Entries are matched to grocery lines on the same canonical
+ * key the combined grocery view uses (see parseGroceryLine), so
+ * "2 cups all-purpose flour" on the list finds "flour" in the pantry.
+ *
+ * Pantry item shape:
+ *   { id, key, name, quantity, unit, expiresOn, addedAt }
+ *   quantity/unit are null for "have some" staples (salt, oil) - those
+ *   cover any amount. expiresOn is 'YYYY-MM-DD' or null.
+ */
+
+import { getUnitMeasure, formatQuantity } from './IngredientParser';
+import { parseGroceryLine, countUnit } from './groceryMerge';
+
+/**
+ * Today as 'YYYY-MM-DD' in local time, the format expiresOn uses
+ */
+export const todayString = () => {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Things every kitchen has - not worth shopping for or scoring a recipe on.
+// Canonical names from IngredientNormalizer, plus a few it doesn't map.
+const ALWAYS_ON_HAND = new Set([
+  'salt', 'black pepper', 'water', 'ice', 'oil',
+  'olive oil', 'vegetable oil', 'canola oil', 'cooking spray',
+]);
+
+/**
+ * Is this canonical ingredient a staple we assume is always there?
+ * Catches "boiling water", "ice water" etc. that normalize to themselves.
+ */
+export const isAlwaysOnHand = (key) =>
+  ALWAYS_ON_HAND.has(key) || /\bwater\b/.test(key || '');
+
+export const isExpired = (item, today = todayString()) =>
+  !!item.expiresOn && item.expiresOn < today;
+
+/**
+ * Days until an item expires (negative once it has), or null if no date
+ */
+export const daysUntilExpiry = (item, today = todayString()) => {
+  if (!item.expiresOn) return null;
+  const ms = new Date(`${item.expiresOn}T00:00:00`) - new Date(`${today}T00:00:00`);
+  return Math.round(ms / 86400000);
+};
+
+/**
+ * Turn a typed or bought line ("2 lb chicken breast", "salt") into the
+ * fields of a pantry item.
+ */
+export const parsePantryText = (text) => {
+  const { key, parsed } = parseGroceryLine(text);
+  const hasAmount = parsed.parsed && parsed.quantity > 0;
+  return {
+    key,
+    name: (hasAmount ? parsed.ingredient : (text || '')).trim(),
+    quantity: hasAmount ? parsed.quantity : null,
+    unit: hasAmount ? (parsed.unit || null) : null,
+  };
+};
+
+/**
+ * How a pantry item should read, e.g. "2 lb chicken breast"
+ */
+export const formatPantryItem = (item) => {
+  if (!item.quantity) return item.name;
+  const amount = formatQuantity(item.quantity);
+  return item.unit ? `${amount} ${item.unit} ${item.name}` : `${amount} ${item.name}`;
+};
+
+// Quantity in the family's base unit, for comparing and adding. Units
+// with no conversion ("cloves", "cans") are each a family of their own -
+// 2 cloves of garlic don't cover a head, and a bare count only a bare count.
+const toBase = (quantity, unit) => {
+  const measure = getUnitMeasure(unit);
+  if (measure) {
+    return { family: measure.family, base: quantity * measure.factor, factor: measure.factor };
+  }
+  const family = unit ? `count:${countUnit(unit) || unit.toLowerCase()}` : 'count';
+  return { family, base: quantity, factor: 1 };
+};
+
+/**
+ * Fold new lines into the pantry - bought groceries, or typed entries.
+ * A line for something already stocked tops that entry up when the units
+ * can be added (same family), otherwise the newer amount replaces it.
+ * Buying more also clears an old expiry date, since the fresh stock is
+ * what will be used.
+ *
+ * @param {Array} pantry - Current pantry items
+ * @param {Array} lines - [{ text, expiresOn? }]
+ * @returns {Array} Updated pantry
+ */
+export const addLinesToPantry = (pantry, lines) => {
+  const updated = [...pantry];
+
+  lines.forEach(({ text, expiresOn = null }) => {
+    if (!text || !text.trim()) return;
+    const entry = parsePantryText(text);
+    const index = updated.findIndex(item => item.key === entry.key);
+
+    if (index === -1) {
+      updated.push({
+        id: `${Date.now()}_${Math.random()}`,
+        ...entry,
+        expiresOn,
+        addedAt: new Date().toISOString(),
+      });
+      return;
+    }
+
+    const existing = updated[index];
+    let { quantity, unit } = entry;
+    if (existing.quantity && entry.quantity) {
+      const have = toBase(existing.quantity, existing.unit);
+      const adding = toBase(entry.quantity, entry.unit);
+      if (have.family === adding.family) {
+        // Keep the pantry's own unit so "2 lb" + "8 oz" reads "2 ½ lb"
+        quantity = (have.base + adding.base) / have.factor;
+        unit = existing.unit;
+      }
+    } else if (!entry.quantity) {
+      // "Have some" doesn't say how much - keep any amount we knew
+      quantity = existing.quantity;
+      unit = existing.unit;
+    }
+
+    updated[index] = {
+      ...existing,
+      quantity,
+      unit,
+      expiresOn,
+      addedAt: new Date().toISOString(),
+    };
+  });
+
+  return updated;
+};
+
+/**
+ * Take what's already in the pantry off a set of grocery lines.
+ * Stock is used up as it's matched, so two recipes that each need
+ * 1 cup of flour against 1 ½ cups on hand leave ½ cup to buy. Expired
+ * items don't count. A line whose units can't be compared with the
+ * stock (pantry "2 onions", recipe "1 cup chopped onion") stays as is -
+ * better an extra onion than none.
+ *
+ * @param {Array} items - Lines to buy, each with at least { text }
+ * @param {Array} pantry - Pantry items
+ * @returns {{ items: Array, covered: Array, reduced: number }}
+ *   items: lines still to buy (text rewritten when only partly covered)
+ *   covered: lines dropped entirely because the pantry has them
+ */
+export const subtractPantry = (items, pantry, today = todayString()) => {
+  const stock = new Map();
+  pantry.filter(item => !isExpired(item, today)).forEach(item => {
+    const entry = stock.get(item.key) || { unlimited: false, amounts: {} };
+    if (!item.quantity) {
+      entry.unlimited = true;
+    } else {
+      const { family, base } = toBase(item.quantity, item.unit);
+      entry.amounts[family] = (entry.amounts[family] || 0) + base;
+    }
+    stock.set(item.key, entry);
+  });
+
+  const toBuy = [];
+  const covered = [];
+  let reduced = 0;
+
+  items.forEach(item => {
+    const { key, parsed } = parseGroceryLine(item.text);
+    const entry = stock.get(key);
+    if (!entry) {
+      toBuy.push(item);
+      return;
+    }
+    if (entry.unlimited || !parsed.parsed || !parsed.quantity) {
+      // A staple we always have, or a line with no amount ("pepper to taste")
+      covered.push(item);
+      return;
+    }
+
+    const need = toBase(parsed.quantity, parsed.unit);
+    const have = entry.amounts[need.family];
+    if (have === undefined) {
+      toBuy.push(item);
+      return;
+    }
+    if (have >= need.base) {
+      entry.amounts[need.family] = have - need.base;
+      covered.push(item);
+      return;
+    }
+
+    entry.amounts[need.family] = 0;
+    const left = formatQuantity((need.base - have) / need.factor);
+    const text = parsed.unit
+      ? `${left} ${parsed.unit} ${parsed.ingredient}`
+      : `${left} ${parsed.ingredient}`;
+    toBuy.push({ ...item, text });
+    reduced++;
+  });
+
+  return { items: toBuy, covered, reduced };
+};
+
+export default {
+  todayString,
+  isAlwaysOnHand,
+  isExpired,
+  daysUntilExpiry,
+  parsePantryText,
+  formatPantryItem,
+  addLinesToPantry,
+  subtractPantry,
+};
@@ -0,0 +1,211 @@
+/**
+ * FILENAME: src/utils/recipeMerge.js
+ * PURPOSE: Three-way merge of an imported recipe when its owner updates it
+ * USED BY: useRecipes (owner update checks), RecipeMerge (review screen)
+ *
+ * base   = the owner's version we imported (originalRecipe)
+ * ours   = our edited copy, or one of our variants
+ * theirs = the owner's new version (pendingOriginal)
+ *
+ * Ingredients and instructions merge line by line, diff3 style: runs of
+ * lines only one side touched take that side's lines; runs both sides
+ * changed differently are conflicts for the user to resolve. Title and
+ * photo merge as single values the same way.
+ */
+
+import { diffLines, ingredientLines, instructionLines } from './recipeRevisions';
+
+// Fields the owner's version carries (see refreshOriginalFromOwner)
+const MERGE_FIELDS = ['title', 'image_url', 'ingredients', 'instructions'];
+
+const sameJSON = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const sameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i]);
+
+/**
+ * Does a copy differ from the version it was imported from?
+ * @param {Object} content - Recipe or variant edits
+ * @param {Object} base - originalRecipe
+ */
+export const differsFromBase = (content, base) =>
+  MERGE_FIELDS.some(field => content?.[field] !== undefined && !sameJSON(content[field], base?.[field]));
+
+/**
+ * For each line of `from`, the index of the same line in `to` (-1 if the
+ * line isn't kept)
+ */
+const matchLines = (from, to) => {
+  const matches = new Array(from.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  diffLines(from, to).forEach(line => {
+    if (line.type === 'same') matches[i++] = j++;
+    else if (line.type === 'removed') i++;
+    else j++;
+  });
+  return matches;
+};
+
+/**
+ * Line-level three-way merge
+ * @param {string[]} base
+ * @param {string[]} ours
+ * @param {string[]} theirs
+ * @returns {Array} Chunks, in order: {type: 'ok', lines, from: 'base'|'ours'|'theirs'|'both'}
+ *   or {type: 'conflict', base, ours, theirs}
+ */
+export const mergeLines = (base, ours, theirs) => {
+  const toOurs = matchLines(base, ours);
+  const toTheirs = matchLines(base, theirs);
+  const chunks = [];
+
+  const pushOk = (lines, from) => {
+    if (lines.length === 0) return;
+    const last = chunks[chunks.length - 1];
+    if (last?.type === 'ok' && last.from === from) last.lines.push(...lines);
+    else chunks.push({ type: 'ok', lines: [...lines], from });
+  };
+
+  // Lines between stable anchors (base lines both sides kept)
+  const mergeRegion = (baseRun, oursRun, theirsRun) => {
+    if (sameLines(oursRun, baseRun)) pushOk(theirsRun, 'theirs');
+    else if (sameLines(theirsRun, baseRun)) pushOk(oursRun, 'ours');
+    else if (sameLines(oursRun, theirsRun)) pushOk(oursRun, 'both');
+    else chunks.push({ type: 'conflict', base: baseRun, ours: oursRun, theirs: theirsRun });
+  };
+
+  let i = 0;
+  let a = 0;
+  let b = 0;
+  for (let j = 0; j < base.length; j++) {
+    if (toOurs[j] === -1 || toTheirs[j] === -1) continue;
+    mergeRegion(base.slice(i, j), ours.slice(a, toOurs[j]), theirs.slice(b, toTheirs[j]));
+    pushOk([base[j]], 'base');
+    i = j + 1;
+    a = toOurs[j] + 1;
+    b = toTheirs[j] + 1;
+  }
+  mergeRegion(base.slice(i), ours.slice(a), theirs.slice(b));
+
+  return chunks;
+};
+
+// Single values (title, photo): whoever changed it wins; both -> conflict
+const mergeValue = (base, ours, theirs) => {
+  if (sameJSON(ours, base)) return { value: theirs };
+  if (sameJSON(theirs, base) || sameJSON(ours, theirs)) return { value: ours };
+  return { conflict: { base, ours, theirs } };
+};
+
+/**
+ * Ingredient lines (from ingredientLines) back to { section: [items] }
+ */
+export const linesToIngredients = (lines) => {
+  const sections = {};
+  let current = 'main';
+  lines.forEach(line => {
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      current = header[1];
+      sections[current] = sections[current] || [];
+    } else {
+      (sections[current] = sections[current] || []).push(line);
+    }
+  });
+  return Object.keys(sections).length > 0 ? sections : { main: [] };
+};
+
+/**
+ * Merge one copy (our edits or a variant) with the owner's update
+ * @param {Object} base - originalRecipe
+ * @param {Object} ours - Our content; missing fields count as unchanged
+ * @param {Object} theirs - The owner's new version
+ * @returns {{title, image_url, ingredients: Array, instructions: Array,
+ *   conflicts: number, ownerChanges: number}} Chunks per list field,
+ *   {value}|{conflict} per single field
+ */
+export const mergeRecipe = (base, ours, theirs) => {
+  const pick = (field) => (ours?.[field] !== undefined ? ours[field] : base?.[field]);
+
+  const title = mergeValue(base?.title ?? null, pick('title') ?? null, theirs?.title ?? null);
+  const image_url = mergeValue(base?.image_url ?? null, pick('image_url') ?? null, theirs?.image_url ?? null);
+  const ingredients = mergeLines(
+    ingredientLines(base?.ingredients),
+    ingredientLines(pick('ingredients')),
+    ingredientLines(theirs?.ingredients)
+  );
+  const instructions = mergeLines(
+    instructionLines(base?.instructions),
+    instructionLines(pick('instructions')),
+    instructionLines(theirs?.instructions)
+  );
+
+  const listConflicts = [...ingredients, ...instructions].filter(c => c.type === 'conflict').length;
+  const ownerChanges = [...ingredients, ...instructions].filter(c => c.type === 'ok' && c.from === 'theirs').length +
+    (!title.conflict && !sameJSON(title.value, pick('title') ?? null) ? 1 : 0) +
+    (!image_url.conflict && !sameJSON(image_url.value, pick('image_url') ?? null) ? 1 : 0);
+
+  return {
+    title,
+    image_url,
+    ingredients,
+    instructions,
+    conflicts: listConflicts + (title.conflict ? 1 : 0) + (image_url.conflict ? 1 : 0),
+    ownerChanges,
+  };
+};
+
+/**
+ * Apply the user's conflict choices
+ * @param {Object} merge - From mergeRecipe
+ * @param {Object} choices - 'ours' | 'theirs' | 'both' keyed by conflict key:
+ *   'title', 'image_url', 'ingredients:<chunk index>', 'instructions:<chunk index>'
+ * @returns {Object|null} {title, image_url, ingredients, instructions}, or
+ *   null while a conflict is unresolved
+ */
+export const resolveMerge = (merge, choices = {}) => {
+  const resolveValue = (key) => {
+    const field = merge[key];
+    if (!field.conflict) return field.value;
+    const choice = choices[key];
+    if (!choice) return undefined;
+    return choice === 'theirs' ? field.conflict.theirs : field.conflict.ours;
+  };
+
+  const resolveLines = (key) => {
+    const lines = [];
+    for (let index = 0; index < merge[key].length; index++) {
+      const chunk = merge[key][index];
+      if (chunk.type === 'ok') {
+        lines.push(...chunk.lines);
+        continue;
+      }
+      const choice = choices[`${key}:${index}`];
+      if (!choice) return null;
+      if (choice === 'ours' || choice === 'both') lines.push(...chunk.ours);
+      if (choice === 'theirs' || choice === 'both') lines.push(...chunk.theirs);
+    }
+    return lines;
+  };
+
+  const title = resolveValue('title');
+  const image_url = resolveValue('image_url');
+  const ingredients = resolveLines('ingredients');
+  const instructions = resolveLines('instructions');
+  if (title === undefined || image_url === undefined || !ingredients || !instructions) return null;
+
+  return {
+    title,
+    image_url,
+    ingredients: linesToIngredients(ingredients),
+    instructions,
+  };
+};
+
+export default {
+  differsFromBase,
+  mergeLines,
+  linesToIngredients,
+  mergeRecipe,
+  resolveMerge,
+};
@@ -0,0 +1,285 @@
+/**
+ * FILENAME: src/utils/recipeRevisions.js
+ * PURPOSE: Recipe revision history - the recipe's content after each edit,
+ * line diffs between any two of them
+ * USED BY: useRecipes (updateRecipe, restoreRecipeRevision),
+ * RecipeHistory (history screen in RecipeDetail)
+ *
+ * Revisions live in the recipe's existing `editHistory` array, so they
+ * sync with the recipe (recipes.edit_history, user_recipes_v2.local_edits).
+ * Each entry is { id, timestamp, description, changes } where changes
+ * holds only the content fields that edit changed - the oldest revision
+ * holds them all. The history is copied into several rows and synced on
+ * every save, so it mustn't carry a whole recipe per edit. getRevisions
+ * rebuilds each revision's full snapshot. Entries written before revisions
+ * existed have neither - they're listed but can't be diffed or restored;
+ * ones from before diffs carry a full `snapshot` instead of changes.
+ */
+
+// Content a revision captures - same fields as originalRecipe
+export const REVISION_FIELDS = [
+  'title',
+  'ingredients',
+  'instructions',
+  'prep_time',
+  'cook_time',
+  'total_time',
+  'servings',
+  'nutrition',
+  'image_url',
+];
+
+// Keep the content of the newest this many, older entries stay in the
+// list as plain descriptions
+export const MAX_REVISIONS = 50;
+
+/**
+ * Are two field values the same (deep, missing = null)?
+ * @returns {boolean}
+ */
+export const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const hasContent = (entry) => !!(entry?.snapshot || entry?.changes);
+
+// Full snapshot after each entry (null where it has no content), in order
+const rebuildSnapshots = (editHistory) => {
+  let current = null;
+  return editHistory.map(entry => {
+    if (entry.snapshot) {
+      current = entry.snapshot;
+    } else if (entry.changes && current) {
+      current = { ...current, ...entry.changes };
+    } else if (entry.changes) {
+      current = { ...entry.changes };
+    } else {
+      return null;
+    }
+    return current;
+  });
+};
+
+/**
+ * Copy a recipe's content fields
+ * @param {Object} recipe
+ * @returns {Object}
+ */
+export const snapshotRecipe = (recipe) => {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = recipe?.[field] ?? null;
+  });
+  return snapshot;
+};
+
+const newRevisionId = () => `rev-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+/**
+ * Append a revision for an edit
+ * @param {Array} editHistory - The recipe's current editHistory
+ * @param {Object} recipe - Recipe as saved by this edit
+ * @param {string} description - What changed
+ * @param {Object} [priorRecipe] - Recipe before the edit. When no earlier
+ *   entry has content, the pre-edit state is stored first as a baseline
+ *   so the first edit has something to diff against.
+ * @returns {Array} New editHistory
+ */
+export const addRevision = (editHistory = [], recipe, description, priorRecipe = null) => {
+  const now = Date.now();
+  const history = [...editHistory];
+
+  if (priorRecipe && !history.some(hasContent)) {
+    history.push({
+      id: newRevisionId(),
+      timestamp: priorRecipe.updatedAt || priorRecipe.createdAt || now - 1,
+      description: priorRecipe.hasEdits ? 'Before revision history' : 'Original',
+      changes: snapshotRecipe(priorRecipe),
+    });
+  }
+
+  const snapshots = rebuildSnapshots(history);
+  const previous = [...snapshots].reverse().find(Boolean);
+  const snapshot = snapshotRecipe(recipe);
+  const changes = {};
+  REVISION_FIELDS.forEach(field => {
+    if (!previous || !sameValue(previous[field], snapshot[field])) changes[field] = snapshot[field];
+  });
+
+  history.push({
+    id: newRevisionId(),
+    timestamp: now,
+    description: description || 'Recipe modified',
+    changes,
+  });
+  snapshots.push({ ...(previous || {}), ...changes });
+
+  // Drop content past the cap, oldest first. The oldest one kept takes
+  // the full snapshot, since the entries it built on are gone.
+  let kept = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (!hasContent(history[i])) continue;
+    kept++;
+    const { snapshot: _snapshot, changes: _changes, ...entry } = history[i];
+    if (kept > MAX_REVISIONS) {
+      history[i] = entry;
+    } else if (kept === MAX_REVISIONS) {
+      history[i] = { ...entry, changes: snapshots[i] };
+    }
+  }
+
+  return history;
+};
+
+/**
+ * Revisions that can be diffed and restored, newest first
+ * @param {Object} recipe
+ * @returns {Array<{id, timestamp, description, snapshot}>} snapshot is the
+ *   recipe's full content after that edit
+ */
+export const getRevisions = (recipe) => {
+  const history = recipe?.editHistory || [];
+  const snapshots = rebuildSnapshots(history);
+  return history
+    .map((entry, index) => {
+      if (!snapshots[index]) return null;
+      const { changes: _changes, ...rest } = entry;
+      return { ...rest, id: entry.id || `rev-legacy-${index}`, snapshot: snapshots[index] };
+    })
+    .filter(Boolean)
+    .reverse();
+};
+
+const itemText = (item) => {
+  if (item == null) return '';
+  if (typeof item === 'string') return item.trim();
+  if (typeof item === 'object') return String(item.text || item.name || item.original || JSON.stringify(item)).trim();
+  return String(item).trim();
+};
+
+const parseMaybeJSON = (value) => {
+  if (typeof value !== 'string') return value;
+  const trimmed = value.trim();
+  if (!trimmed.startsWith('[') && !trimmed.startsWith('{')) return value;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * Ingredients (any stored shape) as display lines. Named sections get a
+ * header line so moving an item between sections shows up in the diff.
+ * @returns {string[]}
+ */
+export const ingredientLines = (ingredients) => {
+  const value = parseMaybeJSON(ingredients);
+  if (!value) return [];
+  if (typeof value === 'string') return value.split('\n').map(l => l.trim()).filter(Boolean);
+  if (Array.isArray(value)) return value.map(itemText).filter(Boolean);
+
+  const sections = Object.entries(value);
+  return sections.flatMap(([section, items]) => {
+    const lines = ingredientLines(items);
+    return sections.length > 1 || section !== 'main' ? [`[${section}]`, ...lines] : lines;
+  });
+};
+
+/**
+ * Instructions (any stored shape) as display lines, one per step
+ * @returns {string[]}
+ */
+export const instructionLines = (instructions) => {
+  const value = parseMaybeJSON(instructions);
+  if (!value) return [];
+  if (typeof value === 'string') return value.split('\n').map(l => l.trim()).filter(Boolean);
+  if (Array.isArray(value)) return value.map(itemText).filter(Boolean);
+  return [];
+};
+
+/**
+ * Line-level diff (longest common subsequence)
+ * @param {string[]} before
+ * @param {string[]} after
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+export const diffLines = (before = [], after = []) => {
+  const n = before.length;
+  const m = after.length;
+  // lcs[i][j] = common length of before[i..] and after[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = before[i] === after[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (before[i] === after[j]) {
+      result.push({ type: 'same', text: before[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      result.push({ type: 'removed', text: before[i++] });
+    } else {
+      result.push({ type: 'added', text: after[j++] });
+    }
+  }
+  while (i < n) result.push({ type: 'removed', text: before[i++] });
+  while (j < m) result.push({ type: 'added', text: after[j++] });
+  return result;
+};
+
+const FIELD_LABELS = {
+  prep_time: 'Prep time',
+  cook_time: 'Cook time',
+  total_time: 'Total time',
+  servings: 'Servings',
+  image_url: 'Photo',
+  nutrition: 'Nutrition',
+};
+
+/**
+ * Everything that differs between two snapshots
+ * @param {Object} older - Snapshot
+ * @param {Object} newer - Snapshot
+ * @returns {{title: {before, after}|null, ingredients: Array, instructions: Array,
+ *   fields: Array<{label, before, after}>, changed: boolean}}
+ */
+export const diffRevisions = (older, newer) => {
+  const title = (older?.title || '') !== (newer?.title || '')
+    ? { before: older?.title || '', after: newer?.title || '' }
+    : null;
+  const ingredients = diffLines(ingredientLines(older?.ingredients), ingredientLines(newer?.ingredients));
+  const instructions = diffLines(instructionLines(older?.instructions), instructionLines(newer?.instructions));
+  const fields = Object.keys(FIELD_LABELS)
+    .filter(field => JSON.stringify(older?.[field] ?? null) !== JSON.stringify(newer?.[field] ?? null))
+    .map(field => ({
+      label: FIELD_LABELS[field],
+      before: field === 'nutrition' || field === 'image_url' ? null : older?.[field] ?? null,
+      after: field === 'nutrition' || field === 'image_url' ? null : newer?.[field] ?? null,
+    }));
+
+  const changed = !!title || fields.length > 0 ||
+    ingredients.some(line => line.type !== 'same') ||
+    instructions.some(line => line.type !== 'same');
+
+  return { title, ingredients, instructions, fields, changed };
+};
+
+export default {
+  REVISION_FIELDS,
+  MAX_REVISIONS,
+  sameValue,
+  snapshotRecipe,
+  addRevision,
+  getRevisions,
+  ingredientLines,
+  instructionLines,
+  diffLines,
+  diffRevisions,
+};
@@ -0,0 +1,191 @@
+/**
+ * FILENAME: src/utils/recipeSync.js
+ * PURPOSE: Per-field change tracking for recipes, so sync can merge edits
+ * made on different devices field by field
+ * USED BY: useRecipes (stamps every local change), syncRecipes in
+ * services/supabase/database.js (merges), SyncConflicts (resolution)
+ *
+ * Every recipe carries `fieldUpdatedAt: { [field]: timestamp }` for the
+ * fields in SYNC_FIELDS. When both devices changed a recipe, each field is
+ * taken from the side that changed it last. If both sides changed the same
+ * field since this device last synced, that's a conflict: the newer value
+ * is kept for now and both values are recorded in `syncConflicts` for the
+ * user to choose between. syncConflicts never leaves the device.
+ */
+
+// Fields merged individually. Anything else follows the newer record.
+export const SYNC_FIELDS = [
+  'title',
+  'ingredients',
+  'instructions',
+  'notes',
+  'image_url',
+  'prep_time',
+  'cook_time',
+  'total_time',
+  'servings',
+  'nutrition',
+  'tags',
+  'folder',
+  'folders',
+  'isFavorite',
+  'isPrivate',
+  'variants',
+  'selectedVariantId',
+  'publishedVariantId',
+];
+
+// Recipe content - user_recipes_v2 keeps edits to these in local_edits for
+// recipes whose base content lives in global_recipes
+export const CONTENT_FIELDS = [
+  'title',
+  'ingredients',
+  'instructions',
+  'image_url',
+  'prep_time',
+  'cook_time',
+  'total_time',
+  'servings',
+  'nutrition',
+];
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * When a field last changed - falls back to the whole record's time for
+ * recipes saved before fields were tracked
+ */
+export const fieldTime = (recipe, field) =>
+  recipe?.fieldUpdatedAt?.[field] || recipe?.updatedAt || recipe?.createdAt || 0;
+
+/**
+ * Stamp the fields that differ between two versions of a recipe
+ * @param {Object|undefined} prior - Version before the change
+ * @param {Object} next - Version after it
+ * @param {number} [now]
+ * @returns {Object} next, with fieldUpdatedAt updated (same object if
+ *   nothing tracked changed)
+ */
+export const stampFieldChanges = (prior, next, now = Date.now()) => {
+  if (!prior || prior === next) return next;
+  const changed = SYNC_FIELDS.filter(field => !sameValue(prior[field], next[field]));
+  if (changed.length === 0) return next;
+
+  // Newest stamp per field - `next` is often built from a stale display
+  // copy (selectedRecipe) whose stamps lag behind the stored recipe
+  const fieldUpdatedAt = { ...(prior.fieldUpdatedAt || {}) };
+  Object.entries(next.fieldUpdatedAt || {}).forEach(([field, at]) => {
+    fieldUpdatedAt[field] = Math.max(fieldUpdatedAt[field] || 0, at);
+  });
+  changed.forEach(field => { fieldUpdatedAt[field] = now; });
+  return { ...next, fieldUpdatedAt };
+};
+
+/**
+ * stampFieldChanges for a whole list, matching recipes by id
+ * @param {Array} priorRecipes
+ * @param {Array} nextRecipes
+ * @returns {Array}
+ */
+export const stampRecipeChanges = (priorRecipes, nextRecipes) => {
+  const priorById = new Map(priorRecipes.map(r => [r.id, r]));
+  const now = Date.now();
+  return nextRecipes.map(recipe => stampFieldChanges(priorById.get(recipe.id), recipe, now));
+};
+
+/**
+ * Merge two copies of one recipe field by field
+ * @param {Object} local - This device's copy
+ * @param {Object} remote - The database copy
+ * @param {number} lastSyncAt - When this device last synced
+ * @returns {{recipe: Object, conflicts: Array, localWins: boolean}} localWins
+ *   is true when the merged recipe has local values the database lacks
+ */
+export const mergeRecipeFields = (local, remote, lastSyncAt = 0) => {
+  const localTime = local.updatedAt || local.createdAt || 0;
+  const remoteTime = remote.updatedAt || remote.createdAt || 0;
+  // Untracked fields follow the newer copy; keys only this device has
+  // (owner tracking, pending merges...) survive either way
+  const merged = localTime > remoteTime ? { ...remote, ...local } : { ...local, ...remote };
+  merged.updatedAt = Math.max(localTime, remoteTime);
+  const fieldUpdatedAt = {};
+  const conflicts = [];
+  let localWins = false;
+
+  SYNC_FIELDS.forEach(field => {
+    const localValue = local[field];
+    const remoteValue = remote[field];
+    const localAt = fieldTime(local, field);
+    const remoteAt = fieldTime(remote, field);
+    const stamped = Math.max(local.fieldUpdatedAt?.[field] || 0, remote.fieldUpdatedAt?.[field] || 0);
+    if (stamped) fieldUpdatedAt[field] = stamped;
+
+    // The database copy doesn't carry every field; keep ours
+    if (remoteValue === undefined || sameValue(localValue, remoteValue)) {
+      if (localValue !== undefined) merged[field] = localValue;
+      return;
+    }
+
+    const useLocal = localAt >= remoteAt;
+    merged[field] = useLocal ? localValue : remoteValue;
+    if (useLocal) localWins = true;
+
+    // Only explicit stamps can show that both sides edited since the last
+    // sync - record times alone would flag every old difference
+    const bothChanged =
+      local.fieldUpdatedAt?.[field] > lastSyncAt &&
+      remote.fieldUpdatedAt?.[field] > lastSyncAt &&
+      local.fieldUpdatedAt[field] !== remote.fieldUpdatedAt[field];
+    if (bothChanged) {
+      conflicts.push({ field, local: localValue, remote: remoteValue, localAt, remoteAt });
+    }
+  });
+
+  // Conflicts from earlier syncs the user hasn't resolved yet. A field
+  // edited again since (on either device) settled its own conflict - the
+  // choice would put back a value older than the one now kept.
+  const earlier = (local.syncConflicts || []).filter(c =>
+    !conflicts.some(n => n.field === c.field) &&
+    !((fieldUpdatedAt[c.field] || 0) > Math.max(c.localAt || 0, c.remoteAt || 0)));
+  const syncConflicts = [...earlier, ...conflicts];
+
+  merged.fieldUpdatedAt = fieldUpdatedAt;
+  merged.syncConflicts = syncConflicts.length > 0 ? syncConflicts : undefined;
+  return { recipe: merged, conflicts, localWins };
+};
+
+/**
+ * Apply the user's picks for a recipe's sync conflicts
+ * @param {Object} recipe
+ * @param {Object} choices - { [field]: 'local' | 'remote' }
+ * @returns {Object} Recipe with the chosen values stamped as the newest
+ *   change, so they win the next sync on every device
+ */
+export const resolveSyncConflicts = (recipe, choices) => {
+  const now = Date.now();
+  const resolved = { ...recipe, fieldUpdatedAt: { ...(recipe.fieldUpdatedAt || {}) }, updatedAt: now };
+  const remaining = [];
+
+  (recipe.syncConflicts || []).forEach(conflict => {
+    const choice = choices[conflict.field];
+    if (!choice) {
+      remaining.push(conflict);
+      return;
+    }
+    resolved[conflict.field] = choice === 'remote' ? conflict.remote : conflict.local;
+    resolved.fieldUpdatedAt[conflict.field] = now;
+  });
+
+  resolved.syncConflicts = remaining.length > 0 ? remaining : undefined;
+  return resolved;
+};
+
+export default {
+  SYNC_FIELDS,
+  CONTENT_FIELDS,
+  fieldTime,
+  stampFieldChanges,
+  stampRecipeChanges,
+  mergeRecipeFields,
+  resolveSyncConflicts,
+};
@@ -0,0 +1,127 @@
+/**
+ * FILENAME: src/utils/recipeVariants.js
+ * PURPOSE: Recipe variants as whole versions - resolve a variant's content,
+ * compare any two, and pick the one shown on the owner's public profile
+ * USED BY: useRecipes (variant details, publishing), RecipeVariants (compare
+ * screen), saveToUserRecipesV2 and the public profile/feed readers
+ *
+ * A variant is { id, name, edits, rating, createdAt, sharedBy } where edits
+ * holds only what the variant changes - title, ingredients, instructions,
+ * and its own notes and photo. Everything else comes from the recipe, which
+ * is itself the base version (id null). rating is 1-5 or null.
+ *
+ * recipe.publishedVariantId picks the version other people see. It's
+ * resolved when the recipe is saved and stored in
+ * user_recipes_v2.local_edits.published, so profile readers don't need to
+ * know about variants - or fetch the rest of local_edits.
+ */
+
+import { snapshotRecipe, diffRevisions } from './recipeRevisions';
+
+export const BASE_VERSION_ID = null;
+
+// Per-variant fields kept in edits alongside the content changes
+export const VARIANT_DETAIL_FIELDS = ['notes', 'image_url'];
+
+/**
+ * @param {Object} recipe
+ * @param {string|null} variantId
+ * @returns {Object|null}
+ */
+export const findVariant = (recipe, variantId) =>
+  (variantId ? (recipe?.variants || []).find(v => v.id === variantId) || null : null);
+
+/**
+ * Full content of one version of a recipe
+ * @param {Object} recipe
+ * @param {string|null} variantId - null for the base recipe
+ * @returns {Object} REVISION_FIELDS plus notes
+ */
+export const variantContent = (recipe, variantId = BASE_VERSION_ID) => {
+  const content = {
+    ...snapshotRecipe(recipe),
+    image_url: recipe?.image_url || recipe?.imageUrl || null,
+    notes: recipe?.notes || null,
+  };
+  const variant = findVariant(recipe, variantId);
+  Object.entries(variant?.edits || {}).forEach(([field, value]) => {
+    if (value !== undefined) content[field] = value;
+  });
+  return content;
+};
+
+/**
+ * The base recipe and its variants, in picker order
+ * @param {Object} recipe
+ * @returns {Array<{id, name, variant}>}
+ */
+export const listVersions = (recipe) => [
+  { id: BASE_VERSION_ID, name: 'Original', variant: null },
+  ...(recipe?.variants || []).map(variant => ({ id: variant.id, name: variant.name, variant })),
+];
+
+/**
+ * Line diff between two versions of a recipe
+ * @param {Object} recipe
+ * @param {string|null} fromId
+ * @param {string|null} toId
+ * @returns {Object} diffRevisions' result plus notes: {before, after}|null
+ */
+export const compareVariants = (recipe, fromId, toId) => {
+  const from = variantContent(recipe, fromId);
+  const to = variantContent(recipe, toId);
+  const diff = diffRevisions(from, to);
+  const notes = (from.notes || '') !== (to.notes || '')
+    ? { before: from.notes || '', after: to.notes || '' }
+    : null;
+  return { ...diff, notes, changed: diff.changed || !!notes };
+};
+
+/**
+ * What a recipe shows other people, when a variant is published
+ * @param {Object} recipe
+ * @returns {Object|null} { variantId, name, title, image_url, ingredients,
+ *   instructions, notes }, or null to show the base recipe
+ */
+export const publishedVersion = (recipe) => {
+  const variant = findVariant(recipe, recipe?.publishedVariantId);
+  if (!variant) return null;
+  const content = variantContent(recipe, variant.id);
+  return {
+    variantId: variant.id,
+    name: variant.name,
+    title: content.title,
+    image_url: content.image_url,
+    ingredients: content.ingredients,
+    instructions: content.instructions,
+    notes: content.notes,
+  };
+};
+
+/**
+ * A user_recipes_v2 row's own content with its published variant on top.
+ * Readers select only `published:local_edits->published` - the rest of
+ * local_edits (revision history, unpublished variants, sync bookkeeping)
+ * is the owner's and shouldn't go to other people.
+ * @param {Object} row - Needs local_recipe_data and published
+ * @returns {Object}
+ */
+export const publicRowContent = (row) => {
+  const { variantId, name, ...published } = row?.published || {};
+  const content = { ...(row?.local_recipe_data || {}) };
+  Object.entries(published).forEach(([field, value]) => {
+    if (value !== null && value !== undefined) content[field] = value;
+  });
+  return content;
+};
+
+export default {
+  BASE_VERSION_ID,
+  VARIANT_DETAIL_FIELDS,
+  findVariant,
+  variantContent,
+  listVersions,
+  compareVariants,
+  publishedVersion,
+  publicRowContent,
+};
@@ -0,0 +1,126 @@
+/**
+ * FILENAME: src/utils/stepIngredients.js
+ * PURPOSE: Work out which ingredients each instruction step uses, so Cook
+ * Mode can show "2 cloves garlic" on the step that says "add the garlic".
+ *
+ * Each ingredient line is parsed (parseRecipeIngredients) and reduced to
+ * its name (normalizeIngredient, exact matches only - a partial match
+ * would make "garlic powder" garlic), then looked for in the step text by
+ * that full name, its known variations and its shorter endings ("red bell
+ * pepper" is also "bell pepper"). The one single word that counts is the
+ * last one, the thing the ingredient is ("olive oil" is what "heat the
+ * oil" means, "chicken broth" what "add the broth" means), and only when
+ * no other ingredient in the recipe uses that word. The words in front of
+ * it never link on their own: "the chicken" isn't the chicken broth, nor
+ * "the peanuts" the peanut butter. Where matches overlap, the longer one
+ * wins: "bell pepper" in a step is the bell pepper, not the black pepper.
+ */
+
+import { parseRecipeIngredients } from './IngredientParser';
+import { normalizeIngredient, getIngredientVariations } from './IngredientNormalizer';
+
+// Too vague to identify an ingredient on their own, even as its last word
+const GENERIC_WORDS = new Set([
+  'powder', 'paste', 'leaves', 'seed', 'seeds', 'mix', 'extract', 'zest', 'flakes',
+]);
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match the term as whole words, singular or plural ("tomato"/"tomatoes")
+const termPattern = (term) => {
+  const stem = term.replace(/(?:es|s)$/, '');
+  const base = stem.length >= 3 ? stem : term;
+  return new RegExp(`\\b${escapeRegExp(base).replace(/\s+/g, '\\s+')}(?:s|es)?\\b`, 'gi');
+};
+
+// Every [start, end) where any of the patterns matches
+const findSpans = (patterns, text) => {
+  const spans = [];
+  patterns.forEach(pattern => {
+    pattern.lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      spans.push([match.index, match.index + match[0].length]);
+    }
+  });
+  return spans;
+};
+
+const itemText = (item) => {
+  if (typeof item === 'string') return item;
+  return item?.original || item?.text || '';
+};
+
+/**
+ * Link each step to the ingredient rows it mentions.
+ * Row keys are `${section}-${index}`, the same keys Cook Mode checks off.
+ *
+ * @param {Object} ingredients - Ingredient sections, { main: [...], ... }
+ * @param {Array<string>} steps - Instruction steps
+ * @returns {Array<Array<string>>} Row keys used by each step, in list order
+ */
+export const linkStepIngredients = (ingredients, steps) => {
+  if (!Array.isArray(steps)) return [];
+  if (!ingredients) return steps.map(() => []);
+
+  // Parse from text so display strings and stored objects go the same way
+  const textSections = {};
+  Object.entries(ingredients).forEach(([section, items]) => {
+    textSections[section] = (Array.isArray(items) ? items : []).map(itemText);
+  });
+  const parsed = parseRecipeIngredients(textSections);
+
+  const rows = [];
+  Object.entries(parsed).forEach(([section, items]) => {
+    items.forEach((item, idx) => {
+      if (!item.original) return;
+      const canonical = normalizeIngredient(item.ingredient || item.original, { partial: false });
+      if (!canonical || canonical.length < 3) return;
+      rows.push({ key: `${section}-${idx}`, canonical });
+    });
+  });
+
+  // How many rows use each word
+  const wordCounts = new Map();
+  rows.forEach(row => {
+    new Set(row.canonical.split(' ')).forEach(word => {
+      wordCounts.set(word, (wordCounts.get(word) || 0) + 1);
+    });
+  });
+
+  const matchers = rows.map(row => {
+    const terms = new Set([row.canonical, ...getIngredientVariations(row.canonical)]);
+    const words = row.canonical.split(' ');
+    if (words.length > 1) {
+      for (let i = 1; i < words.length - 1; i++) {
+        terms.add(words.slice(i).join(' '));
+      }
+      const last = words[words.length - 1];
+      if (last.length >= 3 && !GENERIC_WORDS.has(last) && wordCounts.get(last) === 1) {
+        terms.add(last);
+      }
+    }
+    return { key: row.key, patterns: [...terms].map(termPattern) };
+  });
+
+  return steps.map(step => {
+    const text = typeof step === 'string' ? step : '';
+    const found = matchers
+      .map(matcher => ({ key: matcher.key, spans: findSpans(matcher.patterns, text) }))
+      .filter(entry => entry.spans.length > 0);
+
+    // Keep a row if at least one of its matches isn't just part of a
+    // longer match for a different row
+    const insideLonger = ([start, end], key) => found.some(other =>
+      other.key !== key && other.spans.some(([s, e]) =>
+        s <= start && e >= end && e - s > end - start));
+
+    return found
+      .filter(entry => entry.spans.some(span => !insideLonger(span, entry.key)))
+      .map(entry => entry.key);
+  });
+};
+
+export default {
+  linkStepIngredients,
+};
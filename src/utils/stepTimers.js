@@ -0,0 +1,88 @@
+/**
+ * FILENAME: src/utils/stepTimers.js
+ * PURPOSE: Find timer-worthy durations in recipe steps ("simmer 20 minutes").
+ *
+ * Minute/hour phrases are converted with parseDurationMinutes from
+ * autoTag.js so "1 hr 15 min" means the same thing here as it does for
+ * the Quick tag. Seconds are handled here since recipes only use them on
+ * their own ("blend for 30 seconds").
+ */
+
+import { parseDurationMinutes } from './autoTag';
+import { parseQuantity } from './IngredientParser';
+
+// Amounts as parseQuantity reads them: "1 1/2", "1½", "1/2", "½", "1.5"
+const FRACTION = '[¼½¾⅓⅔⅛⅜⅝⅞]';
+const NUM = `(?:\\d+(?:\\.\\d+)?(?:\\s+\\d+\\/\\d+|\\s*${FRACTION})?|\\d+\\/\\d+|${FRACTION})`;
+const HOURS = 'hours?|hrs?';
+const MINUTES = 'minutes?|mins?';
+const SECONDS = 'seconds?|secs?';
+
+// An amount with an optional range ("15-20", "15 to 20"), then either
+// hours with optional trailing minutes, minutes, or seconds
+const DURATION_RE = new RegExp(
+  `(${NUM})(?:\\s*(?:-|–|to)\\s*(${NUM}))?\\s*` +
+  `(?:(${HOURS})(?:\\s*(?:and\\s+)?(\\d+)\\s*(?:${MINUTES}))?|(${MINUTES})|(${SECONDS}))\\b`,
+  'gi'
+);
+
+const unitLabel = (seconds) => {
+  if (seconds < 60) return `${seconds} sec`;
+  // "1 ½ minutes" reads 1 min 30 sec rather than rounding to 2
+  if (seconds < 600 && seconds % 60) return `${Math.floor(seconds / 60)} min ${seconds % 60} sec`;
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m ? `${h} hr ${m} min` : `${h} hr`;
+};
+
+/**
+ * Every duration mentioned in a step, in order.
+ * Ranges ("15-20 minutes") time the low end - it's the point to start
+ * checking, and the timer can always be started again.
+ * @param {string} text - Instruction step
+ * @returns {Array} [{ phrase, label, seconds }]
+ */
+export const findStepDurations = (text) => {
+  if (!text || typeof text !== 'string') return [];
+  const found = [];
+  let match;
+  DURATION_RE.lastIndex = 0;
+  while ((match = DURATION_RE.exec(text)) !== null) {
+    const [phrase, low, , hoursUnit, extraMinutes, minutesUnit, secondsUnit] = match;
+
+    const amount = parseQuantity(low);
+    let seconds = null;
+    if (secondsUnit) {
+      seconds = Math.round(amount);
+    } else if (hoursUnit) {
+      const minutes = parseDurationMinutes(`${amount} hr${extraMinutes ? ` ${extraMinutes} min` : ''}`);
+      seconds = minutes != null ? minutes * 60 : null;
+    } else if (minutesUnit) {
+      // "1 ½ minutes" is 90 seconds, not a rounded-up 2 minutes
+      seconds = Math.round(amount * 60);
+    }
+
+    if (seconds && seconds > 0) {
+      found.push({ phrase: phrase.trim(), label: unitLabel(seconds), seconds });
+    }
+  }
+  return found;
+};
+
+/**
+ * Countdown display: "4:05", or "1:02:30" past an hour
+ */
+export const formatCountdown = (totalSeconds) => {
+  const s = Math.max(0, Math.ceil(totalSeconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const sec = String(s % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+};
+
+export default {
+  findStepDurations,
+  formatCountdown,
+};
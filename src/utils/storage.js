@@ -13,6 +13,10 @@ export const STORAGE_KEYS = {
   RECIPES: 'recipes',
   FOLDERS: 'folders',
   GROCERY_LIST: 'groceryList',
+  GROCERY_AISLES: 'groceryAisles',
+  PANTRY: 'pantry',
+  USUAL_INGREDIENTS: 'usualIngredients',
+  COOK_SESSIONS: 'cookSessions',
   APP_SETTINGS: 'appSettings',
   FOLLOWED_COOKBOOKS: 'followedCookbooks',
   TAG_SEARCH_COUNTS: 'tagSearchCounts',
@@ -176,6 +180,143 @@ export const loadGroceryList = async (userId = null) => {
   }
 };
 
+/**
+ * Save the user's grocery aisle choices
+ * Shape: { [canonicalIngredient]: aisleKey } - see src/utils/groceryAisles.js
+ * @param {Object} overrides - The aisle overrides
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const saveGroceryAisleOverrides = async (overrides, userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.GROCERY_AISLES, userId);
+    await AsyncStorage.setItem(key, JSON.stringify(overrides));
+    return true;
+  } catch (error) {
+    console.error('Failed to save grocery aisles:', error);
+    return false;
+  }
+};
+
+/**
+ * Load the user's grocery aisle choices
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const loadGroceryAisleOverrides = async (userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.GROCERY_AISLES, userId);
+    const stored = await AsyncStorage.getItem(key);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    return {};
+  } catch (error) {
+    console.error('Failed to load grocery aisles:', error);
+    return {};
+  }
+};
+
+/**
+ * Save pantry items (ingredients on hand) - see src/utils/pantry.js
+ * @param {Array} pantry - The pantry items to save
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const savePantry = async (pantry, userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.PANTRY, userId);
+    await AsyncStorage.setItem(key, JSON.stringify(pantry));
+    return true;
+  } catch (error) {
+    console.error('Failed to save pantry:', error);
+    return false;
+  }
+};
+
+/**
+ * Load pantry items from storage
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const loadPantry = async (userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.PANTRY, userId);
+    const stored = await AsyncStorage.getItem(key);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    return [];
+  } catch (error) {
+    console.error('Failed to load pantry:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the ingredients the user usually has, for "what can I cook"
+ * @param {Array} ingredients - Canonical ingredient names
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const saveUsualIngredients = async (ingredients, userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.USUAL_INGREDIENTS, userId);
+    await AsyncStorage.setItem(key, JSON.stringify(ingredients));
+    return true;
+  } catch (error) {
+    console.error('Failed to save usual ingredients:', error);
+    return false;
+  }
+};
+
+/**
+ * Load the ingredients the user usually has
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const loadUsualIngredients = async (userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.USUAL_INGREDIENTS, userId);
+    const stored = await AsyncStorage.getItem(key);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    return [];
+  } catch (error) {
+    console.error('Failed to load usual ingredients:', error);
+    return [];
+  }
+};
+
+/**
+ * Save in-progress Cook Mode sessions
+ * @param {Object} sessions - Sessions keyed by recipe id
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const saveCookSessions = async (sessions, userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.COOK_SESSIONS, userId);
+    await AsyncStorage.setItem(key, JSON.stringify(sessions));
+    return true;
+  } catch (error) {
+    console.error('Failed to save cook sessions:', error);
+    return false;
+  }
+};
+
+/**
+ * Load in-progress Cook Mode sessions
+ * @param {string|null} userId - Optional user ID for user-specific storage
+ */
+export const loadCookSessions = async (userId = null) => {
+  try {
+    const key = getUserKey(STORAGE_KEYS.COOK_SESSIONS, userId);
+    const stored = await AsyncStorage.getItem(key);
+    if (stored) {
+      return JSON.parse(stored);
+    }
+    return {};
+  } catch (error) {
+    console.error('Failed to load cook sessions:', error);
+    return {};
+  }
+};
+
 /**
  * Save followed cookbooks to storage
  * @param {Array} cookbooks - The followed cookbooks to save
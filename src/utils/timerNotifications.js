@@ -0,0 +1,107 @@
+/**
+ * FILENAME: src/utils/timerNotifications.js
+ * PURPOSE: Local notifications for Cook Mode timers.
+ *
+ * A timer's alarm is scheduled with the OS when it starts, so it goes off
+ * even if the app is backgrounded or the phone is locked. The in-app
+ * countdown is just a display of the same end time.
+ *
+ * Like expo-keep-awake in CookMode, notifications are a convenience: if
+ * the native module is missing (old dev client, web), every call here
+ * quietly does nothing and timers still count down on screen.
+ */
+
+import { Platform } from 'react-native';
+import { log } from './log';
+
+let Notifications = null;
+try {
+  Notifications = require('expo-notifications');
+} catch (err) {
+  log('expo-notifications unavailable - timers will only alert in-app');
+}
+
+const CHANNEL_ID = 'cook-timers';
+let prepared = null;
+
+/**
+ * One-time setup: foreground display behaviour, Android channel, and
+ * permission. Memoized - safe to call before every schedule.
+ * @returns {Promise<boolean>} whether notifications can be shown
+ */
+const prepare = () => {
+  if (!Notifications) return Promise.resolve(false);
+  if (prepared) return prepared;
+
+  prepared = (async () => {
+    try {
+      // Show the banner even when Cook Mode is open - the cook may be
+      // across the kitchen, not looking at the countdown
+      Notifications.setNotificationHandler({
+        handleNotification: async () => ({
+          shouldShowBanner: true,
+          shouldShowList: true,
+          shouldPlaySound: true,
+          shouldSetBadge: false,
+        }),
+      });
+
+      if (Platform.OS === 'android') {
+        await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+          name: 'Cooking timers',
+          importance: Notifications.AndroidImportance.HIGH,
+          sound: 'default',
+          vibrationPattern: [0, 400, 200, 400],
+        });
+      }
+
+      const current = await Notifications.getPermissionsAsync();
+      if (current.granted) return true;
+      const requested = await Notifications.requestPermissionsAsync();
+      return !!requested.granted;
+    } catch (err) {
+      console.error('Failed to set up timer notifications:', err);
+      return false;
+    }
+  })();
+  return prepared;
+};
+
+/**
+ * Schedule the "timer done" alert.
+ * @param {string} title - Timer name, e.g. "Step 3 - 20 min"
+ * @param {string} body - What to do now
+ * @param {number} seconds - From now
+ * @returns {Promise<string|null>} Notification id, for cancelling
+ */
+export const scheduleTimerNotification = async (title, body, seconds) => {
+  const ok = await prepare();
+  if (!ok) return null;
+  try {
+    return await Notifications.scheduleNotificationAsync({
+      content: { title, body, sound: 'default' },
+      trigger: {
+        type: Notifications.SchedulableTriggerInputTypes.TIME_INTERVAL,
+        seconds: Math.max(1, Math.round(seconds)),
+        channelId: CHANNEL_ID,
+      },
+    });
+  } catch (err) {
+    console.error('Failed to schedule timer notification:', err);
+    return null;
+  }
+};
+
+export const cancelTimerNotification = async (notificationId) => {
+  if (!Notifications || !notificationId) return;
+  try {
+    await Notifications.cancelScheduledNotificationAsync(notificationId);
+  } catch (err) {
+    console.error('Failed to cancel timer notification:', err);
+  }
+};
+
+export default {
+  scheduleTimerNotification,
+  cancelTimerNotification,
+};
@@ -111,6 +111,10 @@ const isTracking = (key) => TRACKING_PARAMS.some(re => re.test(key));
  * same page. Lowercases the host, drops "www.", removes the fragment and
  * tracking parameters, and trims a trailing slash.
  *
+ * The one fragment kept is "#recipe-N": RecipeExtractor gives each extra
+ * recipe on a multi-recipe page that address, and they are different
+ * recipes.
+ *
  * Real query parameters are kept - plenty of sites identify a page with
  * "?p=123", and stripping those would merge unrelated recipes.
  *
@@ -124,6 +128,7 @@ export const normalizeRecipeUrl = (url) => {
   if (!url || typeof url !== 'string') return url;
   try {
     const parsed = new URL(url.trim());
+    const recipeAnchor = /^#recipe-\d+$/.test(parsed.hash) ? parsed.hash : '';
     parsed.hash = '';
     parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
     parsed.protocol = parsed.protocol.toLowerCase();
@@ -136,8 +141,57 @@ export const normalizeRecipeUrl = (url) => {
     // Trailing slash on a path is never meaningful; on the bare origin
     // it is what URL() produces, so leave that alone.
     if (parsed.pathname !== '/' && out.endsWith('/')) out = out.slice(0, -1);
-    return out;
+    return out + recipeAnchor;
   } catch {
     return url;
   }
 };
+
+// Just enough entity decoding for bookmark titles and hrefs
+const decodeBasicEntities = (text) => text
+  .replace(/&quot;/g, '"')
+  .replace(/&#0*39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+/**
+ * Every link in pasted or imported text, for bulk import. Takes either
+ * - a browser bookmarks export (the "Netscape bookmark" HTML that Chrome,
+ *   Safari and Firefox all write): each <A HREF> with its title, or
+ * - any other text - a list of links, or links mixed into notes - with
+ *   each word run through extractUrlFromText.
+ * Links to the same page (by normalizeRecipeUrl) are kept once, first
+ * one wins; non-web links (javascript:, place:) are dropped.
+ *
+ * @param {string} input
+ * @returns {Array<{url: string, title: string|null}>}
+ */
+export const extractUrlsForImport = (input) => {
+  if (!input || typeof input !== 'string') return [];
+
+  let found;
+  if (/<a\s[^>]*href\s*=/i.test(input)) {
+    found = [...input.matchAll(/<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi)]
+      .map(match => ({
+        url: decodeBasicEntities(match[1].trim()),
+        title: decodeBasicEntities(match[2].replace(/<[^>]+>/g, '')).trim() || null,
+      }));
+  } else {
+    found = input
+      .split(/\s+/)
+      .map(word => extractUrlFromText(word))
+      .filter(Boolean)
+      // "https://a.com/x," at the end of a sentence
+      .map(url => ({ url: url.replace(/[.,;:!?)\]}>]+$/, ''), title: null }));
+  }
+
+  const seen = new Set();
+  return found.filter(({ url }) => {
+    if (!/^https?:\/\//i.test(url)) return false;
+    const key = normalizeRecipeUrl(url);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
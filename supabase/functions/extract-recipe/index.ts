@@ -7,6 +7,11 @@
  * Called by the app with 1-3 base64 photos. The Gemini key lives in
  * Supabase secrets (GEMINI_API_KEY), never in the app.
  *
+ * Also called with { text, url } - a web page's readable text - when a
+ * URL import found no recipe markup on the page (RecipeExtractor's AI
+ * tier, see src/extractors/aiFallback.js). Both kinds of call draw on the
+ * same allowance below.
+ *
  * Rate limits (enforced here, not in the app):
  *   Free    - 3 SUCCESSFUL scans lifetime (8 attempts)
  *   Premium - 100 SUCCESSFUL scans per calendar month (150 attempts)
@@ -45,6 +50,8 @@ const SUPPORT_EMAIL = 'hello@melibri.app';
 const MAX_IMAGES = 3;
 // ~4MB of raw image per photo once base64 is decoded
 const MAX_BASE64_LENGTH = 5_500_000;
+// The app trims page text to 30k characters; allow some slack
+const MAX_TEXT_LENGTH = 40_000;
 
 const MAX_RECIPES = 5;
 
@@ -82,10 +89,7 @@ async function discoverFlashModels(apiKey: string): Promise<string[]> {
   }
 }
 
-const PROMPT = `You are a recipe extraction system. The attached photo(s) show recipe content - cookbook pages, recipe cards, handwritten notes, or screenshots. Photos may be consecutive pages of ONE recipe, or may contain SEVERAL distinct recipes (e.g. two recipes printed on one page).
-
-Extract every distinct recipe and reply with ONLY a JSON object in exactly this shape:
-{
+const RECIPE_JSON_SHAPE = `{
   "found": true,
   "recipes": [
     {
@@ -103,7 +107,12 @@ Extract every distinct recipe and reply with ONLY a JSON object in exactly this
       "warnings": []
     }
   ]
-}
+}`;
+
+const PROMPT = `You are a recipe extraction system. The attached photo(s) show recipe content - cookbook pages, recipe cards, handwritten notes, or screenshots. Photos may be consecutive pages of ONE recipe, or may contain SEVERAL distinct recipes (e.g. two recipes printed on one page).
+
+Extract every distinct recipe and reply with ONLY a JSON object in exactly this shape:
+${RECIPE_JSON_SHAPE}
 
 Rules:
 - If the photos do not contain any recipe, reply {"found": false}.
@@ -115,6 +124,20 @@ Rules:
 - confidence per recipe: "high" if everything was clearly legible, "medium" if some parts were hard to read, "low" if you had to guess significantly.
 - warnings per recipe: short strings for anything the user should double-check (e.g. "step 6 partially cut off", "quantity for butter unclear"). If a recipe appears to continue onto a page that was NOT photographed, add a warning like "recipe may continue on another page".`;
 
+const TEXT_PROMPT = `You are a recipe extraction system. Below is the readable text of a web page, one block per line, with list items starting "- ". Recipe blogs surround the recipe with stories, adverts, navigation and comments - ignore all of that. A page may hold ONE recipe or SEVERAL (e.g. a round-up post).
+
+Extract every distinct recipe and reply with ONLY a JSON object in exactly this shape:
+${RECIPE_JSON_SHAPE}
+
+Rules:
+- If the page does not contain a recipe (ingredients AND steps), reply {"found": false}. A list of links to recipes elsewhere is not a recipe.
+- Preserve exact quantities and wording from the page. Do not invent ingredients or steps that are not in the text.
+- Use ingredient section names from the page when present (e.g. "For the sauce"); otherwise use one section named "main".
+- Times/servings: only fill what the page states; leave "" when absent.
+- notes: tips/variations/storage notes given with the recipe, else "".
+- confidence per recipe: "high" if the ingredients and steps were clearly laid out, "medium" if you had to piece them together from prose, "low" if you had to guess significantly.
+- warnings per recipe: short strings for anything the user should double-check (e.g. "quantities only given in the story text", "steps may be incomplete").`;
+
 Deno.serve(async (req: Request) => {
   if (req.method === 'OPTIONS') {
     return new Response('ok', { headers: CORS_HEADERS });
@@ -219,16 +242,25 @@ Deno.serve(async (req: Request) => {
     const body = await req.json();
     const images: string[] = Array.isArray(body?.images) ? body.images : [];
     const mimeType: string = typeof body?.mimeType === 'string' ? body.mimeType : 'image/jpeg';
+    const pageText: string = typeof body?.text === 'string' ? body.text.trim() : '';
+    const pageUrl: string = typeof body?.url === 'string' ? body.url : '';
+    const isText = pageText.length > 0;
 
-    if (images.length === 0) {
-      return json({ success: false, error: 'no_images', message: 'No photos were provided.' }, 400);
-    }
-    if (images.length > MAX_IMAGES) {
-      return json({ success: false, error: 'too_many_images', message: `Up to ${MAX_IMAGES} photos per scan.` }, 400);
-    }
-    for (const img of images) {
-      if (typeof img !== 'string' || img.length === 0 || img.length > MAX_BASE64_LENGTH) {
-        return json({ success: false, error: 'image_too_large', message: 'One of the photos is too large.' }, 400);
+    if (isText) {
+      if (pageText.length > MAX_TEXT_LENGTH) {
+        return json({ success: false, error: 'text_too_large', message: 'That page is too long to read.' }, 400);
+      }
+    } else {
+      if (images.length === 0) {
+        return json({ success: false, error: 'no_images', message: 'No photos were provided.' }, 400);
+      }
+      if (images.length > MAX_IMAGES) {
+        return json({ success: false, error: 'too_many_images', message: `Up to ${MAX_IMAGES} photos per scan.` }, 400);
+      }
+      for (const img of images) {
+        if (typeof img !== 'string' || img.length === 0 || img.length > MAX_BASE64_LENGTH) {
+          return json({ success: false, error: 'image_too_large', message: 'One of the photos is too large.' }, 400);
+        }
       }
     }
 
@@ -249,9 +281,15 @@ Deno.serve(async (req: Request) => {
         ];
     const candidateModels = [...new Set(staticCandidates)];
 
-    const parts: any[] = [{ text: PROMPT }];
-    for (const img of images) {
-      parts.push({ inline_data: { mime_type: mimeType, data: img } });
+    const parts: any[] = [];
+    if (isText) {
+      parts.push({ text: TEXT_PROMPT });
+      parts.push({ text: `Page URL: ${pageUrl}\n\n${pageText}` });
+    } else {
+      parts.push({ text: PROMPT });
+      for (const img of images) {
+        parts.push({ inline_data: { mime_type: mimeType, data: img } });
+      }
     }
     const requestBody = JSON.stringify({
       contents: [{ parts }],
@@ -368,12 +406,18 @@ Deno.serve(async (req: Request) => {
     rawRecipes = rawRecipes.filter((r: any) => r && r.title).slice(0, MAX_RECIPES);
     const found = rawRecipes.length > 0;
 
-    // Record the attempt - the AI call cost money either way
+    // Record the attempt - the AI call cost money either way. A caller
+    // that already hung up (the app's import timed out) never sees the
+    // recipe, so it doesn't spend a scan; it still counts as an attempt.
+    const abandoned = req.signal.aborted;
     await supabase.from('scan_usage').insert({
       user_id: user.id,
-      success: found,
+      success: found && !abandoned,
       model,
     });
+    if (abandoned) {
+      return json({ success: false, error: 'cancelled', message: 'The import was cancelled.' }, 200);
+    }
     if (found) scansUsed += 1;
 
     if (!parsed) {
@@ -389,7 +433,9 @@ Deno.serve(async (req: Request) => {
       return json({
         success: false,
         error: 'no_recipe',
-        message: 'No recipe was found in the photo. Try a clearer shot of the full recipe.',
+        message: isText
+          ? 'No recipe was found on that page.'
+          : 'No recipe was found in the photo. Try a clearer shot of the full recipe.',
         scansUsed, scanLimit,
       }, 200);
     }
@@ -0,0 +1,468 @@
+// deno-lint-ignore-file no-explicit-any
+/**
+ * FILENAME: supabase/functions/extract-url/index.ts
+ * PURPOSE: Server-side recipe extraction from a URL - the fallback for
+ * pages the app can't load itself.
+ *
+ * Plenty of recipe sites block requests that look like they come from a
+ * phone app, time out over mobile data, or serve a non-UTF-8 page the
+ * app's fetch mangles. This function fetches the page the way a desktop
+ * browser would - following redirects, retrying transient failures and
+ * decoding the page's declared charset - then runs the SAME
+ * RecipeExtractor tiers the app uses (imported from the repo root), so
+ * both sides always agree on what a page parses to.
+ *
+ * Called by the app with { url, ai } (see src/services/urlExtraction.js)
+ * only after on-device extraction failed. Returns RecipeExtractor's own
+ * result shape: { success, data, recipes, source } or
+ * { success: false, error, message }.
+ *
+ * With `ai` (the default) the extractor's AI tier is on too: the page
+ * text goes to the extract-recipe function under the caller's own token,
+ * so it spends their scan allowance exactly as it would from the app.
+ *
+ * Results are cached for CACHE_TTL_MS per normalizeRecipeUrl key while
+ * the instance stays warm, so a link shared around a group chat is
+ * fetched once.
+ *
+ * Deploy with the CLI only, from the repo root:
+ *   supabase functions deploy extract-url
+ * (Verify JWT ON). Unlike the other functions this one isn't
+ * self-contained - it imports RecipeExtractor.js and src/ from outside
+ * its folder, which the CLI bundles and the dashboard editor can't.
+ * deno.json next to this file maps the extractor's npm import and
+ * enables the extensionless imports the app's Metro bundler allows.
+ *
+ * Known gap: assertPublicHost resolves the host and then fetch resolves
+ * it again, so a name that changes its answer in between (DNS
+ * rebinding) can still reach a private address. Pinning the request to
+ * the checked address would need a custom resolver, which Deno's fetch
+ * doesn't offer, and connecting to the bare IP breaks TLS for https
+ * sites. The window is one lookup long, page requests carry no
+ * credentials, and only the page text comes back to the caller.
+ */
+
+import { createClient } from 'jsr:@supabase/supabase-js@2';
+import { RecipeExtractor } from '../../../RecipeExtractor.js';
+import { normalizeRecipeUrl } from '../../../src/utils/urlExtractor.js';
+import { EXTRACTION_ERRORS, classifyStatus } from '../../../src/extractors/diagnostics.js';
+
+// The shared extractor logs through src/utils/log, which checks React
+// Native's __DEV__ global
+(globalThis as any).__DEV__ = false;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+};
+
+const USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+const MAX_REDIRECTS = 5;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAYS_MS = [500, 1500];
+const FETCH_TIMEOUT_MS = 12_000;
+// Recipe pages with comment threads run to a few MB; anything bigger
+// isn't a recipe page
+const MAX_PAGE_BYTES = 8_000_000;
+
+const CACHE_TTL_MS = 15 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 200;
+
+// normalizeRecipeUrl(url) -> { result, expires }. Remembered across
+// invocations while this function instance stays warm.
+const cache = new Map<string, { result: any; expires: number }>();
+
+// `reason` is one of EXTRACTION_ERRORS, as the app's extractor reports,
+// or invalid_url for links that were never fetched
+class FetchError extends Error {
+  reason: string;
+  retryable: boolean;
+  status: number | null;
+  detail: string | null;
+
+  constructor(reason: string, message: string, retryable = false, extra: { status?: number; detail?: string | null } = {}) {
+    super(message);
+    this.reason = reason;
+    this.retryable = retryable;
+    this.status = extra.status ?? null;
+    this.detail = extra.detail ?? null;
+  }
+}
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// IPv4 ranges that aren't the public internet: this network, private,
+// carrier-grade NAT, loopback, link-local, IETF protocol assignments,
+// benchmarking, multicast and reserved
+const PRIVATE_IPV4: Array<[number, number]> = [
+  [0x00000000, 8], [0x0a000000, 8], [0x64400000, 10], [0x7f000000, 8],
+  [0xa9fe0000, 16], [0xac100000, 12], [0xc0000000, 24], [0xc0a80000, 16],
+  [0xc6120000, 15], [0xe0000000, 3],
+];
+
+function parseIPv4(host: string): number | null {
+  const parts = host.split('.');
+  if (parts.length !== 4 || !parts.every(p => /^\d{1,3}$/.test(p) && Number(p) <= 255)) return null;
+  return parts.reduce((acc, p) => acc * 256 + Number(p), 0);
+}
+
+// Eight 16-bit groups, or null if this isn't an IPv6 address
+function parseIPv6(host: string): number[] | null {
+  if (!host.includes(':')) return null;
+  let text = host.replace(/%.*$/, '');
+  // Trailing dotted quad, as in ::ffff:127.0.0.1
+  const quad = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (quad) {
+    const v4 = parseIPv4(quad[1]);
+    if (v4 === null) return null;
+    text = text.slice(0, -quad[1].length) + `${(v4 >>> 16).toString(16)}:${(v4 & 0xffff).toString(16)}`;
+  }
+  const halves = text.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const missing = 8 - head.length - tail.length;
+  if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+  const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+  if (!groups.every(g => /^[0-9a-f]{1,4}$/i.test(g))) return null;
+  return groups.map(g => parseInt(g, 16));
+}
+
+function isPrivateIPv4(ip: number): boolean {
+  return PRIVATE_IPV4.some(([base, bits]) => (ip >>> (32 - bits)) === (base >>> (32 - bits)));
+}
+
+/**
+ * Is this IP literal somewhere other than the public internet? IPv6
+ * forms that carry an IPv4 address (::ffff:127.0.0.1, NAT64) are judged
+ * by that address.
+ */
+function isPrivateAddress(address: string): boolean {
+  const v4 = parseIPv4(address);
+  if (v4 !== null) return isPrivateIPv4(v4);
+  const g = parseIPv6(address);
+  if (!g) return false;
+  const embedded = (g[6] << 16 | g[7]) >>> 0;
+  const zeroPrefix = (n: number) => g.slice(0, n).every(x => x === 0);
+  if (zeroPrefix(5) && g[5] === 0xffff) return isPrivateIPv4(embedded); // IPv4-mapped
+  if (g[0] === 0x64 && g[1] === 0xff9b && g.slice(2, 6).every(x => x === 0)) {
+    return isPrivateIPv4(embedded); // NAT64
+  }
+  return (
+    zeroPrefix(6) || // ::, ::1 and the old IPv4-compatible form
+    (g[0] & 0xfe00) === 0xfc00 || // unique local
+    (g[0] & 0xffc0) === 0xfe80 || // link-local
+    (g[0] & 0xff00) === 0xff00 // multicast
+  );
+}
+
+/**
+ * Only public http(s) hosts - this function must not become a way to
+ * reach the project's own network. Checks the URL as written; see
+ * assertPublicHost for where the name points.
+ */
+function assertPublicUrl(raw: string): URL {
+  let url: URL;
+  try {
+    url = new URL(raw);
+  } catch (_e) {
+    throw new FetchError('invalid_url', 'That does not look like a web address.');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new FetchError('invalid_url', 'Only web (http/https) links can be imported.');
+  }
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const isPrivate =
+    host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.internal') ||
+    host.endsWith('.local') ||
+    isPrivateAddress(host);
+  if (isPrivate) {
+    throw new FetchError('invalid_url', 'That address cannot be imported.');
+  }
+  return url;
+}
+
+/**
+ * Resolve the URL's host and refuse it if any address it points to is
+ * private - a public-looking name can resolve to 127.0.0.1. Run before
+ * every request, redirects included.
+ */
+async function assertPublicHost(url: URL): Promise<void> {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (parseIPv4(host) !== null || parseIPv6(host)) return; // checked by assertPublicUrl
+
+  const lookups = await Promise.allSettled([
+    Deno.resolveDns(host, 'A'),
+    Deno.resolveDns(host, 'AAAA'),
+  ]);
+  const addresses = lookups.flatMap(r => (r.status === 'fulfilled' ? r.value : []));
+  if (addresses.length === 0) {
+    throw new FetchError(EXTRACTION_ERRORS.NETWORK, 'Could not reach the site.', true);
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new FetchError('invalid_url', 'That address cannot be imported.');
+  }
+}
+
+/**
+ * charset from the Content-Type header, else from the page's own
+ * <meta charset> / http-equiv tag, else UTF-8
+ */
+function detectCharset(contentType: string | null, bytes: Uint8Array): string {
+  const fromHeader = contentType?.match(/charset=["']?([\w-]+)/i)?.[1];
+  if (fromHeader) return fromHeader.toLowerCase();
+  // The meta tag must appear in the first 1024 bytes (HTML spec)
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 2048));
+  const fromMeta = head.match(/<meta[^>]+charset=["']?([\w-]+)/i)?.[1];
+  return (fromMeta || 'utf-8').toLowerCase();
+}
+
+function decodePage(contentType: string | null, bytes: Uint8Array): string {
+  const charset = detectCharset(contentType, bytes);
+  try {
+    return new TextDecoder(charset).decode(bytes);
+  } catch (_e) {
+    // Unknown label - UTF-8 is right far more often than not
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+// A fetch or body read that threw: the timeout's abort, or the network
+const fetchFailure = (err: unknown) => {
+  const timedOut = (err as Error)?.name === 'AbortError';
+  return new FetchError(
+    timedOut ? EXTRACTION_ERRORS.TIMEOUT : EXTRACTION_ERRORS.NETWORK,
+    timedOut ? 'The site took too long to respond.' : 'Could not reach the site.',
+    true,
+  );
+};
+
+const tooLarge = () =>
+  new FetchError(EXTRACTION_ERRORS.HTTP_STATUS, 'That page is too large to import.', false, { detail: 'too_large' });
+
+/**
+ * The response body, read a chunk at a time so an oversized page is
+ * dropped as soon as it passes MAX_PAGE_BYTES instead of held in memory
+ */
+async function readBody(res: Response): Promise<Uint8Array> {
+  if (Number(res.headers.get('content-length')) > MAX_PAGE_BYTES) {
+    await res.body?.cancel();
+    throw tooLarge();
+  }
+  if (!res.body) return new Uint8Array(0);
+
+  const reader = res.body.getReader();
+  const chunks: Uint8Array[] = [];
+  let size = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > MAX_PAGE_BYTES) {
+      await reader.cancel();
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  const bytes = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * One attempt: follow redirects by hand (re-checking every hop against
+ * assertPublicUrl and assertPublicHost) and return the decoded page
+ */
+async function fetchOnce(start: URL): Promise<{ html: string; finalUrl: string }> {
+  let url = start;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicHost(url);
+    const controller = new AbortController();
+    // Covers the body too, so a page that trickles in still times out
+    const timeoutId = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    let res: Response;
+    try {
+      res = await fetch(url, {
+        redirect: 'manual',
+        signal: controller.signal,
+        headers: {
+          'User-Agent': USER_AGENT,
+          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+          'Accept-Language': 'en-US,en;q=0.9',
+        },
+      });
+    } catch (err) {
+      clearTimeout(timeoutId);
+      throw fetchFailure(err);
+    }
+
+    if (res.status >= 300 && res.status < 400 && res.headers.get('location')) {
+      clearTimeout(timeoutId);
+      await res.body?.cancel();
+      url = assertPublicUrl(new URL(res.headers.get('location')!, url).toString());
+      continue;
+    }
+
+    if (!res.ok) {
+      clearTimeout(timeoutId);
+      await res.body?.cancel();
+      const retryable = res.status === 429 || res.status >= 500;
+      const { reason, detail } = classifyStatus(res.status);
+      throw new FetchError(
+        reason,
+        reason === EXTRACTION_ERRORS.BLOCKED
+          ? 'The site refused the request.'
+          : `The site returned an error (${res.status}).`,
+        retryable,
+        { status: res.status, detail },
+      );
+    }
+
+    let bytes: Uint8Array;
+    try {
+      bytes = await readBody(res);
+    } catch (err) {
+      throw err instanceof FetchError ? err : fetchFailure(err);
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    return { html: decodePage(res.headers.get('content-type'), bytes), finalUrl: url.toString() };
+  }
+  throw new FetchError(EXTRACTION_ERRORS.HTTP_STATUS, 'The link redirects too many times.', false, { detail: 'too_many_redirects' });
+}
+
+async function fetchPage(url: URL): Promise<{ html: string; finalUrl: string }> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fetchOnce(url);
+    } catch (err) {
+      if (!(err instanceof FetchError) || !err.retryable || attempt >= MAX_ATTEMPTS) throw err;
+      console.log(`extract-url: attempt ${attempt} failed (${err.reason}), retrying`);
+      await sleep(RETRY_DELAYS_MS[attempt - 1] ?? 1500);
+    }
+  }
+}
+
+/**
+ * RecipeExtractor's aiFallback: extract-recipe, called as the user. If the
+ * app hangs up (its own timeout), the call is cancelled with it, and
+ * extract-recipe doesn't count a scan nobody will see.
+ */
+const aiFallbackFor = (authorization: string, signal: AbortSignal) => async (text: string, url: string) => {
+  const res = await fetch(`${Deno.env.get('SUPABASE_URL')}/functions/v1/extract-recipe`, {
+    method: 'POST',
+    headers: { 'Authorization': authorization, 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text, url }),
+    signal,
+  });
+  return await res.json().catch(() => ({ success: false, error: 'ai_error', message: `AI service error (${res.status}).` }));
+};
+
+function cacheGet(key: string) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expires < Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return entry.result;
+}
+
+function cacheSet(key: string, result: any) {
+  // Map keeps insertion order, so the first key is the oldest
+  if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value!);
+  cache.set(key, { result, expires: Date.now() + CACHE_TTL_MS });
+}
+
+Deno.serve(async (req: Request) => {
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: CORS_HEADERS });
+  }
+
+  try {
+    // --- Identify the caller (Verify JWT is ON, so the token is valid) ---
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL')!,
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+    );
+    const token = (req.headers.get('Authorization') || '').replace('Bearer ', '');
+    const { data: userData, error: userError } = await supabase.auth.getUser(token);
+    if (userError || !userData?.user) {
+      return json({ success: false, error: 'unauthorized', message: 'You must be signed in to import recipes.' }, 401);
+    }
+
+    // --- Validate input ---
+    const body = await req.json().catch(() => null);
+    const rawUrl = typeof body?.url === 'string' ? body.url.trim() : '';
+    if (!rawUrl) {
+      return json({ success: false, error: 'no_url', message: 'No link was provided.' }, 400);
+    }
+    const url = assertPublicUrl(rawUrl);
+    const useAI = body?.ai !== false;
+
+    const cacheKey = normalizeRecipeUrl(url.toString());
+    const cached = cacheGet(cacheKey);
+    if (cached) {
+      return json({ ...cached, cached: true }, 200);
+    }
+
+    const { html, finalUrl } = await fetchPage(url);
+    if (finalUrl !== url.toString()) {
+      console.log('extract-url: redirected to', finalUrl);
+    }
+
+    // Same tiers as the app. The page is already fetched, so the
+    // extractor's fetch just hands it over. Recipes keep the URL the user
+    // gave, as they would on the device.
+    const extractor = new RecipeExtractor({
+      fetch: async () => ({ ok: true, status: 200, statusText: 'OK', text: async () => html }),
+      aiFallback: useAI ? aiFallbackFor(req.headers.get('Authorization') || '', req.signal) : null,
+    });
+    const result = await extractor.extract(url.toString());
+
+    if (!result.success) {
+      return json({
+        success: false,
+        error: result.code || result.reason,
+        reason: result.reason,
+        tier: result.tier,
+        detail: result.detail,
+        message: result.aiAttempted ? result.error : 'No recipe was found on that page.',
+      }, 200);
+    }
+
+    cacheSet(cacheKey, result);
+    return json(result, 200);
+  } catch (err) {
+    if (err instanceof FetchError) {
+      return json({
+        success: false,
+        error: err.reason,
+        reason: err.reason,
+        tier: 'fetch',
+        status: err.status,
+        detail: err.detail,
+        message: err.message,
+      }, 200);
+    }
+    console.error('extract-url error:', err);
+    return json({ success: false, error: 'internal', message: 'Something went wrong. Please try again.' }, 500);
+  }
+});
+
+function json(body: unknown, status = 200): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' },
+  });
+}